@@ -14,6 +14,8 @@ import AuthLayout from 'components/layout/AuthLayout';
 import DashboardPage from 'pages/DashboardPage';
 import StrategiesPage from 'pages/StrategiesPage';
 import BacktestPage from 'pages/BacktestPage';
+import PositionsPage from 'pages/PositionsPage';
+import AnalyticsPage from 'pages/AnalyticsPage';
 import LoginPage from 'pages/LoginPage';
 import RegisterPage from 'pages/RegisterPage';
 import NotFoundPage from 'pages/NotFoundPage';
@@ -51,7 +53,9 @@ function App() {
               <Route element={<MainLayout />}>
                 <Route path="/dashboard" element={<DashboardPage />} />
                 <Route path="/strategies" element={<StrategiesPage />} />
-                <Route path="/backtest" element="<BacktestPage" />
+                <Route path="/backtest" element={<BacktestPage />} />
+                <Route path="/positions" element={<PositionsPage />} />
+                <Route path="/analytics" element={<AnalyticsPage />} />
                 <Route path="/billing" element={<BillingPage />} />
                 <Route path="/profile" element={<ProfilePage />} />
               </Route>
@@ -0,0 +1,33 @@
+import React from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { formatCurrency } from 'lib/format';
+
+// Net P&L per bucket (strategy, symbol, weekday, hour...) from lib/analytics' breakdown helpers.
+const PnlBreakdownChart = ({ rows, currency, height = 240 }) => {
+    if (rows.every(row => row.trades === 0)) {
+        return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">No trades in this period.</p>;
+    }
+
+    return (
+        <div style={{ width: '100%', height }}>
+            <ResponsiveContainer>
+                <BarChart data={rows}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" className="dark:stroke-dark-border" />
+                    <XAxis dataKey="key" tick={{ fontSize: 10 }} interval="preserveStartEnd" />
+                    <YAxis tickFormatter={(value) => Math.round(value).toLocaleString()} width={60} />
+                    <Tooltip
+                        formatter={(value, name, { payload }) => [
+                            `${formatCurrency(value, currency)} · ${payload.trades} trades · ${payload.winRate.toFixed(0)}% win`, 'Net P&L',
+                        ]}
+                    />
+                    <ReferenceLine y={0} stroke="#9CA3AF" />
+                    <Bar dataKey="profit" isAnimationActive={false}>
+                        {rows.map(row => <Cell key={row.key} fill={row.profit >= 0 ? '#22C55E' : '#EF4444'} />)}
+                    </Bar>
+                </BarChart>
+            </ResponsiveContainer>
+        </div>
+    );
+};
+
+export default PnlBreakdownChart;
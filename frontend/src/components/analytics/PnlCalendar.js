@@ -0,0 +1,69 @@
+import React, { useMemo } from 'react';
+import { WEEKDAYS } from 'lib/analytics';
+import { formatCurrency } from 'lib/format';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const toKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Colour intensity is relative to the period's biggest day, with a floor so small days stay visible.
+const cellStyle = (profit, maxAbs) => {
+    if (profit == null) return undefined;
+    const intensity = Math.min(Math.abs(profit) / maxAbs, 1) * 0.75 + 0.15;
+    return { backgroundColor: profit >= 0 ? `rgba(34, 197, 94, ${intensity})` : `rgba(239, 68, 68, ${intensity})` };
+};
+
+// Monday-first week columns covering `from` (or the first trading day) through today.
+const buildWeeks = (days, from) => {
+    const today = new Date();
+    const first = from ? new Date(from) : new Date(`${days[0]?.date ?? toKey(today)}T00:00:00`);
+    const start = new Date(first.getFullYear(), first.getMonth(), first.getDate() - ((first.getDay() + 6) % 7));
+    const weeks = [];
+    for (let weekStart = start; weekStart <= today; weekStart = new Date(weekStart.getTime() + 7 * DAY_MS)) {
+        weeks.push(Array.from({ length: 7 }, (_, i) => new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i)));
+    }
+    return weeks;
+};
+
+// GitHub-style grid of daily net P&L; `dailyPnl` comes from lib/analytics' computeDailyPnl.
+const PnlCalendar = ({ dailyPnl, from, currency }) => {
+    const byDate = useMemo(() => new Map(dailyPnl.map(day => [day.date, day])), [dailyPnl]);
+    const weeks = useMemo(() => buildWeeks(dailyPnl, from), [dailyPnl, from]);
+    const maxAbs = Math.max(1, ...dailyPnl.map(day => Math.abs(day.profit)));
+    const today = new Date();
+
+    return (
+        <div className="overflow-x-auto">
+            <div className="inline-flex gap-1 text-[10px] text-gray-500">
+                <div className="flex flex-col gap-1 pt-4 pr-1">
+                    {WEEKDAYS.map((label, i) => <div key={label} className="h-3 leading-3">{i % 2 === 0 ? label : ''}</div>)}
+                </div>
+                {weeks.map((week, index) => {
+                    const showMonth = index === 0 || week[0].getMonth() !== weeks[index - 1][0].getMonth();
+                    return (
+                        <div key={toKey(week[0])} className="flex flex-col gap-1">
+                            <div className="h-3 leading-3 whitespace-nowrap">{showMonth ? MONTHS[week[0].getMonth()] : ''}</div>
+                            {week.map(date => {
+                                const day = byDate.get(toKey(date));
+                                const title = day
+                                    ? `${date.toLocaleDateString()}: ${formatCurrency(day.profit, currency)} (${day.trades} trades)`
+                                    : date.toLocaleDateString();
+                                return (
+                                    <div
+                                        key={toKey(date)}
+                                        title={title}
+                                        className={`h-3 w-3 rounded-sm ${date > today ? 'invisible' : day ? '' : 'bg-gray-100 dark:bg-dark-border/50'}`}
+                                        style={cellStyle(day?.profit, maxAbs)}
+                                    />
+                                );
+                            })}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default PnlCalendar;
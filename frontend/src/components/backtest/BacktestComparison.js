@@ -0,0 +1,134 @@
+import React, { useMemo } from 'react';
+import useSWR from 'swr';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getBacktest } from 'services/endpoints/backtest';
+import Skeleton from 'components/core/Skeleton';
+import { STRATEGIES_CONFIG } from 'config/strategies.config';
+import { mergeEquityCurves } from 'lib/backtest';
+
+export const RUN_COLORS = ['#5E56F0', '#10B981', '#F59E0B', '#EF4444'];
+
+const COMPARED_METRICS = [
+    { key: 'total_return_pct', label: 'Total Return', unit: '%', higherIsBetter: true },
+    { key: 'sharpe_ratio', label: 'Sharpe Ratio', unit: '', higherIsBetter: true },
+    { key: 'win_rate_pct', label: 'Win Rate', unit: '%', higherIsBetter: true },
+    { key: 'max_drawdown_pct', label: 'Max Drawdown', unit: '%', higherIsBetter: false },
+    { key: 'total_trades', label: 'Total Trades', unit: '', higherIsBetter: null },
+];
+
+const fetchRuns = (ids) => Promise.all(ids.map(id => getBacktest(id)));
+
+const runLabel = (run, index) => `#${index + 1} ${STRATEGIES_CONFIG[run.strategy_name]?.name || run.strategy_name || ''}`.trim();
+
+// Differences are shown against the first selected run, which acts as the baseline.
+const DiffBadge = ({ value, baseline, unit, higherIsBetter }) => {
+    if (value == null || baseline == null || value === baseline) return null;
+    const diff = value - baseline;
+    const magnitudeDiff = Math.abs(value) - Math.abs(baseline);
+    const isBetter = higherIsBetter === null ? null : higherIsBetter ? diff > 0 : magnitudeDiff < 0;
+    const color = isBetter === null ? 'text-gray-500' : isBetter ? 'text-secondary' : 'text-danger';
+    return <span className={`ml-2 text-xs ${color}`}>({diff > 0 ? '+' : ''}{Number.isInteger(diff) ? diff : diff.toFixed(2)}{unit})</span>;
+};
+
+// Runs imported from a JSON export are compared as-is; every other id is fetched from the server.
+const BacktestComparison = ({ runIds, importedRuns = [] }) => {
+    const importedById = useMemo(() => Object.fromEntries(importedRuns.map(run => [run.id, run])), [importedRuns]);
+    const serverIds = useMemo(() => runIds.filter(id => !importedById[id]), [runIds, importedById]);
+    const { data: fetchedRuns, error, isLoading } = useSWR(serverIds.length ? ['backtest-compare', ...serverIds] : null, () => fetchRuns(serverIds), {
+        revalidateOnFocus: false,
+    });
+    const runs = useMemo(() => {
+        if (serverIds.length && !fetchedRuns) return undefined;
+        return runIds.map(id => importedById[id] || fetchedRuns[serverIds.indexOf(id)]);
+    }, [runIds, serverIds, fetchedRuns, importedById]);
+
+    const chartData = useMemo(() => mergeEquityCurves((runs || []).map(run => ({
+        id: String(run.id),
+        equityCurve: run.results?.equity_curve,
+    }))), [runs]);
+
+    const parameterNames = useMemo(() => [...new Set((runs || []).flatMap(run => Object.keys(run.parameters || {})))], [runs]);
+
+    if (isLoading) return <Skeleton className="h-80 w-full" />;
+    if (error) return <p className="text-danger text-center py-8">Failed to load the selected backtests.</p>;
+    if (!runs) return null;
+
+    const parametersOf = (run) => run.parameters || {};
+    const baseline = runs[0];
+
+    return (
+        <div className="space-y-6">
+            <div style={{ width: '100%', height: 320 }}>
+                <ResponsiveContainer>
+                    <LineChart data={chartData}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" className="dark:stroke-dark-border" />
+                        <XAxis dataKey="timestamp" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={(v) => new Date(v).toLocaleDateString()} minTickGap={40} />
+                        <YAxis tickFormatter={(v) => `${v.toFixed(0)}%`} />
+                        <Tooltip labelFormatter={(v) => new Date(v).toLocaleString()} formatter={(value) => `${value.toFixed(2)}%`} />
+                        <Legend />
+                        {runs.map((run, index) => (
+                            <Line
+                                key={run.id}
+                                type="monotone"
+                                dataKey={String(run.id)}
+                                name={runLabel(run, index)}
+                                stroke={RUN_COLORS[index % RUN_COLORS.length]}
+                                dot={false}
+                                connectNulls
+                                isAnimationActive={false}
+                            />
+                        ))}
+                    </LineChart>
+                </ResponsiveContainer>
+            </div>
+
+            <div className="overflow-x-auto rounded-lg border border-light-border dark:border-dark-border">
+                <table className="min-w-full divide-y divide-light-border dark:divide-dark-border text-sm">
+                    <thead className="bg-gray-50 dark:bg-gray-800/50">
+                        <tr>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Metric</th>
+                            {runs.map((run, index) => (
+                                <th key={run.id} className="px-4 py-2 text-left text-xs font-medium uppercase" style={{ color: RUN_COLORS[index % RUN_COLORS.length] }}>
+                                    {runLabel(run, index)}
+                                    {index === 0 && <span className="ml-1 normal-case text-gray-400">(baseline)</span>}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white dark:bg-dark-card divide-y divide-light-border dark:divide-dark-border">
+                        {COMPARED_METRICS.map(({ key, label, unit, higherIsBetter }) => (
+                            <tr key={key}>
+                                <td className="px-4 py-2 font-medium">{label}</td>
+                                {runs.map((run, index) => {
+                                    const value = run.results?.[key];
+                                    return (
+                                        <td key={run.id} className="px-4 py-2 whitespace-nowrap">
+                                            {value == null ? '–' : `${Number.isInteger(value) ? value : value.toFixed(2)}${unit}`}
+                                            {index > 0 && <DiffBadge value={value} baseline={baseline.results?.[key]} unit={unit} higherIsBetter={higherIsBetter} />}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                        {parameterNames.map(name => (
+                            <tr key={name} className="text-xs">
+                                <td className="px-4 py-2 text-gray-500">{name}</td>
+                                {runs.map(run => {
+                                    const value = parametersOf(run)[name];
+                                    const differs = value !== parametersOf(baseline)[name];
+                                    return (
+                                        <td key={run.id} className={`px-4 py-2 ${differs ? 'font-semibold text-primary' : 'text-gray-500'}`}>
+                                            {Array.isArray(value) ? value.join(', ') : value ?? '–'}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default BacktestComparison;
@@ -0,0 +1,131 @@
+import React, { useMemo, useState } from 'react';
+import useSWR from 'swr';
+import { listBacktests } from 'services/endpoints/backtest';
+import Skeleton from 'components/core/Skeleton';
+import { STRATEGIES_CONFIG } from 'config/strategies.config';
+import { formatRunSymbols } from 'lib/backtest';
+
+export const MAX_COMPARE = 4;
+
+const filterClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm text-sm dark:bg-dark-bg/50 dark:border-dark-border";
+
+const BacktestHistory = ({ selectedIds, onSelectionChange, onOpen, activeJobId }) => {
+    const [filters, setFilters] = useState({ strategy_name: '', symbol: '', timeframe: '' });
+
+    const { data: history = [], error, isLoading } = useSWR('/backtest', () => listBacktests(), { revalidateOnFocus: false });
+
+    const filteredHistory = useMemo(() => history.filter(run => (
+        (!filters.strategy_name || run.strategy_name === filters.strategy_name)
+        && (!filters.symbol || formatRunSymbols(run)?.toUpperCase().includes(filters.symbol.toUpperCase()))
+        && (!filters.timeframe || run.timeframe === filters.timeframe)
+    )), [history, filters]);
+
+    const timeframes = useMemo(() => [...new Set(history.map(run => run.timeframe))].sort(), [history]);
+
+    const handleFilterChange = (e) => setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+    const toggleSelection = (id) => {
+        if (selectedIds.includes(id)) {
+            onSelectionChange(selectedIds.filter(selected => selected !== id));
+        } else if (selectedIds.length < MAX_COMPARE) {
+            onSelectionChange([...selectedIds, id]);
+        }
+    };
+
+    // Only completed single runs carry an equity curve that can be compared.
+    const isComparable = (run) => run.status === 'completed' && (run.mode || 'single') === 'single';
+
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div>
+                    <label className="block text-xs font-medium">Strategy</label>
+                    <select name="strategy_name" value={filters.strategy_name} onChange={handleFilterChange} className={filterClasses}>
+                        <option value="">All strategies</option>
+                        {Object.entries(STRATEGIES_CONFIG).map(([key, config]) => <option key={key} value={key}>{config.name}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-xs font-medium">Symbol</label>
+                    <input name="symbol" value={filters.symbol} onChange={handleFilterChange} placeholder="e.g. EURUSD" className={filterClasses} />
+                </div>
+                <div>
+                    <label className="block text-xs font-medium">Timeframe</label>
+                    <select name="timeframe" value={filters.timeframe} onChange={handleFilterChange} className={filterClasses}>
+                        <option value="">All timeframes</option>
+                        {timeframes.map(tf => <option key={tf} value={tf}>{tf}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            <div className="max-h-96 overflow-auto rounded-lg border border-light-border dark:border-dark-border">
+                <table className="min-w-full divide-y divide-light-border dark:divide-dark-border text-sm">
+                    <thead className="bg-gray-50 dark:bg-gray-800/50 sticky top-0">
+                        <tr>
+                            <th className="px-3 py-2" />
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Strategy</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Market</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Parameters</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Return</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Sharpe</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Max DD</th>
+                            <th className="px-3 py-2" />
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white dark:bg-dark-card divide-y divide-light-border dark:divide-dark-border">
+                        {isLoading ? (
+                            [...Array(3)].map((_, i) => (
+                                <tr key={i}>
+                                    <td colSpan="9" className="px-3 py-2"><Skeleton className="h-8 w-full" /></td>
+                                </tr>
+                            ))
+                        ) : error ? (
+                            <tr><td colSpan="9" className="px-3 py-8 text-center text-danger">Failed to load backtest history.</td></tr>
+                        ) : filteredHistory.length === 0 ? (
+                            <tr><td colSpan="9" className="px-3 py-8 text-center text-gray-500 dark:text-dark-text-secondary">No backtests match these filters.</td></tr>
+                        ) : (
+                            filteredHistory.map(run => {
+                                const metrics = run.metrics || {};
+                                const isSelected = selectedIds.includes(run.id);
+                                const comparable = isComparable(run);
+                                return (
+                                    <tr key={run.id} className={run.id === activeJobId ? 'bg-primary/5' : 'hover:bg-gray-50 dark:hover:bg-dark-border/20'}>
+                                        <td className="px-3 py-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={isSelected}
+                                                disabled={!comparable || (!isSelected && selectedIds.length >= MAX_COMPARE)}
+                                                onChange={() => toggleSelection(run.id)}
+                                                className="rounded border-gray-300 text-primary focus:ring-primary disabled:opacity-40"
+                                                title={comparable ? 'Select for comparison' : 'Only completed single runs can be compared'}
+                                            />
+                                        </td>
+                                        <td className="px-3 py-2 whitespace-nowrap text-gray-500">{new Date(run.created_at).toLocaleString()}</td>
+                                        <td className="px-3 py-2 whitespace-nowrap">{STRATEGIES_CONFIG[run.strategy_name]?.name || run.strategy_name}</td>
+                                        <td className="px-3 py-2 whitespace-nowrap">{formatRunSymbols(run)} {run.timeframe}</td>
+                                        <td className="px-3 py-2 text-xs text-gray-500 max-w-xs truncate" title={JSON.stringify(run.parameters)}>
+                                            {run.mode === 'optimize'
+                                                ? 'Parameter sweep'
+                                                : Object.entries(run.parameters || {}).map(([key, value]) => `${key}=${value}`).join(', ')}
+                                        </td>
+                                        <td className={`px-3 py-2 font-semibold ${metrics.total_return_pct >= 0 ? 'text-secondary' : 'text-danger'}`}>
+                                            {metrics.total_return_pct != null ? `${metrics.total_return_pct.toFixed(2)}%` : run.status}
+                                        </td>
+                                        <td className="px-3 py-2">{metrics.sharpe_ratio?.toFixed(2) ?? '–'}</td>
+                                        <td className="px-3 py-2">{metrics.max_drawdown_pct != null ? `${metrics.max_drawdown_pct.toFixed(2)}%` : '–'}</td>
+                                        <td className="px-3 py-2 text-right">
+                                            <button onClick={() => onOpen(run)} className="px-3 py-1 text-xs font-medium text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900/50 rounded">Open</button>
+                                        </td>
+                                    </tr>
+                                );
+                            })
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default BacktestHistory;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { XCircleIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { STRATEGIES_CONFIG } from 'config/strategies.config';
+import { formatRunSymbols } from 'lib/backtest';
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Running',
+    completed: 'Completed',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+};
+
+const statusClasses = {
+    queued: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+    running: 'bg-primary/10 text-primary',
+    completed: 'bg-success/10 text-success',
+    failed: 'bg-danger/10 text-danger',
+    cancelled: 'bg-warning/10 text-warning',
+};
+
+const BacktestJobStatus = ({ activeJob, status, progress, failureReason, error, onCancel, onDismiss }) => {
+    const { config } = activeJob;
+    const strategyName = STRATEGIES_CONFIG[config.strategy_name]?.name || config.strategy_name;
+    const isRunning = status === 'queued' || status === 'running';
+    const hasProgress = typeof progress === 'number';
+
+    return (
+        <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="flex flex-col items-center justify-center h-full text-center">
+            {isRunning ? (
+                <div className="w-16 h-16 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
+            ) : (
+                <XCircleIcon className="h-16 w-16 text-gray-300 dark:text-gray-600" />
+            )}
+
+            <div className="mt-4 flex items-center gap-2">
+                <span className={`px-3 py-1 text-xs font-medium rounded-full ${statusClasses[status] || statusClasses.queued}`}>
+                    {STATUS_LABELS[status] || status}
+                </span>
+                <span className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                    {strategyName} · {formatRunSymbols(config)} {config.timeframe}
+                </span>
+            </div>
+
+            {isRunning && (
+                <div className="w-full max-w-sm mt-4">
+                    <div className="h-2 w-full bg-gray-200 dark:bg-dark-border rounded-full overflow-hidden">
+                        <div
+                            className={`h-full bg-primary transition-all duration-500 ${hasProgress ? '' : 'animate-pulse w-full'}`}
+                            style={hasProgress ? { width: `${Math.min(100, Math.max(0, progress))}%` } : undefined}
+                        />
+                    </div>
+                    <p className="mt-2 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                        {status === 'queued' ? 'Waiting for a free worker...' : `Simulating historical performance${hasProgress ? ` (${Math.round(progress)}%)` : '...'}`}
+                    </p>
+                </div>
+            )}
+
+            {status === 'failed' && failureReason && (
+                <p className="mt-2 text-sm text-danger">{failureReason}</p>
+            )}
+
+            {error?.isNetworkError && (
+                <p className="mt-2 text-xs text-warning">Lost contact with the server. Retrying...</p>
+            )}
+
+            <p className="mt-2 text-xs text-gray-500">Submitted {new Date(activeJob.submittedAt).toLocaleString()} · Job {activeJob.id}</p>
+
+            <div className="mt-6 flex space-x-2">
+                {isRunning ? (
+                    <button onClick={onCancel} className="px-4 py-2 text-sm font-medium text-red-600 hover:bg-red-100 dark:hover:bg-red-900/50 rounded-md border dark:border-dark-border">
+                        Cancel Backtest
+                    </button>
+                ) : (
+                    <button onClick={onDismiss} className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-gray-700">
+                        <ArrowPathIcon className="h-4 w-4 mr-2" />
+                        Start Over
+                    </button>
+                )}
+            </div>
+        </motion.div>
+    );
+};
+
+export default BacktestJobStatus;
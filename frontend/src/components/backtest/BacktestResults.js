@@ -0,0 +1,93 @@
+import React, { useMemo } from 'react';
+import { motion } from 'framer-motion';
+import TradingChart from 'components/dashboard/TradingChart';
+import EquityCurveChart from './EquityCurveChart';
+import MonthlyReturnsHeatmap from './MonthlyReturnsHeatmap';
+import TradeListTable from './TradeListTable';
+import MonteCarloPanel from './MonteCarloPanel';
+import { MetricCard, ResultsSection } from './ResultsLayout';
+import { tradesToChartMarkers, summarizeCosts } from 'lib/backtest';
+
+const formatMoney = (value) => new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value || 0);
+
+const CostBreakdown = ({ results }) => {
+    const summary = useMemo(() => summarizeCosts(results), [results]);
+    const components = [
+        { label: 'Commission', value: summary.commission },
+        { label: 'Spread', value: summary.spread },
+        { label: 'Slippage', value: summary.slippage },
+        { label: 'Swap', value: summary.swap },
+    ];
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="grid grid-cols-3 md:col-span-2 gap-4">
+                <MetricCard title="Gross P&L" value={formatMoney(summary.grossProfit)} />
+                <MetricCard title="Total Costs" value={formatMoney(summary.total)} />
+                <MetricCard title="Net P&L" value={formatMoney(summary.netProfit)} />
+            </div>
+            <div className="bg-light-bg dark:bg-dark-bg/50 p-4 rounded-lg text-sm space-y-1">
+                {components.map(({ label, value }) => (
+                    <div key={label} className="flex justify-between">
+                        <span className="text-light-text-secondary dark:text-dark-text-secondary">{label}</span>
+                        <span className="font-semibold">{formatMoney(value)}</span>
+                    </div>
+                ))}
+                <div className="flex justify-between pt-1 border-t border-light-border dark:border-dark-border">
+                    <span className="text-light-text-secondary dark:text-dark-text-secondary">Cost Drag</span>
+                    <span className="font-semibold text-danger">{summary.dragPct == null ? '–' : `${summary.dragPct.toFixed(1)}% of gross`}</span>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const BacktestResults = ({ results, config }) => {
+    const isProfitable = results.total_return_pct > 0;
+    const timeframe = config?.timeframe;
+    const markers = useMemo(() => tradesToChartMarkers(results.trades, timeframe), [results.trades, timeframe]);
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="mt-8 space-y-6">
+            <h2 className="text-2xl font-bold text-center">Backtest Results</h2>
+            <div className={`p-6 rounded-xl text-center ${isProfitable ? 'bg-success/10 text-success' : 'bg-danger/10 text-danger'}`}>
+                <p className="text-sm font-semibold uppercase">Total Return</p>
+                <p className="text-5xl font-extrabold">{results.total_return_pct.toFixed(2)}%</p>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <MetricCard title="Sharpe Ratio" value={results.sharpe_ratio.toFixed(2)} />
+                <MetricCard title="Win Rate" value={results.win_rate_pct.toFixed(2)} unit="%" />
+                <MetricCard title="Max Drawdown" value={results.max_drawdown_pct.toFixed(2)} unit="%" />
+                <MetricCard title="Total Trades" value={results.total_trades} />
+            </div>
+
+            <ResultsSection title="Gross vs. Net">
+                <CostBreakdown results={results} />
+            </ResultsSection>
+
+            <ResultsSection title="Equity & Drawdown">
+                <EquityCurveChart equityCurve={results.equity_curve} />
+            </ResultsSection>
+
+            <ResultsSection title="Monthly Returns (%)">
+                <MonthlyReturnsHeatmap equityCurve={results.equity_curve} />
+            </ResultsSection>
+
+            {config && (
+                <ResultsSection title={`Trades on ${config.symbol} ${config.timeframe}`}>
+                    <TradingChart symbol={config.symbol} timeframe={config.timeframe} markers={markers} live={false} />
+                </ResultsSection>
+            )}
+
+            <ResultsSection title="Trade List">
+                <TradeListTable trades={results.trades} />
+            </ResultsSection>
+
+            <ResultsSection title="Monte Carlo Analysis">
+                <MonteCarloPanel results={results} config={config} />
+            </ResultsSection>
+        </motion.div>
+    );
+};
+
+export default BacktestResults;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { TrashIcon } from '@heroicons/react/24/outline';
+import { COST_PRESETS, DEFAULT_COSTS } from 'config/costPresets.config';
+
+const STORAGE_KEY = 'backtest_cost_presets';
+
+const inputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm text-sm dark:bg-dark-bg/50 dark:border-dark-border";
+
+const COST_FIELDS = [
+    { name: 'commission_per_lot', label: 'Commission / Lot', step: 0.01 },
+    { name: 'slippage_points', label: 'Slippage (pts)', step: 0.1 },
+    { name: 'swap_long', label: 'Swap Long', step: 0.01 },
+    { name: 'swap_short', label: 'Swap Short', step: 0.01 },
+];
+
+const readCustomPresets = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+// The "Costs" block of the backtest form. Field values live in the parent form under `costs.*`.
+const CostSettingsFields = ({ register, setValue, watch }) => {
+    const [customPresets, setCustomPresets] = useState(readCustomPresets);
+    const [selectedPreset, setSelectedPreset] = useState('');
+    const [newPresetName, setNewPresetName] = useState('');
+    const spreadMode = watch('costs.spread_mode', DEFAULT_COSTS.spread_mode);
+
+    const allPresets = { ...COST_PRESETS, ...customPresets };
+
+    const applyPreset = (key) => {
+        setSelectedPreset(key);
+        const preset = allPresets[key];
+        if (!preset) return;
+        Object.entries(preset.costs).forEach(([name, value]) => setValue(`costs.${name}`, value));
+    };
+
+    const persistCustomPresets = (presets) => {
+        setCustomPresets(presets);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    };
+
+    const handleSavePreset = () => {
+        const name = newPresetName.trim();
+        if (!name) return;
+        const key = `custom_${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`;
+        const costs = watch('costs');
+        persistCustomPresets({ ...customPresets, [key]: { name, costs } });
+        setSelectedPreset(key);
+        setNewPresetName('');
+        toast.success(`Saved cost preset "${name}".`);
+    };
+
+    const handleDeletePreset = () => {
+        const { [selectedPreset]: removed, ...rest } = customPresets;
+        persistCustomPresets(rest);
+        setSelectedPreset('');
+        toast.success(`Deleted cost preset "${removed.name}".`);
+    };
+
+    return (
+        <div className="space-y-3">
+            <div>
+                <label className="block text-sm font-medium">Preset</label>
+                <div className="flex items-center gap-2">
+                    <select value={selectedPreset} onChange={(e) => applyPreset(e.target.value)} className={inputClasses}>
+                        <option value="">Custom</option>
+                        <optgroup label="Account Types">
+                            {Object.entries(COST_PRESETS).map(([key, preset]) => <option key={key} value={key}>{preset.name}</option>)}
+                        </optgroup>
+                        {Object.keys(customPresets).length > 0 && (
+                            <optgroup label="Saved Presets">
+                                {Object.entries(customPresets).map(([key, preset]) => <option key={key} value={key}>{preset.name}</option>)}
+                            </optgroup>
+                        )}
+                    </select>
+                    {customPresets[selectedPreset] && (
+                        <button type="button" onClick={handleDeletePreset} title="Delete preset" className="mt-1 p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900/50 rounded">
+                            <TrashIcon className="h-4 w-4" />
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+                <div>
+                    <label className="block text-sm font-medium">Spread</label>
+                    <select {...register('costs.spread_mode', { value: DEFAULT_COSTS.spread_mode })} className={inputClasses}>
+                        <option value="fixed">Fixed</option>
+                        <option value="historical">From History</option>
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium">{spreadMode === 'historical' ? 'Min. Spread (pts)' : 'Spread (pts)'}</label>
+                    <input type="number" step="0.1" {...register('costs.spread_points', { valueAsNumber: true, value: DEFAULT_COSTS.spread_points })} className={inputClasses} />
+                </div>
+                {COST_FIELDS.map(({ name, label, step }) => (
+                    <div key={name}>
+                        <label className="block text-sm font-medium">{label}</label>
+                        <input type="number" step={step} {...register(`costs.${name}`, { valueAsNumber: true, value: DEFAULT_COSTS[name] })} className={inputClasses} />
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex items-center gap-2">
+                <input
+                    value={newPresetName}
+                    onChange={(e) => setNewPresetName(e.target.value)}
+                    placeholder="Preset name"
+                    className="block w-full rounded-md border-gray-300 shadow-sm text-sm dark:bg-dark-bg/50 dark:border-dark-border"
+                />
+                <button type="button" onClick={handleSavePreset} disabled={!newPresetName.trim()} className="px-3 py-2 text-sm font-medium rounded-md border dark:border-dark-border whitespace-nowrap hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50">
+                    Save Preset
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default CostSettingsFields;
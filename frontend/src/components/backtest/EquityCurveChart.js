@@ -0,0 +1,41 @@
+import React, { useMemo } from 'react';
+import { ComposedChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { computeDrawdownSeries } from 'lib/backtest';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+const EquityCurveChart = ({ equityCurve, height = 300 }) => {
+    const data = useMemo(() => computeDrawdownSeries(equityCurve), [equityCurve]);
+
+    if (data.length === 0) {
+        return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">No equity data was returned for this run.</p>;
+    }
+
+    return (
+        <div style={{ width: '100%', height }}>
+            <ResponsiveContainer>
+                <ComposedChart data={data}>
+                    <defs>
+                        <linearGradient id="backtestEquity" x1="0" y1="0" x2="0" y2="1">
+                            <stop offset="5%" stopColor="#5E56F0" stopOpacity={0.6}/>
+                            <stop offset="95%" stopColor="#5E56F0" stopOpacity={0}/>
+                        </linearGradient>
+                    </defs>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" className="dark:stroke-dark-border" />
+                    <XAxis dataKey="timestamp" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={formatDate} minTickGap={40} />
+                    <YAxis yAxisId="equity" domain={['auto', 'auto']} />
+                    {/* Drawdown sits on its own axis so the underlay never squashes the equity line. */}
+                    <YAxis yAxisId="drawdown" orientation="right" domain={['dataMin', 0]} tickFormatter={(v) => `${v.toFixed(0)}%`} />
+                    <Tooltip
+                        labelFormatter={(v) => new Date(v).toLocaleString()}
+                        formatter={(value, name) => (name === 'Drawdown' ? [`${value.toFixed(2)}%`, name] : [value.toFixed(2), name])}
+                    />
+                    <Area yAxisId="drawdown" type="stepAfter" dataKey="drawdown_pct" name="Drawdown" stroke="#EF4444" fill="#EF4444" fillOpacity={0.15} isAnimationActive={false} />
+                    <Area yAxisId="equity" type="monotone" dataKey="equity" name="Equity" stroke="#5E56F0" fill="url(#backtestEquity)" isAnimationActive={false} />
+                </ComposedChart>
+            </ResponsiveContainer>
+        </div>
+    );
+};
+
+export default EquityCurveChart;
@@ -0,0 +1,97 @@
+import React, { Fragment } from 'react';
+import { Menu, Transition } from '@headlessui/react';
+import toast from 'react-hot-toast';
+import { ArrowDownTrayIcon, TableCellsIcon, ChartBarIcon, CodeBracketIcon, PrinterIcon } from '@heroicons/react/24/outline';
+import { stitchEquityCurves } from 'lib/walkForward';
+import {
+    tradesToCsv, equityToCsv, downloadFile, exportFileName, buildRunExport, buildPrintableReport, captureCharts,
+} from 'lib/exportReport';
+
+// Walk-forward runs have no single equity curve; export the stitched out-of-sample one instead.
+const equityCurveOf = (results) => results.equity_curve
+    || (results.windows ? stitchEquityCurves(results.windows.map(w => w.out_of_sample?.equity_curve), results.initial_capital) : []);
+
+// Export actions for the run currently shown on the Backtest page.
+// `reportRef` points at the rendered results so their charts can be embedded in the printable report.
+const ExportMenu = ({ activeJob, results, reportRef }) => {
+    const { id, mode, config } = activeJob;
+    const equityCurve = equityCurveOf(results);
+
+    const handlePrint = () => {
+        const html = buildPrintableReport({ mode, config, results, charts: captureCharts(reportRef.current) });
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            toast.error("The report window was blocked. Please allow pop-ups for this site.");
+            return;
+        }
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+        reportWindow.focus();
+        // Give the new document a moment to lay out before opening the print dialog.
+        setTimeout(() => reportWindow.print(), 300);
+    };
+
+    const actions = [
+        {
+            label: 'Trades (CSV)',
+            Icon: TableCellsIcon,
+            disabled: !results.trades?.length,
+            onClick: () => downloadFile(tradesToCsv(results.trades, config.symbol), exportFileName(config, 'trades', 'csv'), 'text/csv'),
+        },
+        {
+            label: 'Equity Curve (CSV)',
+            Icon: ChartBarIcon,
+            disabled: equityCurve.length === 0,
+            onClick: () => downloadFile(equityToCsv(equityCurve), exportFileName(config, 'equity', 'csv'), 'text/csv'),
+        },
+        {
+            label: 'Full Run (JSON)',
+            Icon: CodeBracketIcon,
+            onClick: () => downloadFile(
+                JSON.stringify(buildRunExport({ id, mode, config, results }), null, 2),
+                exportFileName(config, mode, 'json'),
+                'application/json'
+            ),
+        },
+        { label: 'Printable Report / PDF', Icon: PrinterIcon, onClick: handlePrint },
+    ];
+
+    return (
+        <Menu as="div" className="relative inline-block text-left">
+            <Menu.Button className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-gray-700">
+                <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+                Export
+            </Menu.Button>
+            <Transition
+                as={Fragment}
+                enter="transition ease-out duration-100"
+                enterFrom="transform opacity-0 scale-95"
+                enterTo="transform opacity-100 scale-100"
+                leave="transition ease-in duration-75"
+                leaveFrom="transform opacity-100 scale-100"
+                leaveTo="transform opacity-0 scale-95"
+            >
+                <Menu.Items className="absolute right-0 mt-2 w-56 origin-top-right bg-white dark:bg-dark-card rounded-md shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none z-20">
+                    <div className="px-1 py-1">
+                        {actions.map(({ label, Icon, disabled, onClick }) => (
+                            <Menu.Item key={label} disabled={disabled}>
+                                {({ active }) => (
+                                    <button
+                                        onClick={onClick}
+                                        disabled={disabled}
+                                        className={`${active ? 'bg-primary text-white' : 'text-gray-900 dark:text-dark-text'} group flex w-full items-center rounded-md px-2 py-2 text-sm disabled:opacity-40`}
+                                    >
+                                        <Icon className="h-4 w-4 mr-2" />
+                                        {label}
+                                    </button>
+                                )}
+                            </Menu.Item>
+                        ))}
+                    </div>
+                </Menu.Items>
+            </Transition>
+        </Menu>
+    );
+};
+
+export default ExportMenu;
@@ -0,0 +1,137 @@
+import React, { useState, useMemo } from 'react';
+import { ComposedChart, Area, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { normalizeTrades } from 'lib/backtest';
+import { SIMULATION_METHODS } from 'lib/monteCarlo';
+import useMonteCarlo from 'hooks/useMonteCarlo';
+import { MetricCard } from './ResultsLayout';
+
+const ITERATION_OPTIONS = [1000, 5000, 10000];
+
+const inputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm text-sm dark:bg-dark-bg/50 dark:border-dark-border";
+
+const formatMoney = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 0 });
+
+const ConfidenceBandsChart = ({ bands, initialCapital }) => (
+    <div style={{ width: '100%', height: 300 }}>
+        <ResponsiveContainer>
+            <ComposedChart data={bands}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" className="dark:stroke-dark-border" />
+                <XAxis dataKey="trade" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(v) => `#${v}`} />
+                <YAxis domain={['auto', 'auto']} tickFormatter={formatMoney} />
+                <Tooltip
+                    labelFormatter={(v) => `After trade #${v}`}
+                    formatter={(value, name) => [Array.isArray(value) ? value.map(formatMoney).join(' – ') : formatMoney(value), name]}
+                />
+                <ReferenceLine y={initialCapital} stroke="#9CA3AF" strokeDasharray="4 4" />
+                <Area type="monotone" dataKey={(d) => [d.p5, d.p95]} name="5–95%" stroke="none" fill="#5E56F0" fillOpacity={0.15} isAnimationActive={false} />
+                <Area type="monotone" dataKey={(d) => [d.p25, d.p75]} name="25–75%" stroke="none" fill="#5E56F0" fillOpacity={0.3} isAnimationActive={false} />
+                <Line type="monotone" dataKey="p50" name="Median" stroke="#5E56F0" strokeWidth={2} dot={false} isAnimationActive={false} />
+            </ComposedChart>
+        </ResponsiveContainer>
+    </div>
+);
+
+const DrawdownHistogram = ({ histogram, observed }) => {
+    const data = histogram.map(bucket => ({ ...bucket, label: `${bucket.from.toFixed(1)}–${bucket.to.toFixed(1)}%` }));
+    const observedBucket = data.find(bucket => observed >= bucket.from && observed <= bucket.to);
+
+    return (
+        <div style={{ width: '100%', height: 220 }}>
+            <ResponsiveContainer>
+                <BarChart data={data}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" className="dark:stroke-dark-border" />
+                    <XAxis dataKey="label" tick={{ fontSize: 10 }} interval="preserveStartEnd" />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip formatter={(value) => [value, 'Simulations']} />
+                    {observedBucket && <ReferenceLine x={observedBucket.label} stroke="#EF4444" strokeDasharray="4 4" label={{ value: 'Backtest', fill: '#EF4444', fontSize: 10, position: 'top' }} />}
+                    <Bar dataKey="count" fill="#F59E0B" isAnimationActive={false} />
+                </BarChart>
+            </ResponsiveContainer>
+        </div>
+    );
+};
+
+// Stress-tests a single run by replaying its trades in random orders. Everything runs in a Web Worker.
+const MonteCarloPanel = ({ results, config }) => {
+    const trades = useMemo(() => normalizeTrades(results.trades), [results.trades]);
+    const strategyRisk = config?.parameters?.risk_percent;
+    const [settings, setSettings] = useState({ iterations: 1000, method: 'shuffle', ruinPct: 50, riskPercent: strategyRisk ?? '' });
+    const { result, progress, isRunning, error, run } = useMonteCarlo();
+    const initialCapital = results.initial_capital || results.equity_curve?.[0]?.equity || 10000;
+
+    const update = (name) => (e) => setSettings(prev => ({ ...prev, [name]: e.target.value }));
+
+    const handleRun = () => run({
+        trades,
+        initialCapital,
+        iterations: Number(settings.iterations),
+        method: settings.method,
+        ruinPct: Number(settings.ruinPct),
+        riskPercent: settings.riskPercent === '' ? undefined : Number(settings.riskPercent),
+    });
+
+    if (trades.length < 2) {
+        return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">At least two trades are needed for a Monte Carlo analysis.</p>;
+    }
+
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 items-end">
+                <div>
+                    <label className="block text-sm font-medium">Simulations</label>
+                    <select value={settings.iterations} onChange={update('iterations')} className={inputClasses}>
+                        {ITERATION_OPTIONS.map(n => <option key={n} value={n}>{n.toLocaleString()}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium">Method</label>
+                    <select value={settings.method} onChange={update('method')} className={inputClasses}>
+                        {Object.entries(SIMULATION_METHODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium">Risk % per Trade</label>
+                    <input type="number" step="0.1" min="0" value={settings.riskPercent} onChange={update('riskPercent')} placeholder="As traded" className={inputClasses} />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium">Ruin at Loss of (%)</label>
+                    <input type="number" step="5" min="1" max="100" value={settings.ruinPct} onChange={update('ruinPct')} className={inputClasses} />
+                </div>
+                <button type="button" onClick={handleRun} disabled={isRunning} className="flex items-center justify-center px-4 py-2 bg-primary text-white font-semibold rounded-lg hover:bg-primary/90 disabled:opacity-50">
+                    <ArrowPathIcon className={`h-5 w-5 mr-2 ${isRunning ? 'animate-spin' : ''}`} />
+                    {isRunning ? `${Math.round(progress * 100)}%` : result ? 'Re-run' : 'Run Simulation'}
+                </button>
+            </div>
+
+            {error && <p className="text-sm text-danger">Simulation failed: {error}</p>}
+
+            {result && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        <MetricCard title="Median Return" value={result.finalReturns.p50.toFixed(2)} unit="%" />
+                        <MetricCard title="5th Pct. Return" value={result.finalReturns.p5.toFixed(2)} unit="%" />
+                        <MetricCard title="95th Pct. Max DD" value={result.drawdowns.p95.toFixed(2)} unit="%" />
+                        <MetricCard title="Probability of Ruin" value={result.ruinProbability.toFixed(2)} unit="%" />
+                    </div>
+                    <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                        {result.iterations.toLocaleString()} simulations of {result.tradeCount} trades.{' '}
+                        {result.basis === 'r_multiple'
+                            ? `Trades re-sized to ${result.riskPercent}% risk using their R-multiples.`
+                            : 'Trade returns taken as traded (not every trade has an R-multiple or no risk % was set).'}
+                    </p>
+                    <div>
+                        <h4 className="text-sm font-semibold mb-2">Equity Confidence Bands</h4>
+                        <ConfidenceBandsChart bands={result.bands} initialCapital={initialCapital} />
+                    </div>
+                    <div>
+                        <h4 className="text-sm font-semibold mb-2">Max Drawdown Distribution</h4>
+                        <DrawdownHistogram histogram={result.drawdowns.histogram} observed={Math.abs(results.max_drawdown_pct)} />
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default MonteCarloPanel;
@@ -0,0 +1,50 @@
+import React, { useMemo } from 'react';
+import { computeMonthlyReturns } from 'lib/backtest';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Colour intensity saturates at +/-10% so a single outlier month doesn't wash out the rest.
+const cellStyle = (value) => {
+    if (value == null) return undefined;
+    const intensity = Math.min(Math.abs(value) / 10, 1) * 0.7 + 0.1;
+    return { backgroundColor: value >= 0 ? `rgba(34, 197, 94, ${intensity})` : `rgba(239, 68, 68, ${intensity})` };
+};
+
+const MonthlyReturnsHeatmap = ({ equityCurve }) => {
+    const rows = useMemo(() => computeMonthlyReturns(equityCurve), [equityCurve]);
+
+    if (rows.length === 0) return null;
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="min-w-full text-xs text-center">
+                <thead>
+                    <tr>
+                        <th className="px-2 py-1 text-left font-medium text-gray-500">Year</th>
+                        {MONTHS.map(m => <th key={m} className="px-2 py-1 font-medium text-gray-500">{m}</th>)}
+                        <th className="px-2 py-1 font-medium text-gray-500">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row.year}>
+                            <td className="px-2 py-1 text-left font-semibold">{row.year}</td>
+                            {row.months.map((value, i) => (
+                                <td key={i} className="px-1 py-1">
+                                    <div className="rounded py-1 font-medium" style={cellStyle(value)}>
+                                        {value == null ? '–' : value.toFixed(1)}
+                                    </div>
+                                </td>
+                            ))}
+                            <td className="px-1 py-1">
+                                <div className="rounded py-1 font-bold" style={cellStyle(row.total)}>{row.total.toFixed(1)}</div>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default MonthlyReturnsHeatmap;
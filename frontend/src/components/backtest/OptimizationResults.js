@@ -0,0 +1,156 @@
+import React, { useMemo, useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { SparklesIcon } from '@heroicons/react/24/solid';
+import { STRATEGIES_CONFIG } from 'config/strategies.config';
+import { RANKING_METRICS, rankRuns, getVaryingParameters, buildHeatmap } from 'lib/optimizer';
+import { ResultsSection } from './ResultsLayout';
+
+const selectClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm text-sm dark:bg-dark-bg/50 dark:border-dark-border";
+
+// Maps a metric value onto a red-to-green scale relative to the rest of the grid.
+const heatmapStyle = (value, min, max, higherIsBetter) => {
+    if (value == null) return undefined;
+    const span = max - min || 1;
+    let score = (value - min) / span;
+    if (!higherIsBetter) score = 1 - score;
+    const hue = Math.round(score * 120); // 0 = red, 120 = green
+    return { backgroundColor: `hsla(${hue}, 70%, 45%, 0.75)` };
+};
+
+const ParameterHeatmap = ({ runs, parameters, metric }) => {
+    const [xParam, setXParam] = useState(parameters[0]);
+    const [yParam, setYParam] = useState(parameters[1]);
+
+    useEffect(() => {
+        setXParam(parameters[0]);
+        setYParam(parameters[1]);
+    }, [parameters]);
+
+    const heatmap = useMemo(() => buildHeatmap(runs, xParam, yParam, metric), [runs, xParam, yParam, metric]);
+    const { higherIsBetter } = RANKING_METRICS[metric];
+    // Drawdown is compared on magnitude, so colour it the same way.
+    const toScale = (v) => (metric === 'max_drawdown_pct' && v != null ? Math.abs(v) : v);
+    const scaled = heatmap.matrix.flat().filter(v => v != null).map(toScale);
+    const min = Math.min(...scaled);
+    const max = Math.max(...scaled);
+
+    return (
+        <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-4 max-w-md">
+                <div>
+                    <label className="block text-xs font-medium">X Axis</label>
+                    <select value={xParam} onChange={(e) => setXParam(e.target.value)} className={selectClasses}>
+                        {parameters.filter(p => p !== yParam).map(p => <option key={p} value={p}>{p}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-xs font-medium">Y Axis</label>
+                    <select value={yParam} onChange={(e) => setYParam(e.target.value)} className={selectClasses}>
+                        {parameters.filter(p => p !== xParam).map(p => <option key={p} value={p}>{p}</option>)}
+                    </select>
+                </div>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="text-xs text-center">
+                    <thead>
+                        <tr>
+                            <th className="px-2 py-1 text-gray-500">{yParam} \ {xParam}</th>
+                            {heatmap.xValues.map(x => <th key={x} className="px-2 py-1 font-medium text-gray-500">{x}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {heatmap.yValues.map((y, row) => (
+                            <tr key={y}>
+                                <th className="px-2 py-1 font-medium text-gray-500">{y}</th>
+                                {heatmap.matrix[row].map((value, col) => (
+                                    <td key={col} className="px-1 py-1">
+                                        <div className="rounded px-2 py-1 font-medium text-white min-w-[3rem]" style={heatmapStyle(toScale(value), min, max, higherIsBetter)}>
+                                            {value == null ? '–' : value.toFixed(2)}
+                                        </div>
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+const OptimizationResults = ({ runs = [], config, onCreateStrategy }) => {
+    const [metric, setMetric] = useState('sharpe_ratio');
+    const rankedRuns = useMemo(() => rankRuns(runs, metric), [runs, metric]);
+    const varyingParameters = useMemo(() => getVaryingParameters(runs), [runs]);
+    const strategyName = STRATEGIES_CONFIG[config.strategy_name]?.name || config.strategy_name;
+
+    if (runs.length === 0) {
+        return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">The optimizer returned no completed runs.</p>;
+    }
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="mt-8 space-y-6">
+            <div className="flex flex-wrap justify-between items-end gap-4">
+                <div>
+                    <h2 className="text-2xl font-bold">Optimization Results</h2>
+                    <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">{strategyName} · {config.symbol} {config.timeframe} · {runs.length} runs</p>
+                </div>
+                <div className="w-48">
+                    <label className="block text-xs font-medium">Rank by</label>
+                    <select value={metric} onChange={(e) => setMetric(e.target.value)} className={selectClasses}>
+                        {Object.entries(RANKING_METRICS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            <ResultsSection title="Ranked Parameter Sets">
+                <div className="max-h-96 overflow-auto rounded-lg border border-light-border dark:border-dark-border">
+                    <table className="min-w-full divide-y divide-light-border dark:divide-dark-border text-sm">
+                        <thead className="bg-gray-50 dark:bg-gray-800/50 sticky top-0">
+                            <tr>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rank</th>
+                                {varyingParameters.map(p => <th key={p} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{p}</th>)}
+                                {Object.entries(RANKING_METRICS).map(([key, { label }]) => (
+                                    <th key={key} onClick={() => setMetric(key)} className={`px-3 py-2 text-left text-xs font-medium uppercase cursor-pointer ${metric === key ? 'text-primary' : 'text-gray-500'}`}>{label}</th>
+                                ))}
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Trades</th>
+                                <th className="px-3 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white dark:bg-dark-card divide-y divide-light-border dark:divide-dark-border">
+                            {rankedRuns.map((run, index) => (
+                                <tr key={index} className={index === 0 ? 'bg-primary/5' : 'hover:bg-gray-50 dark:hover:bg-dark-border/20'}>
+                                    <td className="px-3 py-2 font-semibold">{index + 1}</td>
+                                    {varyingParameters.map(p => <td key={p} className="px-3 py-2">{run.parameters[p]}</td>)}
+                                    <td className="px-3 py-2">{run.sharpe_ratio.toFixed(2)}</td>
+                                    <td className={`px-3 py-2 font-semibold ${run.total_return_pct >= 0 ? 'text-secondary' : 'text-danger'}`}>{run.total_return_pct.toFixed(2)}%</td>
+                                    <td className="px-3 py-2">{run.max_drawdown_pct.toFixed(2)}%</td>
+                                    <td className="px-3 py-2">{run.total_trades}</td>
+                                    <td className="px-3 py-2 text-right">
+                                        {index === 0 && (
+                                            <button
+                                                onClick={() => onCreateStrategy(run.parameters)}
+                                                className="inline-flex items-center px-3 py-1 text-xs font-semibold text-white bg-primary hover:bg-primary-700 rounded-md whitespace-nowrap"
+                                            >
+                                                <SparklesIcon className="h-4 w-4 mr-1" />
+                                                Create Live Strategy
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </ResultsSection>
+
+            {varyingParameters.length >= 2 && (
+                <ResultsSection title={`${RANKING_METRICS[metric].label} Heatmap`}>
+                    <ParameterHeatmap runs={runs} parameters={varyingParameters} metric={metric} />
+                </ResultsSection>
+            )}
+        </motion.div>
+    );
+};
+
+export default OptimizationResults;
@@ -0,0 +1,138 @@
+import React, { useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { STRATEGIES_CONFIG } from 'config/strategies.config';
+import { computeSymbolContributions, computeCorrelationMatrix } from 'lib/portfolio';
+import EquityCurveChart from './EquityCurveChart';
+import TradeListTable from './TradeListTable';
+import { MetricCard, ResultsSection } from './ResultsLayout';
+
+const formatPct = (value) => (value == null ? '–' : `${value.toFixed(2)}%`);
+
+// Blue for negative, red for positive correlation; stronger colour for stronger correlation.
+const correlationColor = (value) => {
+    if (value == null) return 'transparent';
+    const hue = value >= 0 ? 0 : 217;
+    return `hsla(${hue}, 80%, 55%, ${Math.abs(value) * 0.7})`;
+};
+
+const ContributionTable = ({ rows }) => {
+    const maxAbsProfit = Math.max(...rows.map(row => Math.abs(row.net_profit)), 1);
+
+    return (
+        <div className="overflow-x-auto rounded-lg border border-light-border dark:border-dark-border">
+            <table className="min-w-full divide-y divide-light-border dark:divide-dark-border text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-800/50">
+                    <tr>
+                        {['Symbol', 'Net P&L', 'Return Contribution', 'Share', 'Trades', 'Win Rate'].map(label => (
+                            <th key={label} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{label}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-dark-card divide-y divide-light-border dark:divide-dark-border">
+                    {rows.map(row => (
+                        <tr key={row.symbol}>
+                            <td className="px-3 py-2 font-semibold whitespace-nowrap">{row.symbol}</td>
+                            <td className="px-3 py-2 w-1/3">
+                                <div className="flex items-center gap-2">
+                                    <div className="flex-1 h-2 rounded bg-gray-100 dark:bg-dark-border/40">
+                                        <div
+                                            className={`h-2 rounded ${row.net_profit >= 0 ? 'bg-secondary' : 'bg-danger'}`}
+                                            style={{ width: `${(Math.abs(row.net_profit) / maxAbsProfit) * 100}%` }}
+                                        />
+                                    </div>
+                                    <span className={`font-semibold ${row.net_profit >= 0 ? 'text-secondary' : 'text-danger'}`}>{row.net_profit.toFixed(2)}</span>
+                                </div>
+                            </td>
+                            <td className="px-3 py-2">{formatPct(row.return_contribution_pct)}</td>
+                            <td className="px-3 py-2">{formatPct(row.share_pct)}</td>
+                            <td className="px-3 py-2">{row.total_trades}</td>
+                            <td className="px-3 py-2">{formatPct(row.win_rate_pct)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+const CorrelationMatrix = ({ symbols, matrix }) => {
+    if (symbols.length < 2) {
+        return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">At least two symbols with closed trades are needed for a correlation matrix.</p>;
+    }
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+                <thead>
+                    <tr>
+                        <th />
+                        {symbols.map(symbol => <th key={symbol} className="px-2 py-1 font-medium text-gray-500">{symbol}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {symbols.map((rowSymbol, i) => (
+                        <tr key={rowSymbol}>
+                            <th className="px-2 py-1 text-left font-medium text-gray-500">{rowSymbol}</th>
+                            {matrix[i].map((value, j) => (
+                                <td
+                                    key={symbols[j]}
+                                    title={`${rowSymbol} / ${symbols[j]}`}
+                                    className="w-16 h-10 text-center font-semibold rounded"
+                                    style={{ backgroundColor: correlationColor(value) }}
+                                >
+                                    {value == null ? '–' : value.toFixed(2)}
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+const PortfolioResults = ({ results, config }) => {
+    const contributions = useMemo(() => computeSymbolContributions(results), [results]);
+    const correlation = useMemo(() => computeCorrelationMatrix(results), [results]);
+    const strategyName = STRATEGIES_CONFIG[config.strategy_name]?.name || config.strategy_name;
+    const isProfitable = results.total_return_pct > 0;
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="mt-8 space-y-6">
+            <div className="text-center">
+                <h2 className="text-2xl font-bold">Portfolio Results</h2>
+                <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                    {strategyName} · {(config.symbols || []).join(', ')} · {config.timeframe}
+                </p>
+            </div>
+            <div className={`p-6 rounded-xl text-center ${isProfitable ? 'bg-success/10 text-success' : 'bg-danger/10 text-danger'}`}>
+                <p className="text-sm font-semibold uppercase">Portfolio Return</p>
+                <p className="text-5xl font-extrabold">{results.total_return_pct.toFixed(2)}%</p>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <MetricCard title="Sharpe Ratio" value={results.sharpe_ratio.toFixed(2)} />
+                <MetricCard title="Win Rate" value={results.win_rate_pct.toFixed(2)} unit="%" />
+                <MetricCard title="Max Drawdown" value={results.max_drawdown_pct.toFixed(2)} unit="%" />
+                <MetricCard title="Total Trades" value={results.total_trades} />
+            </div>
+
+            <ResultsSection title="Portfolio Equity & Drawdown">
+                <EquityCurveChart equityCurve={results.equity_curve} />
+            </ResultsSection>
+
+            <ResultsSection title="Contribution by Symbol">
+                <ContributionTable rows={contributions} />
+            </ResultsSection>
+
+            <ResultsSection title="Correlation of Daily Returns">
+                <CorrelationMatrix symbols={correlation.symbols} matrix={correlation.matrix} />
+            </ResultsSection>
+
+            <ResultsSection title="Trade List">
+                <TradeListTable trades={results.trades} />
+            </ResultsSection>
+        </motion.div>
+    );
+};
+
+export default PortfolioResults;
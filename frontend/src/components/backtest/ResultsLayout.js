@@ -0,0 +1,16 @@
+import React from 'react';
+
+// Building blocks shared by the backtest result views and the analytics/positions pages.
+export const MetricCard = ({ title, value, unit = '' }) => (
+    <div className="bg-light-bg dark:bg-dark-bg/50 p-4 rounded-lg text-center">
+        <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">{title}</p>
+        <p className="text-2xl font-bold text-light-text dark:text-dark-text">{value}<span className="text-lg">{unit}</span></p>
+    </div>
+);
+
+export const ResultsSection = ({ title, children }) => (
+    <div>
+        <h3 className="text-lg font-semibold mb-3">{title}</h3>
+        {children}
+    </div>
+);
@@ -0,0 +1,79 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronUpIcon, ChevronDownIcon } from '@heroicons/react/20/solid';
+import { normalizeTrades, toTimestamp } from 'lib/backtest';
+
+const COLUMNS = [
+    { key: 'id', label: '#' },
+    { key: 'entry_time', label: 'Entry Time', sortValue: t => toTimestamp(t.entry_time) },
+    { key: 'exit_time', label: 'Exit Time', sortValue: t => (t.exit_time ? toTimestamp(t.exit_time) : Infinity) },
+    { key: 'symbol', label: 'Symbol' },
+    { key: 'side', label: 'Side' },
+    { key: 'size', label: 'Size' },
+    { key: 'profit', label: 'P&L' },
+    { key: 'r_multiple', label: 'R' },
+];
+
+const compare = (a, b) => {
+    if (a == null) return 1;
+    if (b == null) return -1;
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const TradeListTable = ({ trades }) => {
+    const [sort, setSort] = useState({ key: 'entry_time', direction: 'asc' });
+    const rows = useMemo(() => normalizeTrades(trades), [trades]);
+    // The symbol column only matters for multi-symbol (portfolio) runs.
+    const columns = useMemo(() => (rows.some(t => t.symbol) ? COLUMNS : COLUMNS.filter(c => c.key !== 'symbol')), [rows]);
+
+    const sortedRows = useMemo(() => {
+        const column = COLUMNS.find(c => c.key === sort.key);
+        const valueOf = column.sortValue || (t => t[column.key]);
+        const sorted = [...rows].sort((a, b) => compare(valueOf(a), valueOf(b)));
+        return sort.direction === 'asc' ? sorted : sorted.reverse();
+    }, [rows, sort]);
+
+    const handleSort = (key) => {
+        setSort(prev => ({ key, direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc' }));
+    };
+
+    if (rows.length === 0) {
+        return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">No trades were taken in this run.</p>;
+    }
+
+    return (
+        <div className="max-h-96 overflow-auto rounded-lg border border-light-border dark:border-dark-border">
+            <table className="min-w-full divide-y divide-light-border dark:divide-dark-border text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-800/50 sticky top-0">
+                    <tr>
+                        {columns.map(({ key, label }) => (
+                            <th key={key} onClick={() => handleSort(key)} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none">
+                                <span className="inline-flex items-center">
+                                    {label}
+                                    {sort.key === key && (sort.direction === 'asc'
+                                        ? <ChevronUpIcon className="h-4 w-4 ml-1" />
+                                        : <ChevronDownIcon className="h-4 w-4 ml-1" />)}
+                                </span>
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-dark-card divide-y divide-light-border dark:divide-dark-border">
+                    {sortedRows.map(trade => (
+                        <tr key={trade.id} className="hover:bg-gray-50 dark:hover:bg-dark-border/20">
+                            <td className="px-4 py-2 whitespace-nowrap text-gray-500">{trade.id}</td>
+                            <td className="px-4 py-2 whitespace-nowrap">{new Date(trade.entry_time).toLocaleString()}</td>
+                            <td className="px-4 py-2 whitespace-nowrap">{trade.exit_time ? new Date(trade.exit_time).toLocaleString() : 'Open'}</td>
+                            {columns.some(c => c.key === 'symbol') && <td className="px-4 py-2 whitespace-nowrap">{trade.symbol}</td>}
+                            <td className={`px-4 py-2 whitespace-nowrap font-medium ${trade.side === 'BUY' ? 'text-blue-500' : 'text-pink-500'}`}>{trade.side}</td>
+                            <td className="px-4 py-2 whitespace-nowrap">{trade.size ?? '–'}</td>
+                            <td className={`px-4 py-2 whitespace-nowrap font-semibold ${trade.profit >= 0 ? 'text-secondary' : 'text-danger'}`}>{trade.profit.toFixed(2)}</td>
+                            <td className="px-4 py-2 whitespace-nowrap">{trade.r_multiple == null ? '–' : `${trade.r_multiple.toFixed(2)}R`}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default TradeListTable;
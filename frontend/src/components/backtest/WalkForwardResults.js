@@ -0,0 +1,108 @@
+import React, { useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { STRATEGIES_CONFIG } from 'config/strategies.config';
+import { computeDrawdownSeries } from 'lib/backtest';
+import { stitchEquityCurves, walkForwardEfficiency } from 'lib/walkForward';
+import EquityCurveChart from './EquityCurveChart';
+import { MetricCard, ResultsSection } from './ResultsLayout';
+
+const OVERFIT_EFFICIENCY_THRESHOLD = 0.5;
+
+const formatPct = (value) => (value == null ? '–' : `${value.toFixed(2)}%`);
+
+const SampleMetrics = ({ metrics = {} }) => (
+    <>
+        <td className={`px-3 py-2 font-semibold ${metrics.total_return_pct >= 0 ? 'text-secondary' : 'text-danger'}`}>{formatPct(metrics.total_return_pct)}</td>
+        <td className="px-3 py-2">{metrics.sharpe_ratio?.toFixed(2) ?? '–'}</td>
+        <td className="px-3 py-2">{formatPct(metrics.max_drawdown_pct)}</td>
+        <td className="px-3 py-2">{metrics.total_trades ?? '–'}</td>
+    </>
+);
+
+const WalkForwardResults = ({ results, config }) => {
+    const windows = useMemo(() => results.windows || [], [results.windows]);
+    const combinedCurve = useMemo(
+        () => stitchEquityCurves(windows.map(w => w.out_of_sample?.equity_curve), results.initial_capital),
+        [windows, results.initial_capital]
+    );
+    const combinedStats = useMemo(() => {
+        if (combinedCurve.length === 0) return null;
+        const drawdowns = computeDrawdownSeries(combinedCurve);
+        const first = combinedCurve[0].equity;
+        const last = combinedCurve[combinedCurve.length - 1].equity;
+        return {
+            total_return_pct: ((last - first) / first) * 100,
+            max_drawdown_pct: Math.abs(Math.min(...drawdowns.map(p => p.drawdown_pct))),
+            profitable_windows: windows.filter(w => (w.out_of_sample?.total_return_pct ?? 0) > 0).length,
+        };
+    }, [combinedCurve, windows]);
+    const efficiency = useMemo(() => walkForwardEfficiency(windows), [windows]);
+    const strategyName = STRATEGIES_CONFIG[config.strategy_name]?.name || config.strategy_name;
+    const looksOverfit = efficiency != null && efficiency < OVERFIT_EFFICIENCY_THRESHOLD;
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="mt-8 space-y-6">
+            <div className="text-center">
+                <h2 className="text-2xl font-bold">Walk-Forward Results</h2>
+                <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                    {strategyName} · {config.symbol} {config.timeframe} · {config.start_date} → {config.end_date}
+                </p>
+            </div>
+
+            {combinedStats && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <MetricCard title="Out-of-Sample Return" value={combinedStats.total_return_pct.toFixed(2)} unit="%" />
+                    <MetricCard title="OOS Max Drawdown" value={combinedStats.max_drawdown_pct.toFixed(2)} unit="%" />
+                    <MetricCard title="Profitable Windows" value={`${combinedStats.profitable_windows}/${windows.length}`} />
+                    <MetricCard title="WF Efficiency" value={efficiency == null ? '–' : efficiency.toFixed(2)} />
+                </div>
+            )}
+
+            {looksOverfit && (
+                <div className="flex items-start p-4 bg-yellow-100/50 dark:bg-yellow-900/20 border border-yellow-400/50 rounded-lg text-sm text-yellow-800 dark:text-yellow-300">
+                    <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                    Out-of-sample performance is far below in-sample performance. These parameters are likely overfit to the in-sample periods.
+                </div>
+            )}
+
+            <ResultsSection title="Combined Out-of-Sample Equity">
+                <EquityCurveChart equityCurve={combinedCurve} />
+            </ResultsSection>
+
+            <ResultsSection title="Per-Window Metrics">
+                <div className="overflow-x-auto rounded-lg border border-light-border dark:border-dark-border">
+                    <table className="min-w-full divide-y divide-light-border dark:divide-dark-border text-sm">
+                        <thead className="bg-gray-50 dark:bg-gray-800/50">
+                            <tr>
+                                <th rowSpan="2" className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Window</th>
+                                <th colSpan="4" className="px-3 py-1 text-center text-xs font-medium text-gray-500 uppercase border-l dark:border-dark-border">In-Sample</th>
+                                <th colSpan="4" className="px-3 py-1 text-center text-xs font-medium text-primary uppercase border-l dark:border-dark-border">Out-of-Sample</th>
+                            </tr>
+                            <tr>
+                                {['Return', 'Sharpe', 'Max DD', 'Trades', 'Return', 'Sharpe', 'Max DD', 'Trades'].map((label, i) => (
+                                    <th key={i} className={`px-3 py-1 text-left text-xs font-medium text-gray-500 uppercase ${i % 4 === 0 ? 'border-l dark:border-dark-border' : ''}`}>{label}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white dark:bg-dark-card divide-y divide-light-border dark:divide-dark-border">
+                            {windows.map((w, i) => (
+                                <tr key={w.index ?? i}>
+                                    <td className="px-3 py-2 whitespace-nowrap">
+                                        <p className="font-semibold">#{w.index ?? i + 1}</p>
+                                        <p className="text-xs text-gray-500">IS {w.in_sample_start} → {w.in_sample_end}</p>
+                                        <p className="text-xs text-gray-500">OOS {w.out_of_sample_start} → {w.out_of_sample_end}</p>
+                                    </td>
+                                    <SampleMetrics metrics={w.in_sample} />
+                                    <SampleMetrics metrics={w.out_of_sample} />
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </ResultsSection>
+        </motion.div>
+    );
+};
+
+export default WalkForwardResults;
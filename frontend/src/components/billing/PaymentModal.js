@@ -1,7 +1,7 @@
 import React, { useState, Fragment } from 'react';
 import { Dialog, Transition } from '@headlessui/react';
 import { useTranslation } from 'react-i18next';
-import api from 'services/api';
+import { initiatePaypalPayment, initiatePaystackPayment, initiateCryptoPayment } from 'services/endpoints/payments';
 import toast from 'react-hot-toast';
 
 // Simple SVG Icons for Payment Methods
@@ -22,17 +22,17 @@ export const PaymentModal = ({ isOpen, onClose, plan }) => {
 
         try {
             if (provider === 'paypal') {
-                const { data } = await api.post('/payments/initiate/paypal', { plan: plan.name.toLowerCase() });
+                const data = await initiatePaypalPayment(plan.name.toLowerCase());
                 if (data && data.approve_url) {
                     window.location.href = data.approve_url; // Redirect to PayPal
                 } else { throw new Error("Missing PayPal approval URL."); }
             } else if (provider === 'paystack') {
-                const { data } = await api.post('/payments/initiate/paystack', { plan: plan.name.toLowerCase() });
+                const data = await initiatePaystackPayment(plan.name.toLowerCase());
                 if (data && data.authorization_url) {
                     window.location.href = data.authorization_url; // Redirect to Paystack
                 } else { throw new Error("Missing Paystack authorization URL."); }
             } else if (provider === 'crypto') {
-                const { data } = await api.get('/payments/initiate/crypto');
+                const data = await initiateCryptoPayment();
                 setCryptoInfo(data); // Show crypto details instead of redirecting
             }
             toast.dismiss(toastId);
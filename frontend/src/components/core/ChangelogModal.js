@@ -1,6 +1,6 @@
 import React, { useState, useEffect, Fragment } from 'react';
 import { Dialog, Transition } from '@headlessui/react';
-import api from 'services/api';
+import { getChangelog } from 'services/endpoints/system';
 import ReactMarkdown from 'react-markdown'; // You might need to install this: npm install react-markdown
 
 const ChangelogModal = ({ isOpen, onClose }) => {
@@ -9,8 +9,8 @@ const ChangelogModal = ({ isOpen, onClose }) => {
 
     useEffect(() => {
         if (isOpen) {
-            api.get('/system/changelog')
-                .then(res => setChangelog(res.data))
+            getChangelog()
+                .then(setChangelog)
                 .catch(err => console.error("Failed to fetch changelog", err))
                 .finally(() => setLoading(false));
         }
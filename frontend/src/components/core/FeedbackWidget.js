@@ -1,7 +1,8 @@
 import React, { useState, Fragment } from 'react';
 import { Popover, Transition } from '@headlessui/react';
 import { useForm } from 'react-hook-form';
-import api from 'services/api';
+import { apiErrorMessage } from 'services/api';
+import { sendFeedback } from 'services/endpoints/system';
 import toast from 'react-hot-toast';
 
 const FeedbackWidget = () => {
@@ -9,7 +10,7 @@ const FeedbackWidget = () => {
     const [isOpen, setIsOpen] = useState(false);
 
     const onSubmit = async (data) => {
-        const promise = api.post('/system/feedback', {
+        const promise = sendFeedback({
             ...data,
             page: window.location.pathname
         });
@@ -21,7 +22,7 @@ const FeedbackWidget = () => {
                 setIsOpen(false);
                 return 'Thank you for your feedback!';
             },
-            error: 'Failed to submit feedback.',
+            error: (err) => apiErrorMessage(err, 'Failed to submit feedback.'),
         });
     };
 
@@ -0,0 +1,129 @@
+import React, { useMemo, useState } from 'react';
+import { Square2StackIcon, StopIcon, Squares2X2Icon } from '@heroicons/react/24/outline';
+import useUserPreference from 'hooks/useUserPreference';
+import useChartDrawings from 'hooks/useChartDrawings';
+import usePositions from 'hooks/usePositions';
+import { positionPriceLines } from 'lib/strategyChart';
+import OrderTicket from 'components/trading/OrderTicket';
+import ModifyPositionModal from 'components/trading/ModifyPositionModal';
+import { createCrosshairSync } from 'lib/chartSync';
+import TradingChart from './TradingChart';
+import SymbolSearch from './SymbolSearch';
+import TimeframeToolbar from './TimeframeToolbar';
+import IndicatorPicker from './IndicatorPicker';
+import DrawingToolbar from './DrawingToolbar';
+
+// Panes are always kept for the largest layout so switching layouts never loses a pane's symbol.
+const DEFAULT_WORKSPACE = {
+  layout: 1,
+  panes: [
+    { symbol: 'EURUSD', timeframe: 'H1' },
+    { symbol: 'GBPUSD', timeframe: 'H1' },
+    { symbol: 'XAUUSD', timeframe: 'H1' },
+    { symbol: 'USDJPY', timeframe: 'H1' },
+  ],
+};
+
+const LAYOUTS = [
+  { count: 1, label: 'Single chart', Icon: StopIcon, gridClass: 'grid-cols-1', height: 400 },
+  { count: 2, label: 'Two charts', Icon: Square2StackIcon, gridClass: 'grid-cols-1 xl:grid-cols-2', height: 360 },
+  { count: 4, label: 'Four charts', Icon: Squares2X2Icon, gridClass: 'grid-cols-1 md:grid-cols-2', height: 280 },
+];
+
+// One chart of the workspace with its toolbar. Drawings belong to the pane's current symbol/timeframe.
+// Open positions on the symbol show their SL/TP, which can be dragged to modify them after a confirmation.
+const ChartPane = ({ pane, height, crosshairSync, onChange }) => {
+  const [drawings, setDrawings] = useChartDrawings(pane.symbol, pane.timeframe);
+  const [drawingTool, setDrawingTool] = useState(null);
+  const [ticketPrice, setTicketPrice] = useState(undefined);
+  const [modification, setModification] = useState(null);
+  const { positions, mutate: refreshPositions } = usePositions();
+
+  // While a modification awaits confirmation its line stays at the dragged price.
+  const priceLines = useMemo(() => positionPriceLines(positions.filter(position => position.symbol === pane.symbol))
+    .map(line => (modification && line.id === modification.lineId ? { ...line, price: modification.price } : line)),
+  [positions, pane.symbol, modification]);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <SymbolSearch value={pane.symbol} onChange={(symbol) => onChange({ symbol })} />
+        <TimeframeToolbar value={pane.timeframe} onChange={(timeframe) => onChange({ timeframe })} />
+        <IndicatorPicker value={pane.indicators} onChange={(indicators) => onChange({ indicators })} />
+        <DrawingToolbar value={drawingTool} onChange={setDrawingTool} />
+      </div>
+      <TradingChart
+        symbol={pane.symbol}
+        timeframe={pane.timeframe}
+        height={height}
+        crosshairSync={crosshairSync}
+        indicators={pane.indicators}
+        priceLines={priceLines}
+        drawings={drawings}
+        onDrawingsChange={setDrawings}
+        drawingTool={drawingTool}
+        onDrawingToolChange={setDrawingTool}
+        onPriceLineDrag={(line, price) => setModification({ lineId: line.id, price, position: line.position, sl: line.position.sl, tp: line.position.tp, [line.field]: price })}
+        onNewOrder={setTicketPrice}
+      />
+      <OrderTicket
+        isOpen={ticketPrice !== undefined}
+        onClose={() => setTicketPrice(undefined)}
+        symbol={pane.symbol}
+        price={ticketPrice}
+        onPlaced={refreshPositions}
+      />
+      <ModifyPositionModal
+        modification={modification}
+        onClose={() => setModification(null)}
+        onModified={refreshPositions}
+      />
+    </div>
+  );
+};
+
+const ChartWorkspace = () => {
+  const [workspace, setWorkspace] = useUserPreference('dashboard_chart_workspace', DEFAULT_WORKSPACE);
+  const crosshairSync = useMemo(() => createCrosshairSync(), []);
+  const layout = LAYOUTS.find(l => l.count === workspace.layout) || LAYOUTS[0];
+
+  const updatePane = (index, changes) => setWorkspace(prev => ({
+    ...prev,
+    panes: prev.panes.map((pane, i) => (i === index ? { ...pane, ...changes } : pane)),
+  }));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold text-light-text dark:text-dark-text">Live Market</h2>
+        <div className="inline-flex rounded-lg bg-light-bg dark:bg-dark-bg/50 p-0.5">
+          {LAYOUTS.map(({ count, label, Icon }) => (
+            <button
+              key={count}
+              type="button"
+              title={label}
+              onClick={() => setWorkspace(prev => ({ ...prev, layout: count }))}
+              className={`p-1.5 rounded-md transition-colors ${layout.count === count ? 'bg-white dark:bg-dark-card shadow text-primary' : 'text-light-text-secondary dark:text-dark-text-secondary hover:text-primary'}`}
+            >
+              <Icon className="h-5 w-5" />
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className={`grid gap-4 ${layout.gridClass}`}>
+        {workspace.panes.slice(0, layout.count).map((pane, index) => (
+          <ChartPane
+            key={index}
+            pane={pane}
+            height={layout.height}
+            crosshairSync={layout.count > 1 ? crosshairSync : undefined}
+            onChange={(changes) => updatePane(index, changes)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ChartWorkspace;
@@ -0,0 +1,257 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { TrashIcon } from '@heroicons/react/20/solid';
+import { DRAWING_TOOLS, DRAWING_COLORS, FIB_LEVELS, fibPrice, createDrawing, createProjection } from './chartDrawings';
+
+const HANDLE_RADIUS = 4;
+
+const isTyping = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName) || target?.isContentEditable;
+
+// SVG overlay over the price pane of a TradingChart that draws, selects and edits drawings.
+// Drawings are re-projected on every scroll/zoom/resize, so they are stored in time/price only.
+// While no tool is active only the drawings themselves take the pointer; the chart keeps panning.
+const DrawingLayer = ({ chart, series, candlesRef, drawings, onChange, tool, onToolChange }) => {
+  const [, setViewVersion] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  // Drawing being placed; its last point follows the pointer until the final click.
+  const [draft, setDraft] = useState(null);
+  // Drawing being dragged: a single point ('point') or the whole shape ('move'), with a live preview.
+  const [drag, setDrag] = useState(null);
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    const timeScale = chart.timeScale();
+    const redraw = () => setViewVersion(v => v + 1);
+    const deselect = () => setSelectedId(null);
+    timeScale.subscribeVisibleLogicalRangeChange(redraw);
+    timeScale.subscribeSizeChange(redraw);
+    // Crosshair moves also cover price-scale drags, which have no event of their own.
+    chart.subscribeCrosshairMove(redraw);
+    chart.subscribeClick(deselect);
+    return () => {
+      timeScale.unsubscribeVisibleLogicalRangeChange(redraw);
+      timeScale.unsubscribeSizeChange(redraw);
+      chart.unsubscribeCrosshairMove(redraw);
+      chart.unsubscribeClick(deselect);
+    };
+  }, [chart]);
+
+  useEffect(() => {
+    setDraft(null);
+  }, [tool]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTyping(e.target)) return;
+      if (e.key === 'Escape') {
+        setDraft(null);
+        setSelectedId(null);
+        onToolChange(null);
+      } else if ((e.key === 'Delete' || e.key === 'Backspace') && selectedId) {
+        onChange(drawings.filter(drawing => drawing.id !== selectedId));
+        setSelectedId(null);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [drawings, onChange, onToolChange, selectedId]);
+
+  const candles = candlesRef.current;
+  if (candles.length === 0) return null;
+
+  const projection = createProjection(chart, series, candles);
+  const formatPrice = (price) => series.priceFormatter().format(price);
+  const width = chart.timeScale().width();
+  const height = chart.panes()[0]?.getHeight() ?? 0;
+
+  const pointFromEvent = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return projection.toPoint(e.clientX - rect.left, e.clientY - rect.top);
+  };
+
+  const updateDrawing = (updated) => onChange(drawings.map(drawing => (drawing.id === updated.id ? updated : drawing)));
+
+  const handlePlacement = (e) => {
+    const point = pointFromEvent(e);
+    if (!tool || !point) return;
+    const points = draft ? [...draft.points.slice(0, -1), point] : [point];
+    if (points.length < DRAWING_TOOLS[tool].points) {
+      setDraft({ type: tool, points: [...points, point] });
+      return;
+    }
+    const drawing = createDrawing(tool, points);
+    onChange([...drawings, drawing]);
+    setDraft(null);
+    setSelectedId(drawing.id);
+    onToolChange(null);
+  };
+
+  const startDrag = (e, drawing, index = null) => {
+    if (tool) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setSelectedId(drawing.id);
+    setDrag({ mode: index == null ? 'move' : 'point', index, start: pointFromEvent(e), original: drawing, preview: drawing });
+  };
+
+  const handlePointerMove = (e) => {
+    const point = pointFromEvent(e);
+    if (!point) return;
+    if (draft) {
+      setDraft(prev => ({ ...prev, points: [...prev.points.slice(0, -1), point] }));
+    } else if (drag?.start) {
+      const { original } = drag;
+      const points = drag.mode === 'point'
+        ? original.points.map((p, i) => (i === drag.index ? point : p))
+        : original.points.map(p => projection.movePoint(p, projection.barsBetween(drag.start, point), point.price - drag.start.price));
+      setDrag(prev => ({ ...prev, preview: { ...original, points } }));
+    }
+  };
+
+  // Only the final position is saved, not every intermediate pointer move.
+  const handlePointerUp = () => {
+    if (!drag) return;
+    if (drag.preview !== drag.original) updateDrawing(drag.preview);
+    setDrag(null);
+  };
+
+  const renderShape = (drawing, isSelected) => {
+    const pixels = drawing.points.map(projection.toPixel);
+    if (pixels.some(p => p.x == null || p.y == null)) return null;
+    const { color } = drawing;
+    const strokeWidth = isSelected ? 2 : 1.5;
+    // Drawings only take the pointer while no tool is placing points; wide transparent strokes make thin lines easy to grab.
+    const hit = tool ? { pointerEvents: 'none' } : { pointerEvents: 'all', cursor: 'move' };
+    const grab = { onPointerDown: (e) => startDrag(e, drawing), style: hit };
+    const [a, b] = pixels;
+
+    switch (drawing.type) {
+      case 'trendline':
+        return (
+          <>
+            <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={color} strokeWidth={strokeWidth} />
+            <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke="transparent" strokeWidth={10} {...grab} />
+          </>
+        );
+      case 'hline':
+        return (
+          <>
+            <line x1={0} y1={a.y} x2={width} y2={a.y} stroke={color} strokeWidth={strokeWidth} />
+            <text x={width - 4} y={a.y - 4} textAnchor="end" fontSize={11} fill={color}>{formatPrice(drawing.points[0].price)}</text>
+            <line x1={0} y1={a.y} x2={width} y2={a.y} stroke="transparent" strokeWidth={10} {...grab} />
+          </>
+        );
+      case 'rectangle':
+        return (
+          <rect
+            x={Math.min(a.x, b.x)} y={Math.min(a.y, b.y)} width={Math.abs(b.x - a.x)} height={Math.abs(b.y - a.y)}
+            stroke={color} strokeWidth={strokeWidth} fill={color} fillOpacity={0.1} {...grab}
+          />
+        );
+      case 'fibonacci': {
+        const left = Math.min(a.x, b.x);
+        const right = Math.max(a.x, b.x);
+        return (
+          <>
+            <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={color} strokeWidth={1} strokeDasharray="4 4" />
+            {FIB_LEVELS.map(level => {
+              const price = fibPrice(drawing.points, level);
+              const y = series.priceToCoordinate(price);
+              if (y == null) return null;
+              return (
+                <g key={level}>
+                  <line x1={left} y1={y} x2={right} y2={y} stroke={color} strokeWidth={1} />
+                  <text x={left + 4} y={y - 3} fontSize={10} fill={color}>{`${(level * 100).toFixed(1)}% (${formatPrice(price)})`}</text>
+                </g>
+              );
+            })}
+            <rect x={left} y={Math.min(a.y, b.y)} width={right - left} height={Math.abs(b.y - a.y)} fill="transparent" {...grab} />
+          </>
+        );
+      }
+      case 'text':
+        return (
+          <text x={a.x} y={a.y} fontSize={13} fontWeight={isSelected ? 600 : 400} fill={color} {...grab}>{drawing.text}</text>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const renderHandles = (drawing) => {
+    if (tool || DRAWING_TOOLS[drawing.type].points < 2) return null;
+    return drawing.points.map(projection.toPixel).map((p, index) => (p.x == null || p.y == null ? null : (
+      <circle
+        key={index}
+        cx={p.x}
+        cy={p.y}
+        r={HANDLE_RADIUS}
+        fill="white"
+        stroke={drawing.color}
+        strokeWidth={1.5}
+        style={{ pointerEvents: 'all', cursor: 'grab' }}
+        onPointerDown={(e) => startDrag(e, drawing, index)}
+      />
+    )));
+  };
+
+  const visible = drawings.map(drawing => (drag?.original.id === drawing.id ? drag.preview : drawing));
+  const selected = drawings.find(drawing => drawing.id === selectedId);
+
+  return (
+    <>
+      {/* Offset by the chart container's 1px border. */}
+      <svg
+        ref={svgRef}
+        width={width}
+        height={height}
+        className="absolute top-px left-px"
+        style={{ pointerEvents: tool || drag ? 'all' : 'none', cursor: tool ? 'crosshair' : undefined }}
+        onPointerDown={handlePlacement}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+      >
+        {visible.map(drawing => (
+          <g key={drawing.id}>
+            {renderShape(drawing, drawing.id === selectedId)}
+            {drawing.id === selectedId && renderHandles(drawing)}
+          </g>
+        ))}
+        {draft && <g style={{ opacity: 0.7 }}>{renderShape({ ...draft, id: 'draft', color: DRAWING_COLORS[0] }, false)}</g>}
+      </svg>
+
+      {selected && !tool && (
+        <div className="absolute top-2 left-1/2 -translate-x-1/2 flex items-center gap-2 px-2 py-1 rounded-md shadow bg-white dark:bg-dark-card border dark:border-dark-border text-xs z-10">
+          <span className="font-medium">{DRAWING_TOOLS[selected.type].label}</span>
+          {DRAWING_COLORS.map(color => (
+            <button
+              key={color}
+              type="button"
+              title={color}
+              onClick={() => updateDrawing({ ...selected, color })}
+              className={`h-4 w-4 rounded-full ${selected.color === color ? 'ring-2 ring-offset-1 ring-gray-400' : ''}`}
+              style={{ backgroundColor: color }}
+            />
+          ))}
+          {selected.type === 'text' && (
+            <input
+              type="text"
+              value={selected.text}
+              onChange={(e) => updateDrawing({ ...selected, text: e.target.value })}
+              className="w-32 rounded-md border-gray-300 text-xs py-0.5 px-1.5 dark:bg-dark-bg/50 dark:border-dark-border"
+            />
+          )}
+          <button
+            type="button"
+            title="Delete drawing"
+            onClick={() => { onChange(drawings.filter(drawing => drawing.id !== selected.id)); setSelectedId(null); }}
+            className="p-0.5 text-gray-400 hover:text-danger"
+          >
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default DrawingLayer;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { DRAWING_TOOLS } from './chartDrawings';
+
+// Picks the drawing tool for the next clicks on the chart; clicking the active tool again cancels it.
+const DrawingToolbar = ({ value, onChange }) => (
+  <div className="inline-flex rounded-lg bg-light-bg dark:bg-dark-bg/50 p-0.5">
+    {Object.entries(DRAWING_TOOLS).map(([type, { label, Icon }]) => (
+      <button
+        key={type}
+        type="button"
+        title={label}
+        onClick={() => onChange(value === type ? null : type)}
+        className={`p-1 rounded-md transition-colors ${value === type ? 'bg-white dark:bg-dark-card shadow text-primary' : 'text-light-text-secondary dark:text-dark-text-secondary hover:text-primary'}`}
+      >
+        <Icon className="h-4 w-4" />
+      </button>
+    ))}
+  </div>
+);
+
+export default DrawingToolbar;
@@ -0,0 +1,114 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import useSWR from 'swr';
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { apiErrorMessage } from 'services/api';
+import { getAccountHistory } from 'services/endpoints/mt5';
+import useUserPreference from 'hooks/useUserPreference';
+import useWebSocketSubscription from 'hooks/useWebSocketSubscription';
+import Skeleton from 'components/core/Skeleton';
+import { formatCurrency } from 'lib/format';
+import {
+  EQUITY_RANGES, rangeStart, historyToEquityPoints, appendLivePoint, mergeEquityPoints, formatEquityTime,
+} from 'lib/equityCurve';
+
+// How often the window of the rolling ranges (1D, 1W, ...) moves forward; matches the history refresh.
+const WINDOW_REFRESH_MS = 60000;
+
+// Equity/balance history from the backend for the selected range, extended with live account updates.
+const EquityCurve = ({ title, currency }) => {
+  const [range, setRange] = useUserPreference('dashboard_equity_range', '1M');
+  const [livePoints, setLivePoints] = useState([]);
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), WINDOW_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // History is fetched from where the range started when it was picked, so the SWR key stays put;
+  // the displayed window follows the clock and trims what has scrolled out of it.
+  const fetchStart = useMemo(() => rangeStart(range), [range]);
+  const start = useMemo(() => rangeStart(range, now), [range, now]);
+  const from = fetchStart ? new Date(fetchStart).toISOString() : undefined;
+  const { data: history, error, isLoading } = useSWR(
+    `/mt5/account/history${from ? `?from=${from}` : ''}`,
+    () => getAccountHistory({ from }).then(historyToEquityPoints),
+    { refreshInterval: 60000, revalidateOnFocus: false },
+  );
+
+  // Live points only fill the gap after the last history refresh (or the range start, if later).
+  const lastHistoryTime = history?.length ? history[history.length - 1].time : null;
+  const liveSince = start == null ? lastHistoryTime : Math.max(start, lastHistoryTime ?? start);
+  useWebSocketSubscription('account', (account) => setLivePoints(prev => appendLivePoint(prev, account, liveSince)));
+
+  const points = useMemo(() => mergeEquityPoints(history || [], livePoints, start), [history, livePoints, start]);
+  const change = points.length > 1 ? points[points.length - 1].equity - points[0].equity : null;
+
+  const renderChart = () => {
+    if (isLoading) return <Skeleton className="h-full" />;
+    if (error && points.length === 0) {
+      return <p className="text-danger text-center py-8">{apiErrorMessage(error, 'Failed to load equity history.')}</p>;
+    }
+    if (points.length === 0) {
+      return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">No account history for this period yet.</p>;
+    }
+    return (
+      <ResponsiveContainer>
+        <AreaChart data={points}>
+          <defs>
+            <linearGradient id="colorEquity" x1="0" y1="0" x2="0" y2="1">
+              <stop offset="5%" stopColor="#4F46E5" stopOpacity={0.8}/>
+              <stop offset="95%" stopColor="#4F46E5" stopOpacity={0}/>
+            </linearGradient>
+          </defs>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" className="dark:stroke-dark-border" />
+          <XAxis
+            dataKey="time"
+            type="number"
+            scale="time"
+            domain={['dataMin', 'dataMax']}
+            tickFormatter={(time) => formatEquityTime(time, range)}
+            minTickGap={24}
+          />
+          <YAxis domain={['auto', 'auto']} tickFormatter={(value) => Math.round(value).toLocaleString()} width={70} />
+          <Tooltip
+            labelFormatter={(time) => new Date(time).toLocaleString()}
+            formatter={(value, name) => [formatCurrency(value, currency), name === 'equity' ? 'Equity' : 'Balance']}
+          />
+          <Area type="stepAfter" dataKey="balance" stroke="#9CA3AF" strokeDasharray="4 4" fill="none" isAnimationActive={false} />
+          <Area type="monotone" dataKey="equity" stroke="#4F46E5" fillOpacity={1} fill="url(#colorEquity)" isAnimationActive={false} />
+        </AreaChart>
+      </ResponsiveContainer>
+    );
+  };
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <h2 className="text-xl font-semibold">{title}</h2>
+        {change != null && (
+          <span className={`text-sm font-semibold ${change >= 0 ? 'text-secondary' : 'text-danger'}`}>
+            {change >= 0 ? '+' : ''}{formatCurrency(change, currency)}
+          </span>
+        )}
+        <div className="flex rounded-lg bg-light-bg dark:bg-dark-bg/50 p-1 ml-auto">
+          {EQUITY_RANGES.map(({ value }) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setRange(value)}
+              className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${range === value ? 'bg-white dark:bg-dark-card shadow text-primary' : 'text-light-text-secondary dark:text-dark-text-secondary'}`}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div style={{ width: '100%', height: 300 }}>
+        {renderChart()}
+      </div>
+    </>
+  );
+};
+
+export default EquityCurve;
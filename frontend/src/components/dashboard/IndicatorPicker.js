@@ -0,0 +1,113 @@
+import React, { Fragment, useState } from 'react';
+import { Popover, Transition } from '@headlessui/react';
+import { ChartBarIcon, PlusIcon, XMarkIcon, Cog6ToothIcon } from '@heroicons/react/20/solid';
+import { INDICATORS, defaultIndicatorParams, indicatorLabel } from 'lib/indicators';
+
+const PLACEMENT_LABELS = { overlay: 'Overlays', pane: 'Separate Panes' };
+
+const ActiveIndicator = ({ indicator, onChange, onRemove }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const definition = INDICATORS[indicator.type];
+
+  const updateParam = (name, value) => {
+    if (Number.isNaN(value)) return;
+    onChange({ ...indicator, params: { ...indicator.params, [name]: value } });
+  };
+
+  return (
+    <li className="py-1">
+      <div className="flex items-center justify-between">
+        <span className="text-sm">{indicatorLabel(indicator)}</span>
+        <span className="flex items-center">
+          <button type="button" onClick={() => setIsEditing(v => !v)} title="Settings" className="p-1 text-gray-400 hover:text-primary">
+            <Cog6ToothIcon className="h-4 w-4" />
+          </button>
+          <button type="button" onClick={onRemove} title="Remove" className="p-1 text-gray-400 hover:text-danger">
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        </span>
+      </div>
+      {isEditing && (
+        <div className="grid grid-cols-3 gap-2 mt-1">
+          {definition.params.map(param => (
+            <label key={param.name} className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+              {param.label}
+              <input
+                type="number"
+                min={param.min}
+                step={param.step}
+                defaultValue={indicator.params?.[param.name] ?? param.defaultValue}
+                onBlur={(e) => updateParam(param.name, e.target.valueAsNumber)}
+                onKeyDown={(e) => e.key === 'Enter' && updateParam(param.name, e.target.valueAsNumber)}
+                className="mt-0.5 block w-full rounded-md border-gray-300 text-xs py-1 px-1.5 dark:bg-dark-bg/50 dark:border-dark-border"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Add, configure and remove the indicators of one chart. `value` is [{ id, type, params }].
+const IndicatorPicker = ({ value = [], onChange }) => {
+  const addIndicator = (type) => onChange([...value, { id: `${type}-${Date.now()}`, type, params: defaultIndicatorParams(type) }]);
+  const updateIndicator = (updated) => onChange(value.map(indicator => (indicator.id === updated.id ? updated : indicator)));
+  const removeIndicator = (id) => onChange(value.filter(indicator => indicator.id !== id));
+
+  return (
+    <Popover className="relative">
+      <Popover.Button className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-gray-700">
+        <ChartBarIcon className="h-4 w-4 mr-1" />
+        Indicators{value.length > 0 && ` (${value.length})`}
+      </Popover.Button>
+      <Transition
+        as={Fragment}
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Popover.Panel className="absolute left-0 mt-2 w-72 origin-top-left bg-white dark:bg-dark-card rounded-md shadow-lg ring-1 ring-black ring-opacity-5 p-3 z-40 space-y-3">
+          {value.length > 0 && (
+            <div>
+              <h4 className="text-xs font-semibold uppercase text-gray-500 mb-1">Active</h4>
+              <ul className="divide-y divide-light-border dark:divide-dark-border">
+                {value.map(indicator => (
+                  <ActiveIndicator
+                    key={indicator.id}
+                    indicator={indicator}
+                    onChange={updateIndicator}
+                    onRemove={() => removeIndicator(indicator.id)}
+                  />
+                ))}
+              </ul>
+            </div>
+          )}
+          {Object.entries(PLACEMENT_LABELS).map(([placement, label]) => (
+            <div key={placement}>
+              <h4 className="text-xs font-semibold uppercase text-gray-500 mb-1">{label}</h4>
+              <div className="flex flex-wrap gap-1">
+                {Object.entries(INDICATORS).filter(([, definition]) => definition.placement === placement).map(([type, definition]) => (
+                  <button
+                    key={type}
+                    type="button"
+                    onClick={() => addIndicator(type)}
+                    className="inline-flex items-center px-2 py-1 text-xs rounded-md bg-light-bg dark:bg-dark-bg/50 hover:text-primary"
+                  >
+                    <PlusIcon className="h-3 w-3 mr-0.5" />
+                    {definition.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </Popover.Panel>
+      </Transition>
+    </Popover>
+  );
+};
+
+export default IndicatorPicker;
@@ -1,24 +1,12 @@
-import React, { useState, useEffect } from 'react';
-import api from 'services/api';
+import React from 'react';
+import usePositions from 'hooks/usePositions';
 import Skeleton from 'components/core/Skeleton';
 
 const RecentTrades = () => {
-  const [positions, setPositions] = useState([]);
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    const fetchPositions = async () => {
-      try {
-        const { data } = await api.get('/trade/positions');
-        setPositions(data.slice(0, 5)); // Get last 5 trades
-      } catch (error) {
-        console.error("Failed to fetch recent trades:", error);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchPositions();
-  }, []);
+  // Shares the SWR cache with the positions page and charts, so trades placed anywhere show up here too.
+  // Polled as well, so the floating profit shown for each trade keeps moving.
+  const { positions: allPositions, isLoading: loading } = usePositions({ refreshInterval: 15000 });
+  const positions = allPositions.slice(0, 5); // Get last 5 trades
 
   if (loading) {
     return (
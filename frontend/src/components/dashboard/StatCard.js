@@ -1,26 +1,56 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { motion } from 'framer-motion';
 
-const StatCard = ({ title, value, currency, isProfit = false }) => {
-  const formattedValue = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: currency || 'USD',
-  }).format(value || 0);
+const FORMATS = {
+  currency: (value, currency) => new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(value || 0),
+  percent: (value) => (value ? `${value.toFixed(2)}%` : '–'),
+  number: (value) => String(value ?? 0),
+};
+
+// `change` is the difference from the day's open, shown under the value. The card briefly flashes
+// green or red whenever a live update moves the value.
+const StatCard = ({ title, value, currency, isProfit = false, format = 'currency', change = null }) => {
+  const formatValue = FORMATS[format];
+  const formattedValue = formatValue(value, currency);
+  const previousValue = useRef(value);
+  const [flash, setFlash] = useState(null);
+
+  useEffect(() => {
+    const previous = previousValue.current;
+    previousValue.current = value;
+    if (previous == null || value == null || previous === value) return;
+    setFlash(prev => ({ id: (prev?.id || 0) + 1, direction: value > previous ? 'up' : 'down' }));
+  }, [value]);
 
   const profitColor = value > 0 ? 'text-secondary' : value < 0 ? 'text-danger' : 'text-gray-500';
+  const changeColor = change > 0 ? 'text-secondary' : change < 0 ? 'text-danger' : 'text-gray-500';
 
   return (
     <motion.div
-        className="bg-white dark:bg-dark-card p-6 rounded-xl shadow-md border border-gray-200 dark:border-dark-border"
+        className="relative overflow-hidden bg-white dark:bg-dark-card p-6 rounded-xl shadow-md border border-gray-200 dark:border-dark-border"
         whileHover={{ scale: 1.05 }}
         transition={{ type: "spring", stiffness: 300 }}
     >
+      {flash && (
+        <motion.div
+          key={flash.id}
+          className={`absolute inset-0 pointer-events-none ${flash.direction === 'up' ? 'bg-secondary/20' : 'bg-danger/20'}`}
+          initial={{ opacity: 1 }}
+          animate={{ opacity: 0 }}
+          transition={{ duration: 1 }}
+        />
+      )}
       <h3 className="text-md font-medium text-gray-500 dark:text-dark-text-secondary">{title}</h3>
       <p className={`text-3xl font-bold mt-2 ${isProfit ? profitColor : 'text-gray-800 dark:text-white'}`}>
         {formattedValue}
       </p>
+      {change != null && (
+        <p className={`text-sm font-medium mt-1 ${changeColor}`}>
+          {change > 0 ? '▲ +' : change < 0 ? '▼ ' : ''}{formatValue(change, currency)} today
+        </p>
+      )}
     </motion.div>
   );
 };
 
-export default StatCard;
\ No newline at end of file
+export default StatCard;
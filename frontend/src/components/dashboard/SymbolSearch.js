@@ -0,0 +1,61 @@
+import React, { useState, Fragment } from 'react';
+import { Combobox, Transition } from '@headlessui/react';
+import { MagnifyingGlassIcon, CheckIcon } from '@heroicons/react/20/solid';
+import useSymbols from 'hooks/useSymbols';
+
+const MAX_RESULTS = 50;
+
+const SymbolSearch = ({ value, onChange }) => {
+  const { symbols } = useSymbols();
+  const [query, setQuery] = useState('');
+
+  const needle = query.trim().toUpperCase();
+  const matches = (needle
+    ? symbols.filter(s => s.value.toUpperCase().includes(needle) || s.description.toUpperCase().includes(needle))
+    : symbols
+  ).slice(0, MAX_RESULTS);
+
+  return (
+    <Combobox value={value} onChange={(symbol) => { onChange(symbol); setQuery(''); }}>
+      <div className="relative w-36">
+        <div className="relative">
+          <MagnifyingGlassIcon className="pointer-events-none absolute left-2 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <Combobox.Input
+            className="w-full rounded-md border border-gray-300 dark:border-dark-border bg-white dark:bg-dark-bg/50 py-1 pl-7 pr-2 text-sm font-semibold focus:outline-none focus:ring-2 focus:ring-primary/50"
+            displayValue={(symbol) => symbol}
+            onChange={(e) => setQuery(e.target.value)}
+            onFocus={(e) => e.target.select()}
+            spellCheck={false}
+          />
+        </div>
+        <Transition as={Fragment} leave="transition ease-in duration-100" leaveFrom="opacity-100" leaveTo="opacity-0" afterLeave={() => setQuery('')}>
+          <Combobox.Options className="absolute mt-1 max-h-60 w-64 overflow-auto rounded-md bg-white dark:bg-dark-card py-1 text-sm shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none z-40">
+            {matches.length === 0 ? (
+              <div className="px-3 py-2 text-gray-500">No symbols match "{query}".</div>
+            ) : matches.map(symbol => (
+              <Combobox.Option
+                key={symbol.value}
+                value={symbol.value}
+                className={({ active }) => `relative cursor-default select-none py-2 pl-8 pr-3 ${active ? 'bg-primary/10 text-primary' : 'text-gray-900 dark:text-dark-text'}`}
+              >
+                {({ selected }) => (
+                  <>
+                    <span className={`block ${selected ? 'font-semibold' : 'font-medium'}`}>{symbol.label}</span>
+                    {symbol.description && <span className="block text-xs text-gray-500 truncate">{symbol.description}</span>}
+                    {selected && (
+                      <span className="absolute inset-y-0 left-0 flex items-center pl-2 text-primary">
+                        <CheckIcon className="h-4 w-4" aria-hidden="true" />
+                      </span>
+                    )}
+                  </>
+                )}
+              </Combobox.Option>
+            ))}
+          </Combobox.Options>
+        </Transition>
+      </div>
+    </Combobox>
+  );
+};
+
+export default SymbolSearch;
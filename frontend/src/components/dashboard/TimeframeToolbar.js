@@ -0,0 +1,19 @@
+import React from 'react';
+import { TIMEFRAMES } from 'lib/candles';
+
+const TimeframeToolbar = ({ value, onChange }) => (
+  <div className="inline-flex rounded-lg bg-light-bg dark:bg-dark-bg/50 p-0.5">
+    {TIMEFRAMES.map(tf => (
+      <button
+        key={tf}
+        type="button"
+        onClick={() => onChange(tf)}
+        className={`px-2 py-1 text-xs font-medium rounded-md transition-colors ${value === tf ? 'bg-white dark:bg-dark-card shadow text-primary' : 'text-light-text-secondary dark:text-dark-text-secondary hover:text-primary'}`}
+      >
+        {tf}
+      </button>
+    ))}
+  </div>
+);
+
+export default TimeframeToolbar;
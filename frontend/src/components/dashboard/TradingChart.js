@@ -1,10 +1,16 @@
-import React, { useEffect, useRef, memo, useCallback } from 'react';
-import { createChart, ColorType, CrosshairMode } from 'lightweight-charts';
-import api from 'services/api';
+import React, { useEffect, useRef, useState, memo, useCallback, useId } from 'react';
+import { createChart, createSeriesMarkers, createTextWatermark, CandlestickSeries, ColorType, CrosshairMode, LineStyle, MismatchDirection } from 'lightweight-charts';
+import { apiErrorMessage } from 'services/api';
+import { getPriceHistory } from 'services/endpoints/mt5';
 import { useTheme } from 'contexts/ThemeContext';
-import { useWebSocket } from 'contexts/WebSocketContext';
+import useWebSocketSubscription from 'hooks/useWebSocketSubscription';
 import toast from 'react-hot-toast';
 import useSWR from 'swr';
+import { applyTick, historyToCandles, mergeCandles } from 'lib/candles';
+import { HISTORY_PAGE_SIZE, historyCacheKey, getCachedHistory, addCachedHistory } from 'lib/historyCache';
+import { INDICATORS } from 'lib/indicators';
+import DrawingLayer from './DrawingLayer';
+import { addIndicatorSeries, setIndicatorData, updateIndicatorData, removeIndicatorSeries, indicatorKey, INDICATOR_PANE_HEIGHT } from './chartIndicators';
 
 // This function adapts chart options to the current theme
 const getChartOptions = (theme) => {
@@ -29,27 +35,83 @@ const getChartOptions = (theme) => {
             timeVisible: true,
             secondsVisible: false,
         },
-        watermark: {
-            color: isDark ? 'rgba(255, 255, 255, 0.08)' : 'rgba(0, 0, 0, 0.05)',
-            visible: true,
+    };
+};
+
+// Watermarks are a pane plugin since lightweight-charts v5, so they are themed separately.
+const getWatermarkOptions = (theme) => {
+    const isDark = theme === 'dark' || (theme === 'system' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+    return {
+        horzAlign: 'center',
+        vertAlign: 'center',
+        lines: [{
             text: 'QuantumEdge Trader',
+            color: isDark ? 'rgba(255, 255, 255, 0.08)' : 'rgba(0, 0, 0, 0.05)',
             fontSize: 24,
-            horzAlign: 'center',
-            vertAlign: 'center',
-        },
+        }],
     };
 };
 
-const TradingChart = ({ symbol = 'EURUSD', timeframe = 'H1' }) => {
+const NO_INDICATORS = [];
+const NO_PRICE_LINES = [];
+
+// Older history is requested once fewer than this many bars are left of the visible range.
+const SCROLL_BACK_THRESHOLD = 20;
+// After a failed scroll-back request, wait this long before trying again.
+const SCROLL_BACK_RETRY_MS = 10000;
+// How close (in pixels) the pointer must be to a draggable price line to pick it up.
+const PRICE_LINE_GRAB_PX = 5;
+
+const PRICE_LINES = {
+  bid: { color: '#EF4444', title: 'Bid' },
+  ask: { color: '#3B82F6', title: 'Ask' },
+};
+
+// `live` streams ticks for the symbol into the last candle; static views (e.g. backtest trades) turn it off.
+// Charts sharing a `crosshairSync` (see lib/chartSync) show their crosshairs at the same time.
+// `indicators` are [{ id, type, params }] from lib/indicators; pane indicators add height below `height`.
+// `priceLines` are extra horizontal lines [{ id, price, color, title }], e.g. the SL/TP of open positions.
+// Lines marked `draggable` can be dragged when `onPriceLineDrag(line, price)` is given; the line snaps back
+// on release and the parent decides whether to apply the new price.
+// `onNewOrder(price)` adds an order button that passes the last traded price to the parent's order ticket.
+// Passing `onDrawingsChange` enables the drawing layer; `drawingTool` is the tool placing the next drawing.
+const TradingChart = ({
+  symbol = 'EURUSD', timeframe = 'H1', markers, live = true, height = 400, crosshairSync,
+  indicators = NO_INDICATORS, priceLines = NO_PRICE_LINES,
+  drawings, onDrawingsChange, drawingTool = null, onDrawingToolChange,
+  onPriceLineDrag, onNewOrder,
+}) => {
+  const chartId = useId();
+  const paneCount = indicators.filter(indicator => INDICATORS[indicator.type]?.placement === 'pane').length;
+  const totalHeight = height + paneCount * INDICATOR_PANE_HEIGHT;
   const chartContainerRef = useRef(null);
   const chartRef = useRef(null);
   const candlestickSeriesRef = useRef(null);
+  const markersPluginRef = useRef(null);
+  const watermarkRef = useRef(null);
+  const lastBarRef = useRef(null);
+  const candlesRef = useRef([]);
+  const indicatorEntriesRef = useRef(new Map());
+  const priceLinesRef = useRef({});
+  const extraPriceLinesRef = useRef([]);
+  const onPriceLineDragRef = useRef(onPriceLineDrag);
+  onPriceLineDragRef.current = onPriceLineDrag;
+  const historyKey = historyCacheKey(symbol, timeframe);
+  const historyKeyRef = useRef(historyKey);
+  const loadingOlderRef = useRef(false);
+  const retryOlderAtRef = useRef(0);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  // The drawing layer renders from the chart API, so it needs a re-render once the chart exists.
+  const [chartApi, setChartApi] = useState(null);
 
   const { theme } = useTheme();
-  const { lastMessage } = useWebSocket();
+  // The chart is created once with the theme of the moment; later changes are applied by the theme effect.
+  const initialThemeRef = useRef(theme);
 
-  const fetcher = useCallback((url) => api.get(url).then(res => res.data), []);
-  const { data: initialData, error, isLoading } = useSWR(`/mt5/history/${symbol}?timeframe=${timeframe}&count=300`, fetcher, {
+  const { data: initialData, error, isLoading } = useSWR(`/mt5/history/${symbol}?timeframe=${timeframe}&count=${HISTORY_PAGE_SIZE}`, () => getPriceHistory(symbol, {
+    timeframe,
+    count: HISTORY_PAGE_SIZE,
+  }), {
     revalidateOnFocus: false,
   });
 
@@ -57,30 +119,32 @@ const TradingChart = ({ symbol = 'EURUSD', timeframe = 'H1' }) => {
   useEffect(() => {
     if (!chartContainerRef.current) return;
 
+    // autoSize follows the container, which also changes size when the dashboard layout changes.
     const chart = createChart(chartContainerRef.current, {
-        ...getChartOptions(theme),
-        width: chartContainerRef.current.clientWidth,
-        height: 400,
+        ...getChartOptions(initialThemeRef.current),
+        autoSize: true,
     });
     chartRef.current = chart;
 
-    candlestickSeriesRef.current = chart.addCandlestickSeries({
+    candlestickSeriesRef.current = chart.addSeries(CandlestickSeries, {
       upColor: 'rgba(34, 197, 94, 0.8)', wickUpColor: 'rgba(34, 197, 94, 0.8)', borderUpColor: '#22C55E',
       downColor: 'rgba(239, 68, 68, 0.8)', wickDownColor: 'rgba(239, 68, 68, 0.8)', borderDownColor: '#EF4444',
     });
-
-    const handleResize = () => {
-      if (chartRef.current && chartContainerRef.current) {
-        chartRef.current.resize(chartContainerRef.current.clientWidth, 400);
-      }
-    };
-    window.addEventListener('resize', handleResize);
+    markersPluginRef.current = createSeriesMarkers(candlestickSeriesRef.current, []);
+    watermarkRef.current = createTextWatermark(chart.panes()[0], getWatermarkOptions(initialThemeRef.current));
+    setChartApi({ chart, series: candlestickSeriesRef.current });
 
     return () => {
-      window.removeEventListener('resize', handleResize);
+      setChartApi(null);
       if (chartRef.current) {
         chartRef.current.remove();
         chartRef.current = null;
+        candlestickSeriesRef.current = null;
+        markersPluginRef.current = null;
+        watermarkRef.current = null;
+        priceLinesRef.current = {};
+        extraPriceLinesRef.current = [];
+        indicatorEntriesRef.current = new Map();
       }
     };
   }, []);
@@ -89,36 +153,246 @@ const TradingChart = ({ symbol = 'EURUSD', timeframe = 'H1' }) => {
   useEffect(() => {
     if (!chartRef.current) return;
     chartRef.current.applyOptions(getChartOptions(theme));
+    watermarkRef.current?.applyOptions(getWatermarkOptions(theme));
   }, [theme]);
 
+  // A new symbol or timeframe starts from fresh history, so drop the live state of the previous one.
+  // Declared before the data effect so a cached history loaded in the same commit is not wiped.
+  useEffect(() => {
+    lastBarRef.current = null;
+    historyKeyRef.current = historyKey;
+    retryOlderAtRef.current = 0;
+    return () => {
+      Object.values(priceLinesRef.current).forEach(line => candlestickSeriesRef.current?.removePriceLine(line));
+      priceLinesRef.current = {};
+    };
+  }, [historyKey]);
+
   // Effect for loading initial data
   useEffect(() => {
-    if (isLoading || !initialData || !candlestickSeriesRef.current) {
+    if (!candlestickSeriesRef.current) return;
+    if (isLoading || !initialData) {
+      // A new market has nothing to show yet; don't leave the previous market's bars on screen meanwhile.
+      candlestickSeriesRef.current.setData([]);
+      candlesRef.current = [];
       return;
     }
 
-    const candleData = initialData.map(d => ({
-        time: (new Date(d.time).getTime() / 1000),
-        open: d.open, high: d.high, low: d.low, close: d.close,
-    }));
+    // The latest page goes on top of whatever older history this market has already scrolled back through.
+    const candleData = mergeCandles(getCachedHistory(historyKey).candles, historyToCandles(initialData));
 
     candlestickSeriesRef.current.setData(candleData);
-    chartRef.current.timeScale().fitContent();
+    candlesRef.current = candleData;
+    lastBarRef.current = candleData[candleData.length - 1] || null;
+    // Show the most recent page, not every cached bar squeezed into view. The first few bars stay
+    // off-screen so loading the chart does not itself count as scrolling back.
+    const lastIndex = candleData.length - 1;
+    if (lastIndex >= 0) {
+      chartRef.current.timeScale().setVisibleLogicalRange({
+        from: Math.max(candleData.length - HISTORY_PAGE_SIZE, Math.min(SCROLL_BACK_THRESHOLD, lastIndex)),
+        to: lastIndex,
+      });
+    }
+  }, [isLoading, initialData, historyKey]);
+
+  // Fetches the page before the oldest loaded bar and prepends it. The time scale keeps its right
+  // offset and bar spacing when data is replaced, so the bars on screen do not move.
+  const loadOlderHistory = useCallback(async () => {
+    const oldest = candlesRef.current[0];
+    if (loadingOlderRef.current || !oldest || Date.now() < retryOlderAtRef.current) return;
+    if (getCachedHistory(historyKey).exhausted) return;
+
+    loadingOlderRef.current = true;
+    setIsLoadingOlder(true);
+    try {
+      const before = new Date(oldest.time * 1000).toISOString();
+      const data = await getPriceHistory(symbol, { timeframe, count: HISTORY_PAGE_SIZE, before });
+      const older = historyToCandles(data);
+      addCachedHistory(historyKey, older, older.length < HISTORY_PAGE_SIZE);
 
-  }, [isLoading, initialData]);
+      // The user may have switched market while the page was loading; it is cached for later either way.
+      if (historyKeyRef.current !== historyKey || !candlestickSeriesRef.current) return;
+      const merged = mergeCandles(older, candlesRef.current);
+      candlestickSeriesRef.current.setData(merged);
+      candlesRef.current = merged;
+      indicatorEntriesRef.current.forEach(entry => setIndicatorData(entry, merged));
+    } catch (err) {
+      retryOlderAtRef.current = Date.now() + SCROLL_BACK_RETRY_MS;
+      toast.error(apiErrorMessage(err, 'Failed to load older chart history.'), { id: 'chart-history-error-toast' });
+    } finally {
+      loadingOlderRef.current = false;
+      setIsLoadingOlder(false);
+    }
+  }, [symbol, timeframe, historyKey]);
+
+  // Scrolling (or zooming) close to the oldest loaded bar pages in more history.
+  useEffect(() => {
+    const timeScale = chartRef.current?.timeScale();
+    if (!timeScale) return undefined;
+    const handleRangeChange = (range) => {
+      if (range && range.from < SCROLL_BACK_THRESHOLD) loadOlderHistory();
+    };
+    timeScale.subscribeVisibleLogicalRangeChange(handleRangeChange);
+    return () => timeScale.unsubscribeVisibleLogicalRangeChange(handleRangeChange);
+  }, [loadOlderHistory]);
 
-  // Effect for handling real-time WebSocket updates (conceptual)
+  // Effect for indicators: add/remove series to match the `indicators` prop and recompute them on new history.
   useEffect(() => {
-    if (!lastMessage || !candlestickSeriesRef.current || lastMessage.type !== 'tick' || lastMessage.data.symbol !== symbol) {
-        return;
+    const chart = chartRef.current;
+    if (!chart) return;
+    const entries = indicatorEntriesRef.current;
+    const wanted = new Map(indicators.map(indicator => [indicator.id, indicator]));
+
+    entries.forEach((entry, id) => {
+      const indicator = wanted.get(id);
+      // Changed parameters are applied by re-creating the indicator's series.
+      if (!indicator || indicatorKey(indicator) !== entry.key) {
+        removeIndicatorSeries(chart, entry);
+        entries.delete(id);
+      }
+    });
+    indicators.forEach(indicator => {
+      if (!entries.has(indicator.id) && INDICATORS[indicator.type]) {
+        entries.set(indicator.id, addIndicatorSeries(chart, indicator));
+      }
+    });
+    entries.forEach(entry => setIndicatorData(entry, candlesRef.current));
+  }, [indicators, initialData]);
+
+  // Effect for trade markers supplied by the parent (e.g. backtest entries/exits)
+  useEffect(() => {
+    if (!markersPluginRef.current) return;
+    markersPluginRef.current.setMarkers(markers || []);
+  }, [markers, initialData]);
+
+  // Effect for the parent's price lines: cheap enough to re-create whenever the list changes.
+  useEffect(() => {
+    const series = candlestickSeriesRef.current;
+    if (!series) return undefined;
+    extraPriceLinesRef.current = priceLines.map(options => ({
+      options,
+      line: series.createPriceLine({
+        price: options.price, color: options.color, title: options.title,
+        lineWidth: options.draggable && onPriceLineDragRef.current ? 2 : 1, lineStyle: LineStyle.Dashed, axisLabelVisible: true,
+      }),
+    }));
+    return () => {
+      extraPriceLinesRef.current.forEach(({ line }) => candlestickSeriesRef.current?.removePriceLine(line));
+      extraPriceLinesRef.current = [];
+    };
+  }, [priceLines]);
+
+  // Dragging draggable price lines. Pointer-down is caught in the capture phase and chart scrolling is
+  // paused for the drag, so grabbing a line does not also pan the chart.
+  const canDragPriceLines = Boolean(onPriceLineDrag);
+  useEffect(() => {
+    const chart = chartRef.current;
+    const container = chartContainerRef.current;
+    if (!canDragPriceLines || !chart) return undefined;
+    let dragging = null;
+
+    const pointerY = (e) => e.clientY - container.getBoundingClientRect().top;
+    const handlePointerDown = (e) => {
+      const series = candlestickSeriesRef.current;
+      const y = pointerY(e);
+      const entry = extraPriceLinesRef.current.find(({ options }) => (
+        options.draggable && Math.abs(series.priceToCoordinate(options.price) - y) <= PRICE_LINE_GRAB_PX
+      ));
+      if (!entry) return;
+      e.preventDefault();
+      e.stopPropagation();
+      chart.applyOptions({ handleScroll: false, handleScale: false });
+      dragging = { entry, price: entry.options.price };
+    };
+    const handlePointerMove = (e) => {
+      if (!dragging) return;
+      const price = candlestickSeriesRef.current?.coordinateToPrice(pointerY(e));
+      if (price == null) return;
+      dragging.price = price;
+      dragging.entry.line.applyOptions({ price });
+    };
+    const handlePointerUp = () => {
+      if (!dragging) return;
+      const { entry, price } = dragging;
+      dragging = null;
+      chart.applyOptions({ handleScroll: true, handleScale: true });
+      entry.line.applyOptions({ price: entry.options.price });
+      if (price !== entry.options.price) onPriceLineDragRef.current?.(entry.options, price);
+    };
+
+    container.addEventListener('pointerdown', handlePointerDown, true);
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    return () => {
+      container.removeEventListener('pointerdown', handlePointerDown, true);
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+    };
+  }, [canDragPriceLines]);
+
+  // Linked crosshairs: publish our own pointer moves and mirror those of the other charts.
+  useEffect(() => {
+    const chart = chartRef.current;
+    const container = chartContainerRef.current;
+    if (!crosshairSync || !chart) return undefined;
+
+    const handleMove = (param) => {
+      // Programmatic moves (our own setCrosshairPosition) have no source event; re-publishing them would loop.
+      if (param.sourceEvent && param.time != null) crosshairSync.publish(chartId, param.time);
+    };
+    const handleLeave = () => crosshairSync.publish(chartId, null);
+    const unsubscribe = crosshairSync.subscribe((sourceId, time) => {
+      const series = candlestickSeriesRef.current;
+      if (sourceId === chartId || !series) return;
+      const index = time == null ? null : chart.timeScale().timeToIndex(time, true);
+      const bar = index == null ? null : series.dataByIndex(index, MismatchDirection.NearestLeft);
+      if (bar) {
+        chart.setCrosshairPosition(bar.close, bar.time, series);
+      } else {
+        chart.clearCrosshairPosition();
+      }
+    });
+
+    chart.subscribeCrosshairMove(handleMove);
+    container.addEventListener('mouseleave', handleLeave);
+    return () => {
+      chart.unsubscribeCrosshairMove(handleMove);
+      container.removeEventListener('mouseleave', handleLeave);
+      unsubscribe();
+    };
+  }, [crosshairSync, chartId]);
+
+  // Real-time ticks for what is on screen (subscribed per symbol, released on change/unmount) are applied to the
+  // series directly: aggregated into the current candle, and moving the bid/ask lines, without re-rendering.
+  useWebSocketSubscription(live ? `tick:${symbol}` : null, (tick) => {
+    if (!candlestickSeriesRef.current) return;
+    // Ticks that arrive before the history has loaded would otherwise become the only candle.
+    if (!lastBarRef.current) return;
+
+    const bar = applyTick(lastBarRef.current, tick, timeframe);
+    if (bar) {
+      const isNewBar = bar.time > lastBarRef.current.time;
+      candlestickSeriesRef.current.update(bar);
+      lastBarRef.current = bar;
+      candlesRef.current = isNewBar ? [...candlesRef.current, bar] : [...candlesRef.current.slice(0, -1), bar];
+      // A new bar can move forward-projected indicator points, so those are fully recomputed.
+      indicatorEntriesRef.current.forEach(entry => (isNewBar
+        ? setIndicatorData(entry, candlesRef.current)
+        : updateIndicatorData(entry, candlesRef.current)));
     }
-    // This is where you would handle a live tick from your backend
-    // const tickData = lastMessage.data;
-    // candlestickSeriesRef.current.update({
-    //     time: new Date(tickData.time).getTime() / 1000,
-    //     close: tickData.price, // Assuming your tick has a price
-    // });
-  }, [lastMessage, symbol]);
+
+    Object.entries(PRICE_LINES).forEach(([side, options]) => {
+      const price = tick[side];
+      if (price == null) return;
+      if (priceLinesRef.current[side]) {
+        priceLinesRef.current[side].applyOptions({ price });
+      } else {
+        priceLinesRef.current[side] = candlestickSeriesRef.current.createPriceLine({
+          ...options, price, lineWidth: 1, lineStyle: LineStyle.Dotted, axisLabelVisible: true,
+        });
+      }
+    });
+  });
 
   if (error) {
     // --- THE DEFINITIVE FIX IS HERE ---
@@ -127,25 +401,55 @@ const TradingChart = ({ symbol = 'EURUSD', timeframe = 'H1' }) => {
     // to prevent the same toast from being spammed on the screen.
     toast.error("Failed to load chart data. The MT5 server may be offline.", { id: 'chart-data-error-toast' });
     // --- END OF FIX ---
-
-    return <div className="w-full h-[400px] flex items-center justify-center text-danger bg-danger/5 rounded-lg p-4">
-        <div className="text-center">
-            <h3 className="font-semibold">Chart Error</h3>
-            <p className="text-sm">Could not load market data. Please ensure the backend is connected to MT5.</p>
-        </div>
-    </div>;
-  }
-
-  // Show a skeleton loader while SWR is fetching data for the first time
-  if (isLoading) {
-    return <div className="w-full h-[400px] bg-gray-200 dark:bg-dark-border/20 rounded-lg animate-pulse" />;
   }
 
+  // The container must stay mounted while loading or after an error: the chart instance
+  // is created against it once on mount, so the loading and error states are overlays.
   return (
-    <div
-        ref={chartContainerRef}
-        className="w-full h-[400px] rounded-lg overflow-hidden bg-white dark:bg-dark-card border border-light-border dark:border-dark-border"
-    />
+    <div className="relative w-full" style={{ height: totalHeight }}>
+      <div
+          ref={chartContainerRef}
+          style={{ height: totalHeight }}
+          className="w-full rounded-lg overflow-hidden bg-white dark:bg-dark-card border border-light-border dark:border-dark-border"
+      />
+      {onDrawingsChange && chartApi && !isLoading && (
+        <DrawingLayer
+          key={historyKey}
+          chart={chartApi.chart}
+          series={chartApi.series}
+          candlesRef={candlesRef}
+          drawings={drawings || []}
+          onChange={onDrawingsChange}
+          tool={drawingTool}
+          onToolChange={onDrawingToolChange}
+        />
+      )}
+      {isLoading && (
+        <div className="absolute inset-0 bg-gray-200 dark:bg-dark-border/20 rounded-lg animate-pulse" />
+      )}
+      {onNewOrder && !isLoading && !error && (
+        <button
+          type="button"
+          onClick={() => onNewOrder(lastBarRef.current?.close ?? null)}
+          className="absolute top-2 left-2 z-10 px-2 py-1 text-xs font-semibold rounded-md shadow bg-primary text-white hover:bg-primary-700 transition-colors"
+        >
+          New Order
+        </button>
+      )}
+      {isLoadingOlder && (
+        <div className="absolute bottom-8 left-2 px-2 py-1 text-xs rounded-md bg-white/80 dark:bg-dark-card/80 text-light-text-secondary dark:text-dark-text-secondary">
+          Loading older bars...
+        </div>
+      )}
+      {error && (
+        <div className="absolute inset-0 flex items-center justify-center text-danger bg-danger/5 rounded-lg p-4">
+          <div className="text-center">
+              <h3 className="font-semibold">Chart Error</h3>
+              <p className="text-sm">Could not load market data. Please ensure the backend is connected to MT5.</p>
+          </div>
+        </div>
+      )}
+    </div>
   );
 };
 
@@ -0,0 +1,79 @@
+import { ArrowTrendingUpIcon, MinusIcon, StopIcon, Bars3Icon, ChatBubbleBottomCenterTextIcon } from '@heroicons/react/24/outline';
+
+// Drawings are stored as { id, type, points: [{ time, price }], color, text? } with UTC-second times,
+// so they stay attached to the same bars however the chart is scrolled or zoomed.
+// `points` is how many clicks place the drawing.
+export const DRAWING_TOOLS = {
+    trendline: { label: 'Trend Line', points: 2, Icon: ArrowTrendingUpIcon },
+    hline: { label: 'Horizontal Level', points: 1, Icon: MinusIcon },
+    rectangle: { label: 'Rectangle', points: 2, Icon: StopIcon },
+    fibonacci: { label: 'Fibonacci Retracement', points: 2, Icon: Bars3Icon },
+    text: { label: 'Text Note', points: 1, Icon: ChatBubbleBottomCenterTextIcon },
+};
+
+export const DRAWING_COLORS = ['#3B82F6', '#EF4444', '#22C55E', '#F59E0B', '#A855F7'];
+
+export const FIB_LEVELS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+// Retracement price of `level`, measured back from the second point (0%) towards the first (100%).
+export const fibPrice = ([from, to], level) => to.price - (to.price - from.price) * level;
+
+export const createDrawing = (type, points) => ({
+    id: `${type}-${Date.now()}`,
+    type,
+    points,
+    color: DRAWING_COLORS[0],
+    ...(type === 'text' && { text: 'Note' }),
+});
+
+const barStep = (candles) => (candles.length > 1 ? candles[candles.length - 1].time - candles[candles.length - 2].time : 60);
+
+// Fractional bar index of a time. Times outside the loaded candles are extrapolated with the bar
+// length, so drawings reaching into the future or into not-yet-loaded history still have a position.
+export const timeToLogical = (candles, time) => {
+    const last = candles.length - 1;
+    const step = barStep(candles);
+    if (time >= candles[last].time) return last + (time - candles[last].time) / step;
+    if (time <= candles[0].time) return (time - candles[0].time) / step;
+
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (candles[mid].time <= time) low = mid; else high = mid;
+    }
+    return low + (time - candles[low].time) / (candles[high].time - candles[low].time);
+};
+
+// Inverse of timeToLogical for whole bar indices.
+export const logicalToTime = (candles, logical) => {
+    const last = candles.length - 1;
+    const index = Math.round(logical);
+    if (index > last) return candles[last].time + (index - last) * barStep(candles);
+    if (index < 0) return candles[0].time + index * barStep(candles);
+    return candles[index].time;
+};
+
+// Converts between chart pixels and drawing points for the price pane of a chart.
+export const createProjection = (chart, series, candles) => {
+    const timeScale = chart.timeScale();
+    return {
+        toPixel: ({ time, price }) => ({
+            x: timeScale.logicalToCoordinate(timeToLogical(candles, time)),
+            y: series.priceToCoordinate(price),
+        }),
+        // Points snap to bars horizontally, like the chart's own crosshair.
+        toPoint: (x, y) => {
+            const logical = timeScale.coordinateToLogical(x);
+            const price = series.coordinateToPrice(y);
+            if (logical == null || price == null) return null;
+            return { time: logicalToTime(candles, logical), price };
+        },
+        // Shifts a point by whole bars and a price difference, used when a drawing is dragged.
+        movePoint: ({ time, price }, bars, priceDelta) => ({
+            time: logicalToTime(candles, timeToLogical(candles, time) + bars),
+            price: price + priceDelta,
+        }),
+        barsBetween: (a, b) => Math.round(timeToLogical(candles, b.time) - timeToLogical(candles, a.time)),
+    };
+};
@@ -0,0 +1,88 @@
+import { LineSeries, HistogramSeries, LineStyle } from 'lightweight-charts';
+import { INDICATORS } from 'lib/indicators';
+
+// Height given to each indicator pane below the price pane.
+export const INDICATOR_PANE_HEIGHT = 110;
+
+const HISTOGRAM_UP = 'rgba(34, 197, 94, 0.6)';
+const HISTOGRAM_DOWN = 'rgba(239, 68, 68, 0.6)';
+
+const lineShift = (line, params) => (line.shiftParam ? (params[line.shiftParam] || 0) * (line.shiftSign || 1) : 0);
+
+// Converts an indicator output aligned with `candles` into series data. Points shifted past the last
+// candle get extrapolated times so forward-projected lines (Ichimoku spans) extend into the future.
+const toSeriesData = (candles, values = [], shift, line) => {
+    if (candles.length === 0) return [];
+    const lastTime = candles[candles.length - 1].time;
+    const step = candles.length > 1 ? lastTime - candles[candles.length - 2].time : 60;
+    const data = [];
+    values.forEach((value, i) => {
+        const target = i + shift;
+        if (target < 0) return;
+        const time = target < candles.length ? candles[target].time : lastTime + (target - candles.length + 1) * step;
+        if (value == null || Number.isNaN(value)) {
+            data.push({ time });
+        } else if (line.type === 'histogram') {
+            data.push({ time, value, color: value >= 0 ? HISTOGRAM_UP : HISTOGRAM_DOWN });
+        } else {
+            data.push({ time, value });
+        }
+    });
+    return data;
+};
+
+const computeSeriesData = (entry, candles) => {
+    const definition = INDICATORS[entry.type];
+    const output = definition.compute(candles, entry.params);
+    return entry.series.map(({ line }) => toSeriesData(candles, output[line.key], lineShift(line, entry.params), line));
+};
+
+// Identity of an indicator's configuration; the chart re-creates the series when it changes.
+export const indicatorKey = (indicator) => JSON.stringify({ params: indicator.params || {}, levels: indicator.levels });
+
+// Adds the series of one indicator ({ id, type, params, levels? }) to the chart. Pane indicators get a new pane.
+// `levels` replaces the definition's horizontal lines, e.g. a strategy's own RSI thresholds.
+export const addIndicatorSeries = (chart, indicator) => {
+    const definition = INDICATORS[indicator.type];
+    const params = { ...Object.fromEntries(definition.params.map(p => [p.name, p.defaultValue])), ...indicator.params };
+    const paneIndex = definition.placement === 'pane' ? chart.panes().length : 0;
+
+    const series = definition.lines.map(line => ({
+        line,
+        api: chart.addSeries(line.type === 'histogram' ? HistogramSeries : LineSeries, {
+            ...(line.color && { color: line.color }),
+            lineWidth: line.lineWidth || 1,
+            lineStyle: line.lineStyle ?? LineStyle.Solid,
+            priceLineVisible: false,
+            lastValueVisible: definition.placement === 'pane',
+            crosshairMarkerVisible: false,
+        }, paneIndex),
+    }));
+
+    (indicator.levels || definition.levels || []).forEach(price => series[0].api.createPriceLine({
+        price, color: '#9CA3AF', lineWidth: 1, lineStyle: LineStyle.Dashed, axisLabelVisible: false,
+    }));
+    if (paneIndex > 0) chart.panes()[paneIndex]?.setHeight(INDICATOR_PANE_HEIGHT);
+
+    return { id: indicator.id, type: indicator.type, params, key: indicatorKey(indicator), series };
+};
+
+export const setIndicatorData = (entry, candles) => {
+    computeSeriesData(entry, candles).forEach((data, i) => entry.series[i].api.setData(data));
+};
+
+// Live tick within the current bar: only the newest point of each line changes.
+export const updateIndicatorData = (entry, candles) => {
+    computeSeriesData(entry, candles).forEach((data, i) => {
+        const last = data[data.length - 1];
+        if (last) entry.series[i].api.update(last);
+    });
+};
+
+export const removeIndicatorSeries = (chart, entry) => {
+    entry.series.forEach(({ api }) => chart.removeSeries(api));
+    // Drop indicator panes left without series, from the bottom up so indices stay valid.
+    for (let i = chart.panes().length - 1; i > 0; i--) {
+        if (chart.panes()[i].getSeries().length === 0) chart.removePane(i);
+    }
+};
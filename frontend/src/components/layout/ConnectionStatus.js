@@ -0,0 +1,44 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useWebSocket } from 'contexts/WebSocketContext';
+
+const DOT_CLASSES = {
+  connected: 'bg-secondary',
+  connecting: 'bg-warning animate-pulse',
+  reconnecting: 'bg-warning animate-pulse',
+  disconnected: 'bg-danger',
+};
+
+// Live-data connection indicator for the header. While reconnecting it counts down to the next
+// attempt; clicking it retries immediately.
+const ConnectionStatus = () => {
+  const { t } = useTranslation();
+  const { connection, reconnect } = useWebSocket();
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!connection.retryAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [connection.retryAt]);
+
+  const secondsLeft = connection.retryAt ? Math.max(0, Math.ceil((connection.retryAt - now) / 1000)) : null;
+  const label = connection.status === 'reconnecting' && secondsLeft != null
+    ? t('header.connection.retrying', { seconds: secondsLeft })
+    : t(`header.connection.${connection.status}`);
+
+  return (
+    <button
+      type="button"
+      onClick={reconnect}
+      disabled={connection.status !== 'reconnecting'}
+      title={connection.status === 'reconnecting' ? t('header.connection.retryNow', { attempt: connection.attempt }) : label}
+      className="flex items-center space-x-2 px-2 py-1 rounded-full text-xs font-medium text-light-text-secondary dark:text-dark-text-secondary enabled:hover:bg-light-bg dark:enabled:hover:bg-dark-bg/50 transition-colors"
+    >
+      <span className={`h-2.5 w-2.5 rounded-full ${DOT_CLASSES[connection.status]}`} />
+      <span className="hidden md:inline">{label}</span>
+    </button>
+  );
+};
+
+export default ConnectionStatus;
@@ -2,6 +2,8 @@ import React from 'react';
 import { useAuth } from 'contexts/AuthContext';
 import ThemeToggle from 'components/core/ThemeToggle';
 import LanguageSwitcher from 'components/core/LanguageSwitcher';
+import ConnectionStatus from './ConnectionStatus';
+import SessionTools, { SESSION_TOOLS_ENABLED } from './SessionTools';
 import { UserCircleIcon, Cog6ToothIcon, CreditCardIcon, ArrowLeftOnRectangleIcon } from '@heroicons/react/24/outline'; // Upgraded Icons
 import { Menu, Transition } from '@headlessui/react';
 import { Fragment } from 'react';
@@ -10,7 +12,7 @@ import { useTranslation } from 'react-i18next';
 import toast from 'react-hot-toast';
 
 const Header = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, isDemo } = useAuth();
   const { t } = useTranslation();
   const navigate = useNavigate();
 
@@ -28,6 +30,13 @@ const Header = () => {
   return (
     <header className="bg-light-card/80 dark:bg-dark-card/80 backdrop-blur-lg border-b border-light-border/50 dark:border-dark-border/50 p-4 flex justify-end items-center sticky top-0 z-20">
       <div className="flex items-center space-x-6">
+        {isDemo && (
+          <span title={t('header.demoHint')} className="px-2 py-1 rounded-full text-xs font-bold uppercase bg-warning/10 text-warning">
+            {t('header.demo')}
+          </span>
+        )}
+        <ConnectionStatus />
+        {SESSION_TOOLS_ENABLED && <SessionTools />}
         <LanguageSwitcher />
         <ThemeToggle />
 
@@ -87,7 +96,7 @@ const Header = () => {
                       } group flex w-full items-center rounded-md px-2 py-2 text-sm transition-colors`}
                     >
                       <ArrowLeftOnRectangleIcon className="mr-2 h-5 w-5" />
-                      {t('header.logout')}
+                      {isDemo ? t('header.exitDemo') : t('header.logout')}
                     </button>
                   )}
                 </Menu.Item>
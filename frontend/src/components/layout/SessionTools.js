@@ -0,0 +1,191 @@
+import React, { Fragment, useEffect, useRef, useState } from 'react';
+import { Popover, Transition } from '@headlessui/react';
+import toast from 'react-hot-toast';
+import { FilmIcon, PlayIcon, PauseIcon, StopIcon, ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import { useWebSocket } from 'contexts/WebSocketContext';
+import { downloadFile } from 'lib/exportReport';
+import { MAX_RECORDED_MESSAGES, REPLAY_SPEEDS, parseSessionExport, sessionFileName } from 'lib/sessionRecording';
+
+// Debugging/demo tooling, so only in development builds unless explicitly enabled.
+export const SESSION_TOOLS_ENABLED = process.env.NODE_ENV !== 'production' || process.env.REACT_APP_SESSION_TOOLS === 'true';
+
+const STATUS_POLL_MS = 250;
+
+const buttonClass = 'inline-flex items-center justify-center px-3 py-1 text-sm font-medium rounded-md border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50';
+
+const formatDuration = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Header menu to record the live WebSocket traffic to a file and replay such a file at 1x-50x.
+const SessionTools = () => {
+  const { sessionMode, startRecording, stopRecording, startReplay, stopReplay } = useWebSocket();
+  const fileInputRef = useRef(null);
+  const playerRef = useRef(null);
+  const recorderRef = useRef(null);
+  const [speed, setSpeed] = useState(1);
+  const [status, setStatus] = useState(null);
+
+  // The recorder and player run outside React; their progress is sampled while the menu is mounted.
+  useEffect(() => {
+    if (sessionMode === 'live') return undefined;
+    const timer = setInterval(() => {
+      const recorder = recorderRef.current;
+      setStatus(sessionMode === 'replay'
+        ? playerRef.current?.status()
+        : recorder && { elapsed: Date.now() - recorder.startedAt, count: recorder.count(), full: recorder.isFull() });
+    }, STATUS_POLL_MS);
+    return () => clearInterval(timer);
+  }, [sessionMode]);
+
+  const handleStartRecording = () => {
+    recorderRef.current = startRecording();
+    toast.success('Recording WebSocket traffic.');
+  };
+
+  const handleStopRecording = () => {
+    const full = recorderRef.current?.isFull();
+    const recording = stopRecording();
+    recorderRef.current = null;
+    setStatus(null);
+    if (!recording?.messages.length) {
+      toast.error('Nothing was received while recording.');
+      return;
+    }
+    downloadFile(JSON.stringify(recording), sessionFileName(recording), 'application/json');
+    toast.success(full
+      ? `Saved ${recording.messages.length} messages. Later messages were dropped at the recording limit.`
+      : `Saved ${recording.messages.length} messages.`);
+  };
+
+  const handleReplayFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const recording = parseSessionExport(await file.text());
+      playerRef.current = startReplay(recording, speed);
+      toast.success(`Replaying "${file.name}" (${recording.messages.length} messages).`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load the recording.');
+    }
+  };
+
+  const handleSpeedChange = (value) => {
+    setSpeed(value);
+    playerRef.current?.setSpeed(value);
+  };
+
+  const togglePlayback = () => {
+    const player = playerRef.current;
+    if (!player) return;
+    if (player.status().playing) player.pause(); else player.play();
+    setStatus(player.status());
+  };
+
+  const handleStopReplay = () => {
+    stopReplay();
+    playerRef.current = null;
+    setStatus(null);
+  };
+
+  const replayStatus = sessionMode === 'replay' ? status : null;
+  const recordingStatus = sessionMode === 'recording' ? status : null;
+
+  return (
+    <Popover className="relative">
+      <Popover.Button
+        title="Record or replay WebSocket sessions"
+        className="flex items-center space-x-1 p-2 rounded-full hover:bg-light-bg dark:hover:bg-dark-bg/50 transition-colors text-light-text-secondary dark:text-dark-text-secondary"
+      >
+        <FilmIcon className="h-5 w-5" />
+        {sessionMode === 'recording' && <span className="text-xs font-bold text-danger animate-pulse">REC</span>}
+        {sessionMode === 'replay' && <span className="text-xs font-bold text-warning">REPLAY</span>}
+      </Popover.Button>
+      <Transition
+        as={Fragment}
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Popover.Panel className="absolute right-0 mt-2 w-80 origin-top-right bg-white dark:bg-dark-card rounded-md shadow-lg ring-1 ring-black ring-opacity-5 p-4 z-40 space-y-4 text-sm">
+          <div>
+            <h4 className="text-xs font-semibold uppercase text-gray-500 mb-2">Record</h4>
+            {sessionMode === 'recording' ? (
+              <>
+                <div className="flex items-center justify-between">
+                  <span className="text-light-text-secondary dark:text-dark-text-secondary">
+                    Recording {recordingStatus ? formatDuration(recordingStatus.elapsed) : '0:00'} · {(recordingStatus?.count ?? 0).toLocaleString()} messages
+                  </span>
+                  <button type="button" onClick={handleStopRecording} className={buttonClass}>
+                    <StopIcon className="h-4 w-4 mr-1 text-danger" />
+                    Stop & download
+                  </button>
+                </div>
+                {recordingStatus?.full && (
+                  <p className="mt-2 text-xs text-warning">
+                    Reached the {MAX_RECORDED_MESSAGES.toLocaleString()} message limit. New messages are no longer recorded.
+                  </p>
+                )}
+              </>
+            ) : (
+              <button type="button" onClick={handleStartRecording} disabled={sessionMode === 'replay'} className={`${buttonClass} w-full`}>
+                <span className="h-2.5 w-2.5 rounded-full bg-danger mr-2" />
+                Start recording
+              </button>
+            )}
+          </div>
+
+          <div>
+            <h4 className="text-xs font-semibold uppercase text-gray-500 mb-2">Replay</h4>
+            <div className="flex items-center gap-2">
+              <select
+                value={speed}
+                onChange={(e) => handleSpeedChange(Number(e.target.value))}
+                className="rounded-md border-gray-300 shadow-sm dark:bg-dark-bg/50 dark:border-dark-border text-sm py-1"
+              >
+                {REPLAY_SPEEDS.map(value => <option key={value} value={value}>{value}x</option>)}
+              </select>
+              {sessionMode === 'replay' ? (
+                <>
+                  <button type="button" onClick={togglePlayback} className={buttonClass} title={replayStatus?.playing ? 'Pause' : 'Play'}>
+                    {replayStatus?.playing ? <PauseIcon className="h-4 w-4" /> : <PlayIcon className="h-4 w-4" />}
+                  </button>
+                  <button type="button" onClick={handleStopReplay} className={buttonClass}>
+                    <StopIcon className="h-4 w-4 mr-1" />
+                    Back to live
+                  </button>
+                </>
+              ) : (
+                <button type="button" onClick={() => fileInputRef.current.click()} disabled={sessionMode === 'recording'} className={`${buttonClass} flex-1`}>
+                  <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+                  Load recording
+                </button>
+              )}
+              <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleReplayFile} className="hidden" />
+            </div>
+            {replayStatus && (
+              <div className="mt-3 space-y-1">
+                <div className="h-1.5 rounded-full bg-gray-200 dark:bg-dark-border overflow-hidden">
+                  <div className="h-full bg-primary" style={{ width: `${(replayStatus.position / Math.max(replayStatus.duration, 1)) * 100}%` }} />
+                </div>
+                <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                  {formatDuration(replayStatus.position)} / {formatDuration(replayStatus.duration)} · {replayStatus.delivered}/{replayStatus.total} messages
+                </p>
+              </div>
+            )}
+            {sessionMode === 'replay' && (
+              <p className="mt-2 text-xs text-light-text-secondary dark:text-dark-text-secondary">Live updates are paused until you go back to live.</p>
+            )}
+          </div>
+        </Popover.Panel>
+      </Transition>
+    </Popover>
+  );
+};
+
+export default SessionTools;
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { NavLink, Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from 'contexts/AuthContext';
-import api from 'services/api';
+import { getVersion } from 'services/endpoints/system';
 
 // --- Core Components & Icons ---
 import { Logo } from 'components/core/Icons';
@@ -14,7 +14,9 @@ import {
     UsersIcon,
     PresentationChartLineIcon,
     ShieldCheckIcon,
-    BeakerIcon
+    BeakerIcon,
+    BriefcaseIcon,
+    ChartBarIcon
 } from '@heroicons/react/24/outline'; // Added ShieldCheckIcon
 
 
@@ -26,8 +28,8 @@ const Sidebar = () => {
     const [isChangelogOpen, setIsChangelogOpen] = useState(false);
 
     useEffect(() => {
-        api.get('/system/version')
-           .then(res => setVersion(res.data.version))
+        getVersion()
+           .then(data => setVersion(data.version))
            .catch(err => console.error("Could not fetch system version:", err));
     }, []);
 
@@ -36,6 +38,8 @@ const Sidebar = () => {
         { to: '/dashboard', label: t('sidebar.dashboard'), Icon: ChartPieIcon },
         { to: '/strategies', label: t('sidebar.strategies'), Icon: CpuChipIcon },
         { to: '/backtest', label: t('sidebar.backtest'), Icon: BeakerIcon },
+        { to: '/positions', label: t('sidebar.positions'), Icon: BriefcaseIcon },
+        { to: '/analytics', label: t('sidebar.analytics'), Icon: ChartBarIcon },
         { to: '/billing', label: t('sidebar.billing'), Icon: CreditCardIcon },
     ];
 
@@ -3,7 +3,8 @@ import { motion } from 'framer-motion';
 import { Switch } from '@headlessui/react';
 import { STRATEGIES_CONFIG } from 'config/strategies.config';
 
-const StrategyCard = ({ strategy, onToggleStatus, onEdit, onDelete }) => {
+// Clicking the card selects it (shows it on the strategy chart); the controls keep their own actions.
+const StrategyCard = ({ strategy, isSelected, onSelect, onToggleStatus, onEdit, onDelete }) => {
   const config = STRATEGIES_CONFIG[strategy.strategy_name];
   const isEnabled = strategy.status === 'active';
 
@@ -20,7 +21,8 @@ const StrategyCard = ({ strategy, onToggleStatus, onEdit, onDelete }) => {
       animate={{ opacity: 1, scale: 1 }}
       exit={{ opacity: 0, scale: 0.8 }}
       transition={{ type: 'spring', stiffness: 300, damping: 25 }}
-      className="bg-white dark:bg-dark-card rounded-xl shadow-md border border-gray-200 dark:border-dark-border p-6 flex flex-col"
+      onClick={() => onSelect?.(strategy)}
+      className={`bg-white dark:bg-dark-card rounded-xl shadow-md border p-6 flex flex-col cursor-pointer ${isSelected ? 'border-primary ring-2 ring-primary/40' : 'border-gray-200 dark:border-dark-border'}`}
     >
       <div className="flex justify-between items-start">
         <div>
@@ -41,7 +43,7 @@ const StrategyCard = ({ strategy, onToggleStatus, onEdit, onDelete }) => {
         ))}
       </div>
 
-      <div className="mt-auto pt-4 border-t border-gray-200 dark:border-dark-border flex items-center justify-between">
+      <div onClick={(e) => e.stopPropagation()} className="mt-auto pt-4 border-t border-gray-200 dark:border-dark-border flex items-center justify-between">
         <div className="flex items-center">
             <Switch
                 checked={isEnabled}
@@ -0,0 +1,60 @@
+import React, { useMemo } from 'react';
+import useSWR from 'swr';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { getStrategyTrades } from 'services/endpoints/strategies';
+import TradingChart from 'components/dashboard/TradingChart';
+import usePositions from 'hooks/usePositions';
+import { STRATEGIES_CONFIG } from 'config/strategies.config';
+import { indicatorLabel } from 'lib/indicators';
+import { tradesToChartMarkers } from 'lib/backtest';
+import { strategyIndicators, strategyPositions, positionPriceLines } from 'lib/strategyChart';
+
+const NO_TRADES = [];
+
+// Chart of the selected strategy: its symbol/timeframe, the indicators behind its rules,
+// every entry/exit it has taken and the SL/TP of the positions it still has open.
+const StrategyChartPanel = ({ strategy, onClose }) => {
+  const { data: trades = NO_TRADES, error: tradesError } = useSWR(`/strategies/${strategy.id}/trades`, () => getStrategyTrades(strategy.id), {
+    revalidateOnFocus: false,
+  });
+  const { positions } = usePositions();
+
+  const indicators = useMemo(() => strategyIndicators(strategy), [strategy]);
+  const markers = useMemo(() => tradesToChartMarkers(trades, strategy.timeframe), [trades, strategy.timeframe]);
+  const openPositions = useMemo(() => strategyPositions(positions, strategy), [positions, strategy]);
+  const priceLines = useMemo(() => positionPriceLines(openPositions), [openPositions]);
+
+  const config = STRATEGIES_CONFIG[strategy.strategy_name];
+
+  return (
+    <div className="glass-card p-4 md:p-6 mb-6 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h2 className="text-xl font-semibold text-light-text dark:text-dark-text">{config?.name || strategy.strategy_name}</h2>
+          <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+            {strategy.symbol} - {strategy.timeframe}
+            {indicators.length > 0 && ` · ${indicators.map(indicatorLabel).join(', ')}`}
+          </p>
+        </div>
+        <button type="button" onClick={onClose} title="Close chart" className="p-1 text-gray-400 hover:text-primary">
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      <TradingChart
+        symbol={strategy.symbol}
+        timeframe={strategy.timeframe}
+        indicators={indicators}
+        markers={markers}
+        priceLines={priceLines}
+      />
+
+      <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs text-light-text-secondary dark:text-dark-text-secondary">
+        <span>{tradesError ? 'Trade history unavailable' : `${trades.length} trades`}</span>
+        <span>{openPositions.length} open positions</span>
+      </div>
+    </div>
+  );
+};
+
+export default StrategyChartPanel;
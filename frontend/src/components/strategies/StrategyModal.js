@@ -7,7 +7,7 @@ import MultiSelect from 'components/core/MultiSelect';
 import { useAuth } from 'contexts/AuthContext';
 import { Link } from 'react-router-dom';
 
-const StrategyModal = ({ isOpen, onClose, onSubmit, strategy }) => {
+const StrategyModal = ({ isOpen, onClose, onSubmit, strategy, initialValues }) => {
   const { user } = useAuth();
   const isEditing = !!strategy;
 
@@ -17,11 +17,12 @@ const StrategyModal = ({ isOpen, onClose, onSubmit, strategy }) => {
     watch,
     reset,
     control, // react-hook-form's Controller for custom components
+    setError,
     formState: { errors },
   } = useForm();
 
   // Watch the selected strategy name to dynamically update the form and UI
-  const selectedStrategyName = watch("strategy_name", isEditing ? strategy.strategy_name : Object.keys(STRATEGIES_CONFIG)[0]);
+  const selectedStrategyName = watch("strategy_name", isEditing ? strategy.strategy_name : initialValues?.strategy_name || Object.keys(STRATEGIES_CONFIG)[0]);
   const selectedStrategyConfig = STRATEGIES_CONFIG[selectedStrategyName];
 
   // Determine if the user has a plan that allows premium features
@@ -41,8 +42,9 @@ const StrategyModal = ({ isOpen, onClose, onSubmit, strategy }) => {
           ...strategy.parameters,
         });
       } else {
-        // Set the form to the default values for creating a new strategy
-        const defaultKey = Object.keys(STRATEGIES_CONFIG)[0];
+        // Set the form to the default values for creating a new strategy,
+        // overlaid with any prefill supplied by the caller (e.g. an optimizer result)
+        const defaultKey = initialValues?.strategy_name || Object.keys(STRATEGIES_CONFIG)[0];
         const defaultConfig = STRATEGIES_CONFIG[defaultKey];
         const defaultParams = defaultConfig.parameters.reduce((acc, param) => {
           acc[param.name] = param.defaultValue;
@@ -50,13 +52,14 @@ const StrategyModal = ({ isOpen, onClose, onSubmit, strategy }) => {
         }, {});
         reset({
           strategy_name: defaultKey,
-          symbol: 'EURUSD',
-          timeframe: 'H1',
+          symbol: initialValues?.symbol || 'EURUSD',
+          timeframe: initialValues?.timeframe || 'H1',
           ...defaultParams,
+          ...initialValues?.parameters,
         });
       }
     }
-  }, [isOpen, isEditing, strategy, reset]);
+  }, [isOpen, isEditing, strategy, initialValues, reset]);
 
   // Prepares and sends the data to the parent component's submit handler
   const handleFormSubmit = (data) => {
@@ -71,7 +74,12 @@ const StrategyModal = ({ isOpen, onClose, onSubmit, strategy }) => {
       timeframe,
       parameters: cleanedParameters,
     };
-    onSubmit(payload);
+    // Validation errors from the server are shown next to the fields they belong to; the parent reports the rest.
+    Promise.resolve(onSubmit(payload)).catch((error) => {
+      Object.entries(error?.fieldErrors || {}).forEach(([path, message]) => {
+        setError(path.replace(/^parameters\./, ''), { type: 'server', message });
+      });
+    });
   };
 
   // Dynamically renders the correct input fields based on the selected strategy's configuration
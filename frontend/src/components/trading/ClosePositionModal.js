@@ -0,0 +1,132 @@
+import React, { Fragment, useEffect, useState } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import toast from 'react-hot-toast';
+import { apiErrorMessage } from 'services/api';
+import { closePosition } from 'services/endpoints/trading';
+import useSymbolInfo from 'hooks/useSymbolInfo';
+import { roundVolume } from 'lib/orderSizing';
+import { formatCurrency } from 'lib/format';
+
+// Closes all or part of an open position. `profit` is the position's current (live) P&L, used to
+// estimate what the closed part realises.
+const ClosePositionModal = ({ position, profit, currency, onClose, onClosed }) => {
+  const { symbolInfo } = useSymbolInfo(position?.symbol);
+  const [volume, setVolume] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (position) setVolume(position.volume);
+  }, [position]);
+
+  const renderBody = () => {
+    const closeVolume = Number(volume);
+    const isPartial = closeVolume < position.volume;
+    // Partial closes must leave at least the minimum volume open.
+    const isValid = closeVolume > 0 && closeVolume <= position.volume
+      && roundVolume(closeVolume, symbolInfo) === closeVolume
+      && (!isPartial || position.volume - closeVolume >= symbolInfo.volume_min - 1e-9);
+
+    const submit = async () => {
+      setIsSubmitting(true);
+      try {
+        await closePosition(position.ticket, closeVolume);
+        toast.success(isPartial ? `Closed ${closeVolume} of ${position.volume} lots of #${position.ticket}.` : `Position #${position.ticket} closed.`);
+        onClosed?.();
+        onClose();
+      } catch (err) {
+        toast.error(apiErrorMessage(err, 'Failed to close position.'));
+      } finally {
+        setIsSubmitting(false);
+      }
+    };
+
+    return (
+      <>
+        <Dialog.Title as="h3" className="text-lg font-semibold leading-6 text-gray-900 dark:text-white">
+          Close Position
+        </Dialog.Title>
+        <p className="mt-1 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+          {position.type} {position.volume} {position.symbol} #{position.ticket}
+        </p>
+        <label className="block mt-4 text-sm font-medium text-light-text-secondary dark:text-dark-text-secondary">
+          Volume to close
+          <input
+            type="number"
+            min={symbolInfo.volume_min}
+            max={position.volume}
+            step={symbolInfo.volume_step}
+            value={volume}
+            onChange={(e) => setVolume(e.target.value)}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm dark:bg-gray-800 dark:border-dark-border focus:ring-primary focus:border-primary sm:text-sm"
+          />
+        </label>
+        <div className="mt-2 flex gap-2">
+          {[0.25, 0.5, 1].map(fraction => (
+            <button
+              key={fraction}
+              type="button"
+              onClick={() => setVolume(fraction === 1 ? position.volume : roundVolume(position.volume * fraction, symbolInfo))}
+              className="px-2 py-1 text-xs rounded-md bg-light-bg dark:bg-dark-bg/50 hover:text-primary"
+            >
+              {fraction * 100}%
+            </button>
+          ))}
+        </div>
+        <p className="mt-3 text-sm">
+          Estimated realised P&L:{' '}
+          <span className={`font-semibold ${profit >= 0 ? 'text-secondary' : 'text-danger'}`}>
+            {formatCurrency((profit * (closeVolume || 0)) / position.volume, currency)}
+          </span>
+        </p>
+        {!isValid && (
+          <p className="mt-2 text-xs text-danger">
+            Enter a volume in steps of {symbolInfo.volume_step}, up to {position.volume}, leaving at least {symbolInfo.volume_min} lots open.
+          </p>
+        )}
+        <div className="mt-5 sm:mt-4 sm:flex sm:flex-row-reverse">
+          <button
+            type="button"
+            onClick={submit}
+            disabled={!isValid || isSubmitting}
+            className="inline-flex w-full justify-center rounded-md bg-danger px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed sm:ml-3 sm:w-auto"
+          >
+            {isSubmitting ? 'Closing...' : isPartial ? 'Close Partially' : 'Close Position'}
+          </button>
+          <button type="button" onClick={onClose} className="mt-3 inline-flex w-full justify-center rounded-md bg-white px-4 py-2 text-sm text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50 dark:bg-dark-border dark:text-white dark:hover:bg-dark-border/50 sm:mt-0 sm:w-auto">
+            Cancel
+          </button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <Transition appear show={Boolean(position)} as={Fragment}>
+      <Dialog as="div" className="relative z-30" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300" enterFrom="opacity-0" enterTo="opacity-100"
+          leave="ease-in duration-200" leaveFrom="opacity-100" leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black/50 backdrop-blur-sm" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300" enterFrom="opacity-0 scale-95" enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200" leaveFrom="opacity-100 scale-100" leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white dark:bg-dark-card p-6 text-left align-middle shadow-xl transition-all">
+                {position && renderBody()}
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+};
+
+export default ClosePositionModal;
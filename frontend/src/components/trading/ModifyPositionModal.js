@@ -0,0 +1,132 @@
+import React, { Fragment, useEffect, useState } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import toast from 'react-hot-toast';
+import { apiErrorMessage } from 'services/api';
+import { modifyPosition } from 'services/endpoints/trading';
+import useAccount from 'hooks/useAccount';
+import useSymbolInfo from 'hooks/useSymbolInfo';
+import { summarizeOrderRisk, validateStops } from 'lib/orderSizing';
+import RiskSummary from './RiskSummary';
+
+const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm dark:bg-gray-800 dark:border-dark-border focus:ring-primary focus:border-primary sm:text-sm';
+
+// Edits the stop loss and take profit of an open position, from the positions list or after dragging
+// a line on the chart. `modification` is { position, sl, tp } with the proposed values to start from.
+const ModifyPositionModal = ({ modification, onClose, onModified }) => {
+  const { account } = useAccount();
+  const { symbolInfo } = useSymbolInfo(modification?.position.symbol);
+  const [stops, setStops] = useState({ sl: '', tp: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!modification) return;
+    const round = (price) => (price ? Number(price.toFixed(symbolInfo.digits)) : '');
+    setStops({ sl: round(modification.sl), tp: round(modification.tp) });
+  }, [modification, symbolInfo.digits]);
+
+  const renderBody = () => {
+    const { position } = modification;
+    const stopLoss = Number(stops.sl) || null;
+    const takeProfit = Number(stops.tp) || null;
+    const entry = position.price_open ?? position.entry_price;
+    const error = validateStops({ side: position.type, entry, stopLoss, takeProfit });
+    const summary = summarizeOrderRisk({
+      volume: position.volume, entry, stopLoss, takeProfit, balance: account?.balance, symbolInfo,
+    });
+    const formatPrice = (price) => (price ? price.toFixed(symbolInfo.digits) : 'None');
+    const isUnchanged = stopLoss === (position.sl || null) && takeProfit === (position.tp || null);
+
+    const submit = async () => {
+      setIsSubmitting(true);
+      try {
+        await modifyPosition(position.ticket, { sl: stopLoss, tp: takeProfit });
+        toast.success(`Position #${position.ticket} modified.`);
+        onModified?.();
+        onClose();
+      } catch (err) {
+        toast.error(apiErrorMessage(err, 'Failed to modify position.'));
+      } finally {
+        setIsSubmitting(false);
+      }
+    };
+
+    return (
+      <>
+        <Dialog.Title as="h3" className="text-lg font-semibold leading-6 text-gray-900 dark:text-white">
+          Modify Position
+        </Dialog.Title>
+        <p className="mt-1 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+          {position.type} {position.volume} {position.symbol} #{position.ticket}
+        </p>
+        <div className="mt-4 grid grid-cols-2 gap-4">
+          {[['sl', 'Stop Loss'], ['tp', 'Take Profit']].map(([field, label]) => (
+            <label key={field} className="block text-sm font-medium text-light-text-secondary dark:text-dark-text-secondary">
+              {label}
+              <input
+                type="number"
+                step="any"
+                value={stops[field]}
+                onChange={(e) => setStops(prev => ({ ...prev, [field]: e.target.value }))}
+                className={inputClass}
+              />
+            </label>
+          ))}
+        </div>
+        <div className="mt-4">
+          <RiskSummary
+            summary={summary}
+            currency={account?.currency}
+            details={[
+              ['Entry', formatPrice(entry)],
+              ['Current SL / TP', `${formatPrice(position.sl)} / ${formatPrice(position.tp)}`],
+            ]}
+          />
+        </div>
+        {error && <p className="mt-2 text-xs text-danger">{error}</p>}
+        <div className="mt-5 sm:mt-4 sm:flex sm:flex-row-reverse">
+          <button
+            type="button"
+            onClick={submit}
+            disabled={Boolean(error) || isUnchanged || isSubmitting}
+            className="inline-flex w-full justify-center rounded-md bg-primary px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-primary-700 disabled:bg-gray-400 disabled:cursor-not-allowed sm:ml-3 sm:w-auto"
+          >
+            {isSubmitting ? 'Saving...' : 'Confirm'}
+          </button>
+          <button type="button" onClick={onClose} className="mt-3 inline-flex w-full justify-center rounded-md bg-white px-4 py-2 text-sm text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50 dark:bg-dark-border dark:text-white dark:hover:bg-dark-border/50 sm:mt-0 sm:w-auto">
+            Cancel
+          </button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <Transition appear show={Boolean(modification)} as={Fragment}>
+      <Dialog as="div" className="relative z-30" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300" enterFrom="opacity-0" enterTo="opacity-100"
+          leave="ease-in duration-200" leaveFrom="opacity-100" leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black/50 backdrop-blur-sm" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300" enterFrom="opacity-0 scale-95" enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200" leaveFrom="opacity-100 scale-100" leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white dark:bg-dark-card p-6 text-left align-middle shadow-xl transition-all">
+                {modification && renderBody()}
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+};
+
+export default ModifyPositionModal;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { formatCurrency } from 'lib/format';
+
+const headerClass = 'px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+const cellClass = 'px-4 py-2 whitespace-nowrap';
+
+const formatPrice = (price, digits = 5) => (price ? price.toFixed(digits) : '–');
+
+// Open positions with their live P&L. `rows` are [{ position, profit, price, digits }] prepared by the page.
+const OpenPositionsTable = ({ rows, currency, strategyName, onClose, onModify }) => {
+  if (rows.length === 0) {
+    return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">No open positions.</p>;
+  }
+
+  return (
+    <div className="overflow-auto rounded-lg border border-light-border dark:border-dark-border">
+      <table className="min-w-full divide-y divide-light-border dark:divide-dark-border text-sm">
+        <thead className="bg-gray-50 dark:bg-gray-800/50">
+          <tr>
+            {['Ticket', 'Opened', 'Symbol', 'Side', 'Volume', 'Open', 'Current', 'SL', 'TP', 'Strategy', 'P&L', ''].map(label => (
+              <th key={label} className={headerClass}>{label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white dark:bg-dark-card divide-y divide-light-border dark:divide-dark-border">
+          {rows.map(({ position, profit, price, digits }) => (
+            <tr key={position.ticket} className="hover:bg-gray-50 dark:hover:bg-dark-border/20">
+              <td className={`${cellClass} text-gray-500`}>{position.ticket}</td>
+              <td className={cellClass}>{new Date(position.time).toLocaleString()}</td>
+              <td className={`${cellClass} font-medium`}>{position.symbol}</td>
+              <td className={`${cellClass} font-medium ${position.type === 'BUY' ? 'text-blue-500' : 'text-pink-500'}`}>{position.type}</td>
+              <td className={cellClass}>{position.volume}</td>
+              <td className={cellClass}>{formatPrice(position.price_open, digits)}</td>
+              <td className={cellClass}>{formatPrice(price, digits)}</td>
+              <td className={cellClass}>{formatPrice(position.sl, digits)}</td>
+              <td className={cellClass}>{formatPrice(position.tp, digits)}</td>
+              <td className={cellClass}>{strategyName(position.strategy_id)}</td>
+              <td className={`${cellClass} font-semibold ${profit >= 0 ? 'text-secondary' : 'text-danger'}`}>{formatCurrency(profit, currency)}</td>
+              <td className={`${cellClass} text-right space-x-2`}>
+                <button type="button" onClick={() => onModify(position)} className="px-2 py-1 text-xs font-medium text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900/50 rounded">Modify</button>
+                <button type="button" onClick={() => onClose(position, profit)} className="px-2 py-1 text-xs font-medium text-red-600 hover:bg-red-100 dark:hover:bg-red-900/50 rounded">Close</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default OpenPositionsTable;
@@ -0,0 +1,234 @@
+import React, { Fragment, useEffect, useState } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { apiErrorMessage } from 'services/api';
+import { placeOrder } from 'services/endpoints/trading';
+import useWebSocketSubscription from 'hooks/useWebSocketSubscription';
+import useAccount from 'hooks/useAccount';
+import useSymbolInfo from 'hooks/useSymbolInfo';
+import { calculateLotSize, summarizeOrderRisk, validateStops, validatePendingPrice } from 'lib/orderSizing';
+import RiskSummary from './RiskSummary';
+
+const ORDER_TYPES = [
+  { value: 'market', label: 'Market' },
+  { value: 'limit', label: 'Limit' },
+  { value: 'stop', label: 'Stop' },
+];
+
+// Upper bound of the risk a single manual order may take, in percent of the balance.
+const MAX_RISK_PERCENT = 10;
+
+const DEFAULT_VALUES = { side: 'BUY', order_type: 'market', price: '', stop_loss: '', take_profit: '', risk_percent: 1 };
+
+const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm dark:bg-gray-800 dark:border-dark-border focus:ring-primary focus:border-primary sm:text-sm';
+const labelClass = 'block text-sm font-medium text-light-text-secondary dark:text-dark-text-secondary';
+
+// Manual order for `symbol`, sized from a risk percentage of the balance and the stop-loss distance.
+// `price` is the chart's last price, used for market orders until a live quote arrives.
+// The order is only sent from the review step, which shows the risk in account currency. Volume, entry and
+// risk are frozen when the review opens, so the order sent is the one confirmed; going back re-quotes.
+const OrderTicket = ({ isOpen, onClose, symbol, price, onPlaced }) => {
+  const { account } = useAccount();
+  const { symbolInfo, isFallback } = useSymbolInfo(isOpen ? symbol : null);
+  const [quote, setQuote] = useState(null);
+  const [review, setReview] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { register, watch, reset, setValue, handleSubmit } = useForm({ defaultValues: DEFAULT_VALUES });
+
+  useEffect(() => {
+    if (isOpen) {
+      reset(DEFAULT_VALUES);
+      setQuote(null);
+      setReview(null);
+    }
+  }, [isOpen, symbol, reset]);
+
+  useWebSocketSubscription(isOpen ? `tick:${symbol}` : null, (tick) => setQuote(tick));
+
+  const values = watch();
+  const side = values.side;
+  const orderType = values.order_type;
+  // Buys fill at the ask and sells at the bid.
+  const marketPrice = (side === 'BUY' ? quote?.ask : quote?.bid) ?? price;
+  const entry = orderType === 'market' ? marketPrice : values.price;
+  const stopLoss = values.stop_loss || null;
+  const takeProfit = values.take_profit || null;
+  const balance = account?.balance;
+  const currency = account?.currency;
+
+  const volume = entry && stopLoss
+    ? calculateLotSize({ balance, riskPercent: values.risk_percent, entry, stopLoss, symbolInfo })
+    : null;
+  const validationError = (!entry && (orderType === 'market' ? 'No market price available yet.' : 'Enter the order price.'))
+    || validatePendingPrice({ side, orderType, price: values.price, marketPrice })
+    || (!stopLoss && 'A stop loss is required to size the position from risk.')
+    || validateStops({ side, entry, stopLoss, takeProfit })
+    || (!balance && 'Account balance is unavailable; connect MT5 to size the position.')
+    || (!(values.risk_percent > 0 && values.risk_percent <= MAX_RISK_PERCENT) && `Enter a risk between 0.01% and ${MAX_RISK_PERCENT}%.`)
+    || (!volume && 'Enter a risk percentage.');
+  const summary = volume ? summarizeOrderRisk({ volume, entry, stopLoss, takeProfit, balance, symbolInfo }) : null;
+  const formatPrice = (value) => (value == null || value === '' ? '-' : Number(value).toFixed(symbolInfo.digits));
+
+  const startReview = () => setReview({
+    side, orderType, volume, entry, stopLoss, takeProfit, summary, riskPercent: values.risk_percent,
+  });
+
+  const submitOrder = async () => {
+    setIsSubmitting(true);
+    try {
+      await placeOrder({
+        symbol,
+        type: review.side,
+        order_type: review.orderType,
+        volume: review.volume,
+        ...(review.orderType !== 'market' && { price: review.entry }),
+        sl: review.stopLoss,
+        tp: review.takeProfit,
+      });
+      toast.success(`${review.side} ${review.orderType} order for ${review.volume} ${symbol} placed.`);
+      onPlaced?.();
+      onClose();
+    } catch (error) {
+      toast.error(apiErrorMessage(error, 'Failed to place order.'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-30" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300" enterFrom="opacity-0" enterTo="opacity-100"
+          leave="ease-in duration-200" leaveFrom="opacity-100" leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black/50 backdrop-blur-sm" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300" enterFrom="opacity-0 scale-95" enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200" leaveFrom="opacity-100 scale-100" leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white dark:bg-dark-card p-6 text-left align-middle shadow-xl transition-all">
+                <Dialog.Title as="h3" className="text-xl font-bold leading-6 text-gray-900 dark:text-white">
+                  {review ? 'Confirm Order' : `New Order: ${symbol}`}
+                </Dialog.Title>
+                {quote && (
+                  <p className="mt-1 text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                    Bid {formatPrice(quote.bid)} / Ask {formatPrice(quote.ask)}
+                  </p>
+                )}
+
+                {review ? (
+                  <div className="mt-6 space-y-4">
+                    <RiskSummary
+                      summary={review.summary}
+                      currency={currency}
+                      details={[
+                        ['Order', `${review.side} ${ORDER_TYPES.find(t => t.value === review.orderType).label} ${symbol}`],
+                        ['Volume', `${review.volume} lots`],
+                        ['Entry', review.orderType === 'market' ? `Market (~${formatPrice(review.entry)})` : formatPrice(review.entry)],
+                        ['Stop loss', formatPrice(review.stopLoss)],
+                        ['Take profit', formatPrice(review.takeProfit)],
+                      ]}
+                    />
+                    {review.summary.riskPercent > review.riskPercent * 1.05 && (
+                      <p className="text-xs text-yellow-700 dark:text-yellow-300">
+                        The minimum volume of {symbolInfo.volume_min} lots risks more than the requested {review.riskPercent}%.
+                      </p>
+                    )}
+                    <div className="mt-8 flex justify-end space-x-4">
+                      <button type="button" onClick={() => setReview(null)} className="px-4 py-2 text-sm font-medium rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors">Back</button>
+                      <button
+                        type="button"
+                        onClick={submitOrder}
+                        disabled={isSubmitting}
+                        className={`px-6 py-2 text-sm font-medium text-white rounded-md shadow-sm transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed ${review.side === 'BUY' ? 'bg-secondary hover:bg-green-600' : 'bg-danger hover:bg-red-700'}`}
+                      >
+                        {isSubmitting ? 'Placing...' : `Place ${review.side} Order`}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <form onSubmit={handleSubmit(startReview)} className="mt-6 space-y-4">
+                    <input type="hidden" {...register('side')} />
+                    <div className="grid grid-cols-2 gap-2">
+                      {['BUY', 'SELL'].map(option => (
+                        <button
+                          key={option}
+                          type="button"
+                          onClick={() => setValue('side', option)}
+                          className={`py-2 text-sm font-semibold rounded-md border transition-colors ${side === option
+                            ? (option === 'BUY' ? 'bg-secondary text-white border-secondary' : 'bg-danger text-white border-danger')
+                            : 'border-gray-300 dark:border-dark-border text-light-text-secondary dark:text-dark-text-secondary'}`}
+                        >
+                          {option}
+                        </button>
+                      ))}
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <label htmlFor="order_type" className={labelClass}>Order Type</label>
+                        <select id="order_type" {...register('order_type')} className={inputClass}>
+                          {ORDER_TYPES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                      </div>
+                      <div>
+                        <label htmlFor="price" className={labelClass}>Price</label>
+                        {orderType === 'market' ? (
+                          <input id="price" disabled value={formatPrice(marketPrice)} className={`${inputClass} opacity-60`} />
+                        ) : (
+                          <input id="price" type="number" step="any" {...register('price', { valueAsNumber: true })} className={inputClass} />
+                        )}
+                      </div>
+                      <div>
+                        <label htmlFor="stop_loss" className={labelClass}>Stop Loss</label>
+                        <input id="stop_loss" type="number" step="any" {...register('stop_loss', { valueAsNumber: true })} className={inputClass} />
+                      </div>
+                      <div>
+                        <label htmlFor="take_profit" className={labelClass}>Take Profit</label>
+                        <input id="take_profit" type="number" step="any" {...register('take_profit', { valueAsNumber: true })} className={inputClass} />
+                      </div>
+                      <div>
+                        <label htmlFor="risk_percent" className={labelClass}>Risk % of Balance</label>
+                        <input id="risk_percent" type="number" step="0.1" min="0.01" max={MAX_RISK_PERCENT} {...register('risk_percent', { valueAsNumber: true, min: 0.01, max: MAX_RISK_PERCENT })} className={inputClass} />
+                      </div>
+                      <div>
+                        <span className={labelClass}>Volume</span>
+                        <p className="mt-1 py-2 text-sm font-semibold">{volume ? `${volume} lots` : '-'}</p>
+                      </div>
+                    </div>
+
+                    {isFallback && (
+                      <p className="text-xs text-yellow-700 dark:text-yellow-300">Contract specs for {symbol} are unavailable; sizing uses generic FX values.</p>
+                    )}
+                    {validationError && <p className="text-xs text-danger">{validationError}</p>}
+
+                    <div className="mt-8 flex justify-end space-x-4">
+                      <button type="button" onClick={onClose} className="px-4 py-2 text-sm font-medium rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors">Cancel</button>
+                      <button
+                        type="submit"
+                        disabled={Boolean(validationError)}
+                        className="px-6 py-2 text-sm font-medium text-white bg-primary hover:bg-primary-700 rounded-md shadow-sm transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed dark:disabled:bg-gray-600"
+                      >
+                        Review Order
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+};
+
+export default OrderTicket;
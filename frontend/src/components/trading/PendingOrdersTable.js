@@ -0,0 +1,47 @@
+import React from 'react';
+
+const headerClass = 'px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+const cellClass = 'px-4 py-2 whitespace-nowrap';
+
+const formatPrice = (price) => (price ? String(price) : '–');
+
+// Limit/stop orders waiting to trigger. MT5 reports their type as e.g. "BUY_LIMIT".
+const PendingOrdersTable = ({ orders, strategyName, onCancel }) => {
+  if (orders.length === 0) {
+    return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">No pending orders.</p>;
+  }
+
+  return (
+    <div className="overflow-auto rounded-lg border border-light-border dark:border-dark-border">
+      <table className="min-w-full divide-y divide-light-border dark:divide-dark-border text-sm">
+        <thead className="bg-gray-50 dark:bg-gray-800/50">
+          <tr>
+            {['Ticket', 'Placed', 'Symbol', 'Type', 'Volume', 'Price', 'SL', 'TP', 'Strategy', ''].map(label => (
+              <th key={label} className={headerClass}>{label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white dark:bg-dark-card divide-y divide-light-border dark:divide-dark-border">
+          {orders.map(order => (
+            <tr key={order.ticket} className="hover:bg-gray-50 dark:hover:bg-dark-border/20">
+              <td className={`${cellClass} text-gray-500`}>{order.ticket}</td>
+              <td className={cellClass}>{new Date(order.time).toLocaleString()}</td>
+              <td className={`${cellClass} font-medium`}>{order.symbol}</td>
+              <td className={`${cellClass} font-medium ${order.type?.startsWith('BUY') ? 'text-blue-500' : 'text-pink-500'}`}>{order.type?.replace('_', ' ')}</td>
+              <td className={cellClass}>{order.volume}</td>
+              <td className={cellClass}>{formatPrice(order.price_open ?? order.price)}</td>
+              <td className={cellClass}>{formatPrice(order.sl)}</td>
+              <td className={cellClass}>{formatPrice(order.tp)}</td>
+              <td className={cellClass}>{strategyName(order.strategy_id)}</td>
+              <td className={`${cellClass} text-right`}>
+                <button type="button" onClick={() => onCancel(order)} className="px-2 py-1 text-xs font-medium text-red-600 hover:bg-red-100 dark:hover:bg-red-900/50 rounded">Cancel</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PendingOrdersTable;
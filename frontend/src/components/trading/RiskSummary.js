@@ -0,0 +1,28 @@
+import React from 'react';
+import { formatCurrency } from 'lib/format';
+
+// Read-only confirmation rows for a trade: the caller's details (e.g. volume, prices) followed by
+// the risk and reward from lib/orderSizing's summarizeOrderRisk, in account currency.
+const RiskSummary = ({ details = [], summary, currency }) => {
+  const rows = [
+    ...details,
+    ['Risk', summary.risk == null
+      ? 'No stop loss'
+      : `${formatCurrency(summary.risk, currency)}${summary.riskPercent != null ? ` (${summary.riskPercent.toFixed(2)}% of balance)` : ''}`],
+    ['Potential reward', summary.reward == null ? 'No take profit' : formatCurrency(summary.reward, currency)],
+    ['Reward : Risk', summary.rewardRatio == null ? '-' : `${summary.rewardRatio.toFixed(2)} : 1`],
+  ];
+
+  return (
+    <dl className="divide-y divide-light-border dark:divide-dark-border text-sm rounded-lg bg-light-bg dark:bg-dark-bg/50 px-4">
+      {rows.map(([label, value]) => (
+        <div key={label} className="flex justify-between py-2">
+          <dt className="text-light-text-secondary dark:text-dark-text-secondary">{label}</dt>
+          <dd className={`font-semibold ${label === 'Risk' && summary.risk != null ? 'text-danger' : ''}`}>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+export default RiskSummary;
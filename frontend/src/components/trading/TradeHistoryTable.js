@@ -0,0 +1,47 @@
+import React from 'react';
+import { formatCurrency } from 'lib/format';
+
+const headerClass = 'px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+const cellClass = 'px-4 py-2 whitespace-nowrap';
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : '–');
+
+// Closed trades, newest first as returned by /trade/history.
+const TradeHistoryTable = ({ deals, currency, strategyName }) => {
+  if (deals.length === 0) {
+    return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">No closed trades match the filters.</p>;
+  }
+
+  return (
+    <div className="max-h-[32rem] overflow-auto rounded-lg border border-light-border dark:border-dark-border">
+      <table className="min-w-full divide-y divide-light-border dark:divide-dark-border text-sm">
+        <thead className="bg-gray-50 dark:bg-gray-800/50 sticky top-0">
+          <tr>
+            {['Ticket', 'Opened', 'Closed', 'Symbol', 'Side', 'Volume', 'Open', 'Close', 'Strategy', 'Costs', 'P&L'].map(label => (
+              <th key={label} className={headerClass}>{label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white dark:bg-dark-card divide-y divide-light-border dark:divide-dark-border">
+          {deals.map(deal => (
+            <tr key={deal.ticket} className="hover:bg-gray-50 dark:hover:bg-dark-border/20">
+              <td className={`${cellClass} text-gray-500`}>{deal.ticket}</td>
+              <td className={cellClass}>{formatTime(deal.time)}</td>
+              <td className={cellClass}>{formatTime(deal.time_close)}</td>
+              <td className={`${cellClass} font-medium`}>{deal.symbol}</td>
+              <td className={`${cellClass} font-medium ${deal.type === 'BUY' ? 'text-blue-500' : 'text-pink-500'}`}>{deal.type}</td>
+              <td className={cellClass}>{deal.volume}</td>
+              <td className={cellClass}>{deal.price_open ?? '–'}</td>
+              <td className={cellClass}>{deal.price_close ?? '–'}</td>
+              <td className={cellClass}>{strategyName(deal.strategy_id)}</td>
+              <td className={`${cellClass} text-gray-500`}>{formatCurrency((deal.commission || 0) + (deal.swap || 0), currency)}</td>
+              <td className={`${cellClass} font-semibold ${deal.profit >= 0 ? 'text-secondary' : 'text-danger'}`}>{formatCurrency(deal.profit, currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default TradeHistoryTable;
@@ -0,0 +1,34 @@
+// Typical trading-cost profiles per broker account type, used to prefill the
+// "Costs" section of the Backtest page. Spreads and slippage are in points,
+// commission is per round-turn lot, swaps are in account currency per lot per night.
+export const DEFAULT_COSTS = {
+    spread_mode: 'fixed',
+    spread_points: 10,
+    commission_per_lot: 0,
+    slippage_points: 0,
+    swap_long: 0,
+    swap_short: 0,
+};
+
+export const COST_PRESETS = {
+    standard: {
+        name: "Standard Account",
+        costs: { spread_mode: 'fixed', spread_points: 15, commission_per_lot: 0, slippage_points: 2, swap_long: -6.5, swap_short: 1.2 },
+    },
+    raw: {
+        name: "Raw / ECN Account",
+        costs: { spread_mode: 'historical', spread_points: 2, commission_per_lot: 7, slippage_points: 1, swap_long: -6.5, swap_short: 1.2 },
+    },
+    pro: {
+        name: "Pro Account",
+        costs: { spread_mode: 'fixed', spread_points: 8, commission_per_lot: 3.5, slippage_points: 1, swap_long: -6.0, swap_short: 1.0 },
+    },
+    swap_free: {
+        name: "Swap-Free (Islamic) Account",
+        costs: { spread_mode: 'fixed', spread_points: 18, commission_per_lot: 0, slippage_points: 2, swap_long: 0, swap_short: 0 },
+    },
+    frictionless: {
+        name: "No Costs (theoretical)",
+        costs: { spread_mode: 'fixed', spread_points: 0, commission_per_lot: 0, slippage_points: 0, swap_long: 0, swap_short: 0 },
+    },
+};
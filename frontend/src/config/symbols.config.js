@@ -0,0 +1,19 @@
+// Instruments offered when building a multi-symbol basket on the Backtest page.
+export const BASKET_SYMBOLS = [
+    { value: "EURUSD", label: "EURUSD" },
+    { value: "GBPUSD", label: "GBPUSD" },
+    { value: "USDJPY", label: "USDJPY" },
+    { value: "USDCHF", label: "USDCHF" },
+    { value: "AUDUSD", label: "AUDUSD" },
+    { value: "USDCAD", label: "USDCAD" },
+    { value: "NZDUSD", label: "NZDUSD" },
+    { value: "EURGBP", label: "EURGBP" },
+    { value: "EURJPY", label: "EURJPY" },
+    { value: "GBPJPY", label: "GBPJPY" },
+    { value: "AUDJPY", label: "AUDJPY" },
+    { value: "EURCHF", label: "EURCHF" },
+    { value: "XAUUSD", label: "XAUUSD (Gold)" },
+    { value: "XAGUSD", label: "XAGUSD (Silver)" },
+];
+
+export const DEFAULT_BASKET = ["EURUSD", "GBPUSD", "USDJPY"];
@@ -9,6 +9,9 @@ import {
 } from 'firebase/auth';
 import { auth } from 'lib/firebase';
 import api from 'services/api';
+import { apiErrorMessage } from 'services/apiError';
+import { isDemoMode, enableDemoMode, disableDemoMode, DEMO_ACCESS_TOKEN, DEMO_REFRESH_TOKEN } from 'services/demo';
+import { clearHistoryCache } from 'lib/historyCache';
 import SplashScreen from 'components/core/SplashScreen';
 import toast from 'react-hot-toast';
 
@@ -17,10 +20,14 @@ const AuthContext = createContext(null);
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Demo sessions (services/demo) are local only and never touch Firebase.
+  const [isDemo, setIsDemo] = useState(isDemoMode);
 
   const handleAuthSuccess = useCallback(async (firebaseUser) => {
     try {
       const idToken = await firebaseUser.getIdToken(true); // Force refresh
+      // Chart history cached for a previous session must not carry over to this one.
+      clearHistoryCache();
 
       // Exchange Firebase token for our backend's session tokens
       const { data } = await api.post('/auth/login', { firebase_id_token: idToken });
@@ -48,10 +55,37 @@ export const AuthProvider = ({ children }) => {
     setUser(null);
     localStorage.removeItem('accessToken');
     localStorage.removeItem('refreshToken');
+    clearHistoryCache();
   }, []);
 
+  const startDemoSession = useCallback(async () => {
+    enableDemoMode();
+    clearHistoryCache();
+    localStorage.setItem('accessToken', DEMO_ACCESS_TOKEN);
+    localStorage.setItem('refreshToken', DEMO_REFRESH_TOKEN);
+    const { data } = await api.get('/users/me');
+    setIsDemo(true);
+    setUser(data);
+    return data;
+  }, []);
+
+  // Resume a demo session after a reload.
   useEffect(() => {
-    // This effect runs only once on mount to check the initial auth state
+    if (!isDemoMode()) return;
+    startDemoSession()
+      .catch((error) => {
+        // Leave demo mode so the regular login takes over instead of retrying on every reload.
+        toast.error(apiErrorMessage(error, "The demo session could not be resumed. Please log in again."));
+        disableDemoMode();
+        handleSignOut();
+        setIsDemo(false);
+      })
+      .finally(() => setLoading(false));
+  }, [startDemoSession, handleSignOut]);
+
+  useEffect(() => {
+    if (isDemo) return undefined;
+    // This effect runs on mount (and after leaving the demo) to check the auth state
     const unsubscribe = onAuthStateChanged(auth, async (firebaseUser) => {
       if (firebaseUser) {
         // User is signed in to Firebase, now let's sync with our backend
@@ -70,7 +104,7 @@ export const AuthProvider = ({ children }) => {
 
     // Cleanup subscription on unmount
     return () => unsubscribe();
-  }, [handleAuthSuccess, handleSignOut]);
+  }, [isDemo, handleAuthSuccess, handleSignOut]);
 
   // --- Exposed Auth Functions ---
 
@@ -97,6 +131,8 @@ export const AuthProvider = ({ children }) => {
   };
 
   const login = async (email, password) => {
+    // Builds with REACT_APP_DEMO_MODE have no backend to check credentials against.
+    if (isDemoMode()) return startDemoSession();
     try {
       await signInWithEmailAndPassword(auth, email, password);
       // onAuthStateChanged will handle the rest of the login flow.
@@ -107,6 +143,7 @@ export const AuthProvider = ({ children }) => {
   };
 
   const loginWithGoogle = async () => {
+    if (isDemoMode()) return startDemoSession();
     const provider = new GoogleAuthProvider();
     try {
         await signInWithPopup(auth, provider);
@@ -118,6 +155,12 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = async () => {
+    if (isDemo) {
+      disableDemoMode();
+      handleSignOut();
+      setIsDemo(false);
+      return;
+    }
     try {
       await signOut(auth);
       handleSignOut();
@@ -134,7 +177,9 @@ export const AuthProvider = ({ children }) => {
     register,
     login,
     loginWithGoogle,
+    loginDemo: startDemoSession,
     logout,
+    isDemo,
   };
 
   // Render a full-page splash screen only during the initial authentication check.
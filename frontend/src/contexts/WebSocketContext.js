@@ -1,73 +1,299 @@
-import React, { createContext, useContext, useEffect, useState, useRef } from 'react';
+import React, { createContext, useContext, useEffect, useState, useRef, useCallback, useMemo } from 'react';
 import { useAuth } from './AuthContext';
 import toast from 'react-hot-toast';
+import { getFreshAccessToken } from 'services/api';
+import { isDemoMode, createDemoSocket } from 'services/demo';
+import { createMessageBus, serverSubscription } from 'lib/messageBus';
+import { createSessionRecorder, createSessionPlayer } from 'lib/sessionRecording';
 
 const WebSocketContext = createContext(null);
 
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const HEARTBEAT_INTERVAL_MS = 20000;
+// Two missed heartbeats (plus slack) before the connection is considered dead.
+const STALE_AFTER_MS = 2 * HEARTBEAT_INTERVAL_MS + 5000;
+const STALE_CLOSE_CODE = 4000;
+const AUTH_CLOSE_CODES = [1008, 4001, 4003];
+
+const DISCONNECTED = { status: 'disconnected', attempt: 0, retryAt: null };
+
+// Exponential backoff with +/-20% jitter so clients dropped together don't all reconnect at once.
+const reconnectDelay = (attempt) => {
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
 export const WebSocketProvider = ({ children }) => {
     const { isAuthenticated } = useAuth();
-    const [accountData, setAccountData] = useState(null);
-    const [lastMessage, setLastMessage] = useState(null);
+    // { status: 'connecting' | 'connected' | 'reconnecting' | 'disconnected', attempt, retryAt }
+    const [connection, setConnection] = useState(DISCONNECTED);
+    const reconnectNowRef = useRef(() => {});
     const webSocketRef = useRef(null); // Use useRef to hold the WebSocket instance
+    const busRef = useRef(null);
+    // Record/replay (lib/sessionRecording): 'live', 'recording' or 'replay'. While replaying, live traffic is
+    // dropped so the recording alone drives the UI.
+    const [sessionMode, setSessionMode] = useState('live');
+    const recorderRef = useRef(null);
+    const playerRef = useRef(null);
+
+    const sendMessage = useCallback((message) => {
+        const socket = webSocketRef.current;
+        if (socket?.readyState !== WebSocket.OPEN) return false;
+        socket.send(JSON.stringify(message));
+        return true;
+    }, []);
+
+    // Topics backed by a server stream (e.g. tick:EURUSD) are requested from the server by their first
+    // subscriber and released after the last one.
+    if (!busRef.current) {
+        busRef.current = createMessageBus({
+            onTopicOpened: (topic) => {
+                const request = serverSubscription(topic);
+                if (request) sendMessage({ type: 'subscribe', ...request });
+            },
+            onTopicClosed: (topic) => {
+                const request = serverSubscription(topic);
+                if (request) sendMessage({ type: 'unsubscribe', ...request });
+            },
+        });
+    }
+
+    // Calls `handler(data, message)` for every message on `topic` (see lib/messageBus) and returns the
+    // unsubscribe function.
+    const subscribe = useCallback((topic, handler) => busRef.current.subscribe(topic, handler), []);
+
+    const getLastValue = useCallback((topic) => busRef.current.getLastValue(topic), []);
+
+    // Returns the recorder (startedAt/count/isFull), so the caller can show its progress.
+    const startRecording = useCallback(() => {
+        playerRef.current?.stop();
+        playerRef.current = null;
+        const recorder = createSessionRecorder();
+        recorderRef.current = recorder;
+        setSessionMode('recording');
+        return recorder;
+    }, []);
+
+    // Returns the recording envelope (see lib/sessionRecording), or null if nothing was being recorded.
+    const stopRecording = useCallback(() => {
+        const recording = recorderRef.current?.finish() ?? null;
+        recorderRef.current = null;
+        setSessionMode('live');
+        return recording;
+    }, []);
+
+    // Feeds a parsed recording through the same dispatch path as the socket. Returns the player
+    // (play/pause/setSpeed/status); playback starts right away.
+    const startReplay = useCallback((recording, speed = 1) => {
+        recorderRef.current = null;
+        playerRef.current?.stop();
+        const player = createSessionPlayer(recording, {
+            speed,
+            onMessage: (message) => busRef.current.publish(message),
+            // Live traffic is dropped while a player is set, so a finished replay hands back to it.
+            onEnd: () => {
+                if (playerRef.current !== player) return;
+                playerRef.current = null;
+                setSessionMode('live');
+                toast.success('Replay finished. Back to live updates.');
+            },
+        });
+        playerRef.current = player;
+        setSessionMode('replay');
+        player.play();
+        return player;
+    }, []);
+
+    const stopReplay = useCallback(() => {
+        playerRef.current?.stop();
+        playerRef.current = null;
+        setSessionMode('live');
+    }, []);
+
+    // App-wide notifications are ordinary subscribers of the bus.
+    useEffect(() => {
+        const unsubscribes = [
+            subscribe('trade', (data) => {
+                toast.success(`Trade Executed: ${data.action} ${data.symbol}`, { icon: '🚀' });
+            }),
+            subscribe('subscription', () => {
+                toast.success('Your subscription has been updated! Refreshing...', { duration: 4000 });
+                setTimeout(() => window.location.reload(), 4000);
+            }),
+        ];
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [subscribe]);
 
     useEffect(() => {
         // This effect's only job is to manage the WebSocket connection lifecycle.
-        // It runs ONLY when `isAuthenticated` changes.
+        // It runs ONLY when `isAuthenticated` changes; reconnects happen inside it.
 
-        if (isAuthenticated) {
-            // --- CONNECT ---
-            const token = localStorage.getItem('accessToken');
-            if (!token) return;
+        if (!isAuthenticated) {
+            setConnection(DISCONNECTED);
+            // Don't show the previous user's account or quotes to the next one.
+            busRef.current.clear();
+            return undefined;
+        }
 
-            const wsUrl = (process.env.REACT_APP_API_BASE_URL.replace(/^http/, 'ws')) + '/ws?token=' + token;
-            const socket = new WebSocket(wsUrl);
-            webSocketRef.current = socket; // Store the instance in the ref
+        let socket = null;
+        let stopped = false; // Set by the cleanup; no reconnects after that.
+        let connecting = false;
+        let attempt = 0;
+        let forceTokenRefresh = false;
+        let reconnectTimer = null;
+        let heartbeatTimer = null;
+        let lastMessageAt = 0;
 
-            socket.onopen = () => console.log('WebSocket Connected');
+        const stopHeartbeat = () => clearInterval(heartbeatTimer);
 
-            socket.onmessage = (event) => {
+        // Pings regularly and drops the connection when nothing (not even a pong) has arrived for a while,
+        // which is how a half-open socket after a laptop sleep or a network change shows up.
+        const startHeartbeat = () => {
+            stopHeartbeat();
+            lastMessageAt = Date.now();
+            heartbeatTimer = setInterval(() => {
+                if (Date.now() - lastMessageAt > STALE_AFTER_MS) {
+                    // A dead socket may take minutes to report its close, so give up on it right away; handleClose
+                    // moves the connection status to 'reconnecting', which the header shows.
+                    const stale = socket;
+                    stale.onclose = null;
+                    stale.close(STALE_CLOSE_CODE, 'Heartbeat timeout');
+                    handleClose(stale, STALE_CLOSE_CODE);
+                    return;
+                }
+                if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'ping' }));
+            }, HEARTBEAT_INTERVAL_MS);
+        };
+
+        const scheduleReconnect = () => {
+            const delay = reconnectDelay(attempt);
+            attempt += 1;
+            setConnection({ status: 'reconnecting', attempt, retryAt: Date.now() + delay });
+            clearTimeout(reconnectTimer);
+            reconnectTimer = setTimeout(connect, delay);
+        };
+
+        function handleClose(closed, code) {
+            console.log('WebSocket Disconnected', code);
+            stopHeartbeat();
+            if (socket === closed) socket = null;
+            if (webSocketRef.current === closed) webSocketRef.current = null;
+            if (stopped) return;
+            // The server rejects expired or revoked tokens with a policy-violation close.
+            if (AUTH_CLOSE_CODES.includes(code)) forceTokenRefresh = true;
+            scheduleReconnect();
+        }
+
+        async function connect() {
+            if (stopped || connecting || socket) return;
+            connecting = true;
+            clearTimeout(reconnectTimer);
+            if (attempt === 0) setConnection({ status: 'connecting', attempt: 0, retryAt: null });
+
+            // The token travels in the URL and can't be refreshed on a 401 like API calls, so refresh it up front.
+            let token;
+            try {
+                token = await getFreshAccessToken({ force: forceTokenRefresh });
+                forceTokenRefresh = false;
+            } catch (error) {
+                connecting = false;
+                // A refused refresh ends the session (api.js redirects to login); anything else is worth retrying.
+                if (!stopped && !error.response) scheduleReconnect();
+                return;
+            }
+            connecting = false;
+            if (stopped) return;
+            if (!token) {
+                setConnection(DISCONNECTED);
+                return;
+            }
+
+            // Demo mode streams from the simulated market instead (services/demo).
+            const current = isDemoMode()
+                ? createDemoSocket()
+                : new WebSocket((process.env.REACT_APP_API_BASE_URL.replace(/^http/, 'ws')) + '/ws?token=' + token);
+            socket = current;
+            webSocketRef.current = current; // Store the instance in the ref
+
+            current.onopen = () => {
+                console.log('WebSocket Connected');
+                attempt = 0;
+                setConnection({ status: 'connected', attempt: 0, retryAt: null });
+                // Restore every active subscription, including those made before the socket was open.
+                busRef.current.topics().forEach((topic) => {
+                    const request = serverSubscription(topic);
+                    if (request) current.send(JSON.stringify({ type: 'subscribe', ...request }));
+                });
+                startHeartbeat();
+            };
+
+            current.onmessage = (event) => {
+                lastMessageAt = Date.now();
+                let message;
                 try {
-                    const message = JSON.parse(event.data);
-                    setLastMessage(message);
-
-                    if (message.type === 'account_update') {
-                        setAccountData(message.data);
-                    } else if (message.type === 'trade_executed') {
-                        toast.success(`Trade Executed: ${message.data.action} ${message.data.symbol}`, { icon: '🚀' });
-                    } else if (message.type === 'subscription_updated') {
-                        toast.success('Your subscription has been updated! Refreshing...', { duration: 4000 });
-                        setTimeout(() => window.location.reload(), 4000);
-                    }
+                    message = JSON.parse(event.data);
                 } catch (e) {
                     console.error("Failed to parse WebSocket message:", e);
+                    return;
                 }
+                if (message.type === 'pong' || playerRef.current) return;
+                recorderRef.current?.record(message);
+                busRef.current.publish(message);
             };
 
-            socket.onerror = (error) => console.error('WebSocket Error:', error);
+            current.onerror = (error) => console.error('WebSocket Error:', error);
 
-            socket.onclose = () => {
-                console.log('WebSocket Disconnected');
-                // Optional: You could add reconnect logic here if desired.
-            };
+            current.onclose = (event) => handleClose(current, event.code);
+        }
+
+        // Skips the remaining backoff, e.g. when the network comes back or the tab wakes up.
+        const reconnectNow = () => {
+            if (stopped || socket || connecting) return;
+            attempt = 0;
+            connect();
+        };
+        reconnectNowRef.current = reconnectNow;
 
-        } else {
-            // --- DISCONNECT ---
-            if (webSocketRef.current) {
-                webSocketRef.current.close();
-                webSocketRef.current = null;
+        // After a sleep the socket may look open while being dead; check right away instead of waiting for the heartbeat.
+        const handleVisibilityChange = () => {
+            if (document.visibilityState !== 'visible') return;
+            if (!socket) {
+                reconnectNow();
+            } else if (socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify({ type: 'ping' }));
             }
-        }
+        };
+
+        window.addEventListener('online', reconnectNow);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        connect();
 
         // Cleanup function to run when the component unmounts or `isAuthenticated` changes
         return () => {
-            if (webSocketRef.current) {
-                webSocketRef.current.close();
-                webSocketRef.current = null;
+            stopped = true;
+            clearTimeout(reconnectTimer);
+            stopHeartbeat();
+            window.removeEventListener('online', reconnectNow);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            reconnectNowRef.current = () => {};
+            if (socket) {
+                socket.close();
+                socket = null;
             }
+            webSocketRef.current = null;
         };
     }, [isAuthenticated]); // The ONLY dependency is the authentication state.
 
-    const value = { accountData, lastMessage };
+    const reconnect = useCallback(() => reconnectNowRef.current(), []);
+
+    const value = useMemo(() => ({
+        subscribe, getLastValue, sendMessage, connection, reconnect,
+        sessionMode, startRecording, stopRecording, startReplay, stopReplay,
+    }), [
+        subscribe, getLastValue, sendMessage, connection, reconnect,
+        sessionMode, startRecording, stopRecording, startReplay, stopReplay,
+    ]);
 
     return (
         <WebSocketContext.Provider value={value}>
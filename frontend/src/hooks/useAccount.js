@@ -0,0 +1,15 @@
+import { useMemo } from 'react';
+import useSWR from 'swr';
+import { getAccount } from 'services/endpoints/mt5';
+import useWebSocketValue from 'hooks/useWebSocketValue';
+
+// MT5 account info from /mt5/account, overlaid with the live `account_update` pushed over the WebSocket.
+const useAccount = () => {
+    const accountData = useWebSocketValue('account');
+    const { data, error, isLoading, mutate } = useSWR('/mt5/account', () => getAccount(), { revalidateOnFocus: false });
+
+    const account = useMemo(() => (data || accountData ? { ...data, ...accountData } : null), [data, accountData]);
+    return { account, error, isLoading, mutate };
+};
+
+export default useAccount;
@@ -0,0 +1,21 @@
+import useSWR from 'swr';
+import { getAccountHistory } from 'services/endpoints/mt5';
+import { historyToEquityPoints } from 'lib/equityCurve';
+
+const startOfToday = () => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+// Balance and equity at the start of the local trading day, i.e. the first account history point since midnight.
+// Returns null until the history has loaded or when there is no point for today yet. The day boundary is taken
+// on every render (the dashboard re-renders with each account update), so after midnight the new day is used.
+const useAccountDayOpen = () => {
+    const from = startOfToday().toISOString();
+    const { data } = useSWR(`/mt5/account/history?from=${from}`, () => getAccountHistory({ from }).then(historyToEquityPoints), {
+        revalidateOnFocus: false,
+    });
+    return data?.[0] || null;
+};
+
+export default useAccountDayOpen;
@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import useSWR from 'swr';
+import toast from 'react-hot-toast';
+import { getBacktest, submitBacktest, cancelBacktest } from 'services/endpoints/backtest';
+import useWebSocketSubscription from 'hooks/useWebSocketSubscription';
+
+const STORAGE_KEY = 'backtest_active_job';
+const POLL_INTERVAL_MS = 2000;
+
+export const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const readStoredJob = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (e) {
+        return null;
+    }
+};
+
+// Tracks a single server-side backtest job from submission to completion.
+// The job reference is persisted so a page reload resumes polling where it left off.
+const useBacktestJob = () => {
+    const [activeJob, setActiveJob] = useState(readStoredJob); // { id, mode, config, submittedAt }
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const previousStatusRef = useRef(null);
+
+    // Imported runs carry their own results and are never fetched from the server.
+    const jobKey = activeJob && !activeJob.imported ? `/backtest/${activeJob.id}` : null;
+    const { data: job, error, mutate } = useSWR(jobKey, () => getBacktest(activeJob.id), {
+        // Stop polling as soon as the job reaches a terminal state.
+        refreshInterval: (latest) => (latest && TERMINAL_STATUSES.includes(latest.status) ? 0 : POLL_INTERVAL_MS),
+        revalidateOnFocus: false,
+    });
+
+    useEffect(() => {
+        if (activeJob && !activeJob.imported) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(activeJob));
+        } else {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    }, [activeJob]);
+
+    // The server forgets jobs on restart; drop a stale reference instead of polling a 404 forever.
+    useEffect(() => {
+        if (error?.status === 404) {
+            toast.error("The previous backtest job no longer exists on the server.", { id: 'backtest-job-missing' });
+            setActiveJob(null);
+        }
+    }, [error]);
+
+    // Push-based updates: progress is merged in place, completion triggers a refetch of the full result.
+    useWebSocketSubscription(activeJob && !activeJob.imported ? `backtest:${activeJob.id}` : null, (data, message) => {
+        if (message.type === 'backtest_progress') {
+            mutate(current => ({ ...current, ...data }), { revalidate: false });
+        } else if (message.type === 'backtest_completed') {
+            mutate();
+        }
+    });
+
+    // Only notify on transitions observed in this session, not when a finished job is restored.
+    useEffect(() => {
+        const status = job?.status;
+        const previous = previousStatusRef.current;
+        previousStatusRef.current = status;
+        if (!previous || previous === status || TERMINAL_STATUSES.includes(previous)) return;
+
+        if (status === 'completed') {
+            toast.success("Backtest completed.");
+        } else if (status === 'failed') {
+            toast.error(job.error || "Backtest failed.");
+        }
+    }, [job]);
+
+    const submit = useCallback(async (config, mode = 'single') => {
+        setIsSubmitting(true);
+        try {
+            const data = await submitBacktest(config, mode);
+            const jobId = data.job_id ?? data.id;
+            if (!jobId) {
+                throw new Error("The server did not return a backtest job id.");
+            }
+            previousStatusRef.current = null;
+            setActiveJob({ id: jobId, mode, config, submittedAt: new Date().toISOString() });
+            return data;
+        } finally {
+            setIsSubmitting(false);
+        }
+    }, []);
+
+    const cancel = useCallback(async () => {
+        if (!activeJob) return;
+        await cancelBacktest(activeJob.id);
+        mutate(current => ({ ...current, status: 'cancelled' }), { revalidate: false });
+    }, [activeJob, mutate]);
+
+    // Loads a past run (e.g. from the history list) into the results panel.
+    const open = useCallback((run) => {
+        const { id, mode = 'single', strategy_name, symbol, symbols, timeframe, parameters, start_date, end_date, created_at } = run;
+        previousStatusRef.current = null;
+        setActiveJob({ id, mode, config: { strategy_name, symbol, symbols, timeframe, parameters, start_date, end_date }, submittedAt: created_at });
+    }, []);
+
+    // Shows a run loaded from an exported JSON file (see lib/exportReport). It lives only in this session.
+    const openImported = useCallback((run) => {
+        const { id, mode = 'single', strategy_name, symbol, symbols, timeframe, parameters, start_date, end_date, costs, results, exported_at } = run;
+        previousStatusRef.current = null;
+        setActiveJob({ id, mode, config: { strategy_name, symbol, symbols, timeframe, parameters, start_date, end_date, costs }, submittedAt: exported_at, imported: true, results });
+    }, []);
+
+    const clear = useCallback(() => setActiveJob(null), []);
+
+    const status = activeJob?.imported ? 'completed' : job?.status || (activeJob ? 'queued' : null);
+    const isRunning = !!activeJob && !TERMINAL_STATUSES.includes(status);
+
+    return {
+        activeJob,
+        job,
+        status,
+        progress: job?.progress ?? null,
+        results: activeJob?.imported ? activeJob.results : status === 'completed' ? job?.results : null,
+        error,
+        isRunning,
+        isSubmitting,
+        submit,
+        cancel,
+        open,
+        openImported,
+        clear,
+    };
+};
+
+export default useBacktestJob;
@@ -0,0 +1,42 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { useAuth } from 'contexts/AuthContext';
+import { storageKeyFor, readPreference } from 'hooks/useUserPreference';
+
+const NO_DRAWINGS = [];
+
+// One store for every chart on the page, so two panes showing the same market read and edit the same list
+// instead of each overwriting the other's copy in localStorage.
+const drawingsByKey = new Map();
+const listeners = new Set();
+
+const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const readDrawings = (storageKey) => {
+    if (!drawingsByKey.has(storageKey)) drawingsByKey.set(storageKey, readPreference(storageKey, NO_DRAWINGS));
+    return drawingsByKey.get(storageKey);
+};
+
+const writeDrawings = (storageKey, drawings) => {
+    drawingsByKey.set(storageKey, drawings);
+    localStorage.setItem(storageKey, JSON.stringify(drawings));
+    listeners.forEach(listener => listener());
+};
+
+// Chart drawings (see components/dashboard/chartDrawings) saved per user, symbol and timeframe.
+// Works like useState; stored under the same key useUserPreference would use.
+const useChartDrawings = (symbol, timeframe) => {
+    const { user } = useAuth();
+    const storageKey = storageKeyFor(`chart_drawings:${symbol}:${timeframe}`, user);
+    const drawings = useSyncExternalStore(subscribe, () => readDrawings(storageKey));
+
+    const setDrawings = useCallback((next) => {
+        writeDrawings(storageKey, typeof next === 'function' ? next(readDrawings(storageKey)) : next);
+    }, [storageKey]);
+
+    return [drawings, setDrawings];
+};
+
+export default useChartDrawings;
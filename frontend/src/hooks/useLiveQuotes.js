@@ -0,0 +1,20 @@
+import { useEffect, useState } from 'react';
+import { useWebSocket } from 'contexts/WebSocketContext';
+
+// Latest streamed bid/ask per symbol ({ [symbol]: { bid, ask, time } }) while the component is mounted.
+// `symbols` should be a stable array (e.g. memoized); each symbol's tick topic is subscribed through the shared ref-count.
+const useLiveQuotes = (symbols) => {
+    const { subscribe } = useWebSocket();
+    const [quotes, setQuotes] = useState({});
+
+    useEffect(() => {
+        const unsubscribes = symbols.map(symbol => subscribe(`tick:${symbol}`, (tick) => {
+            setQuotes(prev => ({ ...prev, [symbol]: tick }));
+        }));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [symbols, subscribe]);
+
+    return quotes;
+};
+
+export default useLiveQuotes;
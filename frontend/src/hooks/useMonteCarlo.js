@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+// Runs lib/monteCarlo in a dedicated Web Worker. Re-running while a simulation is still in flight
+// terminates the busy worker, so only the latest settings ever produce a result.
+const useMonteCarlo = () => {
+    const workerRef = useRef(null);
+    const requestIdRef = useRef(0);
+    const isRunningRef = useRef(false);
+    const [result, setResult] = useState(null);
+    const [progress, setProgress] = useState(0);
+    const [isRunning, setIsRunning] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => () => workerRef.current?.terminate(), []);
+
+    // The worker failed to load, threw outside runMonteCarlo, or sent something that can't be read.
+    // It is discarded so the next run starts a fresh one.
+    const fail = useCallback((message) => {
+        workerRef.current?.terminate();
+        workerRef.current = null;
+        isRunningRef.current = false;
+        setIsRunning(false);
+        setProgress(0);
+        setError(message);
+    }, []);
+
+    const getWorker = useCallback(() => {
+        if (!workerRef.current) {
+            workerRef.current = new Worker(new URL('../lib/monteCarlo.worker.js', import.meta.url));
+            workerRef.current.onmessage = ({ data }) => {
+                if (data.id !== requestIdRef.current) return;
+                if (data.type === 'progress') {
+                    setProgress(data.progress);
+                } else {
+                    isRunningRef.current = false;
+                    setIsRunning(false);
+                    setProgress(1);
+                    if (data.type === 'result') setResult(data.result);
+                    else setError(data.error);
+                }
+            };
+            workerRef.current.onerror = (event) => {
+                event.preventDefault();
+                fail(event.message || 'The simulation failed to run.');
+            };
+            workerRef.current.onmessageerror = () => fail('The simulation returned an unreadable result.');
+        }
+        return workerRef.current;
+    }, [fail]);
+
+    const run = useCallback((options) => {
+        if (isRunningRef.current) {
+            workerRef.current?.terminate();
+            workerRef.current = null;
+        }
+        isRunningRef.current = true;
+        requestIdRef.current += 1;
+        setIsRunning(true);
+        setProgress(0);
+        setError(null);
+        getWorker().postMessage({ id: requestIdRef.current, ...options });
+    }, [getWorker]);
+
+    return { result, progress, isRunning, error, run };
+};
+
+export default useMonteCarlo;
@@ -0,0 +1,26 @@
+import { useRef } from 'react';
+import useSWR from 'swr';
+import { getPositions } from 'services/endpoints/trading';
+import useWebSocketSubscription from 'hooks/useWebSocketSubscription';
+
+const NO_POSITIONS = [];
+
+// Open positions from /trade/positions, shared by every chart and list through SWR's cache.
+// They are refetched when the WebSocket reports a trade, or an account update whose margin moved (a position
+// opened, closed or was resized, including SL/TP hits). Pass `refreshInterval` to also poll, e.g. for
+// floating P&L. Call `mutate()` after placing, modifying or closing a trade to refresh them everywhere.
+const usePositions = ({ refreshInterval = 0 } = {}) => {
+    const { data, error, isLoading, mutate } = useSWR('/trade/positions', () => getPositions(), { refreshInterval });
+    const marginRef = useRef(null);
+
+    useWebSocketSubscription('trade', () => mutate());
+    useWebSocketSubscription('account', (account) => {
+        const marginChanged = marginRef.current != null && account?.margin !== marginRef.current;
+        marginRef.current = account?.margin ?? null;
+        if (marginChanged) mutate();
+    });
+
+    return { positions: data || NO_POSITIONS, error, isLoading, mutate };
+};
+
+export default usePositions;
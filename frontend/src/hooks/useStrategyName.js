@@ -0,0 +1,22 @@
+import { useCallback } from 'react';
+import useSWR from 'swr';
+import { listStrategies } from 'services/endpoints/strategies';
+import { STRATEGIES_CONFIG } from 'config/strategies.config';
+
+const NO_STRATEGIES = [];
+
+// The user's strategies plus a labeller for the `strategy_id` on positions and deals,
+// e.g. "RSI Reversal (EURUSD)". Trades without a strategy are manual ones.
+const useStrategyName = () => {
+    const { data: strategies = NO_STRATEGIES } = useSWR('/strategies', () => listStrategies(), { revalidateOnFocus: false });
+
+    const strategyName = useCallback((strategyId) => {
+        if (strategyId == null) return 'Manual';
+        const strategy = strategies.find(s => String(s.id) === String(strategyId));
+        return strategy ? `${STRATEGIES_CONFIG[strategy.strategy_name]?.name || strategy.strategy_name} (${strategy.symbol})` : `#${strategyId}`;
+    }, [strategies]);
+
+    return { strategies, strategyName };
+};
+
+export default useStrategyName;
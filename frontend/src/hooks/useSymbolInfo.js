@@ -0,0 +1,18 @@
+import { useMemo } from 'react';
+import useSWR from 'swr';
+import { getSymbolInfo } from 'services/endpoints/mt5';
+import { normalizeSymbolInfo } from 'lib/orderSizing';
+
+// Contract specs of one symbol (tick value/size, volume limits) for position sizing.
+// `isFallback` is true while generic FX specs stand in for the terminal's answer.
+const useSymbolInfo = (symbol) => {
+    const { data, error, isLoading } = useSWR(symbol ? `/mt5/symbols/${symbol}` : null, () => getSymbolInfo(symbol), {
+        revalidateOnFocus: false,
+        dedupingInterval: 5 * 60 * 1000,
+    });
+
+    const symbolInfo = useMemo(() => normalizeSymbolInfo(data), [data]);
+    return { symbolInfo, isFallback: !data, error, isLoading };
+};
+
+export default useSymbolInfo;
@@ -0,0 +1,20 @@
+import { useCallback, useMemo } from 'react';
+import useSWR from 'swr';
+import { getSymbolInfo } from 'services/endpoints/mt5';
+import { normalizeSymbolInfo } from 'lib/orderSizing';
+
+// Contract specs for several symbols at once ({ [symbol]: specs }), e.g. to value every open position.
+// Symbols whose specs cannot be fetched are left out, so callers can fall back to server values.
+const useSymbolInfos = (symbols) => {
+    const fetcher = useCallback(([, ...names]) => Promise.all(names.map(name => getSymbolInfo(name)
+        .then(info => [name, normalizeSymbolInfo(info)])
+        .catch(() => null))), []);
+    const { data } = useSWR(symbols.length ? ['symbol-infos', ...symbols] : null, fetcher, {
+        revalidateOnFocus: false,
+        dedupingInterval: 5 * 60 * 1000,
+    });
+
+    return useMemo(() => Object.fromEntries((data || []).filter(Boolean)), [data]);
+};
+
+export default useSymbolInfos;
@@ -0,0 +1,29 @@
+import { useMemo } from 'react';
+import useSWR from 'swr';
+import { getSymbols } from 'services/endpoints/mt5';
+import { BASKET_SYMBOLS } from 'config/symbols.config';
+
+// Accepts either plain names or MT5 symbol info objects ({ name, description, path }).
+const normalizeSymbol = (symbol) => (typeof symbol === 'string'
+    ? { value: symbol, label: symbol, description: '' }
+    : { value: symbol.name, label: symbol.name, description: symbol.description || symbol.path || '' });
+
+const FALLBACK_SYMBOLS = BASKET_SYMBOLS.map(({ value }) => normalizeSymbol(value));
+
+// Symbols offered by the connected MT5 terminal. Falls back to the common FX majors while
+// loading or when the terminal is offline, so symbol pickers are never empty.
+const useSymbols = () => {
+    const { data, error, isLoading } = useSWR('/mt5/symbols', () => getSymbols(), {
+        revalidateOnFocus: false,
+        dedupingInterval: 5 * 60 * 1000,
+    });
+
+    const symbols = useMemo(() => {
+        const list = Array.isArray(data) ? data : data?.symbols;
+        return list?.length ? list.map(normalizeSymbol) : FALLBACK_SYMBOLS;
+    }, [data]);
+
+    return { symbols, error, isLoading };
+};
+
+export default useSymbols;
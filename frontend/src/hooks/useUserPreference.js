@@ -0,0 +1,40 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from 'contexts/AuthContext';
+
+export const storageKeyFor = (key, user) => `${key}:${user?.id ?? 'guest'}`;
+
+export const readPreference = (storageKey, defaultValue) => {
+    try {
+        const stored = localStorage.getItem(storageKey);
+        return stored === null ? defaultValue : JSON.parse(stored);
+    } catch (e) {
+        return defaultValue;
+    }
+};
+
+// A piece of UI state persisted in localStorage per signed-in user (e.g. chart layouts).
+// Works like useState; the value is re-read when the user changes.
+const useUserPreference = (key, defaultValue) => {
+    const { user } = useAuth();
+    const storageKey = storageKeyFor(key, user);
+    const [state, setState] = useState(() => ({ storageKey, value: readPreference(storageKey, defaultValue) }));
+
+    // Switch to the new user's value during render so the old user's value is never written under the new key.
+    let current = state;
+    if (state.storageKey !== storageKey) {
+        current = { storageKey, value: readPreference(storageKey, defaultValue) };
+        setState(current);
+    }
+
+    useEffect(() => {
+        localStorage.setItem(current.storageKey, JSON.stringify(current.value));
+    }, [current]);
+
+    const setValue = useCallback((next) => {
+        setState(prev => ({ ...prev, value: typeof next === 'function' ? next(prev.value) : next }));
+    }, []);
+
+    return [current.value, setValue];
+};
+
+export default useUserPreference;
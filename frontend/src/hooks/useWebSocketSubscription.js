@@ -0,0 +1,21 @@
+import { useEffect, useRef } from 'react';
+import { useWebSocket } from 'contexts/WebSocketContext';
+
+// Calls `handler(data, message)` for every WebSocket message on `topic` (e.g. 'tick:EURUSD', 'account',
+// see lib/messageBus) while mounted. Nothing re-renders unless the handler sets state itself, and the
+// latest handler is always used, so it doesn't need to be memoized. A falsy topic subscribes to nothing.
+const useWebSocketSubscription = (topic, handler) => {
+    const { subscribe } = useWebSocket();
+    const handlerRef = useRef(handler);
+
+    useEffect(() => {
+        handlerRef.current = handler;
+    });
+
+    useEffect(() => {
+        if (!topic) return undefined;
+        return subscribe(topic, (data, message) => handlerRef.current(data, message));
+    }, [topic, subscribe]);
+};
+
+export default useWebSocketSubscription;
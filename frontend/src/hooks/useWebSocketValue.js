@@ -0,0 +1,13 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { useWebSocket } from 'contexts/WebSocketContext';
+
+// The latest data published on `topic`, re-rendering only when that topic receives a message.
+// Starts from the value already received, if any, so late mounters don't wait for the next update.
+const useWebSocketValue = (topic) => {
+    const { subscribe, getLastValue } = useWebSocket();
+    const subscribeToTopic = useCallback((onChange) => (topic ? subscribe(topic, onChange) : () => {}), [topic, subscribe]);
+    const getSnapshot = useCallback(() => (topic ? getLastValue(topic) : undefined), [topic, getLastValue]);
+    return useSyncExternalStore(subscribeToTopic, getSnapshot);
+};
+
+export default useWebSocketValue;
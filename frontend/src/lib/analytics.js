@@ -0,0 +1,121 @@
+// Performance statistics for the analytics page, computed from closed deals (GET /trade/history).
+// Deals are MT5 objects ({ ticket, symbol, strategy_id, time, time_close, profit, commission, swap, ... }).
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Realised result of a deal after costs.
+export const netProfit = (deal) => (deal.profit || 0) + (deal.commission || 0) + (deal.swap || 0);
+
+const byCloseTime = (a, b) => new Date(a.time_close ?? a.time) - new Date(b.time_close ?? b.time);
+
+// Local calendar day (YYYY-MM-DD) a deal was closed on.
+export const dealDay = (deal) => {
+    const date = new Date(deal.time_close ?? deal.time);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Longest runs of consecutive winners and losers in close order, plus the run the account is currently on.
+const computeStreaks = (results) => {
+    let maxWin = 0;
+    let maxLoss = 0;
+    let current = { type: null, length: 0 };
+    results.forEach(value => {
+        const type = value > 0 ? 'win' : value < 0 ? 'loss' : null;
+        current = type && type === current.type ? { type, length: current.length + 1 } : { type, length: type ? 1 : 0 };
+        if (type === 'win') maxWin = Math.max(maxWin, current.length);
+        if (type === 'loss') maxLoss = Math.max(maxLoss, current.length);
+    });
+    return { maxWinStreak: maxWin, maxLossStreak: maxLoss, currentStreak: current };
+};
+
+// Headline trade statistics. Profit factor is null when there are no losing trades to divide by.
+export const computeTradeStats = (deals = []) => {
+    const results = [...deals].sort(byCloseTime).map(netProfit);
+    const wins = results.filter(value => value > 0);
+    const losses = results.filter(value => value < 0);
+    const grossProfit = wins.reduce((sum, value) => sum + value, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, value) => sum + value, 0));
+    const net = grossProfit - grossLoss;
+
+    return {
+        count: results.length,
+        net,
+        winRate: results.length ? (wins.length / results.length) * 100 : 0,
+        grossProfit,
+        grossLoss,
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+        avgWin: wins.length ? grossProfit / wins.length : 0,
+        avgLoss: losses.length ? grossLoss / losses.length : 0,
+        expectancy: results.length ? net / results.length : 0,
+        largestWin: wins.length ? Math.max(...wins) : 0,
+        largestLoss: losses.length ? Math.abs(Math.min(...losses)) : 0,
+        ...computeStreaks(results),
+    };
+};
+
+// Net P&L and trade count per closing day, sorted by date: [{ date: 'YYYY-MM-DD', profit, trades }].
+export const computeDailyPnl = (deals = []) => {
+    const days = new Map();
+    deals.forEach(deal => {
+        const date = dealDay(deal);
+        const day = days.get(date) || { date, profit: 0, trades: 0 };
+        day.profit += netProfit(deal);
+        day.trades += 1;
+        days.set(date, day);
+    });
+    return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Annualised Sharpe and Sortino ratios of daily returns (risk-free rate 0). Returns are daily P&L relative to
+// the balance before that day, rebuilt backwards from the current balance. Days without trades are left out,
+// so the figures describe trading days only. Both are null with fewer than two trading days.
+export const computeRiskRatios = (dailyPnl = [], currentBalance) => {
+    if (dailyPnl.length < 2 || !currentBalance) return { sharpe: null, sortino: null };
+    let balance = currentBalance - dailyPnl.reduce((sum, day) => sum + day.profit, 0);
+    const returns = dailyPnl.map(day => {
+        const dailyReturn = balance > 0 ? day.profit / balance : 0;
+        balance += day.profit;
+        return dailyReturn;
+    });
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+    const downside = returns.reduce((sum, value) => sum + Math.min(value, 0) ** 2, 0) / returns.length;
+    const annualise = Math.sqrt(TRADING_DAYS_PER_YEAR);
+    return {
+        sharpe: variance > 0 ? (mean / Math.sqrt(variance)) * annualise : null,
+        sortino: downside > 0 ? (mean / Math.sqrt(downside)) * annualise : null,
+    };
+};
+
+// Groups deals by `keyOf(deal)` into [{ key, profit, trades, winRate }] (net of costs), in first-seen order.
+export const breakdownBy = (deals = [], keyOf) => {
+    const groups = new Map();
+    deals.forEach(deal => {
+        const key = keyOf(deal);
+        const group = groups.get(key) || { key, profit: 0, trades: 0, wins: 0 };
+        const result = netProfit(deal);
+        group.profit += result;
+        group.trades += 1;
+        if (result > 0) group.wins += 1;
+        groups.set(key, group);
+    });
+    return [...groups.values()].map(({ wins, ...group }) => ({ ...group, winRate: (wins / group.trades) * 100 }));
+};
+
+// Weekday and hour breakdowns use the entry time: they answer "when do my trades work", not when they closed.
+// Every weekday/hour is present so the bars line up even when some buckets have no trades.
+export const breakdownByWeekday = (deals = []) => {
+    const groups = breakdownBy(deals, deal => (new Date(deal.time).getDay() + 6) % 7);
+    return WEEKDAYS.map((label, index) => ({ trades: 0, profit: 0, winRate: 0, ...groups.find(g => g.key === index), key: label }));
+};
+
+export const breakdownByHour = (deals = []) => {
+    const groups = breakdownBy(deals, deal => new Date(deal.time).getHours());
+    return Array.from({ length: 24 }, (_, hour) => ({
+        trades: 0, profit: 0, winRate: 0, ...groups.find(g => g.key === hour), key: `${String(hour).padStart(2, '0')}:00`,
+    }));
+};
@@ -0,0 +1,74 @@
+import { netProfit, dealDay, computeTradeStats, computeDailyPnl, computeRiskRatios, breakdownBy, breakdownByWeekday, breakdownByHour } from './analytics';
+
+// Local times, since the analytics group deals by the user's calendar.
+const local = (day, hour = 12) => new Date(2025, 2, day, hour).toISOString();
+const deal = (profit, day, extra = {}) => ({ profit, commission: 0, swap: 0, time: local(day, 9), time_close: local(day), ...extra });
+
+test('netProfit includes commission and swap', () => {
+    expect(netProfit({ profit: 100, commission: -7, swap: -3 })).toBe(90);
+    expect(netProfit({})).toBe(0);
+});
+
+test('dealDay is the local closing day', () => {
+    expect(dealDay(deal(1, 4))).toBe('2025-03-04');
+});
+
+test('computeTradeStats', () => {
+    const deals = [deal(100, 3), deal(-50, 4), deal(-30, 5), deal(60, 6, { commission: -10 }), deal(40, 7)];
+    const stats = computeTradeStats(deals);
+    expect(stats).toMatchObject({
+        count: 5,
+        net: 110,
+        winRate: 60,
+        grossProfit: 190,
+        grossLoss: 80,
+        avgWin: 190 / 3,
+        avgLoss: 40,
+        expectancy: 22,
+        largestWin: 100,
+        largestLoss: 50,
+        maxWinStreak: 2,
+        maxLossStreak: 2,
+        currentStreak: { type: 'win', length: 2 },
+    });
+    expect(stats.profitFactor).toBeCloseTo(190 / 80);
+    expect(computeTradeStats([deal(10, 3)]).profitFactor).toBeNull();
+});
+
+test('computeDailyPnl groups by closing day in date order', () => {
+    expect(computeDailyPnl([deal(20, 5), deal(10, 3), deal(-5, 3)])).toEqual([
+        { date: '2025-03-03', profit: 5, trades: 2 },
+        { date: '2025-03-05', profit: 20, trades: 1 },
+    ]);
+});
+
+test('computeRiskRatios rebuilds returns from the current balance', () => {
+    expect(computeRiskRatios([{ profit: 10 }], 1000)).toEqual({ sharpe: null, sortino: null });
+
+    const { sharpe, sortino } = computeRiskRatios([{ profit: 100 }, { profit: -55 }], 1045);
+    // Returns: +10% on 1000, then -5% on 1100.
+    const mean = (0.1 - 0.05) / 2;
+    expect(sharpe).toBeCloseTo((mean / Math.sqrt(((0.1 - mean) ** 2 + (-0.05 - mean) ** 2) / 1)) * Math.sqrt(252));
+    expect(sortino).toBeCloseTo((mean / Math.sqrt(0.05 ** 2 / 2)) * Math.sqrt(252));
+});
+
+test('breakdownBy groups by key with win rates', () => {
+    const rows = breakdownBy([deal(10, 3, { symbol: 'A' }), deal(-5, 3, { symbol: 'B' }), deal(-1, 4, { symbol: 'A' })], d => d.symbol);
+    expect(rows).toEqual([
+        { key: 'A', profit: 9, trades: 2, winRate: 50 },
+        { key: 'B', profit: -5, trades: 1, winRate: 0 },
+    ]);
+});
+
+test('weekday and hour breakdowns use the entry time and cover every bucket', () => {
+    // 2025-03-03 was a Monday; deals open at 09:00.
+    const deals = [deal(10, 3), deal(-4, 4)];
+    const weekdays = breakdownByWeekday(deals);
+    expect(weekdays.map(row => row.key)).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+    expect(weekdays[0]).toEqual({ key: 'Mon', profit: 10, trades: 1, winRate: 100 });
+    expect(weekdays[2]).toEqual({ key: 'Wed', profit: 0, trades: 0, winRate: 0 });
+
+    const hours = breakdownByHour(deals);
+    expect(hours).toHaveLength(24);
+    expect(hours[9]).toEqual({ key: '09:00', profit: 6, trades: 2, winRate: 50 });
+});
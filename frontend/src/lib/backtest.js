@@ -0,0 +1,140 @@
+// Pure helpers for turning raw backtest output into chart and table friendly series.
+// Everything here works on the `results` object returned by GET /backtest/{id}.
+import { barStartTime } from 'lib/candles';
+
+export const toTimestamp = (value) => new Date(value).getTime();
+
+// Adds a running-peak drawdown (in %) to every point of an equity series.
+export const computeDrawdownSeries = (equityCurve = []) => {
+    let peak = -Infinity;
+    return equityCurve.map(point => {
+        peak = Math.max(peak, point.equity);
+        const drawdown = peak > 0 ? ((point.equity - peak) / peak) * 100 : 0;
+        return { ...point, timestamp: toTimestamp(point.time), drawdown_pct: drawdown };
+    });
+};
+
+// Month-over-month returns keyed by year, using the last equity value of each month.
+// Returns [{ year, months: [pct|null x12], total }] sorted by year.
+export const computeMonthlyReturns = (equityCurve = []) => {
+    if (equityCurve.length === 0) return [];
+
+    const monthEnds = new Map();
+    equityCurve.forEach(point => {
+        const date = new Date(point.time);
+        monthEnds.set(`${date.getFullYear()}-${date.getMonth()}`, { year: date.getFullYear(), month: date.getMonth(), equity: point.equity });
+    });
+
+    const rows = new Map();
+    let previousEquity = equityCurve[0].equity;
+    [...monthEnds.values()].forEach(({ year, month, equity }) => {
+        if (!rows.has(year)) {
+            rows.set(year, { year, months: Array(12).fill(null), startEquity: previousEquity, endEquity: equity });
+        }
+        const row = rows.get(year);
+        row.months[month] = previousEquity ? ((equity - previousEquity) / previousEquity) * 100 : 0;
+        row.endEquity = equity;
+        previousEquity = equity;
+    });
+
+    return [...rows.values()]
+        .map(({ year, months, startEquity, endEquity }) => ({
+            year,
+            months,
+            total: startEquity ? ((endEquity - startEquity) / startEquity) * 100 : 0,
+        }))
+        .sort((a, b) => a.year - b.year);
+};
+
+// Display label for the instrument(s) of a run; portfolio runs carry `symbols` instead of `symbol`.
+export const formatRunSymbols = (run = {}) => (run.symbols?.length ? run.symbols.join(', ') : run.symbol);
+
+// R-multiple = realised move divided by the initial risk (entry to stop loss).
+// Prefers the server's value; falls back to null when no stop loss was recorded.
+export const computeRMultiple = (trade) => {
+    if (typeof trade.r_multiple === 'number') return trade.r_multiple;
+    const { entry_price, exit_price, stop_loss, side } = trade;
+    if (stop_loss == null || entry_price == null || exit_price == null) return null;
+
+    const risk = Math.abs(entry_price - stop_loss);
+    if (risk === 0) return null;
+    const direction = side === 'SELL' ? -1 : 1;
+    return ((exit_price - entry_price) * direction) / risk;
+};
+
+// Normalises the trade list so tables and chart markers can rely on the same fields.
+export const normalizeTrades = (trades = []) => trades.map((trade, index) => ({
+    ...trade,
+    id: trade.id ?? index + 1,
+    side: (trade.side || trade.type || '').toUpperCase(),
+    size: trade.size ?? trade.volume ?? null,
+    profit: trade.profit ?? trade.pnl ?? 0,
+    r_multiple: computeRMultiple(trade),
+}));
+
+// Entry/exit markers in the format lightweight-charts expects (UTC seconds, sorted by time). With a
+// `timeframe`, each marker is snapped to the open time of its bar: the chart drops markers between bars.
+export const tradesToChartMarkers = (trades = [], timeframe) => normalizeTrades(trades)
+    .flatMap(trade => {
+        const isBuy = trade.side === 'BUY';
+        const markers = [{
+            time: toTimestamp(trade.entry_time) / 1000,
+            position: isBuy ? 'belowBar' : 'aboveBar',
+            color: isBuy ? '#22C55E' : '#EF4444',
+            shape: isBuy ? 'arrowUp' : 'arrowDown',
+            text: `${trade.side} ${trade.size ?? ''}`.trim(),
+        }];
+        if (trade.exit_time) {
+            markers.push({
+                time: toTimestamp(trade.exit_time) / 1000,
+                position: isBuy ? 'aboveBar' : 'belowBar',
+                color: trade.profit >= 0 ? '#10B981' : '#F59E0B',
+                shape: 'circle',
+                text: trade.profit.toFixed(2),
+            });
+        }
+        return markers;
+    })
+    .map(marker => (timeframe ? { ...marker, time: barStartTime(marker.time, timeframe) } : marker))
+    .sort((a, b) => a.time - b.time);
+
+// Rebases several equity curves to percentage growth and merges them on a shared time axis,
+// so runs with different starting capital can be overlaid on one chart.
+// Produces rows like { timestamp, [runId]: pct } sorted by time.
+export const mergeEquityCurves = (runs = []) => {
+    const rows = new Map();
+    runs.forEach(({ id, equityCurve = [] }) => {
+        const base = equityCurve[0]?.equity;
+        if (!base) return;
+        equityCurve.forEach(point => {
+            const timestamp = toTimestamp(point.time);
+            if (!rows.has(timestamp)) rows.set(timestamp, { timestamp });
+            rows.get(timestamp)[id] = ((point.equity - base) / base) * 100;
+        });
+    });
+    return [...rows.values()].sort((a, b) => a.timestamp - b.timestamp);
+};
+
+const COST_COMPONENTS = ['commission', 'spread', 'slippage', 'swap'];
+
+// Gross vs. net P&L and the cost breakdown of a run. Costs are positive numbers that reduce P&L
+// (a swap credit is therefore negative). Uses the server's totals when present, otherwise sums the trades.
+export const summarizeCosts = (results = {}) => {
+    const trades = results.trades || [];
+    const costs = COST_COMPONENTS.reduce((acc, key) => {
+        acc[key] = results.costs?.[key] ?? trades.reduce((sum, trade) => sum + (trade[`${key}_cost`] ?? 0), 0);
+        return acc;
+    }, {});
+    const totalCost = results.costs?.total ?? COST_COMPONENTS.reduce((sum, key) => sum + costs[key], 0);
+    const netProfit = results.net_profit ?? trades.reduce((sum, trade) => sum + (trade.profit ?? trade.pnl ?? 0), 0);
+    const grossProfit = results.gross_profit ?? netProfit + totalCost;
+
+    return {
+        ...costs,
+        total: totalCost,
+        grossProfit,
+        netProfit,
+        // Share of the gross result consumed by costs.
+        dragPct: grossProfit !== 0 ? (totalCost / Math.abs(grossProfit)) * 100 : null,
+    };
+};
@@ -0,0 +1,116 @@
+import {
+    computeDrawdownSeries, computeMonthlyReturns, computeRMultiple, normalizeTrades, tradesToChartMarkers, mergeEquityCurves, summarizeCosts,
+} from './backtest';
+
+// Local times, since monthly returns are grouped by the user's calendar.
+const local = (year, month, day) => new Date(year, month, day, 12).toISOString();
+
+describe('computeDrawdownSeries', () => {
+    test('measures each point against the running peak', () => {
+        const series = computeDrawdownSeries([
+            { time: local(2025, 0, 1), equity: 100 },
+            { time: local(2025, 0, 2), equity: 120 },
+            { time: local(2025, 0, 3), equity: 90 },
+            { time: local(2025, 0, 4), equity: 130 },
+        ]);
+        expect(series.map(point => point.drawdown_pct)).toEqual([0, 0, -25, 0]);
+        expect(series[0].timestamp).toBe(Date.parse(local(2025, 0, 1)));
+    });
+
+    test('stays at zero without losses', () => {
+        const rising = [100, 100, 105, 110].map((equity, day) => ({ time: local(2025, 0, day + 1), equity }));
+        expect(computeDrawdownSeries(rising).map(point => point.drawdown_pct)).toEqual([0, 0, 0, 0]);
+    });
+
+    test('is empty for an empty curve', () => {
+        expect(computeDrawdownSeries([])).toEqual([]);
+    });
+});
+
+describe('computeMonthlyReturns', () => {
+    test('compares the last equity of each month with the previous month end', () => {
+        const rows = computeMonthlyReturns([
+            { time: local(2024, 11, 1), equity: 1000 },
+            { time: local(2024, 11, 31), equity: 1100 },
+            { time: local(2025, 0, 15), equity: 1000 },
+            { time: local(2025, 1, 28), equity: 1050 },
+        ]);
+        expect(rows.map(row => row.year)).toEqual([2024, 2025]);
+        expect(rows[0].months[11]).toBeCloseTo(10);
+        expect(rows[0].total).toBeCloseTo(10);
+        expect(rows[1].months.slice(0, 3).map(value => value && Number(value.toFixed(4)))).toEqual([-9.0909, 5, null]);
+        expect(rows[1].total).toBeCloseTo(-4.5455);
+    });
+
+    test('is empty for an empty curve', () => {
+        expect(computeMonthlyReturns([])).toEqual([]);
+    });
+});
+
+describe('computeRMultiple', () => {
+    test('divides the realised move by the initial risk', () => {
+        expect(computeRMultiple({ side: 'BUY', entry_price: 100, exit_price: 106, stop_loss: 98 })).toBe(3);
+        expect(computeRMultiple({ side: 'SELL', entry_price: 100, exit_price: 102, stop_loss: 102 })).toBe(-1);
+    });
+
+    test("prefers the server's value", () => {
+        expect(computeRMultiple({ r_multiple: 1.5, entry_price: 100, exit_price: 106, stop_loss: 98 })).toBe(1.5);
+    });
+
+    test('is null without a stop loss or with zero risk', () => {
+        expect(computeRMultiple({ side: 'BUY', entry_price: 100, exit_price: 106 })).toBeNull();
+        expect(computeRMultiple({ side: 'BUY', entry_price: 100, exit_price: 106, stop_loss: 100 })).toBeNull();
+    });
+});
+
+test('normalizeTrades fills ids, side, size and profit from the alternative field names', () => {
+    expect(normalizeTrades([{ type: 'sell', volume: 0.5, pnl: -12 }])[0]).toMatchObject({ id: 1, side: 'SELL', size: 0.5, profit: -12, r_multiple: null });
+});
+
+describe('tradesToChartMarkers', () => {
+    const trades = [{ side: 'BUY', volume: 1, profit: 5, entry_time: '2025-03-03T10:20:00Z', exit_time: '2025-03-03T12:05:00Z' }];
+
+    test('adds an entry and an exit marker in UTC seconds', () => {
+        const markers = tradesToChartMarkers(trades);
+        expect(markers.map(marker => marker.time)).toEqual([Date.parse('2025-03-03T10:20:00Z') / 1000, Date.parse('2025-03-03T12:05:00Z') / 1000]);
+        expect(markers[0]).toMatchObject({ shape: 'arrowUp', text: 'BUY 1' });
+        expect(markers[1]).toMatchObject({ shape: 'circle', text: '5.00' });
+    });
+
+    test('snaps markers to the start of their bar', () => {
+        expect(tradesToChartMarkers(trades, 'H1').map(marker => marker.time)).toEqual([
+            Date.parse('2025-03-03T10:00:00Z') / 1000, Date.parse('2025-03-03T12:00:00Z') / 1000,
+        ]);
+    });
+});
+
+test('mergeEquityCurves rebases runs to percentage growth on one time axis', () => {
+    expect(mergeEquityCurves([
+        { id: 'a', equityCurve: [{ time: '2025-01-01T00:00:00Z', equity: 1000 }, { time: '2025-01-02T00:00:00Z', equity: 1100 }] },
+        { id: 'b', equityCurve: [{ time: '2025-01-02T00:00:00Z', equity: 50 }] },
+        { id: 'c', equityCurve: [] },
+    ])).toEqual([
+        { timestamp: Date.parse('2025-01-01T00:00:00Z'), a: 0 },
+        { timestamp: Date.parse('2025-01-02T00:00:00Z'), a: 10, b: 0 },
+    ]);
+});
+
+describe('summarizeCosts', () => {
+    test('sums the trade costs when the server sent no totals', () => {
+        expect(summarizeCosts({
+            trades: [
+                { profit: 90, commission_cost: 7, spread_cost: 3 },
+                { profit: -40, commission_cost: 7, swap_cost: -2 },
+            ],
+        })).toEqual({ commission: 14, spread: 3, slippage: 0, swap: -2, total: 15, grossProfit: 65, netProfit: 50, dragPct: (15 / 65) * 100 });
+    });
+
+    test("prefers the server's totals", () => {
+        const summary = summarizeCosts({ costs: { commission: 10, spread: 5, slippage: 1, swap: 0, total: 16 }, net_profit: 84, gross_profit: 100, trades: [] });
+        expect(summary).toMatchObject({ total: 16, netProfit: 84, grossProfit: 100, dragPct: 16 });
+    });
+
+    test('has no cost drag without a gross result', () => {
+        expect(summarizeCosts({})).toEqual({ commission: 0, spread: 0, slippage: 0, swap: 0, total: 0, grossProfit: 0, netProfit: 0, dragPct: null });
+    });
+});
@@ -0,0 +1,73 @@
+// Helpers for building OHLC candles on the client from a stream of ticks.
+// Times are UTC seconds, which is what lightweight-charts expects.
+
+export const TIMEFRAME_SECONDS = {
+    M1: 60,
+    M5: 5 * 60,
+    M15: 15 * 60,
+    M30: 30 * 60,
+    H1: 60 * 60,
+    H4: 4 * 60 * 60,
+    D1: 24 * 60 * 60,
+    W1: 7 * 24 * 60 * 60,
+};
+
+// Every timeframe the chart toolbar offers, shortest first. MN bars vary in length, so it has no fixed duration.
+export const TIMEFRAMES = [...Object.keys(TIMEFRAME_SECONDS), 'MN'];
+
+const DAY_SECONDS = TIMEFRAME_SECONDS.D1;
+// 1970-01-01 was a Thursday; shifting by 4 days aligns weeks to Sunday, like MT5.
+const WEEK_OFFSET_SECONDS = 4 * DAY_SECONDS;
+
+// Accepts ISO strings, epoch milliseconds or epoch seconds.
+export const toUnixSeconds = (time) => {
+    if (typeof time === 'number') return time > 1e12 ? time / 1000 : time;
+    return new Date(time).getTime() / 1000;
+};
+
+// Open time of the bar that contains `time` (seconds) for the given timeframe.
+export const barStartTime = (time, timeframe) => {
+    if (timeframe === 'MN') {
+        const date = new Date(time * 1000);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+    }
+    if (timeframe === 'W1') {
+        return Math.floor((time + WEEK_OFFSET_SECONDS) / TIMEFRAME_SECONDS.W1) * TIMEFRAME_SECONDS.W1 - WEEK_OFFSET_SECONDS;
+    }
+    const seconds = TIMEFRAME_SECONDS[timeframe] || TIMEFRAME_SECONDS.H1;
+    return Math.floor(time / seconds) * seconds;
+};
+
+// Folds a tick into the current bar, or opens a new bar when the tick crosses a timeframe boundary.
+// Candles are built from the bid, matching how MT5 draws its charts. Returns null for ticks older
+// than the current bar, which can arrive out of order right after the history is loaded.
+export const applyTick = (lastBar, tick, timeframe) => {
+    const price = tick.bid ?? tick.last ?? tick.price;
+    if (price == null) return null;
+    const time = barStartTime(toUnixSeconds(tick.time), timeframe);
+
+    if (!lastBar || time > lastBar.time) {
+        return { time, open: price, high: price, low: price, close: price };
+    }
+    if (time < lastBar.time) return null;
+    return {
+        ...lastBar,
+        high: Math.max(lastBar.high, price),
+        low: Math.min(lastBar.low, price),
+        close: price,
+    };
+};
+
+// Rows from GET /mt5/history/{symbol} as chart candles.
+export const historyToCandles = (rows = []) => rows.map(row => ({
+    time: toUnixSeconds(row.time),
+    open: row.open, high: row.high, low: row.low, close: row.close,
+}));
+
+// Combines candle lists into one sorted list without duplicate times; later lists win,
+// so a freshly fetched page replaces the (possibly still forming) bars it overlaps.
+export const mergeCandles = (...lists) => {
+    const byTime = new Map();
+    lists.forEach(list => list.forEach(candle => byTime.set(candle.time, candle)));
+    return [...byTime.values()].sort((a, b) => a.time - b.time);
+};
@@ -0,0 +1,56 @@
+import { toUnixSeconds, barStartTime, applyTick, historyToCandles, mergeCandles } from './candles';
+
+const at = (iso) => Date.parse(iso) / 1000;
+
+test('toUnixSeconds accepts ISO strings, epoch milliseconds and epoch seconds', () => {
+    const seconds = at('2025-03-03T10:15:00Z');
+    expect(toUnixSeconds('2025-03-03T10:15:00Z')).toBe(seconds);
+    expect(toUnixSeconds(seconds * 1000)).toBe(seconds);
+    expect(toUnixSeconds(seconds)).toBe(seconds);
+});
+
+test('barStartTime aligns to the timeframe', () => {
+    const time = at('2025-03-05T10:47:30Z'); // a Wednesday
+    expect(barStartTime(time, 'M15')).toBe(at('2025-03-05T10:45:00Z'));
+    expect(barStartTime(time, 'H4')).toBe(at('2025-03-05T08:00:00Z'));
+    expect(barStartTime(time, 'D1')).toBe(at('2025-03-05T00:00:00Z'));
+    expect(barStartTime(time, 'W1')).toBe(at('2025-03-02T00:00:00Z'));
+    expect(barStartTime(time, 'MN')).toBe(at('2025-03-01T00:00:00Z'));
+});
+
+describe('applyTick', () => {
+    const lastBar = { time: at('2025-03-03T10:00:00Z'), open: 1.1, high: 1.105, low: 1.095, close: 1.1 };
+
+    test('updates the current bar', () => {
+        expect(applyTick(lastBar, { bid: 1.108, time: '2025-03-03T10:30:00Z' }, 'H1')).toEqual({ ...lastBar, high: 1.108, close: 1.108 });
+        expect(applyTick(lastBar, { bid: 1.09, time: '2025-03-03T10:59:59Z' }, 'H1')).toEqual({ ...lastBar, low: 1.09, close: 1.09 });
+    });
+
+    test('opens a new bar on the next boundary', () => {
+        expect(applyTick(lastBar, { bid: 1.2, time: '2025-03-03T11:00:00Z' }, 'H1')).toEqual({
+            time: at('2025-03-03T11:00:00Z'), open: 1.2, high: 1.2, low: 1.2, close: 1.2,
+        });
+        expect(applyTick(null, { bid: 1.2, time: '2025-03-03T11:00:00Z' }, 'H1').open).toBe(1.2);
+    });
+
+    test('ignores ticks older than the current bar', () => {
+        expect(applyTick(lastBar, { bid: 1.3, time: '2025-03-03T09:59:59Z' }, 'H1')).toBeNull();
+        expect(applyTick(lastBar, { bid: 1.3, time: at('2025-03-03T08:00:00Z') * 1000 }, 'H1')).toBeNull();
+    });
+
+    test('ignores ticks without a price', () => {
+        expect(applyTick(lastBar, { time: '2025-03-03T10:30:00Z' }, 'H1')).toBeNull();
+    });
+});
+
+test('historyToCandles converts times to seconds', () => {
+    expect(historyToCandles([{ time: '2025-03-03T10:00:00Z', open: 1, high: 2, low: 0.5, close: 1.5, tick_volume: 10 }])).toEqual([
+        { time: at('2025-03-03T10:00:00Z'), open: 1, high: 2, low: 0.5, close: 1.5 },
+    ]);
+});
+
+test('mergeCandles sorts, deduplicates and lets later lists win', () => {
+    const older = [{ time: 2, close: 'old' }, { time: 1, close: 'a' }];
+    const newer = [{ time: 2, close: 'new' }, { time: 3, close: 'b' }];
+    expect(mergeCandles(older, newer)).toEqual([{ time: 1, close: 'a' }, { time: 2, close: 'new' }, { time: 3, close: 'b' }]);
+});
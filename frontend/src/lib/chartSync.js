@@ -0,0 +1,12 @@
+// Tiny pub/sub used to link the crosshairs of several charts by time.
+// Listeners receive (sourceId, time); time is null when the pointer leaves the source chart.
+export const createCrosshairSync = () => {
+    const listeners = new Set();
+    return {
+        publish: (sourceId, time) => listeners.forEach(listener => listener(sourceId, time)),
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+};
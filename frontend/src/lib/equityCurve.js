@@ -0,0 +1,59 @@
+// Account equity/balance history for the dashboard curve. Points are { time (ms), equity, balance }.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chart ranges; `days` is measured back from now, YTD starts at January 1st and All has no start.
+export const EQUITY_RANGES = [
+    { value: '1D', days: 1 },
+    { value: '1W', days: 7 },
+    { value: '1M', days: 30 },
+    { value: '3M', days: 90 },
+    { value: 'YTD' },
+    { value: 'All' },
+];
+
+// Live points closer together than this replace the previous one so a busy socket doesn't grow the series unbounded.
+const LIVE_POINT_SPACING_MS = 5000;
+
+export const rangeStart = (range, now = Date.now()) => {
+    if (range === 'YTD') return new Date(new Date(now).getFullYear(), 0, 1).getTime();
+    const days = EQUITY_RANGES.find(r => r.value === range)?.days;
+    return days ? now - days * DAY_MS : null;
+};
+
+// Normalizes /mt5/account/history rows (ISO or epoch-second times) into sorted points.
+export const historyToEquityPoints = (rows = []) => rows
+    .map(row => ({
+        time: typeof row.time === 'number' && row.time < 1e12 ? row.time * 1000 : new Date(row.time).getTime(),
+        equity: Number(row.equity),
+        balance: Number(row.balance ?? row.equity),
+    }))
+    .filter(point => Number.isFinite(point.time) && Number.isFinite(point.equity))
+    .sort((a, b) => a.time - b.time);
+
+// Adds an account_update snapshot to the live tail, coalescing updates that arrive in quick succession.
+// Points at or before `since` (the last fetched history point or the range start) are dropped, as the
+// history already covers them, so the tail only ever spans the time since the last history refresh.
+export const appendLivePoint = (points, account, since = null, time = Date.now()) => {
+    if (account?.equity == null) return points;
+    const point = { time, equity: Number(account.equity), balance: Number(account.balance ?? account.equity) };
+    const recent = since == null ? points : points.filter(p => p.time > since);
+    const last = recent[recent.length - 1];
+    if (last && time - last.time < LIVE_POINT_SPACING_MS) return [...recent.slice(0, -1), { ...point, time: last.time }];
+    return [...recent, point];
+};
+
+// History followed by the live points recorded after it, limited to the selected range.
+export const mergeEquityPoints = (history, live, start) => {
+    const lastHistoryTime = history.length ? history[history.length - 1].time : -Infinity;
+    return [...history, ...live.filter(point => point.time > lastHistoryTime)]
+        .filter(point => start == null || point.time >= start);
+};
+
+// Axis label granularity: times of day for intraday ranges, dates beyond that.
+export const formatEquityTime = (time, range) => {
+    const date = new Date(time);
+    if (range === '1D') return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (range === '1W') return date.toLocaleDateString([], { weekday: 'short', hour: '2-digit' });
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
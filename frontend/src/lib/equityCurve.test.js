@@ -0,0 +1,44 @@
+import { rangeStart, historyToEquityPoints, appendLivePoint, mergeEquityPoints } from './equityCurve';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('rangeStart counts back from now, starts YTD on January 1st and has no start for All', () => {
+    const now = new Date(2025, 5, 15, 12).getTime();
+    expect(rangeStart('1W', now)).toBe(now - 7 * DAY_MS);
+    expect(rangeStart('YTD', now)).toBe(new Date(2025, 0, 1).getTime());
+    expect(rangeStart('All', now)).toBeNull();
+});
+
+test('historyToEquityPoints accepts ISO and epoch-second times and drops unusable rows', () => {
+    expect(historyToEquityPoints([
+        { time: '2025-03-03T10:00:00Z', equity: '1010.5', balance: 1000 },
+        { time: Date.parse('2025-03-03T09:00:00Z') / 1000, equity: 1000 },
+        { time: 'not a date', equity: 1 },
+        { time: '2025-03-03T11:00:00Z', equity: 'n/a' },
+    ])).toEqual([
+        { time: Date.parse('2025-03-03T09:00:00Z'), equity: 1000, balance: 1000 },
+        { time: Date.parse('2025-03-03T10:00:00Z'), equity: 1010.5, balance: 1000 },
+    ]);
+});
+
+test('appendLivePoint coalesces updates that arrive close together', () => {
+    let points = appendLivePoint([], { equity: 1000, balance: 1000 }, null, 10000);
+    points = appendLivePoint(points, { equity: 1005, balance: 1000 }, null, 12000);
+    expect(points).toEqual([{ time: 10000, equity: 1005, balance: 1000 }]);
+    points = appendLivePoint(points, { equity: 1010 }, null, 20000);
+    expect(points).toHaveLength(2);
+    expect(appendLivePoint(points, {}, null, 30000)).toBe(points);
+});
+
+test('appendLivePoint drops live points the history already covers', () => {
+    const points = [{ time: 10000, equity: 1 }, { time: 20000, equity: 2 }, { time: 30000, equity: 3 }];
+    expect(appendLivePoint(points, { equity: 4 }, 20000, 40000).map(point => point.time)).toEqual([30000, 40000]);
+    expect(appendLivePoint(points, { equity: 4 }, 50000, 60000).map(point => point.time)).toEqual([60000]);
+});
+
+test('mergeEquityPoints appends live points after the history and applies the range', () => {
+    const history = [{ time: 1000, equity: 1 }, { time: 2000, equity: 2 }];
+    const live = [{ time: 1500, equity: 9 }, { time: 3000, equity: 3 }];
+    expect(mergeEquityPoints(history, live, null).map(point => point.time)).toEqual([1000, 2000, 3000]);
+    expect(mergeEquityPoints(history, live, 2000).map(point => point.time)).toEqual([2000, 3000]);
+});
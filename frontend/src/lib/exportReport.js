@@ -0,0 +1,171 @@
+// Export and import of backtest runs: CSV for spreadsheets, JSON for re-importing, and a printable HTML report.
+import { normalizeTrades, computeDrawdownSeries, formatRunSymbols } from './backtest';
+
+export const EXPORT_FORMAT = 'quantedge-backtest';
+export const EXPORT_VERSION = 1;
+
+const escapeCsv = (value) => {
+    if (value == null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label, value?: row => any }]
+export const toCsv = (rows = [], columns) => [
+    columns.map(c => escapeCsv(c.label)).join(','),
+    ...rows.map(row => columns.map(c => escapeCsv(c.value ? c.value(row) : row[c.key])).join(',')),
+].join('\n');
+
+const TRADE_COLUMNS = [
+    { key: 'id', label: 'id' },
+    { key: 'symbol', label: 'symbol' },
+    { key: 'side', label: 'side' },
+    { key: 'size', label: 'size' },
+    { key: 'entry_time', label: 'entry_time' },
+    { key: 'entry_price', label: 'entry_price' },
+    { key: 'exit_time', label: 'exit_time' },
+    { key: 'exit_price', label: 'exit_price' },
+    { key: 'stop_loss', label: 'stop_loss' },
+    { key: 'profit', label: 'profit' },
+    { key: 'r_multiple', label: 'r_multiple' },
+];
+
+// `symbol` fills the column for single-symbol runs, whose trades do not carry one.
+export const tradesToCsv = (trades, symbol) => toCsv(normalizeTrades(trades).map(t => ({ symbol, ...t })), TRADE_COLUMNS);
+
+export const equityToCsv = (equityCurve) => toCsv(computeDrawdownSeries(equityCurve), [
+    { key: 'time', label: 'time' },
+    { key: 'equity', label: 'equity' },
+    { key: 'drawdown_pct', label: 'drawdown_pct', value: p => p.drawdown_pct.toFixed(4) },
+]);
+
+export const downloadFile = (content, filename, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// e.g. "EmaCrossAtr_EURUSD_H1_2024-05-01"
+export const exportFileName = (config = {}, suffix, extension) => [
+    config.strategy_name,
+    (config.symbols?.length ? config.symbols.join('-') : config.symbol),
+    config.timeframe,
+    suffix,
+    new Date().toISOString().slice(0, 10),
+].filter(Boolean).join('_') + `.${extension}`;
+
+// The run in the same shape as GET /backtest/{id}, wrapped in a versioned envelope.
+export const buildRunExport = ({ id, mode = 'single', config, results }) => ({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    run: { id, mode, status: 'completed', ...config, results },
+});
+
+// Parses and validates an exported JSON file. Throws with a user-facing message when the file is not usable.
+export const parseRunExport = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error("The file is not valid JSON.");
+    }
+    if (data?.format !== EXPORT_FORMAT || !data.run) {
+        throw new Error("The file is not a QuantEdge backtest export.");
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error("The file was exported by a newer version of the app.");
+    }
+    if (!data.run.strategy_name || !data.run.results) {
+        throw new Error("The export is missing the strategy or its results.");
+    }
+    return { ...data.run, exported_at: data.exported_at };
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const humanize = (key) => key.replace(/_pct$/, ' %').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const formatValue = (value) => (typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : value);
+
+const keyValueTable = (entries) => `
+    <table class="kv">${entries.map(([key, value]) => `<tr><th>${escapeHtml(humanize(key))}</th><td>${escapeHtml(formatValue(value))}</td></tr>`).join('')}</table>`;
+
+const REPORT_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 32px; }
+    h1 { margin: 0; font-size: 24px; } h2 { font-size: 16px; margin: 24px 0 8px; border-bottom: 1px solid #E5E7EB; padding-bottom: 4px; }
+    .subtitle { color: #6B7280; margin-top: 4px; }
+    .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+    table { border-collapse: collapse; width: 100%; font-size: 12px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #F3F4F6; }
+    .kv th { color: #6B7280; font-weight: 500; width: 50%; }
+    .chart svg { width: 100%; height: auto; }
+    .pos { color: #10B981; } .neg { color: #EF4444; }
+    @media print { body { margin: 12mm; } h2 { break-after: avoid; } .chart, tr { break-inside: avoid; } }`;
+
+// Self-contained HTML document for printing or "Save as PDF".
+// `charts` are [{ title, svg }] with serialised SVG markup captured from the rendered results.
+export const buildPrintableReport = ({ mode = 'single', config = {}, results = {}, charts = [] }) => {
+    const metrics = Object.entries(results).filter(([, value]) => typeof value === 'number');
+    const trades = normalizeTrades(results.trades);
+    const title = `${config.strategy_name} · ${formatRunSymbols(config)} · ${config.timeframe}`;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8" />
+    <title>Backtest Report – ${escapeHtml(title)}</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <h1>Backtest Report</h1>
+    <p class="subtitle">${escapeHtml(title)} · ${escapeHtml(humanize(mode))} · ${escapeHtml(config.start_date || '')} → ${escapeHtml(config.end_date || '')} · Generated ${escapeHtml(new Date().toLocaleString())}</p>
+
+    <div class="grid">
+        <div><h2>Metrics</h2>${keyValueTable(metrics)}</div>
+        <div>
+            <h2>Parameters</h2>${keyValueTable(Object.entries(config.parameters || {}))}
+            ${config.costs ? `<h2>Costs</h2>${keyValueTable(Object.entries(config.costs))}` : ''}
+        </div>
+    </div>
+
+    ${charts.map(chart => `<h2>${escapeHtml(chart.title)}</h2><div class="chart">${chart.svg}</div>`).join('')}
+
+    ${trades.length ? `
+    <h2>Trades (${trades.length})</h2>
+    <table>
+        <thead><tr>${['#', 'Symbol', 'Side', 'Size', 'Entry', 'Exit', 'P&L', 'R'].map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+        <tbody>${trades.map(t => `<tr>
+            <td>${escapeHtml(t.id)}</td><td>${escapeHtml(t.symbol || config.symbol || '')}</td><td>${escapeHtml(t.side)}</td><td>${escapeHtml(t.size ?? '')}</td>
+            <td>${escapeHtml(new Date(t.entry_time).toLocaleString())}</td><td>${escapeHtml(t.exit_time ? new Date(t.exit_time).toLocaleString() : 'Open')}</td>
+            <td class="${t.profit >= 0 ? 'pos' : 'neg'}">${t.profit.toFixed(2)}</td><td>${t.r_multiple == null ? '' : t.r_multiple.toFixed(2)}</td>
+        </tr>`).join('')}</tbody>
+    </table>` : ''}
+</body>
+</html>`;
+};
+
+const sectionTitle = (element) => {
+    for (let node = element.parentElement; node; node = node.parentElement) {
+        const heading = [...node.children].find(child => child.tagName === 'H3' || child.tagName === 'H4');
+        if (heading) return heading.textContent;
+    }
+    return 'Chart';
+};
+
+// Serialises every Recharts chart inside `container`, titled by the heading of the section it sits in.
+export const captureCharts = (container) => {
+    if (!container) return [];
+    return [...container.querySelectorAll('.recharts-wrapper > svg.recharts-surface')].map(svg => {
+        const clone = svg.cloneNode(true);
+        clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        // A viewBox lets the chart scale to the printed page width.
+        clone.setAttribute('viewBox', `0 0 ${svg.getAttribute('width')} ${svg.getAttribute('height')}`);
+        return { title: sectionTitle(svg), svg: clone.outerHTML };
+    });
+};
@@ -0,0 +1,7 @@
+// Display formatting shared across the trading, dashboard and analytics views.
+
+// Amount in the account currency (USD when unknown); missing values show as zero.
+export const formatCurrency = (value, currency) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency || 'USD',
+}).format(value || 0);
@@ -0,0 +1,40 @@
+// Older history fetched by scrolling a chart back, kept per symbol/timeframe for the session so
+// reopening a chart (or a second chart on the same market) starts with those bars already loaded.
+import { mergeCandles } from 'lib/candles';
+
+// Bars requested per page, for the initial load as well as every scroll-back page.
+export const HISTORY_PAGE_SIZE = 300;
+
+// The cache keeps the most recently used markets and the newest bars of each; anything beyond is
+// simply fetched again when scrolled back to.
+const MAX_CACHED_MARKETS = 20;
+const MAX_CACHED_BARS = 5000;
+
+// Map iteration follows insertion order, so re-inserting an entry on use makes the first key the least recently used.
+const cache = new Map();
+
+export const historyCacheKey = (symbol, timeframe) => `${symbol}:${timeframe}`;
+
+// `exhausted` is set once the server returned a short page, i.e. there is nothing older left.
+export const getCachedHistory = (key) => {
+    const cached = cache.get(key);
+    if (!cached) return { candles: [], exhausted: false };
+    cache.delete(key);
+    cache.set(key, cached);
+    return cached;
+};
+
+export const addCachedHistory = (key, candles, exhausted) => {
+    const cached = getCachedHistory(key);
+    const merged = mergeCandles(cached.candles, candles);
+    // Dropping the oldest bars means the start of the history is no longer cached, even if it was reached.
+    const trimmed = merged.length > MAX_CACHED_BARS;
+    cache.set(key, {
+        candles: trimmed ? merged.slice(-MAX_CACHED_BARS) : merged,
+        exhausted: !trimmed && (cached.exhausted || exhausted),
+    });
+    if (cache.size > MAX_CACHED_MARKETS) cache.delete(cache.keys().next().value);
+};
+
+// Forgets everything, e.g. when the user signs out or another session starts.
+export const clearHistoryCache = () => cache.clear();
@@ -0,0 +1,36 @@
+import { historyCacheKey, getCachedHistory, addCachedHistory, clearHistoryCache } from './historyCache';
+
+const bars = (from, count) => Array.from({ length: count }, (_, i) => ({ time: from + i, open: 1, high: 1, low: 1, close: 1 }));
+
+beforeEach(() => clearHistoryCache());
+
+test('addCachedHistory merges pages and remembers when the history is exhausted', () => {
+    const key = historyCacheKey('EURUSD', 'H1');
+    addCachedHistory(key, bars(10, 5), false);
+    addCachedHistory(key, bars(0, 10), true);
+    expect(getCachedHistory(key).candles).toHaveLength(15);
+    expect(getCachedHistory(key).exhausted).toBe(true);
+});
+
+test('addCachedHistory keeps the newest bars of a market and forgets the start was reached', () => {
+    const key = historyCacheKey('EURUSD', 'M1');
+    addCachedHistory(key, bars(0, 5001), true);
+    const cached = getCachedHistory(key);
+    expect(cached.candles).toHaveLength(5000);
+    expect(cached.candles[0].time).toBe(1);
+    expect(cached.exhausted).toBe(false);
+});
+
+test('the least recently used market is evicted once the cache is full', () => {
+    for (let i = 0; i < 20; i += 1) addCachedHistory(historyCacheKey(`SYM${i}`, 'H1'), bars(0, 1), false);
+    getCachedHistory(historyCacheKey('SYM0', 'H1'));
+    addCachedHistory(historyCacheKey('SYM20', 'H1'), bars(0, 1), false);
+    expect(getCachedHistory(historyCacheKey('SYM0', 'H1')).candles).toHaveLength(1);
+    expect(getCachedHistory(historyCacheKey('SYM1', 'H1')).candles).toHaveLength(0);
+});
+
+test('clearHistoryCache forgets every market', () => {
+    addCachedHistory(historyCacheKey('EURUSD', 'H1'), bars(0, 3), true);
+    clearHistoryCache();
+    expect(getCachedHistory(historyCacheKey('EURUSD', 'H1'))).toEqual({ candles: [], exhausted: false });
+});
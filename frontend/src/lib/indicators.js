@@ -0,0 +1,298 @@
+// Client-side technical indicators computed from loaded candles ({ time, open, high, low, close }).
+// Every function returns arrays aligned with its input; bars without enough history are null.
+
+const closes = (candles) => candles.map(c => c.close);
+
+// Runs `step(prev, value, i)` from the first index where `period` consecutive non-null values exist,
+// seeding with their simple average. Shared by EMA and Wilder's smoothing (RMA).
+const smooth = (values, period, step) => {
+    const out = new Array(values.length).fill(null);
+    let run = 0;
+    let sum = 0;
+    let prev = null;
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        if (value == null) {
+            run = 0;
+            sum = 0;
+            continue;
+        }
+        if (prev == null) {
+            run += 1;
+            sum += value;
+            if (run === period) prev = sum / period;
+            else continue;
+        } else {
+            prev = step(prev, value);
+        }
+        out[i] = prev;
+    }
+    return out;
+};
+
+export const sma = (values, period) => values.map((_, i) => {
+    if (i < period - 1) return null;
+    let sum = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+        if (values[j] == null) return null;
+        sum += values[j];
+    }
+    return sum / period;
+});
+
+export const ema = (values, period) => {
+    const k = 2 / (period + 1);
+    return smooth(values, period, (prev, value) => value * k + prev * (1 - k));
+};
+
+// Wilder's moving average, used by ATR, RSI and ADX.
+export const rma = (values, period) => smooth(values, period, (prev, value) => (prev * (period - 1) + value) / period);
+
+const highest = (values, period, i) => Math.max(...values.slice(i - period + 1, i + 1));
+const lowest = (values, period, i) => Math.min(...values.slice(i - period + 1, i + 1));
+
+export const trueRange = (candles) => candles.map((c, i) => {
+    if (i === 0) return c.high - c.low;
+    const prevClose = candles[i - 1].close;
+    return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+});
+
+export const atr = (candles, period = 14) => rma(trueRange(candles), period);
+
+export const rsi = (candles, period = 14) => {
+    const values = closes(candles);
+    const gains = values.map((v, i) => (i === 0 ? null : Math.max(v - values[i - 1], 0)));
+    const losses = values.map((v, i) => (i === 0 ? null : Math.max(values[i - 1] - v, 0)));
+    const avgGain = rma(gains, period);
+    const avgLoss = rma(losses, period);
+    return values.map((_, i) => {
+        if (avgGain[i] == null || avgLoss[i] == null) return null;
+        if (avgLoss[i] === 0) return 100;
+        return 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+    });
+};
+
+export const bollingerBands = (candles, period = 20, multiplier = 2) => {
+    const values = closes(candles);
+    const middle = sma(values, period);
+    const deviation = middle.map((mean, i) => {
+        if (mean == null) return null;
+        let sum = 0;
+        for (let j = i - period + 1; j <= i; j++) sum += (values[j] - mean) ** 2;
+        return Math.sqrt(sum / period);
+    });
+    return {
+        middle,
+        upper: middle.map((m, i) => (m == null ? null : m + multiplier * deviation[i])),
+        lower: middle.map((m, i) => (m == null ? null : m - multiplier * deviation[i])),
+    };
+};
+
+export const macd = (candles, fast = 12, slow = 26, signalPeriod = 9) => {
+    const values = closes(candles);
+    const fastEma = ema(values, fast);
+    const slowEma = ema(values, slow);
+    const line = values.map((_, i) => (fastEma[i] == null || slowEma[i] == null ? null : fastEma[i] - slowEma[i]));
+    const signal = ema(line, signalPeriod);
+    return {
+        macd: line,
+        signal,
+        histogram: line.map((v, i) => (v == null || signal[i] == null ? null : v - signal[i])),
+    };
+};
+
+export const adx = (candles, period = 14) => {
+    const plusDm = candles.map((c, i) => {
+        if (i === 0) return null;
+        const up = c.high - candles[i - 1].high;
+        const down = candles[i - 1].low - c.low;
+        return up > down && up > 0 ? up : 0;
+    });
+    const minusDm = candles.map((c, i) => {
+        if (i === 0) return null;
+        const up = c.high - candles[i - 1].high;
+        const down = candles[i - 1].low - c.low;
+        return down > up && down > 0 ? down : 0;
+    });
+    const range = rma(trueRange(candles).map((v, i) => (i === 0 ? null : v)), period);
+    const smoothedPlus = rma(plusDm, period);
+    const smoothedMinus = rma(minusDm, period);
+    const plusDi = range.map((r, i) => (r ? (100 * smoothedPlus[i]) / r : null));
+    const minusDi = range.map((r, i) => (r ? (100 * smoothedMinus[i]) / r : null));
+    const dx = plusDi.map((p, i) => {
+        const m = minusDi[i];
+        if (p == null || m == null) return null;
+        return p + m === 0 ? 0 : (100 * Math.abs(p - m)) / (p + m);
+    });
+    return { adx: rma(dx, period), plusDi, minusDi };
+};
+
+// Returns the trailing stop as two lines so each trend direction can be drawn in its own colour.
+export const superTrend = (candles, period = 10, multiplier = 3) => {
+    const range = atr(candles, period);
+    const up = new Array(candles.length).fill(null);
+    const down = new Array(candles.length).fill(null);
+    let finalUpper = null;
+    let finalLower = null;
+    let isUptrend = true;
+
+    candles.forEach((c, i) => {
+        if (range[i] == null) return;
+        const mid = (c.high + c.low) / 2;
+        const basicUpper = mid + multiplier * range[i];
+        const basicLower = mid - multiplier * range[i];
+        const prevClose = i > 0 ? candles[i - 1].close : c.close;
+
+        finalUpper = finalUpper == null || basicUpper < finalUpper || prevClose > finalUpper ? basicUpper : finalUpper;
+        finalLower = finalLower == null || basicLower > finalLower || prevClose < finalLower ? basicLower : finalLower;
+
+        if (isUptrend && c.close < finalLower) isUptrend = false;
+        else if (!isUptrend && c.close > finalUpper) isUptrend = true;
+
+        if (isUptrend) up[i] = finalLower;
+        else down[i] = finalUpper;
+    });
+    return { up, down };
+};
+
+export const keltnerChannels = (candles, emaPeriod = 20, atrPeriod = 10, multiplier = 2) => {
+    const middle = ema(closes(candles), emaPeriod);
+    const range = atr(candles, atrPeriod);
+    return {
+        middle,
+        upper: middle.map((m, i) => (m == null || range[i] == null ? null : m + multiplier * range[i])),
+        lower: middle.map((m, i) => (m == null || range[i] == null ? null : m - multiplier * range[i])),
+    };
+};
+
+// Spans A/B are meant to be drawn `displacement` bars ahead and the lagging line as many bars behind;
+// the shift is declared on the lines in INDICATORS rather than applied here.
+export const ichimoku = (candles, tenkanPeriod = 9, kijunPeriod = 26, senkouPeriod = 52) => {
+    const highs = candles.map(c => c.high);
+    const lows = candles.map(c => c.low);
+    const midpoint = (period) => candles.map((_, i) => (i < period - 1 ? null : (highest(highs, period, i) + lowest(lows, period, i)) / 2));
+    const tenkan = midpoint(tenkanPeriod);
+    const kijun = midpoint(kijunPeriod);
+    return {
+        tenkan,
+        kijun,
+        spanA: tenkan.map((t, i) => (t == null || kijun[i] == null ? null : (t + kijun[i]) / 2)),
+        spanB: midpoint(senkouPeriod),
+        chikou: closes(candles),
+    };
+};
+
+const period = (defaultValue, label = 'Period') => ({ name: 'period', label, defaultValue, min: 1, step: 1 });
+const multiplier = (defaultValue) => ({ name: 'multiplier', label: 'Multiplier', defaultValue, min: 0.1, step: 0.1 });
+
+// Registry used by the chart. `placement` is 'overlay' (price pane) or 'pane' (own pane below);
+// lines may be 'line' or 'histogram' and can be shifted by a number of bars (negative = into the past).
+export const INDICATORS = {
+    ema: {
+        name: 'EMA',
+        placement: 'overlay',
+        params: [period(20)],
+        lines: [{ key: 'value', color: '#F59E0B' }],
+        compute: (candles, p) => ({ value: ema(closes(candles), p.period) }),
+    },
+    bollinger: {
+        name: 'Bollinger Bands',
+        placement: 'overlay',
+        params: [period(20), { name: 'multiplier', label: 'Std. Dev.', defaultValue: 2, min: 0.1, step: 0.1 }],
+        lines: [
+            { key: 'upper', color: '#8B5CF6' },
+            { key: 'middle', color: '#8B5CF6', lineStyle: 2 },
+            { key: 'lower', color: '#8B5CF6' },
+        ],
+        compute: (candles, p) => bollingerBands(candles, p.period, p.multiplier),
+    },
+    keltner: {
+        name: 'Keltner Channels',
+        placement: 'overlay',
+        params: [period(20, 'EMA Period'), { name: 'atrPeriod', label: 'ATR Period', defaultValue: 10, min: 1, step: 1 }, multiplier(2)],
+        lines: [
+            { key: 'upper', color: '#06B6D4' },
+            { key: 'middle', color: '#06B6D4', lineStyle: 2 },
+            { key: 'lower', color: '#06B6D4' },
+        ],
+        compute: (candles, p) => keltnerChannels(candles, p.period, p.atrPeriod, p.multiplier),
+    },
+    supertrend: {
+        name: 'SuperTrend',
+        placement: 'overlay',
+        params: [period(10, 'ATR Period'), multiplier(3)],
+        lines: [
+            { key: 'up', color: '#22C55E', lineWidth: 2 },
+            { key: 'down', color: '#EF4444', lineWidth: 2 },
+        ],
+        compute: (candles, p) => superTrend(candles, p.period, p.multiplier),
+    },
+    ichimoku: {
+        name: 'Ichimoku Cloud',
+        placement: 'overlay',
+        params: [
+            { name: 'tenkan', label: 'Tenkan', defaultValue: 9, min: 1, step: 1 },
+            { name: 'kijun', label: 'Kijun', defaultValue: 26, min: 1, step: 1 },
+            { name: 'senkou', label: 'Senkou B', defaultValue: 52, min: 1, step: 1 },
+        ],
+        lines: [
+            { key: 'tenkan', color: '#3B82F6' },
+            { key: 'kijun', color: '#EF4444' },
+            { key: 'spanA', color: '#22C55E', shiftParam: 'kijun' },
+            { key: 'spanB', color: '#F97316', shiftParam: 'kijun' },
+            { key: 'chikou', color: '#A855F7', shiftParam: 'kijun', shiftSign: -1 },
+        ],
+        compute: (candles, p) => ichimoku(candles, p.tenkan, p.kijun, p.senkou),
+    },
+    rsi: {
+        name: 'RSI',
+        placement: 'pane',
+        params: [period(14)],
+        levels: [30, 70],
+        lines: [{ key: 'value', color: '#8B5CF6' }],
+        compute: (candles, p) => ({ value: rsi(candles, p.period) }),
+    },
+    macd: {
+        name: 'MACD',
+        placement: 'pane',
+        params: [
+            { name: 'fast', label: 'Fast', defaultValue: 12, min: 1, step: 1 },
+            { name: 'slow', label: 'Slow', defaultValue: 26, min: 1, step: 1 },
+            { name: 'signal', label: 'Signal', defaultValue: 9, min: 1, step: 1 },
+        ],
+        lines: [
+            { key: 'histogram', type: 'histogram' },
+            { key: 'macd', color: '#3B82F6' },
+            { key: 'signal', color: '#F97316' },
+        ],
+        compute: (candles, p) => macd(candles, p.fast, p.slow, p.signal),
+    },
+    adx: {
+        name: 'ADX',
+        placement: 'pane',
+        params: [period(14)],
+        levels: [25],
+        lines: [
+            { key: 'adx', color: '#F59E0B', lineWidth: 2 },
+            { key: 'plusDi', color: '#22C55E' },
+            { key: 'minusDi', color: '#EF4444' },
+        ],
+        compute: (candles, p) => adx(candles, p.period),
+    },
+    atr: {
+        name: 'ATR',
+        placement: 'pane',
+        params: [period(14)],
+        lines: [{ key: 'value', color: '#06B6D4' }],
+        compute: (candles, p) => ({ value: atr(candles, p.period) }),
+    },
+};
+
+export const defaultIndicatorParams = (type) => Object.fromEntries(INDICATORS[type].params.map(p => [p.name, p.defaultValue]));
+
+// Short label such as "EMA (20)" or "MACD (12, 26, 9)".
+export const indicatorLabel = ({ type, params }) => {
+    const definition = INDICATORS[type];
+    const values = definition.params.map(p => params?.[p.name] ?? p.defaultValue);
+    return `${definition.name} (${values.join(', ')})`;
+};
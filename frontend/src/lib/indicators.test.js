@@ -0,0 +1,91 @@
+import { sma, ema, rma, trueRange, atr, rsi, bollingerBands, macd, ichimoku, defaultIndicatorParams, INDICATORS } from './indicators';
+
+const candle = (close, high = close, low = close) => ({ open: close, high, low, close });
+const fromCloses = (values) => values.map(value => candle(value));
+
+describe('moving averages', () => {
+    test('sma averages the last `period` values and leaves the warm-up null', () => {
+        expect(sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+    });
+
+    test('sma is null for windows that contain a gap', () => {
+        expect(sma([1, null, 3, 4], 2)).toEqual([null, null, null, 3.5]);
+    });
+
+    test('ema seeds with the simple average, then weights by 2 / (period + 1)', () => {
+        expect(ema([2, 4, 6, 8, 12], 3)).toEqual([null, null, 4, 6, 9]);
+    });
+
+    test("rma uses Wilder's smoothing", () => {
+        const values = rma([1, 2, 3, 4, 5], 3);
+        expect(values.slice(0, 3)).toEqual([null, null, 2]);
+        expect(values[3]).toBeCloseTo(8 / 3);
+        expect(values[4]).toBeCloseTo(31 / 9);
+    });
+});
+
+describe('volatility', () => {
+    const candles = [candle(10, 11, 9), candle(12, 13, 11), candle(8, 10, 7)];
+
+    test('trueRange includes gaps from the previous close', () => {
+        expect(trueRange(candles)).toEqual([2, 3, 5]);
+    });
+
+    test('atr smooths the true range', () => {
+        expect(atr(candles, 2)).toEqual([null, 2.5, 3.75]);
+    });
+
+    test('bollingerBands use the population standard deviation', () => {
+        const bands = bollingerBands(fromCloses([2, 4, 4, 4, 5, 5, 7, 9]), 8, 2);
+        expect(bands.middle[7]).toBe(5);
+        expect(bands.upper[7]).toBe(9);
+        expect(bands.lower[7]).toBe(1);
+        expect(bands.upper[6]).toBeNull();
+    });
+});
+
+describe('oscillators', () => {
+    test('rsi follows the average gain/loss ratio', () => {
+        const values = rsi(fromCloses([1, 2, 1, 2, 1]), 2);
+        expect(values.slice(0, 2)).toEqual([null, null]);
+        expect(values[2]).toBeCloseTo(50);
+        expect(values[3]).toBeCloseTo(75);
+        expect(values[4]).toBeCloseTo(37.5);
+    });
+
+    test('rsi is 100 without any losses', () => {
+        expect(rsi(fromCloses([1, 2, 3, 4]), 2).slice(2)).toEqual([100, 100]);
+    });
+
+    test('macd is the fast minus the slow ema, with the signal smoothed on top', () => {
+        const closes = [1, 3, 2, 5, 4, 6, 8, 7];
+        const result = macd(fromCloses(closes), 2, 3, 2);
+        const fast = ema(closes, 2);
+        const slow = ema(closes, 3);
+        expect(result.macd[1]).toBeNull();
+        expect(result.macd[5]).toBeCloseTo(fast[5] - slow[5]);
+        expect(result.histogram[7]).toBeCloseTo(result.macd[7] - result.signal[7]);
+    });
+
+    test('macd of a flat series is zero', () => {
+        const result = macd(fromCloses(new Array(40).fill(1.1)));
+        expect(result.macd[39]).toBeCloseTo(0);
+        expect(result.histogram[39]).toBeCloseTo(0);
+    });
+});
+
+test('ichimoku lines are midpoints of the high/low range', () => {
+    const candles = [candle(5, 6, 4), candle(7, 8, 5), candle(3, 9, 2)];
+    const result = ichimoku(candles, 2, 3, 3);
+    expect(result.tenkan).toEqual([null, 6, 5.5]);
+    expect(result.kijun).toEqual([null, null, 5.5]);
+    expect(result.spanA).toEqual([null, null, 5.5]);
+    expect(result.chikou).toEqual([5, 7, 3]);
+});
+
+test('defaultIndicatorParams returns every declared parameter', () => {
+    Object.keys(INDICATORS).forEach(type => {
+        const params = defaultIndicatorParams(type);
+        expect(Object.keys(params)).toEqual(INDICATORS[type].params.map(p => p.name));
+    });
+});
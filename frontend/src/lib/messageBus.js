@@ -0,0 +1,83 @@
+// Topic-based dispatch for WebSocket messages. Handlers are called synchronously for every message,
+// outside React state, so bursts are never coalesced and only the subscribers of a topic do any work.
+//
+// Topics:
+//   tick:<SYMBOL>       streamed bid/ask for one symbol (needs a server subscription)
+//   account             account_update snapshots
+//   trade               trade_executed events
+//   subscription        subscription_updated (plan change) events
+//   backtest:<JOB_ID>   backtest_progress / backtest_completed for one job
+
+// Topic(s) a raw server message is published on; unknown message types go to their own type.
+export const messageTopics = (message) => {
+    switch (message.type) {
+        case 'tick':
+            return [`tick:${message.data?.symbol}`];
+        case 'account_update':
+            return ['account'];
+        case 'trade_executed':
+            return ['trade'];
+        case 'subscription_updated':
+            return ['subscription'];
+        case 'backtest_progress':
+        case 'backtest_completed':
+            return [`backtest:${message.data?.job_id}`];
+        default:
+            return [message.type];
+    }
+};
+
+// The subscribe/unsubscribe request a topic needs on the server, or null for topics pushed to everyone.
+export const serverSubscription = (topic) => {
+    const [channel, key] = topic.split(':');
+    if (channel === 'tick' && key) return { channel: 'ticks', symbol: key };
+    return null;
+};
+
+// Handlers receive (data, message): the message's `data` and the full message (for its `type`).
+// Subscriptions are counted per topic: `onTopicOpened(topic)` runs for the first one and `onTopicClosed(topic)`
+// after the last one is released, e.g. to (un)subscribe the server stream behind the topic.
+export const createMessageBus = ({ onTopicOpened, onTopicClosed } = {}) => {
+    const subscriptions = new Map(); // topic -> Set<{ handler }>, one entry per subscribe() call
+    const lastValues = new Map(); // topic -> last data published
+
+    const subscribe = (topic, handler) => {
+        const entry = { handler };
+        if (!subscriptions.has(topic)) {
+            subscriptions.set(topic, new Set());
+            onTopicOpened?.(topic);
+        }
+        subscriptions.get(topic).add(entry);
+        return () => {
+            const topicSubscriptions = subscriptions.get(topic);
+            // Releasing twice must not release someone else's subscription.
+            if (!topicSubscriptions?.delete(entry)) return;
+            if (topicSubscriptions.size > 0) return;
+            subscriptions.delete(topic);
+            onTopicClosed?.(topic);
+        };
+    };
+
+    const publish = (message) => {
+        messageTopics(message).forEach(topic => {
+            lastValues.set(topic, message.data);
+            // Copy first: a handler may unsubscribe (itself or others) while we iterate.
+            [...(subscriptions.get(topic) || [])].forEach(({ handler }) => {
+                try {
+                    handler(message.data, message);
+                } catch (e) {
+                    console.error(`WebSocket handler for "${topic}" failed:`, e);
+                }
+            });
+        });
+    };
+
+    return {
+        subscribe,
+        publish,
+        getLastValue: (topic) => lastValues.get(topic),
+        // Topics with at least one subscriber.
+        topics: () => [...subscriptions.keys()],
+        clear: () => lastValues.clear(),
+    };
+};
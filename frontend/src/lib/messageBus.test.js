@@ -0,0 +1,85 @@
+import { messageTopics, serverSubscription, createMessageBus } from './messageBus';
+
+test('messageTopics maps server messages onto topics', () => {
+    expect(messageTopics({ type: 'tick', data: { symbol: 'EURUSD' } })).toEqual(['tick:EURUSD']);
+    expect(messageTopics({ type: 'account_update', data: {} })).toEqual(['account']);
+    expect(messageTopics({ type: 'trade_executed', data: {} })).toEqual(['trade']);
+    expect(messageTopics({ type: 'backtest_completed', data: { job_id: 'j1' } })).toEqual(['backtest:j1']);
+    expect(messageTopics({ type: 'pong' })).toEqual(['pong']);
+});
+
+test('serverSubscription is only needed for tick topics', () => {
+    expect(serverSubscription('tick:EURUSD')).toEqual({ channel: 'ticks', symbol: 'EURUSD' });
+    expect(serverSubscription('account')).toBeNull();
+});
+
+describe('createMessageBus', () => {
+    const tick = (bid) => ({ type: 'tick', data: { symbol: 'EURUSD', bid } });
+
+    test('delivers to the subscribers of the topic only', () => {
+        const bus = createMessageBus();
+        const onTick = jest.fn();
+        const onAccount = jest.fn();
+        bus.subscribe('tick:EURUSD', onTick);
+        bus.subscribe('account', onAccount);
+        bus.publish(tick(1.1));
+        expect(onTick).toHaveBeenCalledWith({ symbol: 'EURUSD', bid: 1.1 }, tick(1.1));
+        expect(onAccount).not.toHaveBeenCalled();
+        expect(bus.getLastValue('tick:EURUSD')).toEqual({ symbol: 'EURUSD', bid: 1.1 });
+    });
+
+    test('opens a topic for its first subscriber and closes it after the last one', () => {
+        const onTopicOpened = jest.fn();
+        const onTopicClosed = jest.fn();
+        const bus = createMessageBus({ onTopicOpened, onTopicClosed });
+
+        const first = bus.subscribe('tick:EURUSD', jest.fn());
+        const second = bus.subscribe('tick:EURUSD', jest.fn());
+        expect(onTopicOpened).toHaveBeenCalledTimes(1);
+        expect(bus.topics()).toEqual(['tick:EURUSD']);
+
+        first();
+        expect(onTopicClosed).not.toHaveBeenCalled();
+        second();
+        expect(onTopicClosed).toHaveBeenCalledWith('tick:EURUSD');
+        expect(bus.topics()).toEqual([]);
+
+        bus.subscribe('tick:EURUSD', jest.fn());
+        expect(onTopicOpened).toHaveBeenCalledTimes(2);
+    });
+
+    test('counts the same handler once per subscription, and releasing twice is harmless', () => {
+        const onTopicClosed = jest.fn();
+        const bus = createMessageBus({ onTopicClosed });
+        const handler = jest.fn();
+        const first = bus.subscribe('account', handler);
+        const second = bus.subscribe('account', handler);
+
+        first();
+        first();
+        expect(onTopicClosed).not.toHaveBeenCalled();
+        bus.publish({ type: 'account_update', data: {} });
+        expect(handler).toHaveBeenCalledTimes(1);
+
+        second();
+        expect(onTopicClosed).toHaveBeenCalledTimes(1);
+    });
+
+    test('a failing handler does not stop the others, and handlers may unsubscribe while called', () => {
+        const bus = createMessageBus();
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const after = jest.fn();
+        let unsubscribe = null;
+        unsubscribe = bus.subscribe('tick:EURUSD', () => {
+            unsubscribe();
+            throw new Error('boom');
+        });
+        bus.subscribe('tick:EURUSD', after);
+
+        bus.publish(tick(1.1));
+        bus.publish(tick(1.2));
+        expect(after).toHaveBeenCalledTimes(2);
+        expect(spy).toHaveBeenCalledTimes(1);
+        spy.mockRestore();
+    });
+});
@@ -0,0 +1,145 @@
+// Monte Carlo robustness analysis of a backtest's trade sequence.
+// Pure functions so they can run inside the Web Worker (lib/monteCarlo.worker.js) or on the main thread.
+
+export const SIMULATION_METHODS = {
+    shuffle: 'Reshuffle trade order',
+    bootstrap: 'Resample with replacement',
+};
+
+const MAX_BAND_POINTS = 100;
+const HISTOGRAM_BUCKETS = 20;
+
+// Small seeded PRNG (mulberry32) so a run can be reproduced from its seed.
+export const createRandom = (seed = Date.now()) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Per-trade returns as a fraction of equity. When every trade has an R-multiple and a risk % is given,
+// returns are re-derived as R x risk so the simulation reflects position sizing at that risk level;
+// otherwise each trade's P&L is taken relative to the equity it was opened with.
+export const tradeReturns = (trades = [], initialCapital, riskPercent) => {
+    const useRMultiples = riskPercent > 0 && trades.length > 0 && trades.every(t => typeof t.r_multiple === 'number');
+    if (useRMultiples) {
+        return { basis: 'r_multiple', returns: trades.map(t => t.r_multiple * (riskPercent / 100)) };
+    }
+
+    let equity = initialCapital || 0;
+    const returns = trades.map(t => {
+        const r = equity > 0 ? t.profit / equity : 0;
+        equity += t.profit;
+        return r;
+    });
+    return { basis: 'returns', returns };
+};
+
+const percentile = (sorted, p) => {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round((p / 100) * (sorted.length - 1))));
+    return sorted[index];
+};
+
+const buildHistogram = (values, buckets) => {
+    const min = values[0];
+    const max = values[values.length - 1];
+    const width = (max - min) / buckets || 1;
+    const counts = Array.from({ length: buckets }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+    values.forEach(v => {
+        counts[Math.min(buckets - 1, Math.floor((v - min) / width))].count += 1;
+    });
+    return counts;
+};
+
+// Runs `iterations` simulated trade sequences and summarises them:
+//   bands       – equity percentiles (5/25/50/75/95) at up to MAX_BAND_POINTS points along the sequence
+//   drawdowns   – max drawdown percentiles and a histogram (in %, positive numbers)
+//   ruinProbability – share of paths whose equity ever fell to (100 - ruinPct)% of the starting capital
+export const runMonteCarlo = ({ trades, initialCapital = 10000, riskPercent, iterations = 1000, method = 'shuffle', ruinPct = 50, seed, onProgress }) => {
+    const { basis, returns } = tradeReturns(trades, initialCapital, riskPercent);
+    const count = returns.length;
+    if (count === 0) return null;
+
+    const random = createRandom(seed);
+    const step = Math.max(1, Math.ceil(count / MAX_BAND_POINTS));
+    const checkpoints = [];
+    for (let i = 0; i <= count; i += step) checkpoints.push(i);
+    if (checkpoints[checkpoints.length - 1] !== count) checkpoints.push(count);
+
+    const ruinLevel = initialCapital * (1 - ruinPct / 100);
+    const equityAt = checkpoints.map(() => new Float64Array(iterations));
+    const maxDrawdowns = new Float64Array(iterations);
+    const finalReturns = new Float64Array(iterations);
+    const sequence = returns.slice();
+    let ruined = 0;
+
+    for (let n = 0; n < iterations; n++) {
+        if (method === 'bootstrap') {
+            for (let i = 0; i < count; i++) sequence[i] = returns[Math.floor(random() * count)];
+        } else {
+            // Fisher-Yates shuffle in place; the previous order is as good a starting point as any.
+            for (let i = count - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
+            }
+        }
+
+        let equity = initialCapital;
+        let peak = equity;
+        let maxDrawdown = 0;
+        let isRuined = false;
+        let checkpoint = 0;
+        equityAt[checkpoint++][n] = equity;
+        for (let i = 0; i < count; i++) {
+            equity = Math.max(0, equity * (1 + sequence[i]));
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - equity) / peak : 0);
+            if (equity <= ruinLevel) isRuined = true;
+            if (checkpoints[checkpoint] === i + 1) equityAt[checkpoint++][n] = equity;
+        }
+        maxDrawdowns[n] = maxDrawdown * 100;
+        finalReturns[n] = ((equity - initialCapital) / initialCapital) * 100;
+        if (isRuined) ruined += 1;
+
+        if (onProgress && (n + 1) % 250 === 0) onProgress((n + 1) / iterations);
+    }
+
+    const bands = checkpoints.map((trade, i) => {
+        const sorted = equityAt[i].sort();
+        return {
+            trade,
+            p5: percentile(sorted, 5),
+            p25: percentile(sorted, 25),
+            p50: percentile(sorted, 50),
+            p75: percentile(sorted, 75),
+            p95: percentile(sorted, 95),
+        };
+    });
+    const sortedDrawdowns = maxDrawdowns.sort();
+    const sortedReturns = finalReturns.sort();
+
+    return {
+        basis,
+        riskPercent,
+        iterations,
+        tradeCount: count,
+        bands,
+        drawdowns: {
+            p50: percentile(sortedDrawdowns, 50),
+            p95: percentile(sortedDrawdowns, 95),
+            p99: percentile(sortedDrawdowns, 99),
+            histogram: buildHistogram(sortedDrawdowns, HISTOGRAM_BUCKETS),
+        },
+        finalReturns: {
+            p5: percentile(sortedReturns, 5),
+            p50: percentile(sortedReturns, 50),
+            p95: percentile(sortedReturns, 95),
+        },
+        ruinProbability: (ruined / iterations) * 100,
+    };
+};
@@ -0,0 +1,58 @@
+import { createRandom, tradeReturns, runMonteCarlo } from './monteCarlo';
+
+test('createRandom is reproducible from its seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const values = Array.from({ length: 5 }, () => a());
+    expect(Array.from({ length: 5 }, () => b())).toEqual(values);
+    values.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+    });
+});
+
+describe('tradeReturns', () => {
+    test('takes each profit relative to the equity the trade was opened with', () => {
+        const { basis, returns } = tradeReturns([{ profit: 100 }, { profit: -220 }], 1000);
+        expect(basis).toBe('returns');
+        expect(returns[0]).toBeCloseTo(0.1);
+        expect(returns[1]).toBeCloseTo(-0.2);
+    });
+
+    test('uses R-multiples when every trade has one and a risk is given', () => {
+        expect(tradeReturns([{ profit: 5, r_multiple: 2 }, { profit: -3, r_multiple: -1 }], 1000, 1)).toEqual({
+            basis: 'r_multiple', returns: [0.02, -0.01],
+        });
+    });
+});
+
+describe('runMonteCarlo', () => {
+    const trades = [100, -50, 80, -120, 60, 40, -30, 90].map(profit => ({ profit }));
+
+    test('is null without trades', () => {
+        expect(runMonteCarlo({ trades: [] })).toBeNull();
+    });
+
+    test('shuffling keeps the final equity of every path', () => {
+        const result = runMonteCarlo({ trades, initialCapital: 1000, iterations: 200, seed: 1 });
+        const last = result.bands[result.bands.length - 1];
+        expect(last.trade).toBe(trades.length);
+        expect(last.p5).toBeCloseTo(last.p95);
+        expect(result.finalReturns.p5).toBeCloseTo(result.finalReturns.p95);
+        expect(result.tradeCount).toBe(trades.length);
+    });
+
+    test('is reproducible from a seed and reports ordered percentiles', () => {
+        const options = { trades, initialCapital: 1000, iterations: 300, method: 'bootstrap', seed: 7 };
+        const result = runMonteCarlo(options);
+        expect(runMonteCarlo(options)).toEqual(result);
+        expect(result.drawdowns.p50).toBeLessThanOrEqual(result.drawdowns.p95);
+        expect(result.finalReturns.p5).toBeLessThanOrEqual(result.finalReturns.p95);
+        expect(result.drawdowns.histogram.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(300);
+    });
+
+    test('counts ruined paths', () => {
+        const result = runMonteCarlo({ trades: [{ profit: -600 }, { profit: 10 }], initialCapital: 1000, iterations: 50, ruinPct: 50, seed: 3 });
+        expect(result.ruinProbability).toBe(100);
+    });
+});
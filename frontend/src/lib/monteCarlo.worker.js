@@ -0,0 +1,16 @@
+import { runMonteCarlo } from './monteCarlo';
+
+// Runs the simulation off the main thread. Messages: { id, ...runMonteCarlo options }.
+// Replies with { id, type: 'progress', progress } while running and { id, type: 'result', result } at the end.
+self.onmessage = ({ data }) => {
+    const { id, ...options } = data;
+    try {
+        const result = runMonteCarlo({
+            ...options,
+            onProgress: (progress) => self.postMessage({ id, type: 'progress', progress }),
+        });
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};
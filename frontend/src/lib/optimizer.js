@@ -0,0 +1,88 @@
+// Helpers for the Backtest page's parameter sweep ("Optimize") mode.
+
+export const MAX_GRID_SIZE = 500;
+
+export const RANKING_METRICS = {
+    sharpe_ratio: { label: 'Sharpe Ratio', higherIsBetter: true, unit: '' },
+    total_return_pct: { label: 'Total Return', higherIsBetter: true, unit: '%' },
+    max_drawdown_pct: { label: 'Max Drawdown', higherIsBetter: false, unit: '%' },
+};
+
+// Number of decimals in a step, so 0.1 increments don't accumulate float noise.
+const decimalsOf = (value) => {
+    const [, fraction = ''] = String(value).split('.');
+    return fraction.length;
+};
+
+// Why a sweep range can't be expanded, or null when it is usable. A single value is min = max.
+export const rangeError = ({ min, max, step } = {}) => {
+    if (![min, max, step].every(Number.isFinite)) return 'Enter a min, max and step.';
+    if (min > max) return 'Min must not be greater than max.';
+    if (step <= 0) return 'Step must be greater than 0.';
+    return null;
+};
+
+// Every value of a range, or none when it is invalid (see rangeError).
+export const expandRange = (range) => {
+    if (rangeError(range)) return [];
+    const { min, max, step } = range;
+    const precision = Math.max(decimalsOf(min), decimalsOf(step));
+    const values = [];
+    for (let i = 0; ; i += 1) {
+        const value = Number((min + i * step).toFixed(precision));
+        if (value > max + step / 1e6) break;
+        values.push(value);
+    }
+    return values;
+};
+
+// Counts combinations without materialising them, so the form can warn before building a huge grid.
+// An invalid range contributes no values, so the count is 0 like the grid buildParameterGrid returns.
+export const countGrid = (ranges = {}) => Object.values(ranges)
+    .reduce((total, range) => total * expandRange(range).length, 1);
+
+// Cartesian product of every ranged parameter, merged over the fixed (non-numeric) ones.
+export const buildParameterGrid = (ranges = {}, fixedParameters = {}) => Object.entries(ranges)
+    .reduce((sets, [name, range]) => {
+        const values = expandRange(range);
+        return sets.flatMap(set => values.map(value => ({ ...set, [name]: value })));
+    }, [{ ...fixedParameters }]);
+
+// Names of the parameters that actually take more than one value across the runs.
+export const getVaryingParameters = (runs = []) => {
+    if (runs.length === 0) return [];
+    return Object.keys(runs[0].parameters || {}).filter(name => {
+        const first = runs[0].parameters[name];
+        return runs.some(run => run.parameters[name] !== first);
+    });
+};
+
+export const compareByMetric = (metric) => {
+    const { higherIsBetter } = RANKING_METRICS[metric];
+    return (a, b) => {
+        // Drawdown may be reported as a negative or positive percentage; rank on magnitude.
+        const valueA = metric === 'max_drawdown_pct' ? Math.abs(a[metric]) : a[metric];
+        const valueB = metric === 'max_drawdown_pct' ? Math.abs(b[metric]) : b[metric];
+        return higherIsBetter ? valueB - valueA : valueA - valueB;
+    };
+};
+
+export const rankRuns = (runs = [], metric = 'sharpe_ratio') => [...runs].sort(compareByMetric(metric));
+
+// Builds an x/y matrix of the best metric value for each pair of parameter values.
+// Other parameters are collapsed by keeping the best run in each cell.
+export const buildHeatmap = (runs = [], xParam, yParam, metric) => {
+    const xValues = [...new Set(runs.map(r => r.parameters[xParam]))].sort((a, b) => a - b);
+    const yValues = [...new Set(runs.map(r => r.parameters[yParam]))].sort((a, b) => a - b);
+    const compare = compareByMetric(metric);
+
+    const cells = new Map();
+    runs.forEach(run => {
+        const key = `${run.parameters[xParam]}|${run.parameters[yParam]}`;
+        const current = cells.get(key);
+        if (!current || compare(run, current) < 0) cells.set(key, run);
+    });
+
+    const matrix = yValues.map(y => xValues.map(x => cells.get(`${x}|${y}`)?.[metric] ?? null));
+    return { xValues, yValues, matrix };
+};
@@ -0,0 +1,68 @@
+import { rangeError, expandRange, countGrid, buildParameterGrid, getVaryingParameters, rankRuns, buildHeatmap } from './optimizer';
+
+describe('ranges', () => {
+    test('expandRange steps from min to max without float noise', () => {
+        expect(expandRange({ min: 1, max: 2, step: 0.25 })).toEqual([1, 1.25, 1.5, 1.75, 2]);
+        expect(expandRange({ min: 0.1, max: 0.3, step: 0.1 })).toEqual([0.1, 0.2, 0.3]);
+        expect(expandRange({ min: 5, max: 5, step: 1 })).toEqual([5]);
+    });
+
+    test.each([
+        [{ min: NaN, max: 2, step: 1 }, 'Enter a min, max and step.'],
+        [{ min: 1, max: undefined, step: 1 }, 'Enter a min, max and step.'],
+        [{ min: 3, max: 2, step: 1 }, 'Min must not be greater than max.'],
+        [{ min: 1, max: 2, step: 0 }, 'Step must be greater than 0.'],
+        [{ min: 1, max: 2, step: -1 }, 'Step must be greater than 0.'],
+    ])('rejects %p', (range, message) => {
+        expect(rangeError(range)).toBe(message);
+        expect(expandRange(range)).toEqual([]);
+    });
+
+    test('accepts a usable range', () => {
+        expect(rangeError({ min: 1, max: 2, step: 1 })).toBeNull();
+    });
+});
+
+describe('grids', () => {
+    const ranges = { fast: { min: 5, max: 15, step: 5 }, slow: { min: 20, max: 30, step: 10 } };
+
+    test('countGrid matches the grid that buildParameterGrid builds', () => {
+        const grid = buildParameterGrid(ranges, { mode: 'close' });
+        expect(countGrid(ranges)).toBe(6);
+        expect(grid).toHaveLength(6);
+        expect(grid[0]).toEqual({ mode: 'close', fast: 5, slow: 20 });
+        expect(grid[5]).toEqual({ mode: 'close', fast: 15, slow: 30 });
+    });
+
+    test('an invalid range empties the grid', () => {
+        const invalid = { ...ranges, slow: { min: 30, max: 20, step: 10 } };
+        expect(countGrid(invalid)).toBe(0);
+        expect(buildParameterGrid(invalid)).toEqual([]);
+    });
+});
+
+describe('results', () => {
+    const runs = [
+        { parameters: { fast: 5, slow: 20 }, sharpe_ratio: 1, total_return_pct: 10, max_drawdown_pct: -8 },
+        { parameters: { fast: 10, slow: 20 }, sharpe_ratio: 2, total_return_pct: 5, max_drawdown_pct: -3 },
+        { parameters: { fast: 5, slow: 30 }, sharpe_ratio: 0.5, total_return_pct: 12, max_drawdown_pct: -12 },
+    ];
+
+    test('rankRuns sorts by the metric, drawdown by magnitude', () => {
+        expect(rankRuns(runs).map(run => run.sharpe_ratio)).toEqual([2, 1, 0.5]);
+        expect(rankRuns(runs, 'max_drawdown_pct').map(run => run.max_drawdown_pct)).toEqual([-3, -8, -12]);
+    });
+
+    test('getVaryingParameters skips parameters that never change', () => {
+        expect(getVaryingParameters(runs)).toEqual(['fast', 'slow']);
+        expect(getVaryingParameters([runs[0], { ...runs[1], parameters: { fast: 10, slow: 20 } }])).toEqual(['fast']);
+    });
+
+    test('buildHeatmap leaves missing combinations empty', () => {
+        expect(buildHeatmap(runs, 'fast', 'slow', 'sharpe_ratio')).toEqual({
+            xValues: [5, 10],
+            yValues: [20, 30],
+            matrix: [[1, 2], [0.5, null]],
+        });
+    });
+});
@@ -0,0 +1,77 @@
+// Position sizing and risk maths for manual orders. Works on MT5 symbol specs, where the tick value
+// is the account-currency value of a one-tick move for one lot.
+
+// Generic 5-digit FX specs for a USD account, used when the terminal cannot be asked for the real ones.
+export const DEFAULT_SYMBOL_INFO = {
+    digits: 5,
+    tick_size: 0.00001,
+    tick_value: 1,
+    volume_min: 0.01,
+    volume_max: 100,
+    volume_step: 0.01,
+};
+
+// Accepts both the raw MT5 field names (trade_tick_value, ...) and already simplified ones.
+export const normalizeSymbolInfo = (info) => {
+    if (!info) return DEFAULT_SYMBOL_INFO;
+    const pick = (...keys) => keys.map(key => info[key]).find(value => typeof value === 'number' && value > 0);
+    return {
+        digits: info.digits ?? DEFAULT_SYMBOL_INFO.digits,
+        tick_size: pick('tick_size', 'trade_tick_size', 'point') ?? DEFAULT_SYMBOL_INFO.tick_size,
+        tick_value: pick('tick_value', 'trade_tick_value') ?? DEFAULT_SYMBOL_INFO.tick_value,
+        volume_min: pick('volume_min') ?? DEFAULT_SYMBOL_INFO.volume_min,
+        volume_max: pick('volume_max') ?? DEFAULT_SYMBOL_INFO.volume_max,
+        volume_step: pick('volume_step') ?? DEFAULT_SYMBOL_INFO.volume_step,
+    };
+};
+
+const stepDecimals = (step) => Math.max(0, -Math.floor(Math.log10(step)));
+
+// Rounds down to the symbol's volume step and clamps to its limits. Rounding down keeps the risk at
+// or below the target, except when even the minimum volume is larger.
+export const roundVolume = (volume, symbolInfo) => {
+    const { volume_min, volume_max, volume_step } = symbolInfo;
+    const stepped = Math.floor(volume / volume_step + 1e-9) * volume_step;
+    return Number(Math.min(volume_max, Math.max(volume_min, stepped)).toFixed(stepDecimals(volume_step)));
+};
+
+// Account-currency profit or loss of a price move of `distance` for `volume` lots.
+export const moneyForDistance = (distance, volume, symbolInfo) => (Math.abs(distance) / symbolInfo.tick_size) * symbolInfo.tick_value * volume;
+
+// Lots that lose `riskPercent` of the balance when the stop loss is hit. Null when the inputs do not allow sizing.
+export const calculateLotSize = ({ balance, riskPercent, entry, stopLoss, symbolInfo }) => {
+    const lossPerLot = moneyForDistance(entry - stopLoss, 1, symbolInfo);
+    if (!balance || !riskPercent || !lossPerLot) return null;
+    return roundVolume((balance * riskPercent) / 100 / lossPerLot, symbolInfo);
+};
+
+// Summary shown before an order is sent or a stop is moved. Reward and R:R are null without a take profit.
+export const summarizeOrderRisk = ({ volume, entry, stopLoss, takeProfit, balance, symbolInfo }) => {
+    const risk = stopLoss ? moneyForDistance(entry - stopLoss, volume, symbolInfo) : null;
+    const reward = takeProfit ? moneyForDistance(takeProfit - entry, volume, symbolInfo) : null;
+    return {
+        risk,
+        riskPercent: risk != null && balance ? (risk / balance) * 100 : null,
+        reward,
+        rewardRatio: risk && reward != null ? reward / risk : null,
+    };
+};
+
+// Whether stop loss and take profit are on the correct side of the entry for the trade direction.
+export const validateStops = ({ side, entry, stopLoss, takeProfit }) => {
+    const direction = side === 'SELL' ? -1 : 1;
+    if (stopLoss && (entry - stopLoss) * direction <= 0) return `Stop loss must be ${side === 'SELL' ? 'above' : 'below'} the entry price.`;
+    if (takeProfit && (takeProfit - entry) * direction <= 0) return `Take profit must be ${side === 'SELL' ? 'below' : 'above'} the entry price.`;
+    return null;
+};
+
+// Limit orders buy below / sell above the market, stop orders the opposite.
+export const validatePendingPrice = ({ side, orderType, price, marketPrice }) => {
+    if (orderType === 'market' || !price || !marketPrice) return null;
+    const belowMarket = price < marketPrice;
+    const expectBelow = (orderType === 'limit') === (side === 'BUY');
+    if (belowMarket !== expectBelow) {
+        return `A ${side.toLowerCase()} ${orderType} order must be ${expectBelow ? 'below' : 'above'} the current price.`;
+    }
+    return null;
+};
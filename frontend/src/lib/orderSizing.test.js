@@ -0,0 +1,56 @@
+import {
+    DEFAULT_SYMBOL_INFO, normalizeSymbolInfo, roundVolume, calculateLotSize, summarizeOrderRisk, validateStops, validatePendingPrice,
+} from './orderSizing';
+
+const eurusd = DEFAULT_SYMBOL_INFO;
+
+test('normalizeSymbolInfo reads raw MT5 field names and falls back to the defaults', () => {
+    expect(normalizeSymbolInfo({ digits: 2, trade_tick_size: 0.01, trade_tick_value: 0.5, volume_min: 0.1 })).toEqual({
+        ...DEFAULT_SYMBOL_INFO, digits: 2, tick_size: 0.01, tick_value: 0.5, volume_min: 0.1,
+    });
+    expect(normalizeSymbolInfo(null)).toBe(DEFAULT_SYMBOL_INFO);
+});
+
+test('roundVolume rounds down to the step and clamps to the limits', () => {
+    expect(roundVolume(0.567, eurusd)).toBe(0.56);
+    expect(roundVolume(0.001, eurusd)).toBe(0.01);
+    expect(roundVolume(250, eurusd)).toBe(100);
+    expect(roundVolume(1.37, { ...eurusd, volume_step: 0.1 })).toBe(1.3);
+});
+
+describe('calculateLotSize', () => {
+    test('sizes the position so the stop loses the risked percentage', () => {
+        // 200 ticks at $1 per tick and lot: $200 per lot, and 1% of 10,000 is $100.
+        expect(calculateLotSize({ balance: 10000, riskPercent: 1, entry: 1.1, stopLoss: 1.098, symbolInfo: eurusd })).toBe(0.5);
+    });
+
+    test('is null without a stop distance or balance', () => {
+        expect(calculateLotSize({ balance: 10000, riskPercent: 1, entry: 1.1, stopLoss: 1.1, symbolInfo: eurusd })).toBeNull();
+        expect(calculateLotSize({ balance: 0, riskPercent: 1, entry: 1.1, stopLoss: 1.098, symbolInfo: eurusd })).toBeNull();
+    });
+});
+
+test('summarizeOrderRisk reports money at risk, reward and R:R', () => {
+    const summary = summarizeOrderRisk({ volume: 0.5, entry: 1.1, stopLoss: 1.098, takeProfit: 1.104, balance: 10000, symbolInfo: eurusd });
+    expect(summary.risk).toBeCloseTo(100);
+    expect(summary.riskPercent).toBeCloseTo(1);
+    expect(summary.reward).toBeCloseTo(200);
+    expect(summary.rewardRatio).toBeCloseTo(2);
+
+    const withoutTakeProfit = summarizeOrderRisk({ volume: 0.5, entry: 1.1, stopLoss: 1.098, balance: 10000, symbolInfo: eurusd });
+    expect(withoutTakeProfit.reward).toBeNull();
+    expect(withoutTakeProfit.rewardRatio).toBeNull();
+});
+
+test('validateStops checks the side of stop loss and take profit', () => {
+    expect(validateStops({ side: 'BUY', entry: 1.1, stopLoss: 1.09, takeProfit: 1.12 })).toBeNull();
+    expect(validateStops({ side: 'BUY', entry: 1.1, stopLoss: 1.11 })).toBe('Stop loss must be below the entry price.');
+    expect(validateStops({ side: 'SELL', entry: 1.1, stopLoss: 1.11, takeProfit: 1.12 })).toBe('Take profit must be below the entry price.');
+});
+
+test('validatePendingPrice puts limits on the favourable side of the market and stops on the other', () => {
+    expect(validatePendingPrice({ side: 'BUY', orderType: 'limit', price: 1.09, marketPrice: 1.1 })).toBeNull();
+    expect(validatePendingPrice({ side: 'BUY', orderType: 'stop', price: 1.09, marketPrice: 1.1 })).toBe('A buy stop order must be above the current price.');
+    expect(validatePendingPrice({ side: 'SELL', orderType: 'limit', price: 1.09, marketPrice: 1.1 })).toBe('A sell limit order must be above the current price.');
+    expect(validatePendingPrice({ side: 'SELL', orderType: 'market', price: 1.09, marketPrice: 1.1 })).toBeNull();
+});
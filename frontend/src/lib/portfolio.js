@@ -0,0 +1,89 @@
+// Breakdown helpers for portfolio (multi-symbol) backtests with shared capital.
+// Works on the `results` object of a portfolio run, whose trades carry a `symbol` field.
+import { normalizeTrades } from './backtest';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (value) => Math.floor(new Date(value).getTime() / DAY_MS);
+
+// Net P&L, trade count and win rate per symbol, plus each symbol's share of the portfolio's net P&L.
+// Prefers the server's per-symbol figures (`results.symbols`) and fills the gaps from the trade list.
+export const computeSymbolContributions = (results = {}) => {
+    const bySymbol = new Map();
+    normalizeTrades(results.trades).forEach(trade => {
+        const symbol = trade.symbol || 'N/A';
+        if (!bySymbol.has(symbol)) bySymbol.set(symbol, { symbol, net_profit: 0, total_trades: 0, wins: 0 });
+        const row = bySymbol.get(symbol);
+        row.net_profit += trade.profit;
+        row.total_trades += 1;
+        if (trade.profit > 0) row.wins += 1;
+    });
+    (results.symbols || []).forEach(({ symbol, ...metrics }) => {
+        bySymbol.set(symbol, { symbol, wins: 0, ...bySymbol.get(symbol), ...metrics });
+    });
+
+    const rows = [...bySymbol.values()];
+    const totalProfit = rows.reduce((sum, row) => sum + row.net_profit, 0);
+    const initialCapital = results.initial_capital;
+    return rows
+        .map(({ wins, ...row }) => ({
+            ...row,
+            win_rate_pct: row.win_rate_pct ?? (row.total_trades ? (wins / row.total_trades) * 100 : null),
+            return_contribution_pct: initialCapital ? (row.net_profit / initialCapital) * 100 : null,
+            share_pct: totalProfit ? (row.net_profit / Math.abs(totalProfit)) * 100 : null,
+        }))
+        .sort((a, b) => b.net_profit - a.net_profit);
+};
+
+// Daily P&L per symbol (bucketed by exit date) on a shared calendar, zero-filled on days a symbol had no exits.
+// Returns { days: [dayIndex], series: { [symbol]: [pnl] } }.
+export const dailyPnlBySymbol = (trades = []) => {
+    const totals = new Map();
+    const days = new Set();
+    normalizeTrades(trades).forEach(trade => {
+        if (!trade.exit_time || !trade.symbol) return;
+        const day = dayKey(trade.exit_time);
+        days.add(day);
+        if (!totals.has(trade.symbol)) totals.set(trade.symbol, new Map());
+        const symbolDays = totals.get(trade.symbol);
+        symbolDays.set(day, (symbolDays.get(day) || 0) + trade.profit);
+    });
+
+    const sortedDays = [...days].sort((a, b) => a - b);
+    const series = {};
+    totals.forEach((symbolDays, symbol) => {
+        series[symbol] = sortedDays.map(day => symbolDays.get(day) || 0);
+    });
+    return { days: sortedDays, series };
+};
+
+export const pearsonCorrelation = (a, b) => {
+    const n = Math.min(a.length, b.length);
+    if (n < 2) return null;
+    let sumA = 0, sumB = 0;
+    for (let i = 0; i < n; i++) { sumA += a[i]; sumB += b[i]; }
+    const meanA = sumA / n;
+    const meanB = sumB / n;
+    let cov = 0, varA = 0, varB = 0;
+    for (let i = 0; i < n; i++) {
+        const da = a[i] - meanA;
+        const db = b[i] - meanB;
+        cov += da * db;
+        varA += da * da;
+        varB += db * db;
+    }
+    if (varA === 0 || varB === 0) return null;
+    return cov / Math.sqrt(varA * varB);
+};
+
+// Symmetric correlation matrix of the symbols' daily P&L (proportional to returns, as capital is shared).
+// Shape: { symbols, matrix[i][j] }.
+// Uses `results.correlation_matrix` when the server already computed it on bar returns.
+export const computeCorrelationMatrix = (results = {}) => {
+    if (results.correlation_matrix?.symbols) return results.correlation_matrix;
+
+    const { series } = dailyPnlBySymbol(results.trades);
+    const symbols = Object.keys(series).sort();
+    const matrix = symbols.map((a, i) => symbols.map((b, j) => (i === j ? 1 : pearsonCorrelation(series[a], series[b]))));
+    return { symbols, matrix };
+};
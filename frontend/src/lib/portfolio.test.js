@@ -0,0 +1,44 @@
+import { computeSymbolContributions, dailyPnlBySymbol, pearsonCorrelation, computeCorrelationMatrix } from './portfolio';
+
+const trades = [
+    { symbol: 'EURUSD', side: 'BUY', profit: 100, exit_time: '2025-03-03T10:00:00Z' },
+    { symbol: 'EURUSD', side: 'SELL', profit: -40, exit_time: '2025-03-04T10:00:00Z' },
+    { symbol: 'XAUUSD', side: 'BUY', profit: 60, exit_time: '2025-03-03T12:00:00Z' },
+    { symbol: 'XAUUSD', side: 'SELL', profit: -20, exit_time: '2025-03-05T12:00:00Z' },
+];
+
+test('computeSymbolContributions splits the P&L by symbol', () => {
+    const rows = computeSymbolContributions({ trades, initial_capital: 1000 });
+    expect(rows.map(row => row.symbol)).toEqual(['EURUSD', 'XAUUSD']);
+    expect(rows[0]).toMatchObject({ net_profit: 60, total_trades: 2, win_rate_pct: 50, return_contribution_pct: 6, share_pct: 60 });
+    expect(rows[1]).toMatchObject({ net_profit: 40, return_contribution_pct: 4, share_pct: 40 });
+});
+
+test('computeSymbolContributions prefers the server figures', () => {
+    const rows = computeSymbolContributions({ trades, initial_capital: 1000, symbols: [{ symbol: 'XAUUSD', net_profit: 200, win_rate_pct: 75 }] });
+    expect(rows[0]).toMatchObject({ symbol: 'XAUUSD', net_profit: 200, win_rate_pct: 75 });
+});
+
+test('dailyPnlBySymbol zero-fills days a symbol had no exits', () => {
+    const { days, series } = dailyPnlBySymbol(trades);
+    expect(days).toHaveLength(3);
+    expect(series).toEqual({ EURUSD: [100, -40, 0], XAUUSD: [60, 0, -20] });
+});
+
+test('pearsonCorrelation', () => {
+    expect(pearsonCorrelation([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+    expect(pearsonCorrelation([1, 2, 3], [3, 2, 1])).toBeCloseTo(-1);
+    expect(pearsonCorrelation([1, 1, 1], [1, 2, 3])).toBeNull();
+    expect(pearsonCorrelation([1], [1])).toBeNull();
+});
+
+test('computeCorrelationMatrix is symmetric with ones on the diagonal', () => {
+    const { symbols, matrix } = computeCorrelationMatrix({ trades });
+    expect(symbols).toEqual(['EURUSD', 'XAUUSD']);
+    expect(matrix[0][0]).toBe(1);
+    expect(matrix[1][1]).toBe(1);
+    expect(matrix[0][1]).toBeCloseTo(matrix[1][0]);
+
+    const fromServer = { symbols: ['A'], matrix: [[1]] };
+    expect(computeCorrelationMatrix({ trades, correlation_matrix: fromServer })).toBe(fromServer);
+});
@@ -0,0 +1,47 @@
+// Helpers for the positions blotter: live P&L from streamed quotes, filtering and totals.
+// Positions and orders are MT5 objects ({ ticket, symbol, type, volume, price_open, sl, tp, profit, ... });
+// history deals additionally carry price_close/time_close.
+
+const direction = (position) => (position.type === 'SELL' ? -1 : 1);
+
+// Price a position would close at right now: longs sell at the bid, shorts buy back at the ask.
+export const closingPrice = (position, quote) => (position.type === 'SELL' ? quote?.ask : quote?.bid) ?? position.price_current ?? null;
+
+// Floating P&L (incl. swap) recomputed from a live quote. Falls back to the server's last value until both a
+// quote and the symbol's contract specs are known.
+export const livePositionProfit = (position, quote, symbolInfo) => {
+    const price = quote && closingPrice(position, quote);
+    if (price == null || !symbolInfo) return position.profit ?? 0;
+    const ticks = ((price - position.price_open) * direction(position)) / symbolInfo.tick_size;
+    return ticks * symbolInfo.tick_value * position.volume + (position.swap || 0);
+};
+
+// Filters by symbol, strategy ('manual' = not opened by a strategy) and an inclusive date range on `timeKey`.
+export const filterTrades = (rows = [], { symbol, strategyId, from, to } = {}, timeKey = 'time') => {
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+    return rows.filter(row => {
+        if (symbol && row.symbol !== symbol) return false;
+        if (strategyId === 'manual' && row.strategy_id != null) return false;
+        if (strategyId && strategyId !== 'manual' && String(row.strategy_id) !== String(strategyId)) return false;
+        const time = new Date(row[timeKey]).getTime();
+        return Number.isNaN(time) || (time >= fromTime && time <= toTime);
+    });
+};
+
+// Totals row for closed trades.
+export const summarizeHistory = (deals = []) => {
+    const wins = deals.filter(deal => deal.profit > 0).length;
+    const sum = (key) => deals.reduce((total, deal) => total + (deal[key] || 0), 0);
+    const profit = sum('profit');
+    const commission = sum('commission');
+    const swap = sum('swap');
+    return {
+        count: deals.length,
+        winRate: deals.length ? (wins / deals.length) * 100 : 0,
+        profit,
+        commission,
+        swap,
+        net: profit + commission + swap,
+    };
+};
@@ -0,0 +1,41 @@
+import { closingPrice, livePositionProfit, filterTrades, summarizeHistory } from './positions';
+
+const symbolInfo = { tick_size: 0.00001, tick_value: 1 };
+const quote = { bid: 1.1010, ask: 1.1012 };
+
+test('closingPrice uses the bid for longs and the ask for shorts', () => {
+    expect(closingPrice({ type: 'BUY' }, quote)).toBe(1.1010);
+    expect(closingPrice({ type: 'SELL' }, quote)).toBe(1.1012);
+    expect(closingPrice({ type: 'BUY', price_current: 1.2 }, null)).toBe(1.2);
+});
+
+describe('livePositionProfit', () => {
+    test('recomputes floating P&L from the quote, including swap', () => {
+        expect(livePositionProfit({ type: 'BUY', price_open: 1.1, volume: 0.5, swap: -2 }, quote, symbolInfo)).toBeCloseTo(48);
+        expect(livePositionProfit({ type: 'SELL', price_open: 1.1, volume: 1 }, quote, symbolInfo)).toBeCloseTo(-120);
+    });
+
+    test("falls back to the server's value without a quote or specs", () => {
+        expect(livePositionProfit({ type: 'BUY', price_open: 1.1, volume: 1, profit: 7 }, null, symbolInfo)).toBe(7);
+        expect(livePositionProfit({ type: 'BUY', price_open: 1.1, volume: 1, profit: 7 }, quote, null)).toBe(7);
+    });
+});
+
+test('filterTrades filters by symbol, strategy and inclusive local dates', () => {
+    const rows = [
+        { ticket: 1, symbol: 'EURUSD', strategy_id: 3, time: new Date(2025, 2, 3, 0, 0).toISOString() },
+        { ticket: 2, symbol: 'EURUSD', strategy_id: null, time: new Date(2025, 2, 5, 23, 59).toISOString() },
+        { ticket: 3, symbol: 'XAUUSD', strategy_id: null, time: new Date(2025, 2, 6, 0, 1).toISOString() },
+    ];
+    const tickets = (filters) => filterTrades(rows, filters).map(row => row.ticket);
+    expect(tickets({ symbol: 'EURUSD' })).toEqual([1, 2]);
+    expect(tickets({ strategyId: 'manual' })).toEqual([2, 3]);
+    expect(tickets({ strategyId: '3' })).toEqual([1]);
+    expect(tickets({ from: '2025-03-03', to: '2025-03-05' })).toEqual([1, 2]);
+});
+
+test('summarizeHistory totals closed trades', () => {
+    expect(summarizeHistory([{ profit: 50, commission: -4, swap: -1 }, { profit: -20, commission: -4 }])).toEqual({
+        count: 2, winRate: 50, profit: 30, commission: -8, swap: -1, net: 21,
+    });
+});
@@ -0,0 +1,144 @@
+// Recording and replay of raw WebSocket traffic (ticks, account_update, trade_executed, ...) for debugging
+// and demos. A recording is a versioned JSON envelope with each message's offset from the start in ms.
+
+export const SESSION_FORMAT = 'quantedge-ws-session';
+export const SESSION_VERSION = 1;
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 25, 50];
+
+// Roughly an hour of busy multi-symbol ticks; keeps a forgotten recording from eating the tab's memory.
+// Messages after this are dropped, and the recording UI says so.
+export const MAX_RECORDED_MESSAGES = 200000;
+
+// Collects messages as they arrive. `finish()` returns the export envelope.
+export const createSessionRecorder = (now = Date.now) => {
+    const startedAt = now();
+    const messages = [];
+
+    return {
+        startedAt,
+        record: (message) => {
+            if (messages.length < MAX_RECORDED_MESSAGES) messages.push({ t: now() - startedAt, message });
+        },
+        count: () => messages.length,
+        isFull: () => messages.length >= MAX_RECORDED_MESSAGES,
+        finish: () => ({
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            recorded_at: new Date(startedAt).toISOString(),
+            duration_ms: messages.length ? messages[messages.length - 1].t : 0,
+            messages,
+        }),
+    };
+};
+
+// e.g. "ws-session_2026-05-01T14-30-00.json"
+export const sessionFileName = (recording) => `ws-session_${recording.recorded_at.slice(0, 19).replace(/:/g, '-')}.json`;
+
+// Parses and validates a recording file. Throws with a user-facing message when the file is not usable.
+export const parseSessionExport = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error("The file is not valid JSON.");
+    }
+    if (data?.format !== SESSION_FORMAT || !Array.isArray(data.messages)) {
+        throw new Error("The file is not a QuantEdge WebSocket recording.");
+    }
+    if (data.version > SESSION_VERSION) {
+        throw new Error("The file was recorded by a newer version of the app.");
+    }
+    const messages = data.messages.filter(entry => Number.isFinite(entry?.t) && entry.message?.type);
+    if (messages.length === 0) {
+        throw new Error("The recording contains no messages.");
+    }
+    messages.sort((a, b) => a.t - b.t);
+    return { ...data, messages, duration_ms: messages[messages.length - 1].t };
+};
+
+// Moves a message's `data.time` (ISO string, epoch ms or epoch seconds) by `offsetMs`, keeping its format.
+export const shiftMessageTime = (message, offsetMs) => {
+    const time = message.data?.time;
+    if (time == null || !offsetMs) return message;
+    let shifted;
+    if (typeof time === 'number') {
+        shifted = time > 1e12 ? time + offsetMs : time + offsetMs / 1000;
+    } else {
+        const ms = new Date(time).getTime();
+        if (!Number.isFinite(ms)) return message;
+        shifted = new Date(ms + offsetMs).toISOString();
+    }
+    return { ...message, data: { ...message.data, time: shifted } };
+};
+
+// Replays `recording.messages` through `onMessage` with the original timing divided by `speed`.
+// Messages due at the same moment are delivered together; `onEnd` fires after the last one.
+// Message times are moved so the recording starts when playback first starts: charts drop ticks older than
+// their latest bar, so ticks stamped with the recording's own (past) times would never move them.
+export const createSessionPlayer = (recording, { speed: initialSpeed = 1, onMessage, onEnd } = {}) => {
+    const { messages } = recording;
+    const recordedAt = new Date(recording.recorded_at).getTime();
+    let timeOffset = null; // Wall-clock ms added to recorded message times, fixed on first play.
+    let speed = initialSpeed;
+    let index = 0;
+    let position = 0; // Recording time (ms) reached so far.
+    let scheduledAt = 0; // Wall-clock time `position` was last brought up to date.
+    let timer = null;
+    let playing = false;
+
+    // Advance `position` by the wall time elapsed since the last delivery, without passing the next message.
+    const catchUp = () => {
+        if (!playing || index >= messages.length) return;
+        position = Math.min(messages[index].t, position + (Date.now() - scheduledAt) * speed);
+        scheduledAt = Date.now();
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        if (index >= messages.length) {
+            playing = false;
+            onEnd?.();
+            return;
+        }
+        scheduledAt = Date.now();
+        timer = setTimeout(() => {
+            position = messages[index].t;
+            while (index < messages.length && messages[index].t <= position) {
+                onMessage(shiftMessageTime(messages[index].message, timeOffset));
+                index += 1;
+            }
+            schedule();
+        }, Math.max(0, (messages[index].t - position) / speed));
+    };
+
+    return {
+        play: () => {
+            if (playing || index >= messages.length) return;
+            if (timeOffset === null) timeOffset = Number.isFinite(recordedAt) ? Date.now() - recordedAt : 0;
+            playing = true;
+            schedule();
+        },
+        pause: () => {
+            catchUp();
+            playing = false;
+            clearTimeout(timer);
+        },
+        stop: () => {
+            playing = false;
+            clearTimeout(timer);
+        },
+        setSpeed: (nextSpeed) => {
+            catchUp();
+            speed = nextSpeed;
+            if (playing) schedule();
+        },
+        status: () => ({
+            playing,
+            speed,
+            delivered: index,
+            total: messages.length,
+            position,
+            duration: recording.duration_ms,
+        }),
+    };
+};
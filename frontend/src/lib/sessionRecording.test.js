@@ -0,0 +1,121 @@
+import {
+    MAX_RECORDED_MESSAGES, createSessionRecorder, sessionFileName, parseSessionExport, shiftMessageTime, createSessionPlayer,
+} from './sessionRecording';
+
+describe('createSessionRecorder', () => {
+    test('stores each message with its offset from the start', () => {
+        let now = Date.parse('2025-03-03T10:00:00Z');
+        const recorder = createSessionRecorder(() => now);
+        recorder.record({ type: 'tick', data: { bid: 1 } });
+        now += 250;
+        recorder.record({ type: 'tick', data: { bid: 2 } });
+
+        const recording = recorder.finish();
+        expect(recording).toMatchObject({ recorded_at: '2025-03-03T10:00:00.000Z', duration_ms: 250 });
+        expect(recording.messages.map(entry => entry.t)).toEqual([0, 250]);
+        expect(sessionFileName(recording)).toBe('ws-session_2025-03-03T10-00-00.json');
+    });
+
+    test('stops at the message limit and reports it', () => {
+        const recorder = createSessionRecorder(() => 0);
+        for (let i = 0; i <= MAX_RECORDED_MESSAGES; i++) recorder.record({ type: 'tick' });
+        expect(recorder.count()).toBe(MAX_RECORDED_MESSAGES);
+        expect(recorder.isFull()).toBe(true);
+    });
+});
+
+describe('parseSessionExport', () => {
+    const file = (overrides) => JSON.stringify({
+        format: 'quantedge-ws-session',
+        version: 1,
+        recorded_at: '2025-03-03T10:00:00.000Z',
+        messages: [{ t: 500, message: { type: 'tick' } }, { t: 100, message: { type: 'account_update' } }, { t: 'x', message: {} }],
+        ...overrides,
+    });
+
+    test('keeps usable messages in time order', () => {
+        const recording = parseSessionExport(file());
+        expect(recording.messages.map(entry => entry.t)).toEqual([100, 500]);
+        expect(recording.duration_ms).toBe(500);
+    });
+
+    test.each([
+        ['{', 'The file is not valid JSON.'],
+        [JSON.stringify({ messages: [] }), 'The file is not a QuantEdge WebSocket recording.'],
+        [file({ version: 2 }), 'The file was recorded by a newer version of the app.'],
+        [file({ messages: [] }), 'The recording contains no messages.'],
+    ])('rejects %s', (text, message) => {
+        expect(() => parseSessionExport(text)).toThrow(message);
+    });
+});
+
+test('shiftMessageTime keeps the time format', () => {
+    const shift = (time) => shiftMessageTime({ type: 'tick', data: { time } }, 60000).data.time;
+    expect(shift('2025-03-03T10:00:00.000Z')).toBe('2025-03-03T10:01:00.000Z');
+    expect(shift(1740996000000)).toBe(1740996060000);
+    expect(shift(1740996000)).toBe(1740996060);
+
+    const message = { type: 'account_update', data: { equity: 1 } };
+    expect(shiftMessageTime(message, 60000)).toBe(message);
+});
+
+describe('createSessionPlayer', () => {
+    const recording = {
+        recorded_at: '2025-03-03T10:00:00.000Z',
+        messages: [
+            { t: 0, message: { type: 'tick', data: { time: '2025-03-03T10:00:00.000Z' } } },
+            { t: 1000, message: { type: 'tick', data: { time: '2025-03-03T10:00:01.000Z' } } },
+            { t: 1000, message: { type: 'account_update', data: {} } },
+            { t: 3000, message: { type: 'tick', data: { time: '2025-03-03T10:00:03.000Z' } } },
+        ],
+        duration_ms: 3000,
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(Date.parse('2026-01-01T00:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('replays with the recorded timing, moved onto the playback clock', () => {
+        const onMessage = jest.fn();
+        const onEnd = jest.fn();
+        const player = createSessionPlayer(recording, { onMessage, onEnd });
+        player.play();
+
+        jest.advanceTimersByTime(0);
+        expect(onMessage).toHaveBeenCalledTimes(1);
+        expect(onMessage.mock.calls[0][0].data.time).toBe('2026-01-01T00:00:00.000Z');
+
+        jest.advanceTimersByTime(1000);
+        expect(onMessage).toHaveBeenCalledTimes(3);
+        expect(onMessage.mock.calls[1][0].data.time).toBe('2026-01-01T00:00:01.000Z');
+
+        jest.advanceTimersByTime(2000);
+        expect(onMessage).toHaveBeenCalledTimes(4);
+        expect(onEnd).toHaveBeenCalledTimes(1);
+        expect(player.status()).toMatchObject({ playing: false, delivered: 4, total: 4 });
+    });
+
+    test('pauses, resumes and changes speed', () => {
+        const onMessage = jest.fn();
+        const player = createSessionPlayer(recording, { speed: 2, onMessage });
+        player.play();
+        jest.advanceTimersByTime(500);
+        expect(onMessage).toHaveBeenCalledTimes(3);
+
+        player.pause();
+        jest.advanceTimersByTime(10000);
+        expect(onMessage).toHaveBeenCalledTimes(3);
+
+        player.setSpeed(1);
+        player.play();
+        jest.advanceTimersByTime(1999);
+        expect(onMessage).toHaveBeenCalledTimes(3);
+        jest.advanceTimersByTime(1);
+        expect(onMessage).toHaveBeenCalledTimes(4);
+    });
+});
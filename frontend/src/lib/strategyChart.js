@@ -0,0 +1,75 @@
+// Maps a saved strategy onto what TradingChart can draw: the indicators its rules are based on
+// (configured from the strategy's `parameters`) and the entry/SL/TP lines of its open positions.
+
+// Per strategy: [indicator type, params from the saved parameters, optional horizontal levels].
+// Strategies whose signal cannot be reproduced client-side (the AI model) only get their markers.
+const STRATEGY_INDICATORS = {
+    OptimizerPortfolio: (p) => [
+        ['ema', { period: p.trend_filter_period }],
+    ],
+    EmaCrossAtr: (p) => [
+        ['ema', { period: p.long_period }],
+        ['atr', { period: p.atr_period }],
+    ],
+    RsiBbMeanReversion: (p) => [
+        ['bollinger', { period: p.bb_period, multiplier: p.bb_std_dev }],
+        ['rsi', { period: p.rsi_period }, [p.oversold, p.overbought]],
+    ],
+    MacdAdxTrend: (p) => [
+        ['macd', { fast: p.macd_fast, slow: p.macd_slow, signal: p.macd_signal }],
+        ['adx', { period: p.adx_period }, [p.adx_threshold]],
+    ],
+    VolatilitySqueeze: (p) => [
+        ['bollinger', { period: p.bb_period, multiplier: p.bb_std }],
+        ['keltner', { period: p.kc_period, atrPeriod: p.kc_period, multiplier: p.kc_atr_mult }],
+    ],
+    AiEnhancedSignal: () => [],
+    SmcOrderBlockFvg: () => [
+        ['atr', {}],
+    ],
+    SuperTrendAdx: (p) => [
+        ['supertrend', { period: p.st_period, multiplier: p.st_multiplier }],
+        ['adx', { period: p.adx_period }, [p.adx_threshold]],
+    ],
+    IchimokuBreakout: (p) => [
+        ['ichimoku', { tenkan: p.tenkan_period, kijun: p.kijun_period, senkou: p.senkou_period }],
+    ],
+};
+
+// Drops parameters the strategy did not save, so the indicator falls back to its own defaults.
+const definedValues = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => typeof value === 'number'));
+
+// Indicators in TradingChart's { id, type, params, levels? } format. Ids are stable per strategy
+// so re-renders keep the series and only edited parameters re-create them.
+export const strategyIndicators = (strategy) => {
+    const build = STRATEGY_INDICATORS[strategy?.strategy_name];
+    if (!build) return [];
+    return build(strategy.parameters || {}).map(([type, params, levels]) => {
+        const definedLevels = levels?.filter(level => typeof level === 'number');
+        return {
+            id: `strategy-${strategy.id}-${type}`,
+            type,
+            params: definedValues(params),
+            ...(definedLevels?.length && { levels: definedLevels }),
+        };
+    });
+};
+
+// Open positions of the strategy: MT5 positions carry the strategy id when the bot opened them;
+// older positions without one are matched on the symbol.
+export const strategyPositions = (positions = [], strategy) => positions.filter(position => (
+    position.symbol === strategy.symbol && (position.strategy_id == null || position.strategy_id === strategy.id)
+));
+
+// Entry, stop loss and take profit of each open position as TradingChart `priceLines`. SL/TP lines
+// carry the position and field they belong to, so a chart that allows it can drag them to modify the position.
+export const positionPriceLines = (positions = []) => positions.flatMap(position => {
+    const label = `#${position.ticket}`;
+    const lines = [];
+    const entry = position.price_open ?? position.entry_price;
+    if (entry) lines.push({ id: `${position.ticket}-entry`, price: entry, color: '#6B7280', title: `${position.type} ${label}` });
+    if (position.sl) lines.push({ id: `${position.ticket}-sl`, price: position.sl, color: '#EF4444', title: `SL ${label}`, draggable: true, position, field: 'sl' });
+    if (position.tp) lines.push({ id: `${position.ticket}-tp`, price: position.tp, color: '#22C55E', title: `TP ${label}`, draggable: true, position, field: 'tp' });
+    return lines;
+});
+
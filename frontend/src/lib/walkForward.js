@@ -0,0 +1,63 @@
+// Window planning and result stitching for walk-forward (out-of-sample) backtests.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Splits [startDate, endDate] into `windowCount` consecutive in-sample/out-of-sample pairs.
+// Out-of-sample segments never overlap and together cover the tail of the period:
+//   total = inSample + windowCount * outOfSample, with inSample / (inSample + outOfSample) = inSamplePct.
+// Anchored windows keep the in-sample start fixed and grow; rolling windows slide forward.
+export const buildWalkForwardWindows = ({ startDate, endDate, windowCount, inSamplePct, anchored = false }) => {
+    const start = new Date(startDate).getTime();
+    const end = new Date(endDate).getTime();
+    const ratio = inSamplePct / 100;
+    if (!(end > start) || !(windowCount >= 1) || !(ratio > 0 && ratio < 1)) return [];
+
+    const outOfSampleMs = (end - start) / (ratio / (1 - ratio) + windowCount);
+    const inSampleMs = outOfSampleMs * (ratio / (1 - ratio));
+    if (outOfSampleMs < DAY_MS) return [];
+
+    return Array.from({ length: windowCount }, (_, i) => {
+        const inSampleEnd = start + inSampleMs + i * outOfSampleMs;
+        const outOfSampleEnd = i === windowCount - 1 ? end : inSampleEnd + outOfSampleMs;
+        return {
+            index: i + 1,
+            in_sample_start: toDateString(anchored ? start : start + i * outOfSampleMs),
+            in_sample_end: toDateString(inSampleEnd),
+            out_of_sample_start: toDateString(inSampleEnd),
+            out_of_sample_end: toDateString(outOfSampleEnd),
+        };
+    });
+};
+
+// Chains the out-of-sample equity curves of every window into one continuous curve,
+// compounding each window from where the previous one finished.
+export const stitchEquityCurves = (curves = [], initialEquity) => {
+    const stitched = [];
+    let equity = initialEquity ?? curves.find(c => c?.length)?.[0]?.equity ?? 0;
+    curves.forEach(curve => {
+        if (!curve?.length || !curve[0].equity) return;
+        const scale = equity / curve[0].equity;
+        curve.forEach(point => stitched.push({ time: point.time, equity: point.equity * scale }));
+        equity = stitched[stitched.length - 1].equity;
+    });
+    return stitched;
+};
+
+const daysBetween = (from, to) => Math.max((new Date(to) - new Date(from)) / DAY_MS, 1);
+
+// Walk-forward efficiency: out-of-sample return per day relative to in-sample return per day.
+// Values well below ~0.5 suggest the parameters were fitted to noise in the in-sample data.
+export const walkForwardEfficiency = (windows = []) => {
+    const totals = windows.reduce((acc, w) => ({
+        isReturn: acc.isReturn + (w.in_sample?.total_return_pct ?? 0),
+        isDays: acc.isDays + daysBetween(w.in_sample_start, w.in_sample_end),
+        oosReturn: acc.oosReturn + (w.out_of_sample?.total_return_pct ?? 0),
+        oosDays: acc.oosDays + daysBetween(w.out_of_sample_start, w.out_of_sample_end),
+    }), { isReturn: 0, isDays: 0, oosReturn: 0, oosDays: 0 });
+
+    const inSampleRate = totals.isReturn / totals.isDays;
+    if (!inSampleRate) return null;
+    return (totals.oosReturn / totals.oosDays) / inSampleRate;
+};
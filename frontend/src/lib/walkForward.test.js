@@ -0,0 +1,49 @@
+import { buildWalkForwardWindows, stitchEquityCurves, walkForwardEfficiency } from './walkForward';
+
+describe('buildWalkForwardWindows', () => {
+    const options = { startDate: '2025-01-01', endDate: '2025-12-27', windowCount: 4, inSamplePct: 75 };
+
+    test('rolling out-of-sample segments are consecutive and end on the end date', () => {
+        const windows = buildWalkForwardWindows(options);
+        expect(windows).toHaveLength(4);
+        windows.forEach((window, i) => {
+            expect(window.index).toBe(i + 1);
+            expect(window.out_of_sample_start).toBe(window.in_sample_end);
+        });
+        windows.slice(1).forEach((window, i) => {
+            expect(window.out_of_sample_start).toBe(windows[i].out_of_sample_end);
+        });
+        expect(windows[3].out_of_sample_end).toBe('2025-12-27');
+        expect(windows[1].in_sample_start > windows[0].in_sample_start).toBe(true);
+    });
+
+    test('anchored windows keep the in-sample start', () => {
+        const windows = buildWalkForwardWindows({ ...options, anchored: true });
+        expect(windows.map(window => window.in_sample_start)).toEqual(new Array(4).fill('2025-01-01'));
+    });
+
+    test('is empty for unusable input', () => {
+        expect(buildWalkForwardWindows({ ...options, endDate: '2024-12-01' })).toEqual([]);
+        expect(buildWalkForwardWindows({ ...options, inSamplePct: 100 })).toEqual([]);
+        expect(buildWalkForwardWindows({ ...options, endDate: '2025-01-10', windowCount: 20 })).toEqual([]);
+    });
+});
+
+test('stitchEquityCurves compounds each curve from where the previous one ended', () => {
+    const stitched = stitchEquityCurves([
+        [{ time: 1, equity: 100 }, { time: 2, equity: 110 }],
+        [],
+        [{ time: 3, equity: 50 }, { time: 4, equity: 40 }],
+    ], 1000);
+    expect(stitched.map(point => point.equity)).toEqual([1000, 1100, 1100, 880]);
+});
+
+test('walkForwardEfficiency compares daily out-of-sample and in-sample returns', () => {
+    const window = {
+        in_sample_start: '2025-01-01', in_sample_end: '2025-01-31',
+        out_of_sample_start: '2025-01-31', out_of_sample_end: '2025-02-10',
+        in_sample: { total_return_pct: 30 }, out_of_sample: { total_return_pct: 5 },
+    };
+    expect(walkForwardEfficiency([window])).toBeCloseTo((5 / 10) / (30 / 30));
+    expect(walkForwardEfficiency([{ ...window, in_sample: { total_return_pct: 0 } }])).toBeNull();
+});
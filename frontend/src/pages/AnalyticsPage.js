@@ -0,0 +1,165 @@
+import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import useSWR from 'swr';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+import { apiErrorMessage } from 'services/api';
+import { getTradeHistory } from 'services/endpoints/trading';
+import { useAuth } from 'contexts/AuthContext';
+import useAccount from 'hooks/useAccount';
+import useStrategyName from 'hooks/useStrategyName';
+import useUserPreference from 'hooks/useUserPreference';
+import { rangeStart } from 'lib/equityCurve';
+import {
+    computeTradeStats, computeDailyPnl, computeRiskRatios, breakdownBy, breakdownByWeekday, breakdownByHour,
+} from 'lib/analytics';
+import { MetricCard, ResultsSection } from 'components/backtest/ResultsLayout';
+import { formatCurrency } from 'lib/format';
+import Skeleton from 'components/core/Skeleton';
+import PnlBreakdownChart from 'components/analytics/PnlBreakdownChart';
+import PnlCalendar from 'components/analytics/PnlCalendar';
+
+const PERIODS = ['1M', '3M', 'YTD', 'All'];
+
+// "Basic Analytics" (trade statistics) is part of every plan; "Advanced Analytics" starts with Basic.
+const ADVANCED_ANALYTICS_PLANS = ['basic', 'premium', 'ultimate', 'business'];
+
+const NO_DEALS = [];
+
+const formatRatio = (value) => (value == null ? '–' : value.toFixed(2));
+
+const LockedSection = ({ title }) => (
+    <ResultsSection title={title}>
+        <div className="flex flex-col items-center justify-center gap-2 rounded-lg border border-dashed border-light-border dark:border-dark-border py-10 text-center">
+            <LockClosedIcon className="h-8 w-8 text-gray-400" />
+            <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                Advanced Analytics is included in the Basic plan and above. <Link to="/billing" className="font-bold text-primary underline">Upgrade your plan</Link> to unlock it.
+            </p>
+        </div>
+    </ResultsSection>
+);
+
+const AnalyticsPage = () => {
+    const { t } = useTranslation();
+    const { user } = useAuth();
+    const { account } = useAccount();
+    const { strategyName } = useStrategyName();
+    const [period, setPeriod] = useUserPreference('analytics_period', '3M');
+    const hasAdvancedAnalytics = ADVANCED_ANALYTICS_PLANS.includes(user?.subscription?.plan) || user?.role === 'superuser';
+
+    const start = useMemo(() => rangeStart(period), [period]);
+    const from = start ? new Date(start).toISOString() : undefined;
+    const { data: deals = NO_DEALS, error, isLoading } = useSWR(
+        `/trade/history${from ? `?from=${from}` : ''}`, () => getTradeHistory({ from }), { revalidateOnFocus: false },
+    );
+
+    const currency = account?.currency;
+    const stats = useMemo(() => computeTradeStats(deals), [deals]);
+    const dailyPnl = useMemo(() => computeDailyPnl(deals), [deals]);
+    const ratios = useMemo(() => computeRiskRatios(dailyPnl, account?.balance), [dailyPnl, account?.balance]);
+    const breakdowns = useMemo(() => (hasAdvancedAnalytics ? {
+        strategy: breakdownBy(deals, deal => strategyName(deal.strategy_id)).sort((a, b) => b.profit - a.profit),
+        symbol: breakdownBy(deals, deal => deal.symbol).sort((a, b) => b.profit - a.profit),
+        weekday: breakdownByWeekday(deals),
+        hour: breakdownByHour(deals),
+    } : null), [deals, strategyName, hasAdvancedAnalytics]);
+
+    const renderContent = () => {
+        if (isLoading) return <Skeleton className="h-96" />;
+        if (error) {
+            return <p className="text-danger text-center py-8">{apiErrorMessage(error, 'Failed to load trade history.')}</p>;
+        }
+        if (deals.length === 0) {
+            return <p className="text-gray-500 dark:text-dark-text-secondary text-center py-8">No closed trades in this period yet.</p>;
+        }
+
+        return (
+            <div className="space-y-8">
+                <ResultsSection title="Trade Statistics">
+                    <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
+                        <MetricCard title="Net P&L" value={formatCurrency(stats.net, currency)} />
+                        <MetricCard title="Trades" value={stats.count} />
+                        <MetricCard title="Win Rate" value={stats.winRate.toFixed(1)} unit="%" />
+                        <MetricCard title="Profit Factor" value={formatRatio(stats.profitFactor)} />
+                        <MetricCard title="Expectancy" value={formatCurrency(stats.expectancy, currency)} />
+                        <MetricCard title="Avg Win / Loss" value={stats.avgLoss ? formatRatio(stats.avgWin / stats.avgLoss) : '–'} />
+                        <MetricCard title="Average Win" value={formatCurrency(stats.avgWin, currency)} />
+                        <MetricCard title="Average Loss" value={formatCurrency(-stats.avgLoss, currency)} />
+                        <MetricCard title="Largest Win" value={formatCurrency(stats.largestWin, currency)} />
+                        <MetricCard title="Largest Loss" value={formatCurrency(-stats.largestLoss, currency)} />
+                        <MetricCard title="Max Win Streak" value={stats.maxWinStreak} />
+                        <MetricCard title="Max Loss Streak" value={stats.maxLossStreak} />
+                    </div>
+                    {stats.currentStreak.type && (
+                        <p className="mt-2 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                            Currently on {stats.currentStreak.length} {stats.currentStreak.type === 'win' ? 'winning' : 'losing'} trade{stats.currentStreak.length === 1 ? '' : 's'} in a row.
+                        </p>
+                    )}
+                </ResultsSection>
+
+                {hasAdvancedAnalytics ? (
+                    <>
+                        <ResultsSection title="Risk-Adjusted Returns">
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                                <MetricCard title="Sharpe Ratio" value={formatRatio(ratios.sharpe)} />
+                                <MetricCard title="Sortino Ratio" value={formatRatio(ratios.sortino)} />
+                                <MetricCard title="Trading Days" value={dailyPnl.length} />
+                                <MetricCard title="Avg Daily P&L" value={formatCurrency(stats.net / dailyPnl.length, currency)} />
+                            </div>
+                            <p className="mt-2 text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                                Annualised from daily returns on trading days, with a 0% risk-free rate.
+                            </p>
+                        </ResultsSection>
+
+                        <ResultsSection title="Daily P&L">
+                            <PnlCalendar dailyPnl={dailyPnl} from={start} currency={currency} />
+                        </ResultsSection>
+
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                            <ResultsSection title="P&L by Strategy">
+                                <PnlBreakdownChart rows={breakdowns.strategy} currency={currency} />
+                            </ResultsSection>
+                            <ResultsSection title="P&L by Symbol">
+                                <PnlBreakdownChart rows={breakdowns.symbol} currency={currency} />
+                            </ResultsSection>
+                            <ResultsSection title="P&L by Weekday (entry)">
+                                <PnlBreakdownChart rows={breakdowns.weekday} currency={currency} />
+                            </ResultsSection>
+                            <ResultsSection title="P&L by Hour (entry)">
+                                <PnlBreakdownChart rows={breakdowns.hour} currency={currency} />
+                            </ResultsSection>
+                        </div>
+                    </>
+                ) : (
+                    <LockedSection title="Advanced Analytics" />
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <div className="animate-fade-in space-y-6">
+            <div className="flex flex-wrap justify-between items-center gap-4">
+                <h1 className="text-3xl font-bold text-gray-800 dark:text-white">{t('analytics.title')}</h1>
+                <div className="flex rounded-lg bg-light-bg dark:bg-dark-bg/50 p-1">
+                    {PERIODS.map(value => (
+                        <button
+                            key={value}
+                            type="button"
+                            onClick={() => setPeriod(value)}
+                            className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${period === value ? 'bg-white dark:bg-dark-card shadow text-primary' : 'text-light-text-secondary dark:text-dark-text-secondary'}`}
+                        >
+                            {value}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="glass-card p-4 md:p-6">
+                {renderContent()}
+            </div>
+        </div>
+    );
+};
+
+export default AnalyticsPage;
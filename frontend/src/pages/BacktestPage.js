@@ -1,66 +1,201 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useForm, Controller } from 'react-hook-form';
+import { useSWRConfig } from 'swr';
 import { useTranslation } from 'react-i18next';
-import api from 'services/api';
+import { apiErrorMessage } from 'services/api';
+import { createStrategy } from 'services/endpoints/strategies';
 import toast from 'react-hot-toast';
 import { STRATEGIES_CONFIG } from 'config/strategies.config';
-import { PlayCircleIcon, BeakerIcon } from '@heroicons/react/24/solid';
+import { BASKET_SYMBOLS, DEFAULT_BASKET } from 'config/symbols.config';
+import { PlayCircleIcon, BeakerIcon, AdjustmentsHorizontalIcon, ForwardIcon, Squares2X2Icon, ArrowUpTrayIcon } from '@heroicons/react/24/solid';
 import { motion, AnimatePresence } from 'framer-motion';
+import useBacktestJob from 'hooks/useBacktestJob';
+import BacktestJobStatus from 'components/backtest/BacktestJobStatus';
+import BacktestResults from 'components/backtest/BacktestResults';
+import OptimizationResults from 'components/backtest/OptimizationResults';
+import WalkForwardResults from 'components/backtest/WalkForwardResults';
+import PortfolioResults from 'components/backtest/PortfolioResults';
+import BacktestHistory, { MAX_COMPARE } from 'components/backtest/BacktestHistory';
+import BacktestComparison from 'components/backtest/BacktestComparison';
+import CostSettingsFields from 'components/backtest/CostSettingsFields';
+import ExportMenu from 'components/backtest/ExportMenu';
+import StrategyModal from 'components/strategies/StrategyModal';
+import MultiSelect from 'components/core/MultiSelect';
+import { buildParameterGrid, countGrid, rangeError, MAX_GRID_SIZE } from 'lib/optimizer';
+import { buildWalkForwardWindows } from 'lib/walkForward';
+import { parseRunExport } from 'lib/exportReport';
+import { formatRunSymbols } from 'lib/backtest';
 
-// --- Result Display Components ---
-const MetricCard = ({ title, value, unit = '' }) => (
-    <div className="bg-light-bg dark:bg-dark-bg/50 p-4 rounded-lg text-center">
-        <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">{title}</p>
-        <p className="text-2xl font-bold text-light-text dark:text-dark-text">{value}<span className="text-lg">{unit}</span></p>
-    </div>
-);
+const MODES = [
+    { value: 'single', label: 'Single', Icon: PlayCircleIcon },
+    { value: 'optimize', label: 'Optimize', Icon: AdjustmentsHorizontalIcon },
+    { value: 'walk_forward', label: 'Walk-Forward', Icon: ForwardIcon },
+    { value: 'portfolio', label: 'Portfolio', Icon: Squares2X2Icon },
+];
 
-const BacktestResults = ({ results }) => {
-    const isProfitable = results.total_return_pct > 0;
-    return (
-        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="mt-8 space-y-6">
-            <h2 className="text-2xl font-bold text-center">Backtest Results</h2>
-            <div className={`p-6 rounded-xl text-center ${isProfitable ? 'bg-success/10 text-success' : 'bg-danger/10 text-danger'}`}>
-                <p className="text-sm font-semibold uppercase">Total Return</p>
-                <p className="text-5xl font-extrabold">{results.total_return_pct.toFixed(2)}%</p>
-            </div>
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                <MetricCard title="Sharpe Ratio" value={results.sharpe_ratio.toFixed(2)} />
-                <MetricCard title="Win Rate" value={results.win_rate_pct.toFixed(2)} unit="%" />
-                <MetricCard title="Max Drawdown" value={results.max_drawdown_pct.toFixed(2)} unit="%" />
-                <MetricCard title="Total Trades" value={results.total_trades} />
-            </div>
-        </motion.div>
-    );
+// Result views that render a single run's `results` object (optimizer runs are rendered separately).
+const RESULT_VIEWS = {
+    single: BacktestResults,
+    walk_forward: WalkForwardResults,
+    portfolio: PortfolioResults,
 };
 
+const today = new Date().toISOString().slice(0, 10);
+const oneYearAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const inputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm dark:bg-dark-bg/50 dark:border-dark-border";
+
+// Only keep values for the parameters of the selected strategy; react-hook-form retains
+// values of fields from previously selected strategies.
+const pickParameters = (source = {}, params) => Object.fromEntries(
+    params.filter(param => source[param.name] !== undefined).map(param => [param.name, source[param.name]])
+);
 
 const BacktestPage = () => {
     const { t } = useTranslation();
-    const { register, handleSubmit, watch, control } = useForm();
-    const [loading, setLoading] = useState(false);
-    const [results, setResults] = useState(null);
+    const { register, handleSubmit, watch, setValue, control, formState: { errors } } = useForm();
+    const { activeJob, job, status, progress, results, error, isRunning, isSubmitting, submit, cancel, open, openImported, clear } = useBacktestJob();
+    const { mutate } = useSWRConfig();
+    const [mode, setMode] = useState('single');
+    const [strategyPrefill, setStrategyPrefill] = useState(null);
+    const [compareIds, setCompareIds] = useState([]);
+    const [importedRuns, setImportedRuns] = useState([]);
+    const importInputRef = useRef(null);
+    const reportRef = useRef(null);
     const selectedStrategyName = watch('strategy_name', Object.keys(STRATEGIES_CONFIG)[0]);
     const selectedStrategyConfig = STRATEGIES_CONFIG[selectedStrategyName];
+    const numericParams = selectedStrategyConfig.parameters.filter(param => param.type === 'number');
+    const gridSize = mode === 'optimize' ? countGrid(pickParameters(watch('ranges'), numericParams)) : 1;
+    const [startDate, endDate, walkForward] = watch(['start_date', 'end_date', 'walk_forward']);
+    const walkForwardWindows = mode === 'walk_forward' && walkForward
+        ? buildWalkForwardWindows({ startDate, endDate, windowCount: walkForward.window_count, inSamplePct: walkForward.in_sample_pct, anchored: walkForward.anchored })
+        : [];
+    const isBusy = isSubmitting || isRunning;
+    const ResultsView = RESULT_VIEWS[activeJob?.mode] || BacktestResults;
+
+    // Keep the history list in sync with runs started or finished on this page.
+    useEffect(() => {
+        if (status) mutate('/backtest');
+    }, [status, mutate]);
 
     const onRunBacktest = async (data) => {
-        setLoading(true);
-        setResults(null);
-        const toastId = toast.loading("Starting backtest... This may take a minute.");
+        const { strategy_name, symbol, symbols, timeframe, parameters, ranges, start_date, end_date, costs } = data;
+        const strategyParams = STRATEGIES_CONFIG[strategy_name].parameters;
+        if (start_date && end_date && start_date >= end_date) {
+            toast.error("The start date must be before the end date.");
+            return;
+        }
+        if (mode === 'portfolio' && !(symbols?.length >= 2)) {
+            toast.error("Select at least two symbols for a portfolio backtest.");
+            return;
+        }
+        // Empty dates are omitted so the server falls back to its default history window.
+        const base = {
+            strategy_name,
+            // Portfolio runs trade the whole basket from one shared pool of capital.
+            ...(mode === 'portfolio' ? { symbols } : { symbol: symbol.toUpperCase() }),
+            timeframe,
+            ...(start_date && { start_date }),
+            ...(end_date && { end_date }),
+            costs,
+        };
+        let payload;
+
+        if (mode === 'optimize') {
+            const rangedParams = strategyParams.filter(param => param.type === 'number');
+            const fixedParams = strategyParams.filter(param => param.type !== 'number');
+            const parameterSets = buildParameterGrid(pickParameters(ranges, rangedParams), pickParameters(parameters, fixedParams));
+            if (parameterSets.length === 0) {
+                toast.error("Every optimized parameter needs a valid range.");
+                return;
+            }
+            if (parameterSets.length > MAX_GRID_SIZE) {
+                toast.error(`The grid has ${parameterSets.length} combinations; the limit is ${MAX_GRID_SIZE}. Narrow the ranges or increase the steps.`);
+                return;
+            }
+            payload = { ...base, parameter_sets: parameterSets };
+        } else if (mode === 'walk_forward') {
+            if (walkForwardWindows.length === 0) {
+                toast.error("The date range is too short for the requested number of walk-forward windows.");
+                return;
+            }
+            payload = {
+                ...base,
+                parameters: pickParameters(parameters, strategyParams),
+                walk_forward: { anchored: !!data.walk_forward.anchored, windows: walkForwardWindows },
+            };
+        } else {
+            payload = { ...base, parameters: pickParameters(parameters, strategyParams) };
+        }
+
+        const toastId = toast.loading(mode === 'optimize' ? `Submitting ${payload.parameter_sets.length} parameter sets...` : "Submitting backtest...");
+        try {
+            const response = await submit(payload, mode);
+            toast.success(response.message || "Backtest queued.", { id: toastId });
+        } catch (error) {
+            toast.error(apiErrorMessage(error, error.message || "Backtest failed to start."), { id: toastId });
+        }
+    };
+
+    const handleCreateStrategy = (parameters) => {
+        const { strategy_name, symbol, timeframe } = activeJob.config;
+        setStrategyPrefill({ strategy_name, symbol, timeframe, parameters });
+    };
 
-        const { strategy_name, symbol, timeframe, ...parameters } = data;
-        const payload = { strategy_name, symbol, timeframe, parameters };
+    const handleStrategySubmit = (payload) => {
+        const promise = createStrategy(payload);
+        toast.promise(promise, {
+            loading: 'Creating strategy...',
+            success: () => {
+                setStrategyPrefill(null);
+                return 'Strategy successfully created!';
+            },
+            error: (err) => apiErrorMessage(err, 'An error occurred.'),
+        });
+        return promise;
+    };
 
+    // Puts a run's configuration back into the form so it can be re-run as-is or tweaked.
+    const loadRunIntoForm = (run) => {
+        setMode(run.mode === 'optimize' ? 'single' : run.mode || 'single');
+        ['strategy_name', 'symbol', 'symbols', 'timeframe', 'start_date', 'end_date'].forEach(name => {
+            if (run[name] !== undefined) setValue(name, run[name]);
+        });
+        Object.entries(run.parameters || {}).forEach(([name, value]) => setValue(`parameters.${name}`, value));
+        Object.entries(run.costs || {}).forEach(([name, value]) => setValue(`costs.${name}`, value));
+    };
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
         try {
-            const { data: response } = await api.post('/backtest', payload);
-            toast.success(response.message, { id: toastId });
-            // Here, a real system would poll for the result or wait for a WebSocket message.
-            // For simplicity, we'll just show a message. The user can check the backend logs.
-            // To make it complete, you'd add a GET /backtest/{result_id} endpoint and poll it.
+            const run = { ...parseRunExport(await file.text()), id: `imported-${Date.now()}` };
+            setImportedRuns(prev => [...prev, run]);
+            openImported(run);
+            loadRunIntoForm(run);
+            toast.success(`Imported "${file.name}". Its settings are loaded in the form.`);
         } catch (error) {
-            toast.error(error.response?.data?.detail || "Backtest failed to start.", { id: toastId });
-        } finally {
-            setLoading(false);
+            toast.error(error.message || "Failed to import the file.");
+        }
+    };
+
+    const toggleImportedCompare = (id) => {
+        setCompareIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    };
+
+    const removeImportedRun = (id) => {
+        setImportedRuns(prev => prev.filter(run => run.id !== id));
+        setCompareIds(prev => prev.filter(x => x !== id));
+        if (activeJob?.id === id) clear();
+    };
+
+    const handleCancel = async () => {
+        try {
+            await cancel();
+            toast.success("Backtest cancelled.");
+        } catch (error) {
+            toast.error(apiErrorMessage(error, "Failed to cancel backtest."));
         }
     };
 
@@ -71,7 +206,33 @@ const BacktestPage = () => {
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                 {/* --- Configuration Panel --- */}
                 <form onSubmit={handleSubmit(onRunBacktest)} className="lg:col-span-1 glass-card p-6 space-y-4">
-                    <h2 className="text-xl font-semibold">Configuration</h2>
+                    <div className="flex justify-between items-center">
+                        <h2 className="text-xl font-semibold">Configuration</h2>
+                        <button
+                            type="button"
+                            onClick={() => importInputRef.current.click()}
+                            title="Import a backtest exported as JSON"
+                            className="inline-flex items-center px-3 py-1 text-sm font-medium rounded-md border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-gray-700"
+                        >
+                            <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+                            Import
+                        </button>
+                        <input ref={importInputRef} type="file" accept="application/json,.json" onChange={handleImportFile} className="hidden" />
+                    </div>
+
+                    <div className="flex rounded-lg bg-light-bg dark:bg-dark-bg/50 p-1">
+                        {MODES.map(({ value, label, Icon }) => (
+                            <button
+                                key={value}
+                                type="button"
+                                onClick={() => setMode(value)}
+                                className={`flex-1 inline-flex items-center justify-center px-3 py-2 text-sm font-medium rounded-md transition-colors ${mode === value ? 'bg-white dark:bg-dark-card shadow text-primary' : 'text-light-text-secondary dark:text-dark-text-secondary'}`}
+                            >
+                                <Icon className="h-4 w-4 mr-1" />
+                                {label}
+                            </button>
+                        ))}
+                    </div>
 
                     <div>
                         <label className="block text-sm font-medium">Strategy</label>
@@ -83,10 +244,24 @@ const BacktestPage = () => {
                     </div>
 
                     <div className="grid grid-cols-2 gap-4">
-                        <div>
-                            <label className="block text-sm font-medium">Symbol</label>
-                            <input {...register("symbol", { required: true, value: "EURUSD" })} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm dark:bg-dark-bg/50 dark:border-dark-border" />
-                        </div>
+                        {mode === 'portfolio' ? (
+                            <div className="col-span-2">
+                                <label className="block text-sm font-medium">Symbols</label>
+                                <Controller
+                                    name="symbols"
+                                    control={control}
+                                    defaultValue={DEFAULT_BASKET}
+                                    render={({ field }) => (
+                                        <MultiSelect options={BASKET_SYMBOLS} value={field.value} onChange={field.onChange} placeholder="Select a basket..." />
+                                    )}
+                                />
+                            </div>
+                        ) : (
+                            <div>
+                                <label className="block text-sm font-medium">Symbol</label>
+                                <input {...register("symbol", { required: true, value: "EURUSD" })} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm dark:bg-dark-bg/50 dark:border-dark-border" />
+                            </div>
+                        )}
                         <div>
                             <label className="block text-sm font-medium">Timeframe</label>
                             <select {...register("timeframe", { required: true, value: "H1" })} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm dark:bg-dark-bg/50 dark:border-dark-border">
@@ -95,10 +270,71 @@ const BacktestPage = () => {
                         </div>
                     </div>
 
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium">Start Date</label>
+                            <input type="date" max={today} {...register("start_date", { required: mode === 'walk_forward', value: oneYearAgo })} className={inputClasses} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium">End Date</label>
+                            <input type="date" max={today} {...register("end_date", { required: mode === 'walk_forward', value: today })} className={inputClasses} />
+                        </div>
+                    </div>
+
+                    {mode === 'walk_forward' && (
+                        <div className="space-y-3">
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium">Windows</label>
+                                    <input type="number" min="1" max="20" {...register("walk_forward.window_count", { valueAsNumber: true, value: 4 })} className={inputClasses} />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium">In-Sample %</label>
+                                    <input type="number" min="10" max="90" step="5" {...register("walk_forward.in_sample_pct", { valueAsNumber: true, value: 75 })} className={inputClasses} />
+                                </div>
+                            </div>
+                            <label className="flex items-center text-sm">
+                                <input type="checkbox" {...register("walk_forward.anchored")} className="rounded border-gray-300 text-primary focus:ring-primary mr-2" />
+                                Anchored (in-sample always starts at the start date)
+                            </label>
+                            {walkForwardWindows.length > 0 && (
+                                <ul className="text-xs space-y-1 text-light-text-secondary dark:text-dark-text-secondary">
+                                    {walkForwardWindows.map(w => (
+                                        <li key={w.index}>
+                                            <span className="font-semibold">#{w.index}</span> IS {w.in_sample_start} → {w.in_sample_end} · <span className="text-primary">OOS {w.out_of_sample_start} → {w.out_of_sample_end}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+
                     <hr className="dark:border-dark-border/50"/>
                     <h3 className="font-semibold">Parameters</h3>
                     <div className="space-y-3">
-                        {selectedStrategyConfig.parameters.map(param => (
+                        {selectedStrategyConfig.parameters.map(param => (mode === 'optimize' && param.type === 'number' ? (
+                            <div key={param.name}>
+                                <label className="block text-sm font-medium">{param.label}</label>
+                                <div className="grid grid-cols-3 gap-2">
+                                    {[['min', 'Min', param.defaultValue], ['max', 'Max', param.defaultValue], ['step', 'Step', param.step || 1]].map(([field, placeholder, defaultValue]) => (
+                                        <input
+                                            key={field}
+                                            type="number"
+                                            step="any"
+                                            title={placeholder}
+                                            placeholder={placeholder}
+                                            defaultValue={defaultValue}
+                                            {...register(`ranges.${param.name}.${field}`, field === 'min'
+                                                // The whole range is checked once, on min; editing max or step re-checks it.
+                                                ? { valueAsNumber: true, validate: (_, values) => rangeError(values.ranges?.[param.name]) ?? true }
+                                                : { valueAsNumber: true, deps: `ranges.${param.name}.min` })}
+                                            className={inputClasses}
+                                        />
+                                    ))}
+                                </div>
+                                {errors.ranges?.[param.name]?.min && <span className="text-xs text-danger mt-1">{errors.ranges[param.name].min.message}</span>}
+                            </div>
+                        ) : (
                              <div key={param.name}>
                                 <label className="block text-sm font-medium">{param.label}</label>
                                 <input
@@ -106,37 +342,70 @@ const BacktestPage = () => {
                                     step={param.step || 'any'}
                                     defaultValue={param.defaultValue}
                                     {...register(`parameters.${param.name}`, { valueAsNumber: param.type === 'number' })}
-                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm dark:bg-dark-bg/50 dark:border-dark-border"
+                                    className={inputClasses}
                                 />
                             </div>
-                        ))}
+                        )))}
                     </div>
 
+                    {mode === 'optimize' && (
+                        <p className={`text-sm ${gridSize > MAX_GRID_SIZE || gridSize === 0 ? 'text-danger' : 'text-light-text-secondary dark:text-dark-text-secondary'}`}>
+                            {gridSize} combination{gridSize === 1 ? '' : 's'} (max {MAX_GRID_SIZE})
+                        </p>
+                    )}
+
+                    <hr className="dark:border-dark-border/50"/>
+                    <h3 className="font-semibold">Costs</h3>
+                    <CostSettingsFields register={register} setValue={setValue} watch={watch} />
+
                     <button
                         type="submit"
-                        disabled={loading}
+                        disabled={isBusy}
                         className="w-full mt-4 inline-flex items-center justify-center px-6 py-3 bg-primary text-white font-semibold rounded-lg shadow-md hover:bg-primary-700 transition-all duration-300 transform hover:scale-105 disabled:bg-gray-400 disabled:scale-100"
                     >
                         <PlayCircleIcon className="h-6 w-6 mr-2"/>
-                        {loading ? "Running Backtest..." : "Run Backtest"}
+                        {isBusy ? "Running Backtest..." : mode === 'optimize' ? "Run Optimization" : mode === 'portfolio' ? "Run Portfolio Backtest" : "Run Backtest"}
                     </button>
                 </form>
 
                 {/* --- Results Panel --- */}
                 <div className="lg:col-span-2 bg-white dark:bg-dark-card rounded-xl p-6 border dark:border-dark-border">
                     <AnimatePresence mode="wait">
-                        {loading && (
-                            <motion.div key="loader" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="flex flex-col items-center justify-center h-full">
-                                <div className="w-16 h-16 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
-                                <p className="mt-4 text-light-text-secondary dark:text-dark-text-secondary">Simulating historical performance...</p>
-                            </motion.div>
+                        {activeJob && !results && (
+                            <BacktestJobStatus
+                                key="status"
+                                activeJob={activeJob}
+                                status={status}
+                                progress={progress}
+                                failureReason={job?.error}
+                                error={error}
+                                onCancel={handleCancel}
+                                onDismiss={clear}
+                            />
                         )}
                         {results && (
                              <motion.div key="results">
-                                <BacktestResults results={results} />
+                                <div className="flex justify-between items-center">
+                                    <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                                        {activeJob.imported && 'Imported from file. Run it again from the form to refresh the results.'}
+                                    </p>
+                                    <div className="flex items-center gap-2">
+                                        {activeJob.imported && (
+                                            <button onClick={clear} className="px-3 py-2 text-sm font-medium rounded-md border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-gray-700">Close</button>
+                                        )}
+                                        <ExportMenu activeJob={activeJob} results={results} reportRef={reportRef} />
+                                    </div>
+                                </div>
+                                <div ref={reportRef}>
+                                    {activeJob.mode === 'optimize' ? (
+                                        <OptimizationResults runs={results.runs} config={activeJob.config} onCreateStrategy={handleCreateStrategy} />
+                                    ) : (
+                                        <ResultsView results={results} config={activeJob.config} />
+                                    )}
+                                </div>
                              </motion.div>
                         )}
-                        {!loading && !results && (
+                        {!activeJob && (
                              <motion.div key="placeholder" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="flex items-center justify-center h-full text-center">
                                 <div>
                                     <BeakerIcon className="mx-auto h-16 w-16 text-gray-300 dark:text-gray-600"/>
@@ -148,6 +417,69 @@ const BacktestPage = () => {
                     </AnimatePresence>
                 </div>
             </div>
+
+            {/* --- History & Comparison --- */}
+            <div className="mt-8 bg-white dark:bg-dark-card rounded-xl p-6 border dark:border-dark-border space-y-6">
+                <div className="flex flex-wrap justify-between items-center gap-4">
+                    <div>
+                        <h2 className="text-xl font-semibold">Backtest History</h2>
+                        <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">Select 2 to {MAX_COMPARE} completed runs to compare them side by side.</p>
+                    </div>
+                    {compareIds.length > 0 && (
+                        <button onClick={() => setCompareIds([])} className="px-3 py-1 text-sm font-medium rounded-md border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-gray-700">
+                            Clear Selection ({compareIds.length})
+                        </button>
+                    )}
+                </div>
+                {importedRuns.length > 0 && (
+                    <div>
+                        <h3 className="text-sm font-semibold mb-2">Imported Runs</h3>
+                        <ul className="divide-y divide-light-border dark:divide-dark-border rounded-lg border border-light-border dark:border-dark-border text-sm">
+                            {importedRuns.map(run => {
+                                const comparable = (run.mode || 'single') === 'single';
+                                const isSelected = compareIds.includes(run.id);
+                                return (
+                                    <li key={run.id} className="flex items-center gap-3 px-3 py-2">
+                                        <input
+                                            type="checkbox"
+                                            checked={isSelected}
+                                            disabled={!comparable || (!isSelected && compareIds.length >= MAX_COMPARE)}
+                                            onChange={() => toggleImportedCompare(run.id)}
+                                            className="rounded border-gray-300 text-primary focus:ring-primary disabled:opacity-40"
+                                            title={comparable ? 'Select for comparison' : 'Only single runs can be compared'}
+                                        />
+                                        <span className="flex-1 truncate">
+                                            {STRATEGIES_CONFIG[run.strategy_name]?.name || run.strategy_name} · {formatRunSymbols(run)} {run.timeframe}
+                                            {run.exported_at && <span className="ml-2 text-xs text-gray-500">exported {new Date(run.exported_at).toLocaleString()}</span>}
+                                        </span>
+                                        <button onClick={() => openImported(run)} className="px-3 py-1 text-xs font-medium text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900/50 rounded">Open</button>
+                                        <button onClick={() => removeImportedRun(run.id)} className="px-3 py-1 text-xs font-medium text-red-600 hover:bg-red-100 dark:hover:bg-red-900/50 rounded">Remove</button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </div>
+                )}
+                <BacktestHistory
+                    selectedIds={compareIds}
+                    onSelectionChange={setCompareIds}
+                    onOpen={open}
+                    activeJobId={activeJob?.id}
+                />
+                {compareIds.length >= 2 && (
+                    <div>
+                        <h3 className="text-lg font-semibold mb-3">Comparison</h3>
+                        <BacktestComparison runIds={compareIds} importedRuns={importedRuns} />
+                    </div>
+                )}
+            </div>
+
+            <StrategyModal
+                isOpen={!!strategyPrefill}
+                onClose={() => setStrategyPrefill(null)}
+                onSubmit={handleStrategySubmit}
+                initialValues={strategyPrefill}
+            />
         </div>
     );
 };
@@ -3,6 +3,7 @@ import { useAuth } from 'contexts/AuthContext';
 import { useNavigate, Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import toast from 'react-hot-toast';
+import { apiErrorMessage } from 'services/apiError';
 import { motion } from 'framer-motion';
 
 // Google Icon SVG component for the button
@@ -20,8 +21,9 @@ const LoginPage = () => {
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [googleLoading, setGoogleLoading] = useState(false);
+  const [demoLoading, setDemoLoading] = useState(false);
 
-  const { login, loginWithGoogle, isAuthenticated } = useAuth();
+  const { login, loginWithGoogle, loginDemo, isAuthenticated } = useAuth();
   const navigate = useNavigate();
   const { t } = useTranslation();
 
@@ -68,6 +70,19 @@ const LoginPage = () => {
     }
   };
 
+  // Signs in to demo mode: simulated account and market data, no backend or MT5 terminal needed.
+  const handleDemoLogin = async () => {
+    if (loading || googleLoading || demoLoading) return;
+    setDemoLoading(true);
+    try {
+        await loginDemo();
+    } catch (error) {
+        toast.error(t('login.error', { message: apiErrorMessage(error, error.message) }));
+    } finally {
+        setDemoLoading(false);
+    }
+  };
+
   const pageVariants = {
     initial: { opacity: 0, y: 20 },
     in: { opacity: 1, y: 0 },
@@ -141,6 +156,18 @@ const LoginPage = () => {
             </button>
           </div>
         </form>
+
+        <button
+          type="button"
+          onClick={handleDemoLogin}
+          disabled={demoLoading || loading || googleLoading}
+          className="w-full py-3 px-4 border border-dashed border-primary/60 rounded-lg text-sm font-medium text-primary hover:bg-primary/5 disabled:opacity-50 transition-colors"
+        >
+          {demoLoading ? t('login.loading') : t('login.demoButton')}
+        </button>
+        <p className="text-center text-xs text-light-text-secondary dark:text-dark-text-secondary">
+          {t('login.demoHint')}
+        </p>
       </div>
 
       <p className="mt-8 text-center text-sm text-light-text-secondary dark:text-dark-text-secondary">
@@ -0,0 +1,229 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import useSWR from 'swr';
+import toast from 'react-hot-toast';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { apiErrorMessage } from 'services/api';
+import { getOrders, cancelOrder, getTradeHistory } from 'services/endpoints/trading';
+import useWebSocketSubscription from 'hooks/useWebSocketSubscription';
+import usePositions from 'hooks/usePositions';
+import useAccount from 'hooks/useAccount';
+import useLiveQuotes from 'hooks/useLiveQuotes';
+import useSymbolInfos from 'hooks/useSymbolInfos';
+import useStrategyName from 'hooks/useStrategyName';
+import { closingPrice, livePositionProfit, filterTrades, summarizeHistory } from 'lib/positions';
+import { MetricCard } from 'components/backtest/ResultsLayout';
+import Skeleton from 'components/core/Skeleton';
+import OpenPositionsTable from 'components/trading/OpenPositionsTable';
+import PendingOrdersTable from 'components/trading/PendingOrdersTable';
+import TradeHistoryTable from 'components/trading/TradeHistoryTable';
+import ClosePositionModal from 'components/trading/ClosePositionModal';
+import ModifyPositionModal from 'components/trading/ModifyPositionModal';
+import { formatCurrency } from 'lib/format';
+
+const TABS = [
+    { value: 'open', label: 'Open Positions' },
+    { value: 'pending', label: 'Pending Orders' },
+    { value: 'history', label: 'History' },
+];
+
+const NO_ROWS = [];
+const EMPTY_FILTERS = { symbol: '', strategyId: '', from: '', to: '' };
+
+const inputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm dark:bg-dark-bg/50 dark:border-dark-border text-sm";
+
+// Sorted, de-duplicated symbols as a stable array: the joined key only changes when the set does.
+const useSymbolList = (...lists) => {
+    const key = [...new Set(lists.flat().map(row => row.symbol))].sort().join(',');
+    return useMemo(() => (key ? key.split(',') : []), [key]);
+};
+
+const PositionsPage = () => {
+    const { t } = useTranslation();
+    const { account } = useAccount();
+    const [tab, setTab] = useState('open');
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [closing, setClosing] = useState(null);
+    const [modification, setModification] = useState(null);
+
+    const { positions, isLoading: positionsLoading, mutate: refreshPositions } = usePositions({ refreshInterval: 30000 });
+    const { data: orders = NO_ROWS, mutate: refreshOrders } = useSWR('/trade/orders', () => getOrders(), { refreshInterval: 30000 });
+    // The date range is also sent to the server so long histories are not fetched in full.
+    const historyRange = { from: filters.from || undefined, to: filters.to || undefined };
+    const historyQuery = new URLSearchParams(Object.entries(historyRange).filter(([, value]) => value)).toString();
+    const { data: history = NO_ROWS, isLoading: historyLoading, mutate: refreshHistory } = useSWR(
+        tab === 'history' ? `/trade/history${historyQuery ? `?${historyQuery}` : ''}` : null, () => getTradeHistory(historyRange),
+    );
+    const { strategies, strategyName } = useStrategyName();
+
+    const refreshAll = useCallback(() => {
+        refreshPositions();
+        refreshOrders();
+        refreshHistory();
+    }, [refreshPositions, refreshOrders, refreshHistory]);
+
+    // Fills, closes and modifications done by the bots arrive as trade events.
+    useWebSocketSubscription('trade', refreshAll);
+
+    const positionSymbols = useSymbolList(positions);
+    const quotes = useLiveQuotes(positionSymbols);
+    const symbolInfos = useSymbolInfos(positionSymbols);
+    const filterSymbols = useSymbolList(positions, orders, history);
+
+    const openRows = useMemo(() => filterTrades(positions, filters).map(position => ({
+        position,
+        profit: livePositionProfit(position, quotes[position.symbol], symbolInfos[position.symbol]),
+        price: closingPrice(position, quotes[position.symbol]),
+        digits: symbolInfos[position.symbol]?.digits,
+    })), [positions, filters, quotes, symbolInfos]);
+    const pendingRows = useMemo(() => filterTrades(orders, filters), [orders, filters]);
+    const historyRows = useMemo(() => filterTrades(history, filters, 'time_close'), [history, filters]);
+    const historySummary = useMemo(() => summarizeHistory(historyRows), [historyRows]);
+
+    const currency = account?.currency;
+    const floatingProfit = openRows.reduce((total, row) => total + row.profit, 0);
+    const openVolume = openRows.reduce((total, row) => total + row.position.volume, 0);
+
+    const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+    const handleCancelOrder = async (order) => {
+        try {
+            await cancelOrder(order.ticket);
+            toast.success(`Order #${order.ticket} cancelled.`);
+            refreshOrders();
+        } catch (error) {
+            toast.error(apiErrorMessage(error, 'Failed to cancel order.'));
+        }
+    };
+
+    const renderTotals = () => {
+        if (tab === 'open') {
+            return (
+                <>
+                    <MetricCard title="Open Positions" value={openRows.length} />
+                    <MetricCard title="Total Volume" value={Number(openVolume.toFixed(2))} unit=" lots" />
+                    <MetricCard title="Floating P&L" value={formatCurrency(floatingProfit, currency)} />
+                </>
+            );
+        }
+        if (tab === 'pending') {
+            return <MetricCard title="Pending Orders" value={pendingRows.length} />;
+        }
+        return (
+            <>
+                <MetricCard title="Closed Trades" value={historySummary.count} />
+                <MetricCard title="Win Rate" value={historySummary.winRate.toFixed(1)} unit="%" />
+                <MetricCard title="Costs" value={formatCurrency(historySummary.commission + historySummary.swap, currency)} />
+                <MetricCard title="Net P&L" value={formatCurrency(historySummary.net, currency)} />
+            </>
+        );
+    };
+
+    const renderTable = () => {
+        if (tab === 'open') {
+            if (positionsLoading) return <Skeleton className="h-48" />;
+            return (
+                <OpenPositionsTable
+                    rows={openRows}
+                    currency={currency}
+                    strategyName={strategyName}
+                    onClose={(position, profit) => setClosing({ position, profit })}
+                    onModify={(position) => setModification({ position, sl: position.sl, tp: position.tp })}
+                />
+            );
+        }
+        if (tab === 'pending') {
+            return <PendingOrdersTable orders={pendingRows} strategyName={strategyName} onCancel={handleCancelOrder} />;
+        }
+        if (historyLoading) return <Skeleton className="h-48" />;
+        return <TradeHistoryTable deals={historyRows} currency={currency} strategyName={strategyName} />;
+    };
+
+    return (
+        <div className="animate-fade-in space-y-6">
+            <div className="flex justify-between items-center">
+                <h1 className="text-3xl font-bold text-gray-800 dark:text-white">{t('positions.title')}</h1>
+                <button
+                    type="button"
+                    onClick={refreshAll}
+                    className="inline-flex items-center px-3 py-1 text-sm font-medium rounded-md border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                    <ArrowPathIcon className="h-4 w-4 mr-1" />
+                    Refresh
+                </button>
+            </div>
+
+            <div className="glass-card p-4 md:p-6 space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-4 items-end">
+                    <div>
+                        <label className="block text-sm font-medium">Symbol</label>
+                        <select value={filters.symbol} onChange={(e) => updateFilter('symbol', e.target.value)} className={inputClasses}>
+                            <option value="">All symbols</option>
+                            {filterSymbols.map(symbol => <option key={symbol} value={symbol}>{symbol}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium">Strategy</label>
+                        <select value={filters.strategyId} onChange={(e) => updateFilter('strategyId', e.target.value)} className={inputClasses}>
+                            <option value="">All strategies</option>
+                            <option value="manual">Manual</option>
+                            {strategies.map(strategy => <option key={strategy.id} value={strategy.id}>{strategyName(strategy.id)}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium">From</label>
+                        <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={inputClasses} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium">To</label>
+                        <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={inputClasses} />
+                    </div>
+                    <button
+                        type="button"
+                        onClick={() => setFilters(EMPTY_FILTERS)}
+                        className="px-3 py-2 text-sm font-medium rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                    >
+                        Clear filters
+                    </button>
+                </div>
+
+                <div className="flex rounded-lg bg-light-bg dark:bg-dark-bg/50 p-1">
+                    {TABS.map(({ value, label }) => {
+                        const count = { open: openRows.length, pending: pendingRows.length }[value];
+                        return (
+                            <button
+                                key={value}
+                                type="button"
+                                onClick={() => setTab(value)}
+                                className={`flex-1 px-3 py-2 text-sm font-medium rounded-md transition-colors ${tab === value ? 'bg-white dark:bg-dark-card shadow text-primary' : 'text-light-text-secondary dark:text-dark-text-secondary'}`}
+                            >
+                                {label}{count != null && ` (${count})`}
+                            </button>
+                        );
+                    })}
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    {renderTotals()}
+                </div>
+
+                {renderTable()}
+            </div>
+
+            <ClosePositionModal
+                position={closing?.position}
+                profit={closing?.profit}
+                currency={currency}
+                onClose={() => setClosing(null)}
+                onClosed={refreshAll}
+            />
+            <ModifyPositionModal
+                modification={modification}
+                onClose={() => setModification(null)}
+                onModified={refreshPositions}
+            />
+        </div>
+    );
+};
+
+export default PositionsPage;
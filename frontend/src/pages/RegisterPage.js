@@ -3,6 +3,7 @@ import { useAuth } from 'contexts/AuthContext';
 import { useNavigate, Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import toast from 'react-hot-toast';
+import { ApiError, apiErrorMessage } from 'services/api';
 import { motion } from 'framer-motion';
 
 const RegisterPage = () => {
@@ -38,7 +39,8 @@ const RegisterPage = () => {
       toast.success(t('register.success'));
       // The useEffect will handle the redirect to the dashboard.
     } catch (error) {
-      const errorCode = error.response?.data?.detail || error.code || 'unknown';
+      // Backend failures are ApiErrors; a failed Firebase sign-in carries an auth/... code instead.
+      const errorCode = error instanceof ApiError ? apiErrorMessage(error, error.message) : error.code || 'unknown';
       toast.error(t('register.error', { message: errorCode }));
       console.error("Registration failed:", error);
     } finally {
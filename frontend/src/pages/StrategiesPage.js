@@ -1,11 +1,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useTranslation } from 'react-i18next';
-import api from 'services/api';
+import { apiErrorMessage } from 'services/api';
+import { listStrategies, createStrategy, updateStrategy, setStrategyStatus, deleteStrategy } from 'services/endpoints/strategies';
 import toast from 'react-hot-toast';
 import { AnimatePresence } from 'framer-motion';
 
 import Skeleton from 'components/core/Skeleton';
 import StrategyCard from 'components/strategies/StrategyCard';
+import StrategyChartPanel from 'components/strategies/StrategyChartPanel';
 import StrategyModal from 'components/strategies/StrategyModal';
 import ConfirmDeleteModal from 'components/strategies/ConfirmDeleteModal';
 import Joyride, { STATUS } from 'react-joyride';
@@ -19,11 +21,14 @@ const StrategiesPage = () => {
   const [currentStrategy, setCurrentStrategy] = useState(null); // For editing
   const [strategyToDelete, setStrategyToDelete] = useState(null);
   const [runTour, setRunTour] = useState(false);
+  const [selectedStrategyId, setSelectedStrategyId] = useState(null);
+  // Looked up by id so the chart follows edits after the list is refetched.
+  const selectedStrategy = strategies.find(s => s.id === selectedStrategyId) || null;
 
   const fetchStrategies = useCallback(async () => {
     try {
       setLoading(true);
-      const { data } = await api.get('/strategies');
+      const data = await listStrategies();
       setStrategies(data);
        if (data.length === 0 && !localStorage.getItem('strategy_tour_completed')) {
         setRunTour(true);
@@ -92,41 +97,41 @@ const StrategiesPage = () => {
 
   const handleFormSubmit = async (payload) => {
     const promise = currentStrategy
-      ? api.put(`/strategies/${currentStrategy.id}`, payload)
-      : api.post('/strategies', payload);
+      ? updateStrategy(currentStrategy.id, payload)
+      : createStrategy(payload);
 
     toast.promise(promise, {
       loading: currentStrategy ? 'Updating strategy...' : 'Creating strategy...',
-      success: (res) => {
+      success: () => {
         fetchStrategies(); // Refresh list
         handleCloseModal();
         return `Strategy successfully ${currentStrategy ? 'updated' : 'created'}!`;
       },
-      error: (err) => {
-        return err.response?.data?.detail || 'An error occurred.';
-      },
+      error: (err) => apiErrorMessage(err, 'An error occurred.'),
     });
+    // The modal marks the fields the server rejected.
+    return promise;
   };
 
   const handleToggleStatus = async (strategy, newStatus) => {
     const status = newStatus ? 'active' : 'inactive';
     try {
-      await api.patch(`/strategies/${strategy.id}/status?status=${status}`);
+      await setStrategyStatus(strategy.id, status);
       setStrategies(prev => prev.map(s => s.id === strategy.id ? { ...s, status } : s));
       toast.success(`Strategy set to ${status}.`);
     } catch (error) {
-      toast.error(error.response?.data?.detail || 'Failed to update status.');
+      toast.error(apiErrorMessage(error, 'Failed to update status.'));
     }
   };
 
   const handleDeleteConfirm = async () => {
     if (!strategyToDelete) return;
     try {
-        await api.delete(`/strategies/${strategyToDelete.id}`);
+        await deleteStrategy(strategyToDelete.id);
         setStrategies(prev => prev.filter(s => s.id !== strategyToDelete.id));
         toast.success('Strategy deleted successfully.');
     } catch (error) {
-        toast.error('Failed to delete strategy.');
+        toast.error(apiErrorMessage(error, 'Failed to delete strategy.'));
     } finally {
         handleCloseDeleteModal();
     }
@@ -159,6 +164,8 @@ const StrategiesPage = () => {
             <StrategyCard
               key={strategy.id}
               strategy={strategy}
+              isSelected={strategy.id === selectedStrategyId}
+              onSelect={(s) => setSelectedStrategyId(s.id)}
               onToggleStatus={handleToggleStatus}
               onEdit={handleOpenModal}
               onDelete={handleOpenDeleteModal}
@@ -178,6 +185,10 @@ const StrategiesPage = () => {
         </button>
       </div>
 
+      {selectedStrategy && (
+        <StrategyChartPanel strategy={selectedStrategy} onClose={() => setSelectedStrategyId(null)} />
+      )}
+
       {renderContent()}
 
       <div id="strategy-modal-form">
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import api from 'services/api';
+import { apiErrorMessage } from 'services/api';
+import { listPayments } from 'services/endpoints/admin';
 import toast from 'react-hot-toast';
 import Skeleton from 'components/core/Skeleton';
 
@@ -11,10 +12,10 @@ const AdminPaymentsPage = () => {
     const fetchPayments = useCallback(async () => {
         setLoading(true);
         try {
-            const { data } = await api.get('/admin/payments'); // Add pagination params later
+            const data = await listPayments(); // Add pagination params later
             setPayments(data.payments);
         } catch (error) {
-            toast.error("Failed to fetch payment records.");
+            toast.error(apiErrorMessage(error, "Failed to fetch payment records."));
         } finally {
             setLoading(false);
         }
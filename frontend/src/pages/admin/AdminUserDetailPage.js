@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import api from 'services/api';
+import { apiErrorMessage } from 'services/api';
+import { getUserDetails, impersonateUser } from 'services/endpoints/admin';
 import toast from 'react-hot-toast';
 import Skeleton from 'components/core/Skeleton';
 import { ArrowLeftIcon } from '@heroicons/react/24/solid';
@@ -11,27 +12,31 @@ const AdminUserDetailPage = () => {
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
 
-    const fetchUserDetails = useCallback(async () => {
+    // Aborted when the page moves on to another user before the details arrive.
+    const fetchUserDetails = useCallback(async (signal) => {
         setLoading(true);
         try {
-            const { data } = await api.get(`/admin/users/${userId}/details`);
+            const data = await getUserDetails(userId, { signal });
             setUser(data);
         } catch (error) {
-            toast.error("Failed to fetch user details.");
+            if (signal.aborted) return;
+            toast.error(apiErrorMessage(error, "Failed to fetch user details."));
             console.error(error);
         } finally {
-            setLoading(false);
+            if (!signal.aborted) setLoading(false);
         }
     }, [userId]);
 
     useEffect(() => {
-        fetchUserDetails();
+        const controller = new AbortController();
+        fetchUserDetails(controller.signal);
+        return () => controller.abort();
     }, [fetchUserDetails]);
 
     const handleImpersonate = async () => {
         toast.loading("Initiating impersonation...");
         try {
-            const { data } = await api.post(`/admin/users/impersonate/${userId}`);
+            const data = await impersonateUser(userId);
             localStorage.setItem('accessToken', data.access_token);
             // In a real app, you might want a more sophisticated way to handle refresh tokens during impersonation
             localStorage.removeItem('refreshToken');
@@ -42,7 +47,7 @@ const AdminUserDetailPage = () => {
             }, 1500);
         } catch (error) {
             toast.dismiss();
-            toast.error("Impersonation failed.");
+            toast.error(apiErrorMessage(error, "Impersonation failed."));
         }
     };
 
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import api from 'services/api';
+import { apiErrorMessage } from 'services/api';
+import { listUsers } from 'services/endpoints/admin';
 import toast from 'react-hot-toast';
 import Skeleton from 'components/core/Skeleton';
 
@@ -12,21 +13,24 @@ const AdminUserManagementPage = () => {
     const [size] = useState(15);
     const navigate = useNavigate();
 
-    const fetchUsers = useCallback(async () => {
+    // Paging on before a page has arrived aborts its request, so a slow response can't overwrite a newer one.
+    const fetchUsers = useCallback(async (signal) => {
         setLoading(true);
         try {
-            const { data } = await api.get('/admin/users', { params: { page, size } });
+            const data = await listUsers({ page, size }, { signal });
             setUsers(data.users);
             setTotal(data.total);
         } catch (error) {
-            toast.error("Failed to fetch users.");
+            if (!signal.aborted) toast.error(apiErrorMessage(error, "Failed to fetch users."));
         } finally {
-            setLoading(false);
+            if (!signal.aborted) setLoading(false);
         }
     }, [page, size]);
 
     useEffect(() => {
-        fetchUsers();
+        const controller = new AbortController();
+        fetchUsers(controller.signal);
+        return () => controller.abort();
     }, [fetchUsers]);
 
     const handleRowClick = (userId) => {
@@ -1,5 +1,9 @@
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { isDemoMode, demoAdapter } from 'services/demo';
+import { normalizeApiError } from './apiError';
+
+export { ApiError, apiErrorMessage } from './apiError';
 
 // Set the base URL from environment variables for flexibility
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://127.0.0.1:8000/api/v1';
@@ -11,13 +15,29 @@ const api = axios.create({
   },
 });
 
-// Interceptor to add the JWT token to every request
+// Requests that are safe to send twice, so a network failure can be retried without asking.
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+const newRequestId = () => (window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now().toString(16)}-${Math.random().toString(16).slice(2, 14)}`);
+
+// Interceptor to add the JWT token and a request ID to every request
 api.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem('accessToken');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Kept across retries, so the server logs show one ID per user action.
+    config.requestId = config.requestId || newRequestId();
+    config.headers['X-Request-ID'] = config.requestId;
+    // In demo mode nothing leaves the browser; services/demo answers instead.
+    if (isDemoMode()) {
+      config.adapter = demoAdapter;
+    }
     return config;
   },
   (error) => {
@@ -25,7 +45,95 @@ api.interceptors.request.use(
   }
 );
 
-// Interceptor to handle token expiration and refresh
+// Clears the stored session and sends the user back to the login page.
+const expireSession = () => {
+  localStorage.removeItem('accessToken');
+  localStorage.removeItem('refreshToken');
+
+  toast.error("Your session has expired. Please log in again.");
+
+  // Use a slight delay to ensure the toast is visible before redirecting
+  setTimeout(() => {
+      window.location.href = '/login';
+  }, 1500);
+};
+
+let refreshPromise = null;
+
+// Exchanges the refresh token for a new token pair and resolves with the new access token.
+// Concurrent callers (several 401s at once, the WebSocket reconnecting) share a single request.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    // Use a new axios instance for the refresh token request to avoid interceptor loop
+    refreshPromise = axios.post(`${API_BASE_URL}/auth/refresh`, {
+        refresh_token: localStorage.getItem('refreshToken')
+    })
+      .then(({ data }) => {
+        // Update stored tokens
+        localStorage.setItem('accessToken', data.access_token);
+        localStorage.setItem('refreshToken', data.refresh_token);
+        return data.access_token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Seconds since the epoch at which a JWT expires, or null if it can't be read.
+const tokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ?? null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// The stored access token, refreshed first if it expires within `minValiditySeconds`. Used where the token
+// can't be retried on a 401, e.g. the WebSocket URL. Resolves with null when the user has no session;
+// rejects when the refresh fails (the session is expired if the server refused it).
+export const getFreshAccessToken = async ({ minValiditySeconds = 60, force = false } = {}) => {
+  const token = localStorage.getItem('accessToken');
+  if (!token || !localStorage.getItem('refreshToken')) return token;
+  const expiry = tokenExpiry(token);
+  if (!force && (expiry == null || expiry - Date.now() / 1000 > minValiditySeconds)) return token;
+
+  try {
+    return await refreshAccessToken();
+  } catch (refreshError) {
+    if (refreshError.response) expireSession();
+    throw refreshError;
+  }
+};
+
+// Network failures (no response at all) on idempotent requests are retried, unless the caller opted out
+// with `retry: 0` or cancelled. POSTs such as placing an order are never repeated behind the user's back.
+const shouldRetry = (error) => {
+  const config = error.config;
+  if (!config || error.response || axios.isCancel(error) || config.signal?.aborted) return false;
+  const retries = config.retry ?? (IDEMPOTENT_METHODS.includes(config.method) ? MAX_RETRIES : 0);
+  return (config.retryCount || 0) < retries;
+};
+
+// Exponential backoff with jitter (~0.5s, 1s, 2s), cut short if the caller aborts meanwhile.
+const waitBeforeRetry = (config) => new Promise((resolve, reject) => {
+  const delay = RETRY_BASE_DELAY_MS * 2 ** (config.retryCount - 1) * (0.75 + Math.random() * 0.5);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError(null, config));
+  };
+  // Long-lived signals (e.g. one per page) would otherwise collect a listener per retry.
+  const timer = setTimeout(() => {
+    config.signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, delay);
+  config.signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Interceptor to handle token expiration and refresh, retries, and error normalization.
+// Every failed call rejects with an ApiError (services/apiError).
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
@@ -41,41 +149,35 @@ api.interceptors.response.use(
           // If no refresh token, logout is inevitable.
           localStorage.removeItem('accessToken');
           window.location.href = '/login';
-          return Promise.reject(error);
+          return Promise.reject(normalizeApiError(error));
         }
 
-        // Use a new axios instance for the refresh token request to avoid interceptor loop
-        const { data } = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-            refresh_token: refreshToken
-        });
-
-        // Update stored tokens
-        localStorage.setItem('accessToken', data.access_token);
-        localStorage.setItem('refreshToken', data.refresh_token);
+        const accessToken = await refreshAccessToken();
 
         // Update the authorization header for the original request and retry it
-        originalRequest.headers.Authorization = `Bearer ${data.access_token}`;
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         return api(originalRequest);
 
       } catch (refreshError) {
         // If refresh token fails, clear everything and redirect to login
         console.error("Token refresh failed:", refreshError);
-        localStorage.removeItem('accessToken');
-        localStorage.removeItem('refreshToken');
+        expireSession();
 
-        toast.error("Your session has expired. Please log in again.");
-
-        // Use a slight delay to ensure the toast is visible before redirecting
-        setTimeout(() => {
-            window.location.href = '/login';
-        }, 1500);
+        return Promise.reject(normalizeApiError(refreshError));
+      }
+    }
 
-        return Promise.reject(refreshError);
+    if (shouldRetry(error)) {
+      originalRequest.retryCount = (originalRequest.retryCount || 0) + 1;
+      try {
+        await waitBeforeRetry(originalRequest);
+      } catch (cancelled) {
+        return Promise.reject(normalizeApiError(cancelled));
       }
+      return api(originalRequest);
     }
 
-    // For all other errors, just pass them along
-    return Promise.reject(error);
+    return Promise.reject(normalizeApiError(error));
   }
 );
 
@@ -0,0 +1,115 @@
+// The one shape every failed API call rejects with (see services/api), whether the server refused the
+// request, never answered, or the caller cancelled it. Components read `message` or `fieldErrors` instead
+// of digging through `error.response.data`.
+import axios from 'axios';
+
+const NETWORK_MESSAGE = 'Could not reach the server. Check your connection and try again.';
+const TIMEOUT_MESSAGE = 'The server took too long to respond. Please try again.';
+const CANCELLED_MESSAGE = 'The request was cancelled.';
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  402: 'payment_required',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'validation',
+  429: 'rate_limited',
+};
+
+const STATUS_MESSAGES = {
+  401: 'Your session has expired. Please log in again.',
+  403: 'You do not have permission to do that.',
+  404: 'The requested item was not found.',
+  429: 'Too many requests. Please wait a moment and try again.',
+};
+
+export class ApiError extends Error {
+  constructor(message, { code, status = null, detail = null, fieldErrors = {}, requestId = null, response = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    // 'network', 'timeout', 'cancelled', 'server', or one of STATUS_CODES.
+    this.code = code;
+    this.status = status;
+    // The server's own explanation, when it gave one.
+    this.detail = detail;
+    // Validation errors by field path, e.g. { 'costs.spread_points': 'Input should be greater than 0' }.
+    this.fieldErrors = fieldErrors;
+    // Sent as X-Request-ID with the request; quoting it lets support find the call in the server logs.
+    this.requestId = requestId;
+    // The axios response, so `error.response?.status` checks keep working.
+    this.response = response;
+    this.cause = cause;
+  }
+
+  get isCancelled() {
+    return this.code === 'cancelled';
+  }
+
+  get isNetworkError() {
+    return this.code === 'network' || this.code === 'timeout';
+  }
+}
+
+// FastAPI reports validation failures as [{ loc: ['body', 'costs', 'spread_points'], msg, type }].
+const parseFieldErrors = (detail) => {
+  if (!Array.isArray(detail)) return {};
+  return detail.reduce((fields, item) => {
+    const path = (item?.loc || []).filter((part, index) => index > 0 || !['body', 'query', 'path'].includes(part));
+    const key = path.join('.') || '_';
+    if (!fields[key] && item?.msg) fields[key] = item.msg.replace(/^Value error, /, '');
+    return fields;
+  }, {});
+};
+
+const fieldLabel = (path) => path.split('.').pop().replace(/_/g, ' ');
+
+const describeFieldErrors = (fieldErrors) => {
+  const entries = Object.entries(fieldErrors);
+  if (!entries.length) return null;
+  const [path, message] = entries[0];
+  const first = path === '_' ? message : `${fieldLabel(path)}: ${message}`;
+  return entries.length > 1 ? `${first} (and ${entries.length - 1} more)` : first;
+};
+
+const readDetail = (data) => {
+  const detail = data?.detail ?? data?.message;
+  if (typeof detail === 'string') return detail;
+  if (typeof detail?.message === 'string') return detail.message;
+  return null;
+};
+
+// Turns whatever axios (or the token refresh) rejected with into an ApiError. Safe to call twice.
+export const normalizeApiError = (error) => {
+  if (error instanceof ApiError) return error;
+  const requestId = error?.response?.headers?.['x-request-id'] || error?.config?.requestId || null;
+
+  if (axios.isCancel(error)) {
+    return new ApiError(CANCELLED_MESSAGE, { code: 'cancelled', requestId, cause: error });
+  }
+
+  const response = error?.response;
+  if (!response) {
+    const timedOut = error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT';
+    return new ApiError(timedOut ? TIMEOUT_MESSAGE : NETWORK_MESSAGE, { code: timedOut ? 'timeout' : 'network', requestId, cause: error });
+  }
+
+  const { status, data } = response;
+  const fieldErrors = parseFieldErrors(data?.detail);
+  const detail = readDetail(data) || describeFieldErrors(fieldErrors);
+  const code = STATUS_CODES[status] || (status >= 500 ? 'server' : 'bad_request');
+  const message = detail || STATUS_MESSAGES[status] || (status >= 500
+    ? 'Something went wrong on our side. Please try again.'
+    : `The request failed (HTTP ${status}).`);
+
+  return new ApiError(message, { code, status, detail, fieldErrors, requestId, response, cause: error });
+};
+
+// What to tell the user about a failed call: the server's explanation or the connection problem when
+// there is one, otherwise `fallback`. Server faults carry a short request reference for support tickets.
+export const apiErrorMessage = (error, fallback = 'Something went wrong. Please try again.') => {
+  if (!(error instanceof ApiError)) return fallback;
+  const message = error.detail || (error.isNetworkError ? error.message : fallback);
+  return error.status >= 500 && error.requestId ? `${message} (ref ${error.requestId.slice(0, 8)})` : message;
+};
@@ -0,0 +1,67 @@
+import axios from 'axios';
+import { ApiError, normalizeApiError, apiErrorMessage } from './apiError';
+
+const config = { url: '/trade/order', requestId: 'abcdef1234567890' };
+const responseError = (status, data, headers = {}) => new axios.AxiosError(
+  `Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, {}, { status, data, headers, config },
+);
+
+describe('normalizeApiError', () => {
+  test('uses the server detail and keeps the response', () => {
+    const error = normalizeApiError(responseError(409, { detail: 'Strategy already running.' }, { 'x-request-id': 'server-id' }));
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ code: 'conflict', status: 409, message: 'Strategy already running.', requestId: 'server-id' });
+    expect(error.response.status).toBe(409);
+  });
+
+  test('collects FastAPI validation errors by field', () => {
+    const error = normalizeApiError(responseError(422, {
+      detail: [
+        { loc: ['body', 'costs', 'spread_points'], msg: 'Input should be greater than 0' },
+        { loc: ['body', 'symbol'], msg: 'Value error, Unknown symbol' },
+      ],
+    }));
+    expect(error.code).toBe('validation');
+    expect(error.fieldErrors).toEqual({ 'costs.spread_points': 'Input should be greater than 0', symbol: 'Unknown symbol' });
+    expect(error.message).toBe('spread points: Input should be greater than 0 (and 1 more)');
+  });
+
+  test('falls back to a message for the status', () => {
+    expect(normalizeApiError(responseError(401, {})).message).toBe('Your session has expired. Please log in again.');
+    expect(normalizeApiError(responseError(503, {}))).toMatchObject({ code: 'server', detail: null });
+    expect(normalizeApiError(responseError(418, {})).message).toBe('The request failed (HTTP 418).');
+  });
+
+  test('tells network failures, timeouts and cancellations apart', () => {
+    const network = normalizeApiError(new axios.AxiosError('Network Error', 'ERR_NETWORK', config));
+    expect(network).toMatchObject({ code: 'network', isNetworkError: true, requestId: 'abcdef1234567890' });
+
+    const timeout = normalizeApiError(new axios.AxiosError('timeout', 'ECONNABORTED', config));
+    expect(timeout).toMatchObject({ code: 'timeout', isNetworkError: true });
+
+    const cancelled = normalizeApiError(new axios.CanceledError(null, config));
+    expect(cancelled).toMatchObject({ code: 'cancelled', isCancelled: true, isNetworkError: false });
+  });
+
+  test('is safe to call twice', () => {
+    const error = normalizeApiError(responseError(404, {}));
+    expect(normalizeApiError(error)).toBe(error);
+  });
+});
+
+describe('apiErrorMessage', () => {
+  test("prefers the server's explanation", () => {
+    expect(apiErrorMessage(normalizeApiError(responseError(400, { detail: 'Market is closed.' })), 'Order failed.')).toBe('Market is closed.');
+  });
+
+  test('explains connection problems and otherwise uses the fallback', () => {
+    const network = normalizeApiError(new axios.AxiosError('Network Error', 'ERR_NETWORK', config));
+    expect(apiErrorMessage(network, 'Order failed.')).toBe(network.message);
+    expect(apiErrorMessage(normalizeApiError(responseError(404, {})), 'Order failed.')).toBe('Order failed.');
+    expect(apiErrorMessage(new Error('boom'), 'Order failed.')).toBe('Order failed.');
+  });
+
+  test('adds a short request reference to server faults', () => {
+    expect(apiErrorMessage(normalizeApiError(responseError(500, {})), 'Order failed.')).toBe('Order failed. (ref abcdef12)');
+  });
+});
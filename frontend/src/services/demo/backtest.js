@@ -0,0 +1,183 @@
+// Backtest results for demo mode. Trades are drawn from the simulated market (services/demo/market) with a
+// seeded edge per configuration, so the same form input always produces the same report.
+import { TIMEFRAME_SECONDS } from 'lib/candles';
+import { rankRuns } from 'lib/optimizer';
+import { createRandom, fairPrice, hashString, priceProfit, roundPrice, symbolInfo } from './market';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+const INITIAL_CAPITAL = 10000;
+const MAX_TRADES = 250;
+
+const round2 = (value) => Number(value.toFixed(2));
+
+// Roughly how often a strategy on this timeframe trades; faster charts trade more but are capped.
+const tradesPerDay = (barSeconds) => Math.min(6, DAY_MS / 1000 / (barSeconds * 30));
+
+// The summary GET /backtest lists for each run.
+export const backtestMetrics = (results) => ({
+  total_return_pct: results.total_return_pct,
+  sharpe_ratio: results.sharpe_ratio,
+  win_rate_pct: results.win_rate_pct,
+  max_drawdown_pct: results.max_drawdown_pct,
+  total_trades: results.total_trades,
+});
+
+// Equity curve, costs and headline metrics of closed trades compounded in exit order from INITIAL_CAPITAL.
+const buildReport = (trades, start, end) => {
+  let equity = INITIAL_CAPITAL;
+  let peak = equity;
+  let maxDrawdown = 0;
+  const totals = { commission: 0, spread: 0, slippage: 0, swap: 0 };
+  const returns = [];
+  const equityCurve = [{ time: new Date(start).toISOString(), equity }];
+
+  trades.forEach((trade) => {
+    Object.keys(totals).forEach(key => { totals[key] += trade[`${key}_cost`]; });
+    returns.push(trade.profit / equity);
+    equity = round2(equity + trade.profit);
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.min(maxDrawdown, ((equity - peak) / peak) * 100);
+    equityCurve.push({ time: trade.exit_time, equity });
+  });
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / (returns.length || 1);
+  const std = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length || 1));
+  const tradesPerYear = trades.length / Math.max((end - start) / YEAR_MS, 1 / 12);
+  const netProfit = round2(equity - INITIAL_CAPITAL);
+  const totalCost = Object.values(totals).reduce((sum, cost) => sum + cost, 0);
+
+  return {
+    initial_capital: INITIAL_CAPITAL,
+    final_equity: equity,
+    net_profit: netProfit,
+    gross_profit: round2(netProfit + totalCost),
+    costs: { ...Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round2(value)])), total: round2(totalCost) },
+    total_return_pct: round2((netProfit / INITIAL_CAPITAL) * 100),
+    sharpe_ratio: std > 0 ? round2((mean / std) * Math.sqrt(tradesPerYear)) : 0,
+    win_rate_pct: trades.length ? round2((trades.filter(trade => trade.profit > 0).length / trades.length) * 100) : 0,
+    max_drawdown_pct: round2(maxDrawdown),
+    total_trades: trades.length,
+    equity_curve: equityCurve,
+    trades,
+  };
+};
+
+const runWindow = ({ start_date, end_date }, nowMs) => {
+  const end = Math.min(nowMs, end_date ? new Date(`${end_date}T23:59:59Z`).getTime() : nowMs);
+  const start = start_date ? new Date(`${start_date}T00:00:00Z`).getTime() : end - YEAR_MS;
+  return { start, end };
+};
+
+// A single-symbol run in the shape GET /backtest/{id} returns as `results`.
+export const simulateBacktest = (config, nowMs = Date.now()) => {
+  const { strategy_name, symbol = 'EURUSD', timeframe = 'H1', parameters = {}, costs = {}, start_date, end_date } = config;
+  const { start, end } = runWindow(config, nowMs);
+  const random = createRandom(hashString(JSON.stringify([strategy_name, symbol, timeframe, parameters, start_date, end_date])));
+  const barMs = (TIMEFRAME_SECONDS[timeframe] || 30 * DAY_MS / 1000) * 1000;
+  const info = symbolInfo(symbol);
+  // Probability that a trade is on the right side of the move; this is what makes one setup "better" than another.
+  const edge = 0.38 + random() * 0.16;
+  const riskPercent = parameters.risk_percent ?? 1;
+
+  const count = Math.max(8, Math.min(MAX_TRADES, Math.round(((end - start) / DAY_MS) * tradesPerDay(barMs / 1000))));
+  const entryTimes = Array.from({ length: count }, () => start + random() * (end - start)).sort((a, b) => a - b);
+
+  // Tracked here as well because position sizes follow the equity.
+  let equity = INITIAL_CAPITAL;
+  let busyUntil = start;
+  const trades = [];
+
+  entryTimes.forEach((entryMs) => {
+    // One position at a time, like the live strategies.
+    if (entryMs < busyUntil) return;
+    const holdMs = barMs * (2 + Math.floor(random() * 25));
+    let exitMs = Math.min(end, entryMs + holdMs);
+    busyUntil = exitMs;
+
+    const entryPrice = roundPrice(fairPrice(symbol, entryMs / 1000), symbol);
+    const move = fairPrice(symbol, exitMs / 1000) - entryPrice;
+    const side = (random() < edge) === (move >= 0) ? 'BUY' : 'SELL';
+    const direction = side === 'BUY' ? 1 : -1;
+    const stopDistance = entryPrice * 0.0012 * Math.sqrt(holdMs / (60 * 60 * 1000));
+    // Losers are stopped out at -1R (partway through the hold); winners are capped at a 2R target.
+    const rMultiple = Math.max(-1, Math.min(2, (move * direction) / stopDistance));
+    if (rMultiple === -1) exitMs = entryMs + (exitMs - entryMs) * (0.3 + random() * 0.6);
+    const exitPrice = roundPrice(entryPrice + direction * rMultiple * stopDistance, symbol);
+
+    const riskMoney = (equity * riskPercent) / 100;
+    const volume = Math.max(info.volume_min, Math.floor((riskMoney / ((stopDistance / info.tick_size) * info.tick_value)) * 100) / 100);
+    const pointValue = info.tick_value * (info.point / info.tick_size) * volume;
+    const nights = Math.floor((exitMs - entryMs) / DAY_MS);
+    const tradeCosts = {
+      commission: (costs.commission_per_lot || 0) * volume,
+      spread: (costs.spread_points || 0) * pointValue,
+      slippage: (costs.slippage_points || 0) * 2 * pointValue,
+      swap: -nights * (side === 'BUY' ? costs.swap_long || 0 : costs.swap_short || 0) * volume,
+    };
+    const gross = priceProfit(symbol, side, volume, entryPrice, exitPrice);
+    const profit = round2(gross - Object.values(tradeCosts).reduce((sum, cost) => sum + cost, 0));
+    equity = round2(equity + profit);
+
+    trades.push({
+      id: trades.length + 1,
+      entry_time: new Date(entryMs).toISOString(),
+      exit_time: new Date(exitMs).toISOString(),
+      side,
+      entry_price: entryPrice,
+      exit_price: exitPrice,
+      stop_loss: roundPrice(entryPrice - direction * stopDistance, symbol),
+      volume,
+      profit,
+      commission_cost: round2(tradeCosts.commission),
+      spread_cost: round2(tradeCosts.spread),
+      slippage_cost: round2(tradeCosts.slippage),
+      swap_cost: round2(tradeCosts.swap),
+    });
+  });
+
+  return buildReport(trades, start, end);
+};
+
+// POST /backtest/optimize: one single run per parameter set, reduced to its metrics.
+export const simulateOptimization = (config, nowMs = Date.now()) => ({
+  runs: config.parameter_sets.map(parameters => ({
+    parameters,
+    ...backtestMetrics(simulateBacktest({ ...config, parameters }, nowMs)),
+  })),
+});
+
+// POST /backtest/walk-forward: every window's in-sample and out-of-sample periods run as separate backtests.
+export const simulateWalkForward = (config, nowMs = Date.now()) => ({
+  initial_capital: INITIAL_CAPITAL,
+  windows: config.walk_forward.windows.map((window) => {
+    const inSample = simulateBacktest({ ...config, start_date: window.in_sample_start, end_date: window.in_sample_end }, nowMs);
+    const outOfSample = simulateBacktest({ ...config, start_date: window.out_of_sample_start, end_date: window.out_of_sample_end }, nowMs);
+    return {
+      ...window,
+      in_sample: backtestMetrics(inSample),
+      out_of_sample: { ...backtestMetrics(outOfSample), equity_curve: outOfSample.equity_curve },
+    };
+  }),
+});
+
+// POST /backtest/portfolio: each symbol trades its share of the risk, and the trades settle into one account.
+export const simulatePortfolio = (config, nowMs = Date.now()) => {
+  const { symbols, parameters = {} } = config;
+  const { start, end } = runWindow(config, nowMs);
+  const riskPercent = (parameters.risk_percent ?? 1) / symbols.length;
+  const trades = symbols
+    .flatMap(symbol => simulateBacktest({ ...config, symbol, parameters: { ...parameters, risk_percent: riskPercent } }, nowMs)
+      .trades.map(trade => ({ ...trade, symbol })))
+    .sort((a, b) => new Date(a.exit_time) - new Date(b.exit_time))
+    .map((trade, index) => ({ ...trade, id: index + 1 }));
+  return buildReport(trades, start, end);
+};
+
+// The metrics GET /backtest lists for a finished run of `mode`. Optimizations show their best run by Sharpe;
+// walk-forward windows each start from scratch, so there is no single figure to list.
+export const runMetrics = (mode, results) => {
+  if (mode === 'optimize') return results.runs.length ? backtestMetrics(rankRuns(results.runs)[0]) : null;
+  if (mode === 'walk_forward') return null;
+  return backtestMetrics(results);
+};
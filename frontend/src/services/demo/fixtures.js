@@ -0,0 +1,219 @@
+// Seed data for demo mode: the demo user, their strategies, six months of closed trades, a few open
+// positions, past backtests and an admin view of other (fictional) customers. Generated from a fixed seed
+// relative to "now", so the demo always looks recent and is the same on every load.
+import { STRATEGIES_CONFIG } from 'config/strategies.config';
+import { backtestMetrics, simulateBacktest } from './backtest';
+import { createRandom, fairPrice, priceProfit, roundPrice, symbolInfo } from './market';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HISTORY_DAYS = 180;
+
+export const DEMO_ACCOUNT = {
+  login: 5012345,
+  name: 'Demo Trader',
+  server: 'QuantEdge-Demo',
+  currency: 'USD',
+  leverage: 100,
+  deposit: 25000,
+};
+
+const PLAN_PRICES = { basic: 19, premium: 49, ultimate: 99 };
+
+const isoDaysAgo = (now, days) => new Date(now - days * DAY_MS).toISOString();
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+const round2 = (value) => Number(value.toFixed(2));
+
+export const defaultParameters = (strategyName) => Object.fromEntries(
+  (STRATEGIES_CONFIG[strategyName]?.parameters || []).map(({ name, defaultValue }) => [name, defaultValue]),
+);
+
+const STRATEGY_SEEDS = [
+  { strategy_name: 'EmaCrossAtr', symbol: 'EURUSD', timeframe: 'H1', status: 'active' },
+  { strategy_name: 'RsiBbMeanReversion', symbol: 'GBPUSD', timeframe: 'M15', status: 'active' },
+  { strategy_name: 'MacdAdxTrend', symbol: 'USDJPY', timeframe: 'H1', status: 'active' },
+  { strategy_name: 'SuperTrendAdx', symbol: 'XAUUSD', timeframe: 'H4', status: 'inactive' },
+];
+
+const CUSTOMERS = [
+  ['Amara Okafor', 'premium'], ['Lukas Weber', 'basic'], ['Sofia Rossi', 'ultimate'], ['Kwame Mensah', 'freemium'],
+  ['Chen Wei', 'premium'], ['Isabel Martins', 'basic'], ['Tunde Bakare', 'premium'], ['Hannah Schmidt', 'freemium'],
+  ['Diego Fernández', 'ultimate'], ['Aisha Bello', 'basic'], ['Mateo García', 'freemium'], ['Yuki Tanaka', 'premium'],
+];
+
+const CHANGELOG = [
+  { version: '1.6.0', days: 2, title: 'Demo mode', summary: 'Explore QuantEdge with simulated market data, no MT5 terminal or account needed.' },
+  { version: '1.5.0', days: 16, title: 'Live connection status', summary: 'Automatic reconnects with a status indicator in the header, and session recording for support.' },
+  { version: '1.4.0', days: 35, title: 'Performance analytics', summary: 'Win rate, expectancy, Sharpe/Sortino and a daily P&L calendar for your closed trades.' },
+  { version: '1.3.0', days: 58, title: 'Positions & equity curve', summary: 'Manage open positions and pending orders, and follow your equity on the dashboard.' },
+  { version: '1.2.0', days: 90, title: 'Backtest comparison', summary: 'Compare runs side by side and export reports to CSV, JSON or PDF.' },
+];
+
+// Closed deals in the shape of GET /trade/history, oldest first.
+const buildDeals = (random, strategies, now) => {
+  const deals = [];
+  let time = now - HISTORY_DAYS * DAY_MS;
+  while (deals.length < 400) {
+    time += (0.2 + random() * 1.3) * 12 * HOUR_MS;
+    const closeTime = time + (0.3 + random() * random() * 40) * HOUR_MS;
+    if (closeTime > now - HOUR_MS) break;
+
+    const strategy = random() < 0.75 ? pick(random, strategies) : null;
+    const symbol = strategy ? strategy.symbol : pick(random, ['EURUSD', 'GBPUSD', 'AUDUSD', 'XAUUSD']);
+    const priceOpen = roundPrice(fairPrice(symbol, time / 1000), symbol);
+    const priceClose = roundPrice(fairPrice(symbol, closeTime / 1000), symbol);
+    // Slightly better than a coin flip, so the demo account is modestly profitable.
+    const type = (random() < 0.53) === (priceClose >= priceOpen) ? 'BUY' : 'SELL';
+    const volume = symbol === 'XAUUSD' ? pick(random, [0.02, 0.05, 0.1]) : pick(random, [0.05, 0.1, 0.2, 0.3]);
+    const nights = Math.floor((closeTime - time) / DAY_MS);
+
+    deals.push({
+      ticket: 81000000 + deals.length * 7,
+      symbol,
+      type,
+      volume,
+      price_open: priceOpen,
+      price_close: priceClose,
+      time: new Date(time).toISOString(),
+      time_close: new Date(closeTime).toISOString(),
+      profit: priceProfit(symbol, type, volume, priceOpen, priceClose),
+      commission: round2(-7 * volume),
+      swap: round2(-nights * 6.5 * volume),
+      strategy_id: strategy?.id ?? null,
+      comment: strategy ? `QE#${strategy.id}` : '',
+    });
+  }
+  return deals;
+};
+
+// SL/TP are placed beyond both the entry and the current price, so the position is still open when the demo starts.
+const openPosition = (now, ticket, symbol, type, volume, openedAt, strategyId, stopPct, targetPct) => {
+  const priceOpen = roundPrice(fairPrice(symbol, openedAt / 1000), symbol);
+  const current = fairPrice(symbol, now / 1000);
+  const [low, high] = [Math.min(priceOpen, current), Math.max(priceOpen, current)];
+  return {
+    ticket,
+    symbol,
+    type,
+    volume,
+    price_open: priceOpen,
+    sl: roundPrice(type === 'SELL' ? high * (1 + stopPct) : low * (1 - stopPct), symbol),
+    tp: roundPrice(type === 'SELL' ? low * (1 - targetPct) : high * (1 + targetPct), symbol),
+    time: new Date(openedAt).toISOString(),
+    swap: 0,
+    strategy_id: strategyId,
+    comment: strategyId ? `QE#${strategyId}` : '',
+  };
+};
+
+const buildCustomers = (random, user, now) => [
+  user,
+  ...CUSTOMERS.map(([fullName, plan], index) => {
+    const joined = 20 + Math.floor(random() * 300);
+    return {
+      id: index + 2,
+      email: `${fullName.toLowerCase().normalize('NFD').replace(/[^a-z ]/g, '').replace(' ', '.')}@example.com`,
+      full_name: fullName,
+      role: 'user',
+      is_active: random() > 0.1,
+      created_at: isoDaysAgo(now, joined),
+      subscription: plan === 'freemium'
+        ? { plan, start_date: isoDaysAgo(now, joined), end_date: null }
+        : { plan, start_date: isoDaysAgo(now, joined % 30), end_date: isoDaysAgo(now, (joined % 30) - 30) },
+    };
+  }),
+];
+
+const buildPayments = (random, users, now) => users
+  .filter(user => PLAN_PRICES[user.subscription.plan])
+  .flatMap(user => Array.from({ length: 1 + Math.floor(random() * 4) }, (_, i) => ({
+    user_id: user.id,
+    amount: PLAN_PRICES[user.subscription.plan],
+    currency: 'USD',
+    gateway: pick(random, ['paypal', 'paypal', 'paystack', 'crypto']),
+    status: i === 0 && random() < 0.15 ? pick(random, ['pending', 'failed']) : 'completed',
+    created_at: isoDaysAgo(now, i * 30 + random() * 5),
+  })))
+  .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+  .map((payment, index) => ({ ...payment, id: 900 + index, gateway_reference: `${payment.gateway.toUpperCase()}-${(7340000 + index * 173).toString(36).toUpperCase()}` }));
+
+// The mutable in-memory "database" behind services/demo/server.
+export const createDemoState = (now = Date.now()) => {
+  const random = createRandom(20240501);
+  const user = {
+    id: 1,
+    email: 'demo@quantedge.app',
+    full_name: 'Demo Trader',
+    role: 'superuser',
+    is_active: true,
+    created_at: isoDaysAgo(now, 200),
+    subscription: { plan: 'premium', start_date: isoDaysAgo(now, 12), end_date: isoDaysAgo(now, -18) },
+  };
+
+  const strategies = STRATEGY_SEEDS.map((seed, index) => ({
+    id: index + 1,
+    ...seed,
+    parameters: defaultParameters(seed.strategy_name),
+    created_at: isoDaysAgo(now, 170 - index * 20),
+  }));
+
+  const positions = [
+    openPosition(now, 82000011, 'EURUSD', 'BUY', 0.5, now - 5 * HOUR_MS, 1, 0.004, 0.008),
+    openPosition(now, 82000025, 'XAUUSD', 'SELL', 0.1, now - 26 * HOUR_MS, null, 0.01, 0.02),
+    openPosition(now, 82000032, 'USDJPY', 'BUY', 0.3, now - 50 * 60 * 1000, 3, 0.003, 0.006),
+  ];
+
+  const gbpusd = fairPrice('GBPUSD', now / 1000);
+  const orders = [{
+    ticket: 82000040,
+    symbol: 'GBPUSD',
+    type: 'BUY_LIMIT',
+    volume: 0.2,
+    price_open: roundPrice(gbpusd * 0.996, 'GBPUSD'),
+    sl: roundPrice(gbpusd * 0.992, 'GBPUSD'),
+    tp: roundPrice(gbpusd * 1.004, 'GBPUSD'),
+    time: new Date(now - 3 * HOUR_MS).toISOString(),
+    strategy_id: null,
+  }];
+
+  const backtests = [
+    { strategy: strategies[0], days: 3, costs: { commission_per_lot: 7, spread_points: 2, slippage_points: 1, swap_long: -6.5, swap_short: 1.2 } },
+    { strategy: strategies[1], days: 9, costs: { spread_points: 15, slippage_points: 2, swap_long: -6.5, swap_short: 1.2 } },
+    { strategy: { ...strategies[0], timeframe: 'H4' }, days: 21, costs: { commission_per_lot: 7, spread_points: 2, slippage_points: 1 } },
+  ].map(({ strategy, days, costs }, index) => {
+    const endDate = isoDaysAgo(now, days).slice(0, 10);
+    const config = {
+      strategy_name: strategy.strategy_name,
+      symbol: strategy.symbol,
+      timeframe: strategy.timeframe,
+      parameters: strategy.parameters,
+      start_date: isoDaysAgo(now, days + 365).slice(0, 10),
+      end_date: endDate,
+      costs,
+    };
+    const results = simulateBacktest(config, now);
+    return { id: `demo-${index + 1}`, mode: 'single', status: 'completed', progress: 100, created_at: isoDaysAgo(now, days), ...config, results, metrics: backtestMetrics(results) };
+  });
+
+  const users = buildCustomers(random, user, now);
+
+  return {
+    user,
+    strategies,
+    deals: buildDeals(random, strategies, now),
+    positions,
+    orders,
+    backtests,
+    users,
+    payments: buildPayments(random, users, now),
+    changelog: CHANGELOG.map(({ days, ...entry }) => ({ ...entry, release_date: isoDaysAgo(now, days).slice(0, 10) })),
+    nextTicket: 82000100,
+    nextId: 100,
+  };
+};
+
+// Account-currency value of one lot at `price`, for the margin of the demo account.
+export const lotValue = (symbol, price) => {
+  const { tick_size, tick_value } = symbolInfo(symbol);
+  return (tick_value / tick_size) * price;
+};
@@ -0,0 +1,45 @@
+// Demo mode: the app runs against simulated data instead of the API, for prospects and offline development.
+// services/api routes every request through `demoAdapter` and the WebSocketContext uses `createDemoSocket`
+// instead of a real socket. Turned on for a whole build with REACT_APP_DEMO_MODE=true, or per browser from
+// the login page.
+import { AxiosError } from 'axios';
+import { handleDemoRequest, resetDemoState } from './server';
+
+export { createDemoSocket } from './socket';
+
+const STORAGE_KEY = 'demo_mode';
+// Simulated round trip, so loading states behave as they do against the real API.
+const LATENCY_MS = [120, 400];
+
+export const DEMO_ACCESS_TOKEN = 'demo-access-token';
+export const DEMO_REFRESH_TOKEN = 'demo-refresh-token';
+
+export const isDemoMode = () => process.env.REACT_APP_DEMO_MODE === 'true' || localStorage.getItem(STORAGE_KEY) === 'true';
+
+export const enableDemoMode = () => localStorage.setItem(STORAGE_KEY, 'true');
+
+export const disableDemoMode = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  resetDemoState();
+};
+
+const delay = () => new Promise(resolve => setTimeout(resolve, LATENCY_MS[0] + Math.random() * (LATENCY_MS[1] - LATENCY_MS[0])));
+
+// axios adapter answering from services/demo/server. Failures reject like a real HTTP error, so services/api
+// turns them into the same ApiError as a real API failure.
+export const demoAdapter = async (config) => {
+  await delay();
+  const url = new URL(config.url, 'http://demo.invalid');
+  const query = { ...Object.fromEntries(url.searchParams), ...config.params };
+  const body = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+  const respond = (status, data) => ({ data, status, statusText: String(status), headers: {}, config, request: null });
+
+  try {
+    const data = handleDemoRequest({ method: config.method, path: url.pathname, query, body });
+    return respond(200, data);
+  } catch (error) {
+    if (!error.status) throw error;
+    const response = respond(error.status, { detail: error.detail });
+    throw new AxiosError(error.detail, AxiosError.ERR_BAD_REQUEST, config, null, response);
+  }
+};
@@ -0,0 +1,152 @@
+// Simulated market for demo mode. A price is a pure function of symbol and time (a few slow waves with
+// incommensurate periods around a base price, plus seeded noise), so candles, quotes, fills and the tick
+// feed always agree with each other and a reload draws the same chart.
+import { TIMEFRAME_SECONDS, barStartTime } from 'lib/candles';
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// [period in seconds, relative amplitude]
+const WAVES = [
+  [23 * DAY, 0.035],
+  [6.3 * DAY, 0.014],
+  [31 * HOUR, 0.006],
+  [7.7 * HOUR, 0.003],
+  [2.1 * HOUR, 0.0015],
+  [37 * 60, 0.0007],
+  [9 * 60, 0.0003],
+];
+
+// USD value of one unit of each quote currency; the demo account is in USD.
+const USD_RATES = { USD: 1, EUR: 1.085, GBP: 1.27, JPY: 1 / 151.2, CHF: 1 / 0.885, AUD: 0.655, CAD: 1 / 1.365, NZD: 0.605 };
+
+// `spread` is in points; `volatility` scales the waves for instruments that move more than FX majors.
+export const DEMO_SYMBOLS = {
+  EURUSD: { description: 'Euro vs US Dollar', base: 1.085, digits: 5, spread: 12 },
+  GBPUSD: { description: 'Great Britain Pound vs US Dollar', base: 1.27, digits: 5, spread: 14 },
+  USDJPY: { description: 'US Dollar vs Japanese Yen', base: 151.2, digits: 3, spread: 13 },
+  USDCHF: { description: 'US Dollar vs Swiss Franc', base: 0.885, digits: 5, spread: 15 },
+  AUDUSD: { description: 'Australian Dollar vs US Dollar', base: 0.655, digits: 5, spread: 13 },
+  USDCAD: { description: 'US Dollar vs Canadian Dollar', base: 1.365, digits: 5, spread: 16 },
+  NZDUSD: { description: 'New Zealand Dollar vs US Dollar', base: 0.605, digits: 5, spread: 18 },
+  EURGBP: { description: 'Euro vs Great Britain Pound', base: 0.855, digits: 5, spread: 15 },
+  EURJPY: { description: 'Euro vs Japanese Yen', base: 164.1, digits: 3, spread: 18 },
+  GBPJPY: { description: 'Great Britain Pound vs Japanese Yen', base: 192.0, digits: 3, spread: 25, volatility: 1.3 },
+  AUDJPY: { description: 'Australian Dollar vs Japanese Yen', base: 99.0, digits: 3, spread: 20 },
+  EURCHF: { description: 'Euro vs Swiss Franc', base: 0.96, digits: 5, spread: 18 },
+  XAUUSD: { description: 'Gold vs US Dollar', base: 2350, digits: 2, spread: 25, volatility: 1.2, contractSize: 100 },
+  XAGUSD: { description: 'Silver vs US Dollar', base: 28.5, digits: 3, spread: 30, volatility: 1.6, contractSize: 5000 },
+};
+
+// FNV-1a, to turn symbols and keys into PRNG seeds.
+export const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: a small seeded PRNG returning floats in [0, 1).
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Deterministic noise in [-1, 1) for a symbol and key.
+const noise = (symbol, key) => createRandom(hashString(`${symbol}:${key}`))() * 2 - 1;
+
+const specOf = (symbol) => DEMO_SYMBOLS[symbol] || { description: symbol, base: 1, digits: 5, spread: 15 };
+
+export const roundPrice = (price, symbol) => Number(price.toFixed(specOf(symbol).digits));
+
+// Underlying mid price of `symbol` at `seconds` (UTC epoch seconds), before spread and tick noise.
+export const fairPrice = (symbol, seconds) => {
+  const { base, volatility = 1 } = specOf(symbol);
+  const seed = hashString(symbol);
+  const offset = WAVES.reduce((sum, [period, amplitude], i) => {
+    const phase = (((seed >>> (i * 4)) & 255) / 256) * 2 * Math.PI;
+    return sum + amplitude * Math.sin((2 * Math.PI * seconds) / period + phase);
+  }, 0);
+  return base * (1 + volatility * offset);
+};
+
+// MT5-style contract specs, in the shape GET /mt5/symbols/{symbol} returns.
+export const symbolInfo = (symbol) => {
+  const { description, digits, contractSize = 100000 } = specOf(symbol);
+  const point = 10 ** -digits;
+  const quoteCurrency = symbol.slice(3, 6);
+  return {
+    name: symbol,
+    description,
+    digits,
+    point,
+    tick_size: point,
+    tick_value: Number((contractSize * point * (USD_RATES[quoteCurrency] ?? 1)).toFixed(5)),
+    contract_size: contractSize,
+    volume_min: 0.01,
+    volume_max: 100,
+    volume_step: 0.01,
+  };
+};
+
+// Bid/ask at `timeMs`. The bid jitters around the fair price in 250ms steps so the feed looks alive.
+export const quoteAt = (symbol, timeMs = Date.now()) => {
+  const { base, spread, volatility = 1 } = specOf(symbol);
+  const point = 10 ** -specOf(symbol).digits;
+  const jitter = noise(symbol, Math.floor(timeMs / 250)) * base * 0.00004 * volatility;
+  const bid = roundPrice(fairPrice(symbol, timeMs / 1000) + jitter, symbol);
+  return { symbol, bid, ask: roundPrice(bid + spread * point, symbol), time: new Date(timeMs).toISOString() };
+};
+
+// Account-currency profit of moving `volume` lots from `open` to `close` in the position's direction.
+export const priceProfit = (symbol, type, volume, open, close) => {
+  const { tick_size, tick_value } = symbolInfo(symbol);
+  const direction = type === 'SELL' ? -1 : 1;
+  return Number((((close - open) * direction) / tick_size * tick_value * volume).toFixed(2));
+};
+
+const nextBarStart = (start, timeframe) => (timeframe === 'MN'
+  ? barStartTime(start + 32 * DAY, 'MN')
+  : start + (TIMEFRAME_SECONDS[timeframe] || HOUR));
+
+const previousBarStart = (start, timeframe) => (timeframe === 'MN'
+  ? barStartTime(start - 1, 'MN')
+  : start - (TIMEFRAME_SECONDS[timeframe] || HOUR));
+
+const SAMPLES_PER_BAR = 6;
+
+const buildBar = (symbol, timeframe, start, end) => {
+  const prices = Array.from({ length: SAMPLES_PER_BAR }, (_, i) => fairPrice(symbol, start + ((end - start) * i) / (SAMPLES_PER_BAR - 1)));
+  const wick = fairPrice(symbol, start) * 0.00025 * Math.sqrt((end - start) / HOUR + 0.05) * (specOf(symbol).volatility || 1);
+  return {
+    time: start,
+    open: roundPrice(prices[0], symbol),
+    high: roundPrice(Math.max(...prices) + Math.abs(noise(symbol, `${timeframe}:${start}:h`)) * wick, symbol),
+    low: roundPrice(Math.min(...prices) - Math.abs(noise(symbol, `${timeframe}:${start}:l`)) * wick, symbol),
+    close: roundPrice(prices[prices.length - 1], symbol),
+    tick_volume: Math.round(200 + Math.abs(noise(symbol, `${timeframe}:${start}:v`)) * 1800 * Math.sqrt((end - start) / HOUR + 0.05)),
+  };
+};
+
+// `count` bars ending with the one that is forming now, or the `count` bars before `beforeSeconds`,
+// oldest first, like GET /mt5/history/{symbol}.
+export const demoCandles = (symbol, timeframe, count, beforeSeconds = null, nowMs = Date.now()) => {
+  const now = nowMs / 1000;
+  let start = beforeSeconds != null
+    ? previousBarStart(barStartTime(beforeSeconds, timeframe), timeframe)
+    : barStartTime(now, timeframe);
+  const bars = [];
+  while (bars.length < count) {
+    bars.push(buildBar(symbol, timeframe, start, Math.min(nextBarStart(start, timeframe), now)));
+    start = previousBarStart(start, timeframe);
+  }
+  return bars.reverse();
+};
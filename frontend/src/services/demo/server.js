@@ -0,0 +1,444 @@
+// In-memory stand-in for the REST API in demo mode. Requests are matched against a route table and served
+// from the fixtures (services/demo/fixtures); writes (orders, strategies, backtests) change that state for the
+// rest of the page session. Anything else fails with a "not available in demo mode" error.
+import { STRATEGIES_CONFIG } from 'config/strategies.config';
+import { runMetrics, simulateBacktest, simulateOptimization, simulatePortfolio, simulateWalkForward } from './backtest';
+import { DEMO_ACCOUNT, createDemoState, defaultParameters, lotValue } from './fixtures';
+import { DEMO_SYMBOLS, createRandom, demoCandles, fairPrice, priceProfit, quoteAt, roundPrice, symbolInfo } from './market';
+import { toUnixSeconds } from 'lib/candles';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// How long a submitted backtest "runs" before its results are available.
+const BACKTEST_DURATION_MS = 6000;
+const MAX_CANDLES = 5000;
+
+const round2 = (value) => Number(value.toFixed(2));
+const sum = (rows, pick) => rows.reduce((total, row) => total + pick(row), 0);
+
+let state = null;
+const getState = () => {
+  if (!state) state = createDemoState();
+  return state;
+};
+
+// Forgets everything the demo session changed; the next request starts from fresh fixtures.
+export const resetDemoState = () => {
+  state = null;
+};
+
+const listeners = new Set();
+
+// Server-pushed messages (e.g. trade_executed after an order) for the simulated WebSocket.
+export const onDemoEvent = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const emit = (message) => listeners.forEach(listener => listener(message));
+
+// Thrown by handlers; the adapter turns it into an axios error with `response.data.detail`.
+export const demoError = (status, detail) => Object.assign(new Error(detail), { status, detail });
+
+const findOr404 = (rows, predicate, what) => {
+  const row = rows.find(predicate);
+  if (!row) throw demoError(404, `${what} not found.`);
+  return row;
+};
+
+// --- Trading ---
+
+const closingPrice = (position, quote) => (position.type === 'SELL' ? quote.ask : quote.bid);
+
+const livePosition = (position, now) => {
+  const priceCurrent = closingPrice(position, quoteAt(position.symbol, now));
+  const nights = Math.floor((now - new Date(position.time).getTime()) / DAY_MS);
+  return {
+    ...position,
+    price_current: priceCurrent,
+    swap: round2(-nights * 6.5 * position.volume),
+    profit: priceProfit(position.symbol, position.type, position.volume, position.price_open, priceCurrent),
+  };
+};
+
+const closeDeal = (position, volume, price, now) => {
+  const live = livePosition(position, now);
+  const share = volume / position.volume;
+  return {
+    ticket: position.ticket,
+    symbol: position.symbol,
+    type: position.type,
+    volume,
+    price_open: position.price_open,
+    price_close: price,
+    time: position.time,
+    time_close: new Date(now).toISOString(),
+    profit: priceProfit(position.symbol, position.type, volume, position.price_open, price),
+    commission: round2(-7 * volume),
+    swap: round2(live.swap * share),
+    strategy_id: position.strategy_id,
+    comment: position.comment,
+  };
+};
+
+// Fills pending orders and stops out positions whose level the simulated price has crossed since the last request.
+const settle = (now) => {
+  const s = getState();
+  s.orders = s.orders.filter(order => {
+    const quote = quoteAt(order.symbol, now);
+    const isBuy = order.type.startsWith('BUY');
+    const market = isBuy ? quote.ask : quote.bid;
+    const triggered = order.type.endsWith('LIMIT')
+      ? (isBuy ? market <= order.price_open : market >= order.price_open)
+      : (isBuy ? market >= order.price_open : market <= order.price_open);
+    if (!triggered) return true;
+    const { type, ...rest } = order;
+    s.positions.push({ ...rest, type: isBuy ? 'BUY' : 'SELL', time: new Date(now).toISOString(), swap: 0 });
+    return false;
+  });
+  s.positions = s.positions.filter(position => {
+    const price = closingPrice(position, quoteAt(position.symbol, now));
+    const isBuy = position.type === 'BUY';
+    const stopped = position.sl && (isBuy ? price <= position.sl : price >= position.sl);
+    const target = position.tp && (isBuy ? price >= position.tp : price <= position.tp);
+    if (!stopped && !target) return true;
+    s.deals.push(closeDeal(position, position.volume, stopped ? position.sl : position.tp, now));
+    return false;
+  });
+};
+
+const balanceOf = (deals) => DEMO_ACCOUNT.deposit + sum(deals, deal => deal.profit + deal.commission + deal.swap);
+
+// GET /mt5/account, also pushed as account_update by the simulated WebSocket.
+export const demoAccount = (now = Date.now()) => {
+  settle(now);
+  const s = getState();
+  const positions = s.positions.map(position => livePosition(position, now));
+  const balance = round2(balanceOf(s.deals));
+  const floating = round2(sum(positions, position => position.profit + position.swap));
+  const equity = round2(balance + floating);
+  const margin = round2(sum(positions, position => (position.volume * lotValue(position.symbol, position.price_open)) / DEMO_ACCOUNT.leverage));
+  return {
+    login: DEMO_ACCOUNT.login,
+    name: DEMO_ACCOUNT.name,
+    server: DEMO_ACCOUNT.server,
+    currency: DEMO_ACCOUNT.currency,
+    leverage: DEMO_ACCOUNT.leverage,
+    balance,
+    equity,
+    profit: floating,
+    margin,
+    margin_free: round2(equity - margin),
+    margin_level: margin > 0 ? round2((equity / margin) * 100) : 0,
+  };
+};
+
+// Sample times for the equity history: 4-hourly, then hourly for the last week and every 15 minutes today.
+const historyTimes = (from, now) => {
+  const times = [];
+  const steps = [[now - 7 * DAY_MS, 4 * HOUR_MS], [now - DAY_MS, HOUR_MS], [now, 15 * 60 * 1000]];
+  let time = from;
+  steps.forEach(([until, step]) => {
+    time = Math.ceil(time / step) * step;
+    for (; time < until; time += step) times.push(time);
+  });
+  return times;
+};
+
+// Balance steps at every closed deal; equity adds the floating P&L of whatever was open at that moment.
+const accountHistory = (query, now) => {
+  const s = getState();
+  const trades = [...s.deals, ...s.positions]
+    .map(row => ({ row, opened: new Date(row.time).getTime(), closed: row.time_close ? new Date(row.time_close).getTime() : Infinity }));
+  const closedDeals = trades.filter(trade => trade.closed !== Infinity).sort((a, b) => a.closed - b.closed);
+  const firstTime = trades.length ? Math.min(...trades.map(trade => trade.opened)) - DAY_MS : now - DAY_MS;
+  const from = Math.max(firstTime, query.from ? new Date(query.from).getTime() : firstTime);
+
+  let balance = DEMO_ACCOUNT.deposit;
+  let next = 0;
+  const points = historyTimes(from, now).map(time => {
+    for (; next < closedDeals.length && closedDeals[next].closed <= time; next += 1) {
+      const { profit, commission, swap } = closedDeals[next].row;
+      balance += profit + commission + swap;
+    }
+    const floating = sum(trades.filter(trade => trade.opened <= time && trade.closed > time), ({ row }) => (
+      priceProfit(row.symbol, row.type, row.volume, row.price_open, fairPrice(row.symbol, time / 1000))
+    ));
+    return { time: new Date(time).toISOString(), balance: round2(balance), equity: round2(balance + floating) };
+  });
+  const account = demoAccount(now);
+  return [...points, { time: new Date(now).toISOString(), balance: account.balance, equity: account.equity }];
+};
+
+const placeOrder = (body, now) => {
+  const { symbol, type, order_type: orderType = 'market', volume, price, sl, tp } = body;
+  if (!DEMO_SYMBOLS[symbol]) throw demoError(400, `Unknown symbol ${symbol}.`);
+  if (!['BUY', 'SELL'].includes(type) || !(volume > 0)) throw demoError(422, 'Invalid order.');
+  const s = getState();
+  const ticket = (s.nextTicket += 1);
+
+  if (orderType !== 'market') {
+    s.orders.push({
+      ticket, symbol, type: `${type}_${orderType.toUpperCase()}`, volume,
+      price_open: roundPrice(price, symbol), sl: sl || 0, tp: tp || 0, time: new Date(now).toISOString(), strategy_id: null,
+    });
+    return { ticket, retcode: 10009, comment: 'Order placed' };
+  }
+
+  const quote = quoteAt(symbol, now);
+  const fill = type === 'BUY' ? quote.ask : quote.bid;
+  s.positions.push({ ticket, symbol, type, volume, price_open: fill, sl: sl || 0, tp: tp || 0, time: new Date(now).toISOString(), swap: 0, strategy_id: null, comment: '' });
+  emit({ type: 'trade_executed', data: { ticket, action: type, symbol, volume, price: fill } });
+  return { ticket, retcode: 10009, price: fill, comment: 'Request executed' };
+};
+
+const closePosition = (ticket, body, now) => {
+  const s = getState();
+  const position = findOr404(s.positions, row => String(row.ticket) === ticket, 'Position');
+  const volume = body?.volume ? Math.min(body.volume, position.volume) : position.volume;
+  const price = closingPrice(position, quoteAt(position.symbol, now));
+  s.deals.push(closeDeal(position, volume, price, now));
+  const remaining = round2(position.volume - volume);
+  s.positions = remaining > 0
+    ? s.positions.map(row => (row === position ? { ...row, volume: remaining } : row))
+    : s.positions.filter(row => row !== position);
+  return { ticket: position.ticket, volume, price, retcode: 10009, comment: 'Request executed' };
+};
+
+const tradeHistory = (query) => {
+  const from = query.from ? new Date(query.from).getTime() : -Infinity;
+  const to = query.to ? new Date(query.to).getTime() : Infinity;
+  return getState().deals
+    .filter(deal => {
+      const closed = new Date(deal.time_close).getTime();
+      return closed >= from && closed <= to;
+    })
+    .sort((a, b) => new Date(b.time_close) - new Date(a.time_close));
+};
+
+// --- Strategies ---
+
+const validateStrategy = (body) => {
+  if (!STRATEGIES_CONFIG[body?.strategy_name]) throw demoError(422, 'Unknown strategy.');
+  if (!body.symbol || !body.timeframe) throw demoError(422, 'Symbol and timeframe are required.');
+};
+
+const createStrategy = (body, now) => {
+  validateStrategy(body);
+  const s = getState();
+  const strategy = {
+    id: (s.nextId += 1),
+    strategy_name: body.strategy_name,
+    symbol: body.symbol,
+    timeframe: body.timeframe,
+    status: 'inactive',
+    parameters: { ...defaultParameters(body.strategy_name), ...body.parameters },
+    created_at: new Date(now).toISOString(),
+  };
+  s.strategies.push(strategy);
+  return strategy;
+};
+
+const updateStrategy = (id, changes) => {
+  const s = getState();
+  const strategy = findOr404(s.strategies, row => String(row.id) === id, 'Strategy');
+  const updated = { ...strategy, ...changes };
+  s.strategies = s.strategies.map(row => (row === strategy ? updated : row));
+  return updated;
+};
+
+const strategyTrades = (id) => getState().deals
+  .filter(deal => String(deal.strategy_id) === id)
+  .map(deal => ({
+    id: deal.ticket,
+    entry_time: deal.time,
+    exit_time: deal.time_close,
+    side: deal.type,
+    volume: deal.volume,
+    entry_price: deal.price_open,
+    exit_price: deal.price_close,
+    profit: round2(deal.profit + deal.commission + deal.swap),
+  }));
+
+// --- Backtests ---
+
+const SIMULATORS = {
+  single: simulateBacktest,
+  optimize: simulateOptimization,
+  walk_forward: simulateWalkForward,
+  portfolio: simulatePortfolio,
+};
+
+// What each job kind needs on top of a strategy; the message is the 422 detail when it is missing.
+const validateBacktest = (body, mode) => {
+  if (!body?.strategy_name) return 'Strategy is required.';
+  if (mode === 'portfolio') return body.symbols?.length >= 2 ? null : 'Select at least two symbols.';
+  if (!body.symbol) return 'Strategy and symbol are required.';
+  if (mode === 'optimize' && !body.parameter_sets?.length) return 'At least one parameter set is required.';
+  if (mode === 'walk_forward' && !body.walk_forward?.windows?.length) return 'At least one walk-forward window is required.';
+  return null;
+};
+
+// A run "finishes" on the first request after BACKTEST_DURATION_MS; until then it reports its progress.
+const backtestRun = (run, now) => {
+  if (run.status !== 'running') return run;
+  const elapsed = now - run.submittedAt;
+  if (elapsed < BACKTEST_DURATION_MS) return { ...run, progress: Math.round((elapsed / BACKTEST_DURATION_MS) * 100) };
+  const results = SIMULATORS[run.mode](run, now);
+  Object.assign(run, { status: 'completed', progress: 100, results, metrics: runMetrics(run.mode, results) });
+  return run;
+};
+
+const submitBacktest = (body, mode, now) => {
+  const invalid = validateBacktest(body, mode);
+  if (invalid) throw demoError(422, invalid);
+  const s = getState();
+  const id = `demo-${(s.nextId += 1)}`;
+  s.backtests.unshift({
+    ...body, id, mode, status: 'running', progress: 0, created_at: new Date(now).toISOString(), submittedAt: now,
+  });
+  return { job_id: id, status: 'running' };
+};
+
+const cancelBacktest = (id) => {
+  const s = getState();
+  const run = findOr404(s.backtests, row => row.id === id, 'Backtest job');
+  if (run.status === 'running') {
+    run.status = 'cancelled';
+  } else {
+    s.backtests = s.backtests.filter(row => row !== run);
+  }
+  return { detail: 'ok' };
+};
+
+// --- Admin ---
+
+const userStrategies = (user) => {
+  if (user.id === getState().user.id) return getState().strategies;
+  const random = createRandom(user.id * 7919);
+  const names = Object.keys(STRATEGIES_CONFIG);
+  return Array.from({ length: Math.floor(random() * 4) }, (_, i) => {
+    const strategyName = names[Math.floor(random() * names.length)];
+    return {
+      id: user.id * 100 + i,
+      strategy_name: strategyName,
+      symbol: Object.keys(DEMO_SYMBOLS)[Math.floor(random() * 6)],
+      timeframe: ['M15', 'H1', 'H4'][Math.floor(random() * 3)],
+      status: random() > 0.3 ? 'active' : 'inactive',
+      parameters: defaultParameters(strategyName),
+    };
+  });
+};
+
+const adminUsers = (query) => {
+  const { users } = getState();
+  const size = Number(query.size) || 15;
+  const page = Number(query.page) || 1;
+  return { users: users.slice((page - 1) * size, page * size), total: users.length, page, size };
+};
+
+const adminUserDetails = (id) => {
+  const s = getState();
+  const user = findOr404(s.users, row => String(row.id) === id, 'User');
+  return { ...user, user_strategies: userStrategies(user), payments: s.payments.filter(payment => payment.user_id === user.id) };
+};
+
+// [method, path pattern with :params, handler({ params, query, body, now })]
+const ROUTES = [
+  ['get', '/users/me', () => getState().user],
+
+  ['get', '/mt5/account', ({ now }) => demoAccount(now)],
+  ['get', '/mt5/account/history', ({ query, now }) => accountHistory(query, now)],
+  ['get', '/mt5/symbols', () => Object.entries(DEMO_SYMBOLS).map(([name, { description }]) => ({ name, description, path: name.startsWith('X') ? 'Metals' : 'Forex' }))],
+  ['get', '/mt5/symbols/:symbol', ({ params }) => {
+    if (!DEMO_SYMBOLS[params.symbol]) throw demoError(404, `Symbol ${params.symbol} not found.`);
+    return symbolInfo(params.symbol);
+  }],
+  ['get', '/mt5/history/:symbol', ({ params, query, now }) => {
+    if (!DEMO_SYMBOLS[params.symbol]) throw demoError(404, `Symbol ${params.symbol} not found.`);
+    const count = Math.min(MAX_CANDLES, Number(query.count) || 500);
+    return demoCandles(params.symbol, query.timeframe || 'H1', count, query.before ? toUnixSeconds(query.before) : null, now);
+  }],
+
+  ['get', '/strategies', () => getState().strategies],
+  ['post', '/strategies', ({ body, now }) => createStrategy(body, now)],
+  ['put', '/strategies/:id', ({ params, body }) => {
+    validateStrategy(body);
+    return updateStrategy(params.id, { strategy_name: body.strategy_name, symbol: body.symbol, timeframe: body.timeframe, parameters: body.parameters });
+  }],
+  ['patch', '/strategies/:id/status', ({ params, query }) => updateStrategy(params.id, { status: query.status === 'active' ? 'active' : 'inactive' })],
+  ['delete', '/strategies/:id', ({ params }) => {
+    const s = getState();
+    findOr404(s.strategies, row => String(row.id) === params.id, 'Strategy');
+    s.strategies = s.strategies.filter(row => String(row.id) !== params.id);
+    return { detail: 'Strategy deleted.' };
+  }],
+  ['get', '/strategies/:id/trades', ({ params }) => strategyTrades(params.id)],
+
+  ['get', '/trade/positions', ({ now }) => {
+    settle(now);
+    return getState().positions.map(position => livePosition(position, now));
+  }],
+  ['put', '/trade/positions/:ticket', ({ params, body }) => {
+    const s = getState();
+    const position = findOr404(s.positions, row => String(row.ticket) === params.ticket, 'Position');
+    Object.assign(position, { sl: body?.sl || 0, tp: body?.tp || 0 });
+    return { ticket: position.ticket, retcode: 10009, comment: 'Request executed' };
+  }],
+  ['post', '/trade/positions/:ticket/close', ({ params, body, now }) => closePosition(params.ticket, body, now)],
+  ['post', '/trade/order', ({ body, now }) => placeOrder(body, now)],
+  ['get', '/trade/orders', ({ now }) => {
+    settle(now);
+    return getState().orders;
+  }],
+  ['delete', '/trade/orders/:ticket', ({ params }) => {
+    const s = getState();
+    findOr404(s.orders, row => String(row.ticket) === params.ticket, 'Order');
+    s.orders = s.orders.filter(row => String(row.ticket) !== params.ticket);
+    return { detail: 'Order cancelled.' };
+  }],
+  ['get', '/trade/history', ({ query }) => tradeHistory(query)],
+
+  ['get', '/backtest', ({ now }) => getState().backtests.map(run => {
+    const { results, submittedAt, ...summary } = backtestRun(run, now);
+    return summary;
+  })],
+  ['post', '/backtest', ({ body, now }) => submitBacktest(body, 'single', now)],
+  ['post', '/backtest/optimize', ({ body, now }) => submitBacktest(body, 'optimize', now)],
+  ['post', '/backtest/walk-forward', ({ body, now }) => submitBacktest(body, 'walk_forward', now)],
+  ['post', '/backtest/portfolio', ({ body, now }) => submitBacktest(body, 'portfolio', now)],
+  ['get', '/backtest/:id', ({ params, now }) => {
+    const { submittedAt, ...run } = backtestRun(findOr404(getState().backtests, row => row.id === params.id, 'Backtest job'), now);
+    return run;
+  }],
+  ['delete', '/backtest/:id', ({ params }) => cancelBacktest(params.id)],
+
+  ['get', '/admin/users', ({ query }) => adminUsers(query)],
+  ['get', '/admin/users/:id/details', ({ params }) => adminUserDetails(params.id)],
+  ['post', '/admin/users/impersonate/:id', ({ params }) => {
+    throw demoError(501, `Impersonating user ${params.id} is not available in demo mode.`);
+  }],
+  ['get', '/admin/payments', () => ({ payments: getState().payments })],
+
+  ['get', '/system/version', () => ({ version: getState().changelog[0].version })],
+  ['get', '/system/changelog', () => getState().changelog],
+  ['post', '/system/feedback', () => ({ detail: 'Thanks! (Feedback is not sent anywhere in demo mode.)' })],
+];
+
+const compiled = ROUTES.map(([method, pattern, handler]) => {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { method, regex: new RegExp(`^${source}/?$`), names, handler };
+});
+
+// Serves one request. Resolves with the response body or throws a `demoError`.
+export const handleDemoRequest = ({ method, path, query = {}, body }) => {
+  const route = compiled.find(candidate => candidate.method === method && candidate.regex.test(path));
+  if (!route) throw demoError(501, 'This feature is not available in demo mode.');
+  const values = route.regex.exec(path).slice(1).map(decodeURIComponent);
+  const params = Object.fromEntries(route.names.map((name, i) => [name, values[i]]));
+  return route.handler({ params, query, body, now: Date.now() });
+};
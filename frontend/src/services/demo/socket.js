@@ -0,0 +1,60 @@
+// Stand-in for the browser WebSocket in demo mode. It has the same readyState/send/close/on* surface the
+// WebSocketContext uses, and streams ticks for subscribed symbols plus account updates from the simulated market.
+import { demoAccount, onDemoEvent } from './server';
+import { quoteAt } from './market';
+
+const OPEN_DELAY_MS = 300;
+const TICK_INTERVAL_MS = 500;
+const ACCOUNT_INTERVAL_MS = 2000;
+
+export const createDemoSocket = () => {
+  const symbols = new Set();
+  const timers = [];
+  let unsubscribeEvents = null;
+
+  const socket = {
+    readyState: WebSocket.CONNECTING,
+    onopen: null,
+    onmessage: null,
+    onerror: null,
+    onclose: null,
+    send: (text) => {
+      const message = JSON.parse(text);
+      if (message.type === 'ping') {
+        setTimeout(() => deliver({ type: 'pong' }), 0);
+      } else if (message.type === 'subscribe' && message.channel === 'ticks') {
+        symbols.add(message.symbol);
+        setTimeout(() => deliver({ type: 'tick', data: quoteAt(message.symbol) }), 0);
+      } else if (message.type === 'unsubscribe' && message.channel === 'ticks') {
+        symbols.delete(message.symbol);
+      }
+    },
+    close: (code = 1000) => {
+      if (socket.readyState === WebSocket.CLOSED) return;
+      socket.readyState = WebSocket.CLOSED;
+      timers.forEach(timer => clearInterval(timer));
+      unsubscribeEvents?.();
+      setTimeout(() => socket.onclose?.({ code }), 0);
+    },
+  };
+
+  function deliver(message) {
+    if (socket.readyState === WebSocket.OPEN) socket.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  setTimeout(() => {
+    if (socket.readyState !== WebSocket.CONNECTING) return;
+    socket.readyState = WebSocket.OPEN;
+    socket.onopen?.();
+    timers.push(
+      setInterval(() => {
+        const now = Date.now();
+        symbols.forEach(symbol => deliver({ type: 'tick', data: quoteAt(symbol, now) }));
+      }, TICK_INTERVAL_MS),
+      setInterval(() => deliver({ type: 'account_update', data: demoAccount() }), ACCOUNT_INTERVAL_MS),
+    );
+    unsubscribeEvents = onDemoEvent(deliver);
+  }, OPEN_DELAY_MS);
+
+  return socket;
+};
@@ -0,0 +1,12 @@
+// Admin endpoints (superusers only).
+import api from 'services/api';
+
+// Resolves with `{ users, total }` for the 1-based `page`.
+export const listUsers = ({ page, size }, options) => api.get('/admin/users', { ...options, params: { page, size } }).then(res => res.data);
+
+export const getUserDetails = (userId, options) => api.get(`/admin/users/${userId}/details`, options).then(res => res.data);
+
+// Resolves with an access token for acting as the user.
+export const impersonateUser = (userId, options) => api.post(`/admin/users/impersonate/${userId}`, null, options).then(res => res.data);
+
+export const listPayments = (options) => api.get('/admin/payments', options).then(res => res.data);
@@ -0,0 +1,19 @@
+// Backtest endpoints. Every job kind is polled through GET /backtest/{id}; only the submission endpoint differs.
+import api from 'services/api';
+
+const SUBMIT_ENDPOINTS = {
+  single: '/backtest',
+  optimize: '/backtest/optimize',
+  walk_forward: '/backtest/walk-forward',
+  portfolio: '/backtest/portfolio',
+};
+
+export const listBacktests = (options) => api.get('/backtest', options).then(res => res.data);
+
+export const getBacktest = (id, options) => api.get(`/backtest/${id}`, options).then(res => res.data);
+
+// Queues a job of `mode` ('single', 'optimize', 'walk_forward' or 'portfolio'); resolves with its `job_id`.
+export const submitBacktest = (config, mode = 'single', options) => api.post(SUBMIT_ENDPOINTS[mode], config, options)
+  .then(res => res.data);
+
+export const cancelBacktest = (id, options) => api.delete(`/backtest/${id}`, options).then(res => res.data);
@@ -0,0 +1,19 @@
+// MT5 endpoints: the trading account and market data from the terminal.
+import api from 'services/api';
+
+export const getAccount = (options) => api.get('/mt5/account', options).then(res => res.data);
+
+// Balance/equity snapshots since `from` (ISO timestamp), oldest first.
+export const getAccountHistory = ({ from } = {}, options) => api.get('/mt5/account/history', { ...options, params: { from } })
+  .then(res => res.data);
+
+export const getSymbols = (options) => api.get('/mt5/symbols', options).then(res => res.data);
+
+// Contract specs (digits, tick size/value, volume limits) of one symbol.
+export const getSymbolInfo = (symbol, options) => api.get(`/mt5/symbols/${symbol}`, options).then(res => res.data);
+
+// `count` bars of `timeframe`, ending with the forming bar or, with `before` (ISO timestamp), the bars before it.
+export const getPriceHistory = (symbol, { timeframe, count, before } = {}, options) => api.get(`/mt5/history/${symbol}`, {
+  ...options,
+  params: { timeframe, count, before },
+}).then(res => res.data);
@@ -0,0 +1,9 @@
+// Payment endpoints for upgrading a subscription. PayPal and Paystack answer with a checkout URL to
+// redirect to; crypto answers with the wallet details to show.
+import api from 'services/api';
+
+export const initiatePaypalPayment = (plan, options) => api.post('/payments/initiate/paypal', { plan }, options).then(res => res.data);
+
+export const initiatePaystackPayment = (plan, options) => api.post('/payments/initiate/paystack', { plan }, options).then(res => res.data);
+
+export const initiateCryptoPayment = (options) => api.get('/payments/initiate/crypto', options).then(res => res.data);
@@ -0,0 +1,19 @@
+// Strategy endpoints: the trading bots a user configures and switches on and off.
+// Like every endpoint module, each call resolves with the response body, rejects with an ApiError
+// (services/apiError) and takes axios options last, e.g. `{ signal }` to cancel it.
+import api from 'services/api';
+
+export const listStrategies = (options) => api.get('/strategies', options).then(res => res.data);
+
+export const createStrategy = (strategy, options) => api.post('/strategies', strategy, options).then(res => res.data);
+
+export const updateStrategy = (id, strategy, options) => api.put(`/strategies/${id}`, strategy, options).then(res => res.data);
+
+// `status` is 'active' or 'inactive'.
+export const setStrategyStatus = (id, status, options) => api.patch(`/strategies/${id}/status`, null, { ...options, params: { status } })
+  .then(res => res.data);
+
+export const deleteStrategy = (id, options) => api.delete(`/strategies/${id}`, options).then(res => res.data);
+
+// Closed trades of one strategy, for its chart markers.
+export const getStrategyTrades = (id, options) => api.get(`/strategies/${id}/trades`, options).then(res => res.data);
@@ -0,0 +1,8 @@
+// System endpoints: version, release notes and user feedback.
+import api from 'services/api';
+
+export const getVersion = (options) => api.get('/system/version', options).then(res => res.data);
+
+export const getChangelog = (options) => api.get('/system/changelog', options).then(res => res.data);
+
+export const sendFeedback = (feedback, options) => api.post('/system/feedback', feedback, options).then(res => res.data);
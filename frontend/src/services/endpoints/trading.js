@@ -0,0 +1,22 @@
+// Trading endpoints: open positions, pending orders and closed deals on the connected MT5 account.
+import api from 'services/api';
+
+export const getPositions = (options) => api.get('/trade/positions', options).then(res => res.data);
+
+export const modifyPosition = (ticket, { sl, tp }, options) => api.put(`/trade/positions/${ticket}`, { sl, tp }, options)
+  .then(res => res.data);
+
+// Closes `volume` lots of the position; less than its full volume is a partial close.
+export const closePosition = (ticket, volume, options) => api.post(`/trade/positions/${ticket}/close`, { volume }, options)
+  .then(res => res.data);
+
+// Market or pending order; never retried automatically, so a lost response can't open a second position.
+export const placeOrder = (order, options) => api.post('/trade/order', order, options).then(res => res.data);
+
+export const getOrders = (options) => api.get('/trade/orders', options).then(res => res.data);
+
+export const cancelOrder = (ticket, options) => api.delete(`/trade/orders/${ticket}`, options).then(res => res.data);
+
+// Closed deals, optionally limited to a `from`/`to` range (ISO dates or timestamps).
+export const getTradeHistory = ({ from, to } = {}, options) => api.get('/trade/history', { ...options, params: { from, to } })
+  .then(res => res.data);